@@ -0,0 +1,496 @@
+// Application
+// Builds the Express app, HTTP server and socket.io server from a config
+// (see lib/config.js): creates the stores and services, mounts the route
+// modules (lib/routes) and attaches the socket handlers (lib/sockets).
+// server.js runs it against process.env; tests run it against temp
+// directories and in-memory stores, and may pass their own stores in
+// `overrides`.
+
+const express = require('express');
+const multer = require('multer');
+const cors = require('cors');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { Server } = require('socket.io');
+const { EgressClient, RoomServiceClient } = require('livekit-server-sdk');
+const { createMessageStore } = require('./message-store');
+const { createInboxStore } = require('./inbox-store');
+const { createUserStore } = require('./user-store');
+const { createAuth } = require('./auth');
+const { UploadSessionManager } = require('./upload-sessions');
+const { createLiveKitTokens } = require('./livekit');
+const { createRoomStore } = require('./room-store');
+const { StudioDocuments, createStudioStore } = require('./studio-documents');
+const { createCanvasStore } = require('./canvas-store');
+const { TranscodeQueue } = require('./transcoder');
+const { createMediaLinks } = require('./media-links');
+const { createShareStore } = require('./share-store');
+const { createStorage } = require('./storage');
+const { createRateLimiter } = require('./rate-limit');
+const { createLogger } = require('./logger');
+const { createMetrics } = require('./metrics');
+const { createSharedState } = require('./shared-state');
+const { RoomRecorder } = require('./room-recorder');
+const { createVideos, transcodeSummary } = require('./videos');
+const { createHealthChecks } = require('./health');
+const { createCluster } = require('./sockets/cluster');
+const { createPresence } = require('./sockets/presence');
+const { createInboxDelivery } = require('./sockets/messages');
+const { createStudioSync } = require('./sockets/studio');
+const { createRecordingDelivery } = require('./sockets/recordings');
+const { attachSocketHandlers } = require('./sockets');
+const { createSystemRouter } = require('./routes/system');
+const { createAuthRouter } = require('./routes/auth');
+const { createRoomsRouter } = require('./routes/rooms');
+const { createCanvasesRouter } = require('./routes/canvases');
+const { createLiveKitRouter } = require('./routes/livekit');
+const { createUploadsRouter } = require('./routes/uploads');
+const { createMediaRouter } = require('./routes/media');
+const { createVideosRouter } = require('./routes/videos');
+
+const SWEEP_INTERVAL = 60 * 60 * 1000;
+// How long clients told 'server-restarting' wait before reconnecting
+const RESTART_RETRY_AFTER = 2000;
+// Incoming X-Request-Id (or Fly-Request-Id) values reused as correlation ids
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+// Requests logged at debug: health checks, scrapes and media segments
+const QUIET_ROUTES = ['/health', '/livez', '/readyz', '/metrics', '/media/:token/*'];
+
+// Without SESSION_SECRET a random secret is generated and kept in the data
+// directory, so sessions survive restarts
+function loadSessionSecret(dataDir, logger) {
+    const secretPath = path.join(dataDir, 'session-secret');
+    try {
+        return fs.readFileSync(secretPath, 'utf8').trim();
+    } catch (error) {
+        const secret = crypto.randomBytes(32).toString('base64url');
+        fs.mkdirSync(dataDir, { recursive: true });
+        fs.writeFileSync(secretPath, secret, { mode: 0o600 });
+        logger.warn('SESSION_SECRET not set - generated one', { component: 'auth', path: secretPath });
+        return secret;
+    }
+}
+
+// Returns { app, server, io, ctx, logger, init, close, shutdown }. Nothing is loaded or
+// listened on until init() resolves and the caller calls server.listen().
+function createApp(config, overrides = {}) {
+    const { dataDir, storeDriver } = config;
+
+    // Errors logged anywhere are counted in the metrics
+    const metrics = overrides.metrics || createMetrics();
+    const logger = overrides.logger || createLogger({
+        ...config.logging,
+        onError: entry => metrics.errors.inc({ component: entry.component || 'app' })
+    });
+
+    const app = express();
+    const server = http.createServer(app);
+
+    const io = new Server(server, {
+        cors: {
+            origin: config.corsOrigins,
+            methods: ["GET", "POST"],
+            credentials: true
+        },
+        // Studio canvases carry image data URLs (socket.io's default is 1MB)
+        maxHttpBufferSize: config.sockets.maxPayload,
+        pingTimeout: config.sockets.pingTimeout,
+        pingInterval: config.sockets.pingInterval
+    });
+
+    // Requests in progress, so a shutdown can let uploads finish (see shutdown())
+    const activeRequests = new Set();
+    let draining = false;
+    let onDrained = null;
+
+    app.use((req, res, next) => {
+        activeRequests.add(res);
+        res.on('close', () => {
+            activeRequests.delete(res);
+            if (onDrained && activeRequests.size === 0) onDrained();
+        });
+        // Don't keep connections alive into a restart
+        if (draining) res.set('Connection', 'close');
+        next();
+    });
+
+    // Every request gets a correlation id (returned as X-Request-Id) and a
+    // logger carrying it as req.log; its status and latency are logged and
+    // counted once it's done. Routes are logged by pattern, so tokens in
+    // media and share URLs stay out of the logs.
+    app.use((req, res, next) => {
+        const incoming = req.get('x-request-id') || req.get('fly-request-id');
+        req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        req.log = logger.child({ component: 'http', requestId: req.id });
+        res.set('X-Request-Id', req.id);
+
+        const started = process.hrtime.bigint();
+        res.on('close', () => {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            const route = req.route ? req.route.path : 'other';
+            const status = res.headersSent ? res.statusCode : 0; // 0: client went away
+
+            metrics.httpRequests.inc({ method: req.method, route, status });
+            metrics.httpDuration.observe({ method: req.method, route }, seconds);
+
+            const level = status >= 500 ? 'warn'
+                : !req.route || QUIET_ROUTES.includes(route) ? 'debug'
+                    : 'info';
+            req.log.log(level, 'Request', {
+                method: req.method,
+                route: req.route ? route : req.path,
+                status,
+                durationMs: Math.round(seconds * 1000)
+            });
+        });
+        next();
+    });
+
+    // Enable CORS for frontend domain
+    app.use(cors({
+        origin: config.corsOrigins,
+        credentials: true
+    }));
+
+    // Disable caching for all static files during development
+    app.use((req, res, next) => {
+        res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+        res.set('Pragma', 'no-cache');
+        res.set('Expires', '0');
+        res.set('Surrogate-Control', 'no-store');
+        next();
+    });
+
+    // Serve static files from the public directory (use absolute path for Vercel)
+    app.use(express.static(config.publicDir, {
+        etag: false,
+        lastModified: false
+    }));
+
+    // ==================== STORES ====================
+    // Uploaded videos, renditions and previews go through a storage backend
+    // (see lib/storage.js); everything else is a store under the data
+    // directory, or in memory with MESSAGE_STORE=memory
+    fs.mkdirSync(config.uploadTmpDir, { recursive: true });
+
+    const videoStorage = overrides.videoStorage || createStorage(config.storage);
+    const messageStore = overrides.messageStore || createMessageStore({
+        driver: storeDriver,
+        filePath: path.join(dataDir, 'messages.json')
+    });
+    const inboxStore = overrides.inboxStore || createInboxStore({
+        driver: storeDriver,
+        filePath: path.join(dataDir, 'inbox.json')
+    });
+    const userStore = overrides.userStore || createUserStore({
+        driver: storeDriver,
+        filePath: path.join(dataDir, 'users.json')
+    });
+    const roomStore = overrides.roomStore || createRoomStore({
+        driver: storeDriver,
+        filePath: path.join(dataDir, 'rooms.json')
+    });
+    const shareStore = overrides.shareStore || createShareStore({
+        driver: storeDriver,
+        filePath: path.join(dataDir, 'shares.json')
+    });
+    // Canvases saved from the WorkSphere panel (Fabric JSON + name/thumbnail/owner)
+    const canvasStore = overrides.canvasStore || createCanvasStore({
+        driver: storeDriver,
+        filePath: path.join(dataDir, 'canvases.json'),
+        documentsDir: path.join(dataDir, 'canvases')
+    });
+
+    // Presence, room state and studio canvases. With SHARED_STATE=redis
+    // several instances share them and the socket.io Redis adapter carries
+    // broadcasts between instances (see lib/shared-state.js).
+    const sharedState = overrides.sharedState || createSharedState({ ...config.sharedState, logger });
+
+    // The server keeps each room's studio canvas (the Fabric object list) and
+    // persists it under data/studio (in the shared state with several
+    // instances), so it survives everyone leaving
+    const studioDocuments = overrides.studioDocuments || new StudioDocuments({
+        store: sharedState.distributed
+            ? createStudioStore({ driver: 'shared', sharedState })
+            : createStudioStore({
+                driver: storeDriver,
+                dir: path.join(dataDir, 'studio')
+            }),
+        peers: name => ctx.cluster.request('studio:snapshot', name),
+        logger
+    });
+
+    // Long recordings are streamed in chunks while recording (see /api/uploads)
+    const uploadSessions = overrides.uploadSessions || new UploadSessionManager({
+        dir: path.join(dataDir, 'upload-sessions'),
+        maxSize: config.uploads.maxSessionSize,
+        maxChunkSize: config.uploads.maxChunkSize,     // per PATCH request
+        ttl: config.uploads.sessionTtl                 // abandoned sessions expire
+    });
+
+    // Uploads are transcoded in the background to MP4 (H.264/AAC) and an HLS
+    // ladder stored under renditions/, after a poster, scrub sprite and
+    // animated preview are generated (see lib/transcoder.js)
+    const transcodeQueue = overrides.transcodeQueue || new TranscodeQueue({
+        storage: videoStorage,
+        workDir: config.transcoding.workDir,
+        ffmpegPath: config.transcoding.ffmpegPath,
+        ffprobePath: config.transcoding.ffprobePath,
+        concurrency: config.transcoding.concurrency,
+        filePath: storeDriver === 'memory' ? null : path.join(dataDir, 'transcode-jobs.json'),
+        onUpdate: job => messageStore.update(job.messageId, {
+            transcode: transcodeSummary(job),
+            previews: job.previews,
+            renditions: job.renditions
+        }),
+        logger
+    });
+
+    // ==================== SERVICES ====================
+    const sessionSecret = config.sessionSecret || loadSessionSecret(dataDir, logger);
+
+    const auth = createAuth({
+        userStore,
+        secret: sessionSecret,
+        tokenTtl: config.sessionTtl
+    });
+
+    // Videos are served from /media/<token>/... with signed, expiring tokens
+    // instead of a public /uploads mount (see lib/media-links.js)
+    const mediaLinks = createMediaLinks({
+        secret: sessionSecret,
+        ttl: config.mediaUrlTtl
+    });
+
+    const rateLimiter = createRateLimiter({
+        enabled: config.rateLimit.enabled,
+        rules: config.rateLimit.rules,
+        trustProxy: config.trustProxy
+    });
+
+    // LiveKit tokens are for rooms the user is in: one a socket of theirs has
+    // joined, or one they created. Admins may join any room. Room creators
+    // and admins host, guests get LIVEKIT_GUEST_ROLE, everyone else speaks.
+    const livekitTokens = createLiveKitTokens({
+        apiKey: config.livekit.apiKey,
+        apiSecret: config.livekit.apiSecret,
+        url: config.livekit.url,
+        ttl: config.livekit.ttl,
+        canJoin: async (user, roomName) => {
+            const room = await roomStore.get(roomName);
+            if (!room) return false;
+            return user.role === 'admin' || room.createdBy === user.id || ctx.presence.isInRoom(user.id, roomName);
+        },
+        roleFor: async (user, roomName) => {
+            const room = await roomStore.get(roomName);
+            if (user.role === 'admin' || (room && room.createdBy === user.id)) return 'host';
+            if (user.role === 'guest') return config.livekit.guestRole;
+            return 'speaker';
+        },
+        onToken: grant => metrics.livekitTokens.inc({ role: grant.role })
+    });
+
+    // Group conversations are recorded with LiveKit Egress into the recording
+    // directory and saved as video messages (see lib/room-recorder.js)
+    const { livekit } = config;
+    const egressClient = overrides.egressClient
+        || (config.recording.enabled && livekit.apiKey && livekit.apiSecret && config.recording.egressUrl
+            ? new EgressClient(config.recording.egressUrl, livekit.apiKey, livekit.apiSecret)
+            : null);
+    const roomRecorder = overrides.roomRecorder || new RoomRecorder({
+        egressClient,
+        dir: config.recording.dir,
+        outputDir: config.recording.outputDir,
+        layout: config.recording.layout,
+        filePath: storeDriver === 'memory' ? null : path.join(dataDir, 'recordings.json'),
+        roomMembers: async roomName => (await ctx.presence.roomUsers(roomName)).map(user => user.userId),
+        onUpdate: recording => ctx.recordings.announce(recording),
+        onComplete: (recording, file) => ctx.recordings.save(recording, file),
+        logger
+    });
+
+    // What route and socket handlers share
+    const ctx = {
+        config,
+        io,
+        videoStorage,
+        messageStore,
+        inboxStore,
+        userStore,
+        roomStore,
+        shareStore,
+        canvasStore,
+        studioDocuments,
+        uploadSessions,
+        transcodeQueue,
+        auth,
+        mediaLinks,
+        rateLimiter,
+        livekitTokens,
+        roomRecorder,
+        sharedState,
+        logger,
+        metrics
+    };
+    ctx.cluster = createCluster(ctx);
+    ctx.videos = createVideos(ctx);
+    ctx.presence = createPresence(ctx);
+    ctx.inbox = createInboxDelivery(ctx);
+    ctx.studio = createStudioSync(ctx);
+    ctx.recordings = createRecordingDelivery(ctx);
+
+    // /readyz can also call the LiveKit API (HEALTH_CHECK_LIVEKIT=on)
+    const roomService = overrides.roomService
+        || (config.health.livekit && livekit.apiKey && livekit.apiSecret && livekit.apiUrl
+            ? new RoomServiceClient(livekit.apiUrl, livekit.apiKey, livekit.apiSecret)
+            : null);
+    ctx.health = createHealthChecks(ctx, { roomService });
+
+    // ==================== ROUTES ====================
+    // TRUST_PROXY makes req.ip the client address behind the proxies
+    app.set('trust proxy', config.trustProxy);
+    app.use('/api', rateLimiter.http('api'));
+
+    app.use(createSystemRouter(ctx));
+    app.use(createAuthRouter(ctx));
+    app.use(createRoomsRouter(ctx));
+    app.use(createCanvasesRouter(ctx));
+    app.use(createLiveKitRouter(ctx));
+    app.use(createUploadsRouter(ctx));
+    app.use(createMediaRouter(ctx));
+    app.use(createVideosRouter(ctx));
+
+    // Error handling middleware
+    app.use((error, req, res, next) => {
+        if (error instanceof multer.MulterError) {
+            if (error.code === 'LIMIT_FILE_SIZE') {
+                return res.status(400).json({
+                    success: false,
+                    message: `File is too large. Maximum size is ${config.uploads.maxFileSize / (1024 * 1024)}MB.`
+                });
+            }
+        }
+
+        // Body parser errors (malformed JSON, body too large) carry their status
+        if (error.type && error.status >= 400 && error.status < 500) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.type === 'entity.too.large' ? 'Request body is too large' : error.message
+            });
+        }
+
+        req.log.error('Unhandled error', { error });
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    });
+
+    // 404 handler
+    app.use((req, res) => {
+        res.status(404).json({
+            success: false,
+            message: 'Route not found'
+        });
+    });
+
+    attachSocketHandlers(io, ctx);
+
+    // ==================== LIFECYCLE ====================
+
+    async function ensureDefaultRooms() {
+        for (const name of [config.defaultRoom, ...config.defaultRooms]) {
+            if (!(await roomStore.get(name))) {
+                await roomStore.create({ name });
+            }
+        }
+    }
+
+    let sweepTimer = null;
+
+    // Load every store, then sweep abandoned resumable uploads and expired
+    // trash hourly
+    async function init() {
+        await sharedState.init();
+        const adapter = sharedState.adapter();
+        if (adapter) io.adapter(adapter);
+
+        await videoStorage.init();
+        await userStore.init();
+        await messageStore.init();
+        await ctx.videos.importUntrackedUploads();
+        await inboxStore.init();
+        await uploadSessions.init();
+        await roomStore.init();
+        await canvasStore.init();
+        await shareStore.init();
+        if (config.transcoding.enabled) {
+            await transcodeQueue.init();
+        }
+        await roomRecorder.init();
+        await ensureDefaultRooms();
+        await ctx.presence.init();
+
+        const uploadsLog = logger.child({ component: 'uploads' });
+        const trashLog = logger.child({ component: 'trash' });
+        const purgeTrash = () => ctx.videos.purgeTrash()
+            .then(purged => purged && trashLog.info('Purged videos', { count: purged }))
+            .catch(error => trashLog.error('Purge failed', { error }));
+        const sweep = () => {
+            uploadSessions.cleanupExpired()
+                .then(removed => removed && uploadsLog.info('Removed expired upload sessions', { count: removed }))
+                .catch(error => uploadsLog.error('Cleanup failed', { error }));
+            purgeTrash();
+        };
+        sweepTimer = setInterval(sweep, SWEEP_INTERVAL);
+        sweepTimer.unref();
+        purgeTrash();
+    }
+
+    // Stop accepting connections, write unsaved studio canvases and
+    // disconnect from the shared state
+    async function close() {
+        clearInterval(sweepTimer);
+        clearInterval(rateLimiter.sweepTimer);
+        roomRecorder.close();
+        await new Promise(resolve => io.close(() => resolve()));
+        await ctx.presence.close();
+        await studioDocuments.flush();
+        await sharedState.close();
+    }
+
+    // Drain before a deploy or restart: stop accepting connections, tell
+    // socket clients to reconnect (to another instance, or to this one once
+    // it's back) after `retryAfter` ms, let requests in progress (uploads)
+    // finish, then close(). The caller decides how long to wait for it.
+    async function shutdown({ retryAfter = RESTART_RETRY_AFTER } = {}) {
+        if (draining) return;
+        draining = true;
+        ctx.health.markDraining();
+
+        server.close();
+        server.closeIdleConnections();
+
+        // Closing the transport, unlike socket.disconnect(), makes clients
+        // reconnect by themselves; the event goes out before it closes
+        io.local.emit('server-restarting', { retryAfter });
+        for (const socket of io.of('/').sockets.values()) {
+            socket.conn.close();
+        }
+
+        if (activeRequests.size > 0) {
+            logger.info('Waiting for requests to finish', { component: 'shutdown', count: activeRequests.size });
+            await new Promise(resolve => { onDrained = resolve; });
+        }
+        server.closeAllConnections();
+        await close();
+    }
+
+    return { app, server, io, ctx, logger, init, close, shutdown };
+}
+
+module.exports = {
+    createApp
+};
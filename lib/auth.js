@@ -0,0 +1,218 @@
+// Authentication
+// Accounts (registered or guest), scrypt password hashing and HS256 JWT
+// session tokens. Tokens are sent as `Authorization: Bearer <token>` on REST
+// calls and as `auth: { token }` in the socket.io handshake.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+class AuthError extends Error {
+    constructor(message, statusCode) {
+        super(message);
+        this.name = 'AuthError';
+        this.statusCode = statusCode;
+    }
+}
+
+// ==================== PASSWORD HASHING ====================
+// Stored as scrypt$<salt>$<hash> (base64url)
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+}
+
+async function verifyPassword(password, stored) {
+    if (!stored) return false;
+    const [scheme, salt, expected] = stored.split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+    const hash = await scrypt(password, Buffer.from(salt, 'base64url'), 64);
+    const expectedBuffer = Buffer.from(expected, 'base64url');
+    return expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer);
+}
+
+// ==================== SESSION TOKENS (JWT, HS256) ====================
+
+function base64urlJson(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function signToken(payload, secret, ttlSeconds) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64urlJson({ alg: 'HS256', typ: 'JWT' });
+    const body = base64urlJson({ ...payload, iat: now, exp: now + ttlSeconds });
+    const signature = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest('base64url');
+    return `${header}.${body}.${signature}`;
+}
+
+// Returns the payload, or null if the token is malformed, forged or expired
+function verifyToken(token, secret) {
+    if (typeof token !== 'string') return null;
+    const [header, body, signature] = token.split('.');
+    if (!header || !body || !signature) return null;
+
+    const expected = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) return null;
+        return payload;
+    } catch (error) {
+        return null;
+    }
+}
+
+function getBearerToken(req) {
+    const header = req.get('Authorization') || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+// ==================== AUTH SERVICE ====================
+// options: { userStore, secret, tokenTtl (seconds) }
+
+function createAuth({ userStore, secret, tokenTtl }) {
+    // Public view of a user - never includes the password hash
+    function toPublicUser(user) {
+        return { id: user.id, username: user.username, role: user.role };
+    }
+
+    function issueToken(user) {
+        return signToken({ sub: user.id, name: user.username, role: user.role }, secret, tokenTtl);
+    }
+
+    function session(user) {
+        return { user: toPublicUser(user), token: issueToken(user), expiresIn: tokenTtl };
+    }
+
+    // JSON bodies can carry any type; only strings reach the user store and scrypt
+    function checkCredentialTypes(username, password) {
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            throw new AuthError('Username and password must be strings', 400);
+        }
+    }
+
+    async function register(username, password) {
+        checkCredentialTypes(username, password);
+        if (!USERNAME_PATTERN.test(username)) {
+            throw new AuthError('Username must be 3-32 letters, numbers, dashes or underscores', 400);
+        }
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+        }
+        if (await userStore.findByUsername(username)) {
+            throw new AuthError('Username already taken', 409);
+        }
+
+        const user = await userStore.create({
+            username,
+            passwordHash: await hashPassword(password),
+            role: 'user'
+        });
+        return session(user);
+    }
+
+    async function login(username, password) {
+        checkCredentialTypes(username, password);
+        const user = await userStore.findByUsername(username);
+        if (!user || !(await verifyPassword(password, user.passwordHash))) {
+            throw new AuthError('Invalid username or password', 401);
+        }
+        return session(user);
+    }
+
+    // Passwordless account for the one-click join flow. If the requested
+    // name is taken, a numeric suffix is added.
+    async function createGuest(preferredName) {
+        const base = typeof preferredName === 'string' && USERNAME_PATTERN.test(preferredName) ? preferredName : 'Guest';
+
+        for (let attempt = 0; attempt < 20; attempt++) {
+            const username = attempt === 0 ? base : `${base.slice(0, 27)}-${crypto.randomInt(1000, 10000)}`;
+            if (await userStore.findByUsername(username)) continue;
+
+            try {
+                const user = await userStore.create({ username, role: 'guest' });
+                return session(user);
+            } catch (error) {
+                // Lost a race for the name - try another
+            }
+        }
+        throw new AuthError('Could not allocate a guest username', 503);
+    }
+
+    // Resolve a token to the current user record (null if invalid)
+    async function authenticate(token) {
+        const payload = verifyToken(token, secret);
+        if (!payload) return null;
+        const user = await userStore.get(payload.sub);
+        return user ? toPublicUser(user) : null;
+    }
+
+    // Express middleware: attach req.user when a valid token is present
+    function optionalAuth(req, res, next) {
+        authenticate(getBearerToken(req))
+            .then(user => {
+                req.user = user;
+                next();
+            })
+            .catch(next);
+    }
+
+    // Express middleware: reject requests without a valid token
+    function requireAuth(req, res, next) {
+        authenticate(getBearerToken(req))
+            .then(user => {
+                if (!user) {
+                    return res.status(401).json({
+                        success: false,
+                        message: 'Authentication required'
+                    });
+                }
+                req.user = user;
+                next();
+            })
+            .catch(next);
+    }
+
+    // socket.io middleware: reject handshakes without a valid token and
+    // expose the user as socket.data.user
+    function socketMiddleware(socket, next) {
+        authenticate(socket.handshake.auth?.token)
+            .then(user => {
+                if (!user) return next(new Error('Unauthorized'));
+                socket.data.user = user;
+                next();
+            })
+            .catch(() => next(new Error('Unauthorized')));
+    }
+
+    return {
+        register,
+        login,
+        createGuest,
+        authenticate,
+        issueToken,
+        optionalAuth,
+        requireAuth,
+        socketMiddleware
+    };
+}
+
+module.exports = {
+    createAuth,
+    AuthError,
+    hashPassword,
+    verifyPassword,
+    signToken,
+    verifyToken
+};
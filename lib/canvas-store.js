@@ -0,0 +1,183 @@
+// Saved Canvas Store
+// Studio canvases saved from the WorkSphere panel: the serialized Fabric
+// document plus name, thumbnail and owner.
+//
+// Same driver interface as the other stores: init(), create(canvas),
+// get(id), getDocument(id), update(id, changes), remove(id), list(query)
+// Listings and get() return metadata only; the (possibly large) Fabric
+// document is fetched with getDocument().
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, createJsonWriter } = require('./json-file');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function generateCanvasId() {
+    return 'cnv_' + crypto.randomBytes(9).toString('base64url');
+}
+
+function countObjects(document) {
+    return Array.isArray(document?.objects) ? document.objects.length : 0;
+}
+
+// ==================== IN-MEMORY DRIVER ====================
+
+class MemoryCanvasStore {
+    constructor() {
+        this.canvases = new Map();  // id -> metadata
+        this.documents = new Map(); // id -> Fabric document
+    }
+
+    async init() {}
+
+    // canvas: { name, owner (user id), thumbnail (data URL), document (Fabric JSON) }
+    async create(input) {
+        const now = new Date().toISOString();
+        const canvas = {
+            id: generateCanvasId(),
+            name: input.name,
+            owner: input.owner,
+            thumbnail: input.thumbnail || null,
+            objectCount: countObjects(input.document),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.canvases.set(canvas.id, canvas);
+        await this.saveDocument(canvas.id, input.document || { objects: [] });
+        await this.persist();
+        return { ...canvas };
+    }
+
+    async get(id) {
+        const canvas = this.canvases.get(id);
+        return canvas ? { ...canvas } : null;
+    }
+
+    async getDocument(id) {
+        return this.canvases.has(id) ? this.loadDocument(id) : null;
+    }
+
+    // changes: { name, thumbnail, document } - id, owner and createdAt are immutable
+    async update(id, changes) {
+        const canvas = this.canvases.get(id);
+        if (!canvas) return null;
+
+        if (changes.name !== undefined) canvas.name = changes.name;
+        if (changes.thumbnail !== undefined) canvas.thumbnail = changes.thumbnail;
+        if (changes.document !== undefined) {
+            canvas.objectCount = countObjects(changes.document);
+            await this.saveDocument(id, changes.document);
+        }
+        canvas.updatedAt = new Date().toISOString();
+
+        await this.persist();
+        return { ...canvas };
+    }
+
+    async remove(id) {
+        const existed = this.canvases.delete(id);
+        if (existed) {
+            await this.removeDocument(id);
+            await this.persist();
+        }
+        return existed;
+    }
+
+    // query: { owner, limit, offset } - most recently updated first
+    async list(query = {}) {
+        const results = Array.from(this.canvases.values())
+            .filter(canvas => !query.owner || canvas.owner === query.owner)
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+        const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+
+        return {
+            total: results.length,
+            limit,
+            offset,
+            items: results.slice(offset, offset + limit).map(canvas => ({ ...canvas }))
+        };
+    }
+
+    async loadDocument(id) {
+        return this.documents.get(id) || null;
+    }
+
+    async saveDocument(id, document) {
+        this.documents.set(id, document);
+    }
+
+    async removeDocument(id) {
+        this.documents.delete(id);
+    }
+
+    async persist() {}
+}
+
+// ==================== JSON FILE DRIVER ====================
+// Metadata lives in one index file; each Fabric document gets its own file
+// (documents can hold large image data URLs)
+
+class JsonFileCanvasStore extends MemoryCanvasStore {
+    constructor(filePath, documentsDir) {
+        super();
+        this.filePath = filePath;
+        this.documentsDir = documentsDir;
+        this.write = createJsonWriter(filePath);
+        this.documentWriters = new Map(); // id -> write(data)
+    }
+
+    async init() {
+        const data = await readJsonFile(this.filePath, { canvases: [] });
+        (data.canvases || []).forEach(canvas => this.canvases.set(canvas.id, canvas));
+    }
+
+    documentPath(id) {
+        return path.join(this.documentsDir, `${id}.json`);
+    }
+
+    loadDocument(id) {
+        return readJsonFile(this.documentPath(id), null);
+    }
+
+    saveDocument(id, document) {
+        if (!this.documentWriters.has(id)) {
+            this.documentWriters.set(id, createJsonWriter(this.documentPath(id)));
+        }
+        return this.documentWriters.get(id)(document);
+    }
+
+    async removeDocument(id) {
+        this.documentWriters.delete(id);
+        await fs.promises.rm(this.documentPath(id), { force: true });
+    }
+
+    persist() {
+        return this.write({ canvases: Array.from(this.canvases.values()) });
+    }
+}
+
+// Create a canvas store for the given driver ('json' or 'memory')
+function createCanvasStore(options = {}) {
+    const driver = options.driver || 'json';
+
+    switch (driver) {
+        case 'memory':
+            return new MemoryCanvasStore();
+        case 'json':
+            return new JsonFileCanvasStore(options.filePath, options.documentsDir);
+        default:
+            throw new Error(`Unknown canvas store driver: ${driver}`);
+    }
+}
+
+module.exports = {
+    createCanvasStore,
+    MemoryCanvasStore,
+    JsonFileCanvasStore
+};
@@ -0,0 +1,433 @@
+// Server Configuration
+// Everything the server can be configured with, in one object that every
+// subsystem reads (CORS, uploads, sockets, storage, LiveKit...), so
+// deployments differ only by configuration. server.js builds it from
+// process.env; tests build it from their own env so each test server gets
+// temp directories and in-memory stores.
+//
+// Settings come from environment variables, and optionally from a JSON file
+// named by CONFIG_FILE with the same names as keys:
+//   { "CORS_ORIGINS": ["https://app.example.com"], "UPLOAD_MAX_SIZE_MB": 200 }
+// Lists may be arrays and RATE_LIMITS an object. The environment wins over
+// the file.
+//
+// Settings are checked as they're read: a bad value, a missing dependency
+// (S3_BUCKET for STORAGE_DRIVER=s3) or an unknown key in the file throws a
+// ConfigError listing every problem, so a misconfigured server stops at
+// startup instead of failing on its first request.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isValidRoomName } = require('./room-store');
+const { CONTAINERS } = require('./video-sniffer');
+const { LAYOUTS } = require('./room-recorder');
+const { LEVELS } = require('./logger');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const MB = 1024 * 1024;
+
+// Where the web client is deployed
+const DEFAULT_CORS_ORIGINS = [
+    'http://localhost:3000',
+    'https://video-messaging-v4.vercel.app',
+    'https://bright-hummingbird-dfbf58.netlify.app',
+    'https://video-messaging-v4-adwalnctx-brians-projects-61d69cd7.vercel.app'
+];
+
+const SWITCHES = {
+    on: true, true: true, yes: true, 1: true,
+    off: false, false: false, no: false, 0: false
+};
+
+// ms-style durations accepted by LiveKit tokens ('3600', '2h', '7 days')
+const DURATION_PATTERN = /^\d+(\.\d+)?\s*(s|secs?|seconds?|m|mins?|minutes?|h|hrs?|hours?|d|days?|w|weeks?)?$/i;
+
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+// CONFIG_FILE settings as environment-style strings
+function readConfigFile(filePath, errors) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+    } catch (error) {
+        errors.push(`CONFIG_FILE ${filePath} could not be read: ${error.message}`);
+        return {};
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        errors.push(`CONFIG_FILE ${filePath} must hold a JSON object`);
+        return {};
+    }
+
+    const settings = {};
+    Object.entries(data).forEach(([name, value]) => {
+        if (value === null || value === undefined) return;
+        settings[name] = Array.isArray(value) ? value.join(',')
+            : typeof value === 'object' ? JSON.stringify(value)
+                : String(value);
+    });
+    return settings;
+}
+
+// Typed readers over the settings. A bad value is recorded in `errors` and
+// the default is used, so every problem is found in one pass. Names read are
+// collected in `read` to spot unknown keys in the config file.
+function createReader(source, errors, read) {
+    const raw = name => {
+        read.add(name);
+        const value = source[name];
+        return value === undefined || String(value).trim() === '' ? undefined : String(value).trim();
+    };
+
+    return {
+        string(name, fallback) {
+            return raw(name) ?? fallback;
+        },
+
+        integer(name, fallback, { min = 0, max = Infinity } = {}) {
+            const value = raw(name);
+            if (value === undefined) return fallback;
+            const number = /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+            if (!(number >= min && number <= max)) {
+                const range = max < Infinity ? ` from ${min} to ${max}` : min > 0 ? ` of at least ${min}` : '';
+                errors.push(`${name} must be a whole number${range} (got "${value}")`);
+                return fallback;
+            }
+            return number;
+        },
+
+        oneOf(name, choices, fallback) {
+            const value = raw(name);
+            if (value === undefined) return fallback;
+            if (!choices.includes(value)) {
+                errors.push(`${name} must be one of ${choices.join(', ')} (got "${value}")`);
+                return fallback;
+            }
+            return value;
+        },
+
+        // on/off, true/false, yes/no, 1/0
+        flag(name, fallback) {
+            const value = raw(name);
+            if (value === undefined) return fallback;
+            const flag = SWITCHES[value.toLowerCase()];
+            if (flag === undefined) {
+                errors.push(`${name} must be on or off (got "${value}")`);
+                return fallback;
+            }
+            return flag;
+        },
+
+        // Comma-separated
+        list(name, fallback) {
+            const value = raw(name);
+            if (value === undefined) return fallback;
+            return value.split(',').map(item => item.trim()).filter(Boolean);
+        },
+
+        json(name, fallback) {
+            const value = raw(name);
+            if (value === undefined) return fallback;
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                errors.push(`${name} is not valid JSON: ${error.message}`);
+                return fallback;
+            }
+        }
+    };
+}
+
+function isOrigin(value) {
+    try {
+        return new URL(value).origin === value;
+    } catch {
+        return false;
+    }
+}
+
+function hasProtocol(value, protocols) {
+    try {
+        return protocols.includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
+
+// Checks across settings, once they're all read
+function checkConfig(config, errors) {
+    const { livekit, storage, sharedState, uploads } = config;
+
+    if (!hasProtocol(config.clientUrl, ['http:', 'https:'])) {
+        errors.push(`CLIENT_URL must be an http(s) URL (got "${config.clientUrl}")`);
+    }
+    config.corsOrigins.slice(1).forEach(origin => {
+        if (!isOrigin(origin)) {
+            errors.push(`CORS_ORIGINS: "${origin}" is not an origin like https://app.example.com`);
+        }
+    });
+
+    if (storage.driver === 's3' && !storage.bucket) {
+        errors.push('STORAGE_DRIVER=s3 needs S3_BUCKET');
+    }
+    if (sharedState.driver === 'redis' && !hasProtocol(sharedState.redisUrl, ['redis:', 'rediss:'])) {
+        errors.push('REDIS_URL must be a redis:// or rediss:// URL');
+    }
+
+    const livekitSet = [livekit.apiKey, livekit.apiSecret, livekit.url].filter(Boolean).length;
+    if (livekitSet > 0 && livekitSet < 3) {
+        errors.push('LIVEKIT_API_KEY, LIVEKIT_API_SECRET and LIVEKIT_URL must be set together');
+    }
+    if (livekit.url && !hasProtocol(livekit.url, ['ws:', 'wss:', 'http:', 'https:'])) {
+        errors.push('LIVEKIT_URL must be a ws(s):// or http(s):// URL');
+    }
+    if (!DURATION_PATTERN.test(String(livekit.ttl))) {
+        errors.push(`LIVEKIT_TOKEN_TTL must be seconds or a duration like 2h (got "${livekit.ttl}")`);
+    }
+    if (config.health.livekit && livekitSet < 3) {
+        errors.push('HEALTH_CHECK_LIVEKIT=on needs the LiveKit credentials');
+    }
+
+    const supported = Object.values(CONTAINERS).map(container => container.mimetype);
+    const unsupported = uploads.allowedTypes.filter(type => !supported.includes(type));
+    if (unsupported.length > 0) {
+        errors.push(`UPLOAD_TYPES: ${unsupported.join(', ')} not supported (supported: ${supported.join(', ')})`);
+    }
+    if (uploads.maxChunkSize > uploads.maxSessionSize) {
+        errors.push('UPLOAD_CHUNK_MAX_SIZE_MB must not exceed UPLOAD_SESSION_MAX_SIZE_MB');
+    }
+
+    if (config.shareTtl > config.shareMaxTtl) {
+        errors.push('SHARE_TTL must not exceed SHARE_MAX_TTL');
+    }
+
+    const rules = config.rateLimit.rules;
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        errors.push('RATE_LIMITS must be a JSON object of rules');
+    } else {
+        Object.entries(rules).forEach(([name, rule]) => {
+            const valid = typeof rule === 'string' || (rule && typeof rule === 'object'
+                && ['limit', 'window', 'ipLimit'].every(key => rule[key] === undefined || (Number.isInteger(rule[key]) && rule[key] > 0)));
+            if (!valid) {
+                errors.push(`RATE_LIMITS.${name} must be { limit, window, ipLimit } (positive integers) or another rule's name`);
+            }
+        });
+    }
+}
+
+function loadConfig(env = process.env) {
+    const errors = [];
+    const read = new Set(['CONFIG_FILE']);
+    const fileSettings = env.CONFIG_FILE ? readConfigFile(env.CONFIG_FILE, errors) : {};
+    const settings = createReader({ ...fileSettings, ...env }, errors, read);
+
+    const dataDir = settings.string('DATA_DIR', path.join(ROOT_DIR, 'data'));
+    const clientUrl = settings.string('CLIENT_URL', 'http://localhost:3000');
+
+    // DEFAULT_ROOMS - Comma-separated rooms created at startup; users land in
+    // the first one after login (default video-messenger-room)
+    const defaultRooms = settings.list('DEFAULT_ROOMS', ['video-messenger-room']);
+    const badRooms = defaultRooms.filter(room => !isValidRoomName(room));
+    if (badRooms.length > 0) {
+        errors.push(`DEFAULT_ROOMS: invalid room names ${badRooms.join(', ')}`);
+    }
+
+    // LIVEKIT_TOKEN_TTL - seconds or e.g. '2h' (default 1h)
+    const livekitTtl = settings.string('LIVEKIT_TOKEN_TTL', '1h');
+    const livekitUrl = settings.string('LIVEKIT_URL');
+    // The LiveKit server API (rooms, egress) is LIVEKIT_URL over http(s)
+    const livekitApiUrl = (livekitUrl || '').replace(/^ws(s?):\/\//, 'http$1://');
+
+    const recordingDir = settings.string('RECORDING_DIR', path.join(dataDir, 'recordings'));
+
+    const config = {
+        configFile: env.CONFIG_FILE || null,
+        port: settings.integer('PORT', 3000, { min: 1, max: 65535 }),
+
+        // CLIENT_URL - Where the web client is served (default http://localhost:3000)
+        // CORS_ORIGINS - Other origins allowed to call the API and connect
+        // sockets, comma-separated (default DEFAULT_CORS_ORIGINS)
+        clientUrl,
+        corsOrigins: Array.from(new Set([
+            hasProtocol(clientUrl, ['http:', 'https:']) ? new URL(clientUrl).origin : clientUrl,
+            ...settings.list('CORS_ORIGINS', DEFAULT_CORS_ORIGINS)
+        ])),
+        publicDir: path.join(ROOT_DIR, 'public'),
+
+        // MESSAGE_STORE - 'json' (default, persisted under DATA_DIR) or 'memory'
+        dataDir,
+        storeDriver: settings.oneOf('MESSAGE_STORE', ['json', 'memory'], 'json'),
+
+        // STORAGE_DRIVER - 'disk' (default; UPLOADS_DIR or ./uploads) or 's3'
+        // S3_BUCKET, S3_REGION, S3_PREFIX - Bucket, region and key prefix
+        // S3_ENDPOINT, S3_FORCE_PATH_STYLE=true - For MinIO and other S3-compatible services
+        // S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY - Default: the AWS credential chain
+        storage: {
+            driver: settings.oneOf('STORAGE_DRIVER', ['disk', 's3'], 'disk'),
+            dir: settings.string('UPLOADS_DIR', path.join(ROOT_DIR, 'uploads')),
+            bucket: settings.string('S3_BUCKET'),
+            prefix: settings.string('S3_PREFIX'),
+            region: settings.string('S3_REGION'),
+            endpoint: settings.string('S3_ENDPOINT'),
+            forcePathStyle: settings.flag('S3_FORCE_PATH_STYLE', false),
+            accessKeyId: settings.string('S3_ACCESS_KEY_ID'),
+            secretAccessKey: settings.string('S3_SECRET_ACCESS_KEY')
+        },
+        // Uploads are written here first and moved into storage once checked
+        uploadTmpDir: path.join(os.tmpdir(), 'video-messenger-uploads'),
+
+        // UPLOAD_MAX_SIZE_MB - Largest single-request upload (default 100)
+        // UPLOAD_SESSION_MAX_SIZE_MB - Largest resumable upload (default 1024)
+        // UPLOAD_CHUNK_MAX_SIZE_MB - Largest chunk of a resumable upload (default 10)
+        // UPLOAD_SESSION_TTL - Seconds an abandoned resumable upload is kept (default 24h)
+        // UPLOAD_TYPES - Accepted video types (default video/webm,video/mp4,video/x-matroska)
+        uploads: {
+            maxFileSize: settings.integer('UPLOAD_MAX_SIZE_MB', 100, { min: 1 }) * MB,
+            maxSessionSize: settings.integer('UPLOAD_SESSION_MAX_SIZE_MB', 1024, { min: 1 }) * MB,
+            maxChunkSize: settings.integer('UPLOAD_CHUNK_MAX_SIZE_MB', 10, { min: 1 }) * MB,
+            sessionTtl: settings.integer('UPLOAD_SESSION_TTL', 24 * 60 * 60, { min: 1 }) * 1000,
+            allowedTypes: settings.list('UPLOAD_TYPES', ['video/webm', 'video/mp4', 'video/x-matroska'])
+        },
+
+        // SOCKET_MAX_PAYLOAD_MB - Largest socket.io message (default 10; studio
+        // canvases carry image data URLs)
+        // SOCKET_PING_INTERVAL / SOCKET_PING_TIMEOUT - Seconds between pings
+        // and how long to wait for the answer before dropping a socket
+        // (default 25 and 60)
+        sockets: {
+            maxPayload: settings.integer('SOCKET_MAX_PAYLOAD_MB', 10, { min: 1 }) * MB,
+            pingInterval: settings.integer('SOCKET_PING_INTERVAL', 25, { min: 1 }) * 1000,
+            pingTimeout: settings.integer('SOCKET_PING_TIMEOUT', 60, { min: 1 }) * 1000
+        },
+
+        // SESSION_SECRET signs session and media tokens; without it one is
+        // generated and kept in the data directory
+        sessionSecret: settings.string('SESSION_SECRET', null),
+        sessionTtl: settings.integer('SESSION_TTL', 30 * 24 * 60 * 60, { min: 1 }), // 30 days
+
+        // RATE_LIMIT=off - Disable rate limiting
+        // RATE_LIMITS - JSON overrides per rule, e.g. {"upload":{"limit":5,"window":3600}}
+        // TRUST_PROXY - Number of reverse proxies in front of the server (1 on Fly),
+        // so client IPs come from X-Forwarded-For
+        trustProxy: settings.integer('TRUST_PROXY', 0),
+        rateLimit: {
+            enabled: settings.flag('RATE_LIMIT', true),
+            rules: settings.json('RATE_LIMITS', {})
+        },
+
+        defaultRooms,
+        defaultRoom: defaultRooms[0] || 'video-messenger-room',
+
+        // SHARED_STATE - 'memory' (default; a single instance) or 'redis' to run
+        // several instances: presence, positions, formations and studio canvases
+        // are kept in Redis and socket.io broadcasts reach every instance
+        // REDIS_URL - Default redis://localhost:6379
+        // REDIS_PREFIX - Key prefix (default video-messenger:)
+        // INSTANCE_ID - Name of this instance (default: FLY_MACHINE_ID, or host name and pid)
+        sharedState: {
+            driver: settings.oneOf('SHARED_STATE', ['memory', 'redis'], 'memory'),
+            redisUrl: settings.string('REDIS_URL', 'redis://localhost:6379'),
+            prefix: settings.string('REDIS_PREFIX', 'video-messenger:'),
+            instanceId: settings.string('INSTANCE_ID', settings.string('FLY_MACHINE_ID', `${os.hostname()}-${process.pid}`))
+        },
+
+        // LOG_LEVEL - debug, info (default), warn, error or silent; debug adds
+        // per-event lines (cursor moves, positions, signaling)
+        // LOG_FORMAT - 'json' (default, one object per line) or 'pretty'
+        logging: {
+            level: settings.oneOf('LOG_LEVEL', Object.keys(LEVELS), 'info'),
+            format: settings.oneOf('LOG_FORMAT', ['json', 'pretty'], 'json')
+        },
+
+        // METRICS_TOKEN - If set, GET /metrics requires "Authorization: Bearer <token>";
+        // without it the endpoint is public
+        metrics: {
+            token: settings.string('METRICS_TOKEN', null)
+        },
+
+        // SHUTDOWN_TIMEOUT - Seconds SIGTERM/SIGINT waits for uploads in flight
+        // and unsaved state before exiting anyway (default 25)
+        shutdownTimeout: settings.integer('SHUTDOWN_TIMEOUT', 25, { min: 1 }),
+
+        // Readiness checks (GET /readyz):
+        // HEALTH_CHECK_TIMEOUT - Milliseconds each check may take (default 2000)
+        // HEALTH_MIN_FREE_DISK_MB - Free space the data, upload and temp
+        // directories need (default 500)
+        // HEALTH_CHECK_LIVEKIT=on - Also call the LiveKit API (needs the credentials)
+        health: {
+            timeout: settings.integer('HEALTH_CHECK_TIMEOUT', 2000, { min: 1 }),
+            minFreeDisk: settings.integer('HEALTH_MIN_FREE_DISK_MB', 500) * MB,
+            livekit: settings.flag('HEALTH_CHECK_LIVEKIT', false)
+        },
+
+        // LiveKit Cloud credentials:
+        // LIVEKIT_API_KEY, LIVEKIT_API_SECRET, LIVEKIT_URL (e.g. wss://your-app.livekit.cloud)
+        // LIVEKIT_GUEST_ROLE - Role for guest accounts: speaker (default) or viewer
+        livekit: {
+            apiKey: settings.string('LIVEKIT_API_KEY'),
+            apiSecret: settings.string('LIVEKIT_API_SECRET'),
+            url: livekitUrl,
+            apiUrl: livekitApiUrl,
+            ttl: /^\d+$/.test(livekitTtl) ? parseInt(livekitTtl, 10) : livekitTtl,
+            guestRole: settings.oneOf('LIVEKIT_GUEST_ROLE', ['speaker', 'viewer'], 'speaker')
+        },
+
+        // Room recording with LiveKit Egress (needs the LiveKit credentials):
+        // RECORDING=off - Disable room recording
+        // LIVEKIT_EGRESS_URL - LiveKit API URL (default: LIVEKIT_URL over http(s))
+        // RECORDING_DIR - Where the egress service writes recordings, as this
+        // server sees it (default DATA_DIR/recordings)
+        // EGRESS_OUTPUT_DIR - The same directory as the egress service sees it
+        // (default RECORDING_DIR)
+        // RECORDING_LAYOUT - grid (default), speaker or single-speaker
+        recording: {
+            enabled: settings.flag('RECORDING', true),
+            egressUrl: settings.string('LIVEKIT_EGRESS_URL', livekitApiUrl),
+            dir: recordingDir,
+            outputDir: settings.string('EGRESS_OUTPUT_DIR', recordingDir),
+            layout: settings.oneOf('RECORDING_LAYOUT', LAYOUTS, 'grid')
+        },
+
+        // FFMPEG_PATH / FFPROBE_PATH - Binaries to run (default: ffmpeg/ffprobe on PATH)
+        // TRANSCODE_CONCURRENCY - Jobs run at the same time (default 1)
+        // TRANSCODING=off - Store uploads as-is
+        transcoding: {
+            enabled: settings.flag('TRANSCODING', true),
+            ffmpegPath: settings.string('FFMPEG_PATH'),
+            ffprobePath: settings.string('FFPROBE_PATH'),
+            concurrency: settings.integer('TRANSCODE_CONCURRENCY', 1, { min: 1 }),
+            workDir: path.join(os.tmpdir(), 'video-messenger-transcode')
+        },
+
+        // MEDIA_URL_TTL - Seconds a viewer's media URLs stay valid (default 6h)
+        // SHARE_TTL / SHARE_MAX_TTL - Default and longest share lifetime in
+        // seconds (default 7 and 30 days)
+        mediaUrlTtl: settings.integer('MEDIA_URL_TTL', 6 * 60 * 60, { min: 1 }),
+        shareTtl: settings.integer('SHARE_TTL', 7 * 24 * 60 * 60, { min: 1 }),
+        shareMaxTtl: settings.integer('SHARE_MAX_TTL', 30 * 24 * 60 * 60, { min: 1 }),
+
+        // TRASH_DAYS - Days deleted videos stay restorable (default 30)
+        trashDays: settings.integer('TRASH_DAYS', 30, { min: 1 })
+    };
+
+    checkConfig(config, errors);
+
+    const unknown = Object.keys(fileSettings).filter(name => !read.has(name));
+    if (unknown.length > 0) {
+        errors.push(`CONFIG_FILE ${env.CONFIG_FILE}: unknown settings ${unknown.join(', ')}`);
+    }
+
+    if (errors.length > 0) throw new ConfigError(errors);
+    return config;
+}
+
+module.exports = {
+    loadConfig,
+    ConfigError
+};
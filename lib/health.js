@@ -0,0 +1,200 @@
+// Health Checks
+// GET /livez answers as long as the process is serving requests; a failing
+// liveness probe means restart it. GET /readyz checks what requests depend
+// on and fails (503) while this instance shouldn't get traffic: a critical
+// dependency is down, or it's draining for a restart (see shutdown() in
+// lib/app.js).
+//
+// Readiness checks:
+//   storage      - uploads can be stored (critical)
+//   disk         - the data, upload and temp directories have free space (critical)
+//   sharedState  - the memory or Redis state answers (critical)
+//   transcoder   - ffmpeg was found; without it uploads are kept as-is
+//   livekit      - the LiveKit API answers (HEALTH_CHECK_LIVEKIT=on)
+//
+// A failing non-critical check makes the status 'degraded' but keeps the
+// instance ready. Every check reports its status and latency. A failure is
+// reported as an error code (timeout, low_disk_space, ffmpeg_missing or
+// unavailable); the error itself only goes to the log, since messages from
+// drivers can name hosts, buckets and paths.
+
+const fs = require('fs');
+
+// Readiness probes come from the platform, load balancers and monitors;
+// results are reused for this long so they can't pile up on Redis or S3
+const CACHE_TTL = 1000;
+
+// A failure with a known cause; anything else is reported as 'unavailable'
+class HealthCheckError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'HealthCheckError';
+        this.code = code;
+    }
+}
+
+class HealthCheckTimeout extends HealthCheckError {
+    constructor(timeout) {
+        super(`Timed out after ${timeout}ms`, 'timeout');
+        this.name = 'HealthCheckTimeout';
+    }
+}
+
+function withTimeout(promise, timeout) {
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new HealthCheckTimeout(timeout)), timeout);
+        })
+    ]).finally(() => clearTimeout(timer));
+}
+
+// ctx: { config, videoStorage, sharedState, transcodeQueue, logger }
+// roomService: a LiveKit RoomServiceClient, or null to skip the LiveKit check
+function createHealthChecks(ctx, { roomService = null } = {}) {
+    const { config, videoStorage, sharedState, transcodeQueue } = ctx;
+    const { timeout, minFreeDisk } = config.health;
+    const log = ctx.logger.child({ component: 'health' });
+
+    // Labelled so the response doesn't show where the directories are
+    const directories = {
+        data: config.dataDir,
+        tmp: config.uploadTmpDir,
+        ...(config.storage.driver === 's3' ? {} : { uploads: config.storage.dir })
+    };
+
+    let draining = false;
+    let cached = null; // { at, result }
+    let pending = null;
+
+    // Each check resolves with extra fields for its entry, or rejects
+    const checks = {
+        storage: {
+            critical: true,
+            run: async () => {
+                await videoStorage.check();
+                return { driver: config.storage.driver || 'disk' };
+            }
+        },
+
+        disk: {
+            critical: true,
+            run: async () => {
+                const free = {};
+                for (const [label, dir] of Object.entries(directories)) {
+                    const stats = await fs.promises.statfs(dir);
+                    free[label] = stats.bavail * stats.bsize;
+                }
+                const low = Object.keys(free).filter(label => free[label] < minFreeDisk);
+                if (low.length > 0) {
+                    throw new HealthCheckError(`Low disk space: ${low.join(', ')}`, 'low_disk_space');
+                }
+                return { free, minFree: minFreeDisk };
+            }
+        },
+
+        sharedState: {
+            critical: true,
+            run: async () => {
+                await sharedState.ping();
+                return { driver: sharedState.driver };
+            }
+        },
+
+        transcoder: {
+            critical: false,
+            enabled: () => config.transcoding.enabled,
+            run: async () => {
+                if (!transcodeQueue.available) {
+                    throw new HealthCheckError('ffmpeg/ffprobe not available', 'ffmpeg_missing');
+                }
+                return transcodeQueue.stats();
+            }
+        },
+
+        livekit: {
+            critical: false,
+            enabled: () => !!roomService,
+            run: async () => {
+                const rooms = await roomService.listRooms();
+                return { rooms: rooms.length };
+            }
+        }
+    };
+
+    async function runCheck(name, check) {
+        if (check.enabled && !check.enabled()) {
+            return { status: 'disabled' };
+        }
+
+        const started = process.hrtime.bigint();
+        const latency = () => Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10;
+        try {
+            const fields = await withTimeout(check.run(), timeout);
+            return { status: 'ok', latencyMs: latency(), ...fields };
+        } catch (error) {
+            log.warn('Health check failed', { check: name, error });
+            const code = error instanceof HealthCheckError ? error.code : 'unavailable';
+            return { status: 'fail', latencyMs: latency(), error: code };
+        }
+    }
+
+    async function runChecks() {
+        const names = Object.keys(checks);
+        const entries = await Promise.all(names.map(name => runCheck(name, checks[name])));
+
+        const results = {};
+        names.forEach((name, index) => { results[name] = entries[index]; });
+
+        const failed = names.filter(name => results[name].status === 'fail');
+        const status = failed.some(name => checks[name].critical) ? 'fail'
+            : failed.length > 0 ? 'degraded'
+                : 'ok';
+        return { status, checks: results };
+    }
+
+    // { status: 'ok' | 'degraded' | 'fail', ready, draining, checks }
+    async function readiness() {
+        if (!cached || Date.now() - cached.at >= CACHE_TTL) {
+            if (!pending) {
+                pending = runChecks()
+                    .then(result => { cached = { at: Date.now(), result }; })
+                    .finally(() => { pending = null; });
+            }
+            await pending;
+        }
+
+        const { status, checks: results } = cached.result;
+        return {
+            status,
+            ready: status !== 'fail' && !draining,
+            draining,
+            checks: results
+        };
+    }
+
+    function liveness() {
+        return {
+            status: 'ok',
+            uptime: Math.round(process.uptime())
+        };
+    }
+
+    // Called by shutdown(): from now on /readyz fails
+    function markDraining() {
+        draining = true;
+    }
+
+    return {
+        liveness,
+        readiness,
+        markDraining
+    };
+}
+
+module.exports = {
+    createHealthChecks,
+    HealthCheckError,
+    HealthCheckTimeout
+};
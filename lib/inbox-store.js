@@ -0,0 +1,143 @@
+// Per-User Video Message Inbox
+// Queues video messages for a recipient by user id so they survive the
+// recipient being offline (or reconnecting with a new socket id), and tracks
+// delivery/read receipts for the sender.
+//
+// Entry lifecycle: queued -> delivered (recipient's client acknowledged it)
+//                         -> read (recipient played it)
+
+const crypto = require('crypto');
+const { readJsonFile, createJsonWriter } = require('./json-file');
+
+const INBOX_STATUSES = ['queued', 'delivered', 'read'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function generateEntryId() {
+    return 'inb_' + crypto.randomBytes(9).toString('base64url');
+}
+
+// ==================== IN-MEMORY DRIVER ====================
+
+class MemoryInboxStore {
+    constructor() {
+        this.entries = new Map(); // id -> entry
+    }
+
+    async init() {}
+
+    // entry: { messageId, sender, senderName, recipient, recipientName, filename, size }
+    // sender/recipient are user ids; the names are kept for display
+    async enqueue(input) {
+        const entry = {
+            id: generateEntryId(),
+            messageId: input.messageId || null,
+            sender: input.sender,
+            senderName: input.senderName || null,
+            recipient: input.recipient,
+            recipientName: input.recipientName || null,
+            filename: input.filename || null,
+            size: input.size || 0,
+            status: 'queued',
+            createdAt: new Date().toISOString(),
+            deliveredAt: null,
+            readAt: null
+        };
+
+        this.entries.set(entry.id, entry);
+        await this.persist();
+        return { ...entry };
+    }
+
+    async get(id) {
+        const entry = this.entries.get(id);
+        return entry ? { ...entry } : null;
+    }
+
+    // Entries waiting for delivery to a recipient, oldest first
+    async pending(recipient) {
+        return Array.from(this.entries.values())
+            .filter(entry => entry.recipient === recipient && entry.status === 'queued')
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .map(entry => ({ ...entry }));
+    }
+
+    // Advance an entry's status; statuses never move backwards.
+    // Returns the updated entry, or null if nothing changed.
+    async setStatus(id, status) {
+        const entry = this.entries.get(id);
+        if (!entry || !INBOX_STATUSES.includes(status)) return null;
+        if (INBOX_STATUSES.indexOf(status) <= INBOX_STATUSES.indexOf(entry.status)) return null;
+
+        const now = new Date().toISOString();
+        entry.status = status;
+        if (!entry.deliveredAt) entry.deliveredAt = now;
+        if (status === 'read') entry.readAt = now;
+
+        await this.persist();
+        return { ...entry };
+    }
+
+    // Message history for a user id
+    // query: { box: 'received' | 'sent', status, limit, offset } - newest first
+    async history(userId, query = {}) {
+        const field = query.box === 'sent' ? 'sender' : 'recipient';
+
+        const results = Array.from(this.entries.values())
+            .filter(entry => entry[field] === userId)
+            .filter(entry => !query.status || entry.status === query.status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+
+        return {
+            total: results.length,
+            limit,
+            offset,
+            items: results.slice(offset, offset + limit).map(entry => ({ ...entry }))
+        };
+    }
+
+    async persist() {}
+}
+
+// ==================== JSON FILE DRIVER ====================
+
+class JsonFileInboxStore extends MemoryInboxStore {
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+        this.write = createJsonWriter(filePath);
+    }
+
+    async init() {
+        const data = await readJsonFile(this.filePath, { entries: [] });
+        (data.entries || []).forEach(entry => this.entries.set(entry.id, entry));
+    }
+
+    persist() {
+        return this.write({ entries: Array.from(this.entries.values()) });
+    }
+}
+
+// Create an inbox store for the given driver ('json' or 'memory')
+function createInboxStore(options = {}) {
+    const driver = options.driver || 'json';
+
+    switch (driver) {
+        case 'memory':
+            return new MemoryInboxStore();
+        case 'json':
+            return new JsonFileInboxStore(options.filePath);
+        default:
+            throw new Error(`Unknown inbox store driver: ${driver}`);
+    }
+}
+
+module.exports = {
+    createInboxStore,
+    MemoryInboxStore,
+    JsonFileInboxStore,
+    INBOX_STATUSES
+};
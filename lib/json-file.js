@@ -0,0 +1,37 @@
+// JSON file persistence helpers shared by the file-backed stores
+
+const fs = require('fs');
+const path = require('path');
+
+// Read and parse a JSON file, returning `fallback` if it doesn't exist yet
+async function readJsonFile(filePath, fallback) {
+    try {
+        return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw new Error(`Failed to load ${filePath}: ${error.message}`);
+    }
+}
+
+// Returns write(data): serializes writes so concurrent changes never interleave
+// on disk, and writes to a temp file + rename so a crash can't corrupt it
+function createJsonWriter(filePath) {
+    let queue = Promise.resolve();
+
+    return function write(data) {
+        const pending = queue.then(async () => {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            const tmpPath = `${filePath}.tmp`;
+            await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2));
+            await fs.promises.rename(tmpPath, filePath);
+        });
+        // A failed write shouldn't block the ones queued after it
+        queue = pending.catch(() => {});
+        return pending;
+    };
+}
+
+module.exports = {
+    readJsonFile,
+    createJsonWriter
+};
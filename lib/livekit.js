@@ -0,0 +1,141 @@
+// LiveKit Access Tokens
+// Mints room tokens for authenticated users with grants scoped by role:
+//   host     - publish, subscribe, data, room admin
+//   speaker  - publish, subscribe, data (default for signed-in users)
+//   viewer   - subscribe only (canPublish: false)
+//   recorder - hidden subscriber for server-side recording bots (never
+//              issued to clients)
+
+const { AccessToken } = require('livekit-server-sdk');
+const { isValidRoomName } = require('./room-store');
+
+const ROLE_GRANTS = {
+    host: {
+        canPublish: true,
+        canSubscribe: true,
+        canPublishData: true,
+        roomAdmin: true
+    },
+    speaker: {
+        canPublish: true,
+        canSubscribe: true,
+        canPublishData: true
+    },
+    viewer: {
+        canPublish: false,
+        canSubscribe: true,
+        canPublishData: false
+    },
+    recorder: {
+        canPublish: false,
+        canSubscribe: true,
+        canPublishData: false,
+        hidden: true,
+        recorder: true
+    }
+};
+
+// Roles a client may ask for, lowest to highest
+const CLIENT_ROLES = ['viewer', 'speaker', 'host'];
+
+class LiveKitAccessError extends Error {
+    constructor(message, statusCode) {
+        super(message);
+        this.name = 'LiveKitAccessError';
+        this.statusCode = statusCode;
+    }
+}
+
+// options: {
+//   apiKey, apiSecret, url,
+//   ttl        - token lifetime (seconds or a string like '1h')
+//   canJoin    - (user, roomName) => boolean, room access policy
+//   roleFor    - (user, roomName) => highest client role the user may have
+//   onToken    - ({ identity, roomName, role }) => void, called for every token issued
+// }
+function createLiveKitTokens(options) {
+    const { apiKey, apiSecret, url, ttl, canJoin, roleFor, onToken = () => {} } = options;
+    const configured = !!(apiKey && apiSecret);
+
+    async function mint(identity, name, roomName, role, metadata) {
+        const token = new AccessToken(apiKey, apiSecret, {
+            identity,
+            name,
+            ttl,
+            metadata: JSON.stringify(metadata)
+        });
+
+        token.addGrant({
+            room: roomName,
+            roomJoin: true,
+            ...ROLE_GRANTS[role]
+        });
+
+        const jwt = await token.toJwt();
+        onToken({ identity, roomName, role });
+        return jwt;
+    }
+
+    // Token for a signed-in user. `requestedRole` may lower the user's role
+    // (e.g. join as viewer) but never raise it.
+    async function createUserToken(user, roomName, requestedRole) {
+        if (!configured) {
+            throw new LiveKitAccessError('LiveKit not configured on server', 503);
+        }
+        if (!isValidRoomName(roomName)) {
+            throw new LiveKitAccessError('Invalid room name', 400);
+        }
+        if (!(await canJoin(user, roomName))) {
+            throw new LiveKitAccessError('Not allowed to join this room', 403);
+        }
+
+        const maxRole = await roleFor(user, roomName);
+        let role = maxRole;
+        if (requestedRole) {
+            if (!CLIENT_ROLES.includes(requestedRole)) {
+                throw new LiveKitAccessError(`Unknown role: ${requestedRole}`, 400);
+            }
+            if (CLIENT_ROLES.indexOf(requestedRole) > CLIENT_ROLES.indexOf(maxRole)) {
+                throw new LiveKitAccessError(`Role '${requestedRole}' not permitted in this room`, 403);
+            }
+            role = requestedRole;
+        }
+
+        const token = await mint(user.id, user.username, roomName, role, {
+            userId: user.id,
+            username: user.username,
+            role
+        });
+
+        return { token, url, roomName, role };
+    }
+
+    // Token for a server-side recording bot: it sees and hears the room but
+    // is hidden from the participant list and can't publish
+    async function createRecorderToken(roomName, botIdentity = 'recorder') {
+        if (!configured) {
+            throw new LiveKitAccessError('LiveKit not configured on server', 503);
+        }
+        if (!isValidRoomName(roomName)) {
+            throw new LiveKitAccessError('Invalid room name', 400);
+        }
+
+        const token = await mint(botIdentity, 'Recorder', roomName, 'recorder', { role: 'recorder' });
+        return { token, url, roomName, role: 'recorder' };
+    }
+
+    return {
+        configured,
+        url,
+        roleFor,
+        createUserToken,
+        createRecorderToken
+    };
+}
+
+module.exports = {
+    createLiveKitTokens,
+    LiveKitAccessError,
+    ROLE_GRANTS,
+    CLIENT_ROLES
+};
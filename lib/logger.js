@@ -0,0 +1,138 @@
+// Logging
+// Structured logs: one JSON object per line, info and debug on stdout,
+// warnings and errors on stderr, so Fly's log shipping (or `jq`) can filter
+// them. A line has the time, level and message, the logger's bindings
+// (component, requestId, socketId, userId...) and the fields logged with it:
+//   {"time":"...","level":"info","msg":"Joined room","component":"rooms","socketId":"...","room":"lobby"}
+//
+// Loggers are cheap to derive: child({ requestId }) adds bindings to every
+// line it writes. HTTP requests and sockets each get one (req.log,
+// socket.log), so all lines about one request or socket share its id.
+//
+// LOG_LEVEL picks the lowest level written: debug, info (default), warn,
+// error or silent. Per-event chatter (cursor moves, positions, signaling)
+// is logged at debug, so it's off unless asked for.
+
+const LEVELS = {
+    debug: 20,
+    info: 30,
+    warn: 40,
+    error: 50,
+    silent: Infinity
+};
+
+// Errors lose their message and stack in JSON.stringify
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined ? { code: error.code } : {}),
+        ...(error.statusCode !== undefined ? { statusCode: error.statusCode } : {}),
+        stack: error.stack
+    };
+}
+
+function serializeFields(fields) {
+    const result = {};
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value === undefined) return;
+        result[key] = value instanceof Error ? serializeError(value) : value;
+    });
+    return result;
+}
+
+// 12:00:00.123 INFO  [rooms] Joined room room=lobby socketId=abc
+function formatPretty(entry) {
+    const { time, level, msg, component, ...fields } = entry;
+    const details = Object.entries(fields).map(([key, value]) => {
+        if (value && typeof value === 'object') {
+            return value.stack ? `\n${value.stack}` : `${key}=${JSON.stringify(value)}`;
+        }
+        return `${key}=${value}`;
+    });
+    return [
+        time.slice(11, 23),
+        level.toUpperCase().padEnd(5),
+        ...(component ? [`[${component}]`] : []),
+        msg,
+        ...details
+    ].join(' ');
+}
+
+function defaultWrite(level, line) {
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(line + '\n');
+}
+
+class Logger {
+    // options: {
+    //   level    - lowest level written (default 'info')
+    //   format   - 'json' (default) or 'pretty'
+    //   write    - (level, line) => void, default stdout/stderr
+    //   onError  - (entry) => void, called for every error whether written or not
+    // }
+    constructor(options = {}, bindings = {}) {
+        const level = Object.prototype.hasOwnProperty.call(LEVELS, options.level) ? options.level : 'info';
+        this.options = {
+            level,
+            threshold: LEVELS[level],
+            format: options.format === 'pretty' ? 'pretty' : 'json',
+            write: options.write || defaultWrite,
+            onError: options.onError || null
+        };
+        this.bindings = bindings;
+    }
+
+    // A logger that adds `bindings` to every line
+    child(bindings) {
+        return new Logger(this.options, { ...this.bindings, ...bindings });
+    }
+
+    isEnabled(level) {
+        return LEVELS[level] >= this.options.threshold;
+    }
+
+    log(level, msg, fields = {}) {
+        const enabled = this.isEnabled(level);
+        if (!enabled && !(level === 'error' && this.options.onError)) return;
+
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg,
+            ...this.bindings,
+            ...serializeFields(fields)
+        };
+        if (level === 'error' && this.options.onError) this.options.onError(entry);
+        if (!enabled) return;
+
+        const line = this.options.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+        this.options.write(level, line);
+    }
+
+    debug(msg, fields) {
+        this.log('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.log('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.log('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.log('error', msg, fields);
+    }
+}
+
+function createLogger(options) {
+    return new Logger(options);
+}
+
+module.exports = {
+    createLogger,
+    Logger,
+    LEVELS
+};
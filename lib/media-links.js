@@ -0,0 +1,99 @@
+// Signed Media Links
+// Uploaded videos, their renditions and previews are only reachable through
+// signed, expiring URLs:
+//   /media/<token>/<path>  - the token grants one message's files (the upload
+//                            and everything the transcoder wrote for it)
+//   /share/<token>         - a share link; counts a view and hands out a
+//                            media token (see share-store.js)
+//
+// Tokens are HS256 JWTs signed like session tokens (see auth.js) with an
+// `aud` claim, so media, share and session tokens can't stand in for each
+// other. The media token is a path segment rather than a query parameter so
+// relative URLs inside HLS playlists and the sprite VTT keep it.
+
+const { signToken, verifyToken } = require('./auth');
+
+// Seconds until an ISO timestamp (at least 1, so signToken gets a valid TTL)
+function secondsUntil(isoTime) {
+    return Math.max(1, Math.floor((Date.parse(isoTime) - Date.now()) / 1000));
+}
+
+// options: { secret, ttl (seconds a viewer's media URLs stay valid) }
+function createMediaLinks({ secret, ttl }) {
+    // Token for a message's files. Links minted from a share carry its id
+    // (so revoking the share stops them) and never outlive it.
+    function signMedia(messageId, { shareId, expiresAt } = {}) {
+        const lifetime = expiresAt ? Math.min(ttl, secondsUntil(expiresAt)) : ttl;
+        const payload = { aud: 'media', m: messageId };
+        if (shareId) payload.s = shareId;
+        return signToken(payload, secret, lifetime);
+    }
+
+    // Returns { messageId, shareId, expiresAt } or null if invalid/expired
+    function verifyMedia(token) {
+        const payload = verifyToken(token, secret);
+        if (!payload || payload.aud !== 'media' || !payload.m) return null;
+        return {
+            messageId: payload.m,
+            shareId: payload.s || null,
+            expiresAt: new Date(payload.exp * 1000).toISOString()
+        };
+    }
+
+    function signShare(share) {
+        return signToken({ aud: 'share', s: share.id }, secret, secondsUntil(share.expiresAt));
+    }
+
+    // Returns the share id, or null if the link is forged or expired
+    function verifyShare(token) {
+        const payload = verifyToken(token, secret);
+        return payload && payload.aud === 'share' && payload.s ? payload.s : null;
+    }
+
+    function mediaUrl(token, filePath) {
+        return `/media/${token}/${filePath}`;
+    }
+
+    // Copy of a message record with `url`s for the upload, its renditions and
+    // previews (which store paths relative to the message's media root)
+    function withMediaUrls(message, token) {
+        const link = entry => ({ ...entry, url: mediaUrl(token, entry.path) });
+        const result = { ...message, url: mediaUrl(token, message.filename) };
+
+        if (message.renditions) {
+            const { mp4, hls } = message.renditions;
+            result.renditions = {
+                ...message.renditions,
+                mp4: link(mp4),
+                hls: { ...link(hls), variants: hls.variants.map(link) }
+            };
+        }
+
+        // Pending and failed previews have no files
+        if (message.previews && message.previews.status === 'ready') {
+            const { poster, sprite, animated } = message.previews;
+            result.previews = {
+                ...message.previews,
+                poster: link(poster),
+                sprite: { ...link(sprite), vttUrl: mediaUrl(token, sprite.vttPath) },
+                animated: link(animated)
+            };
+        }
+
+        return result;
+    }
+
+    return {
+        ttl,
+        signMedia,
+        verifyMedia,
+        signShare,
+        verifyShare,
+        mediaUrl,
+        withMediaUrls
+    };
+}
+
+module.exports = {
+    createMediaLinks
+};
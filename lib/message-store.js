@@ -0,0 +1,199 @@
+// Video Message Store
+// Records every uploaded video message with its metadata so listings don't
+// depend on scanning the uploads directory.
+//
+// Stores share one async interface so the backing driver can be swapped:
+//   create(record), get(id), findByFilename(filename), update(id, changes),
+//   remove(id), list(query)
+
+const crypto = require('crypto');
+const { readJsonFile, createJsonWriter } = require('./json-file');
+
+const MESSAGE_STATUSES = ['uploaded', 'sent', 'delivered', 'read', 'failed'];
+const SORTABLE_FIELDS = ['createdAt', 'size', 'duration', 'title', 'deletedAt'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function generateMessageId() {
+    return 'msg_' + crypto.randomBytes(9).toString('base64url');
+}
+
+// Fill in defaults and coerce fields so every driver stores the same shape
+function normalizeRecord(input) {
+    const recipients = Array.isArray(input.recipients)
+        ? input.recipients
+        : (input.recipients ? [input.recipients] : []);
+
+    return {
+        id: input.id || generateMessageId(),
+        filename: input.filename,
+        // User id of the uploader (null for anonymous uploads)
+        owner: input.owner || null,
+        sender: input.sender || null,
+        recipients: recipients.map(String).filter(Boolean),
+        title: input.title || null,
+        duration: Number.isFinite(input.duration) ? input.duration : null,
+        size: input.size || 0,
+        mimetype: input.mimetype || null,
+        // Read from the container at upload: { container, width, height, videoCodec, audioCodec }
+        media: input.media || null,
+        status: MESSAGE_STATUSES.includes(input.status) ? input.status : 'uploaded',
+        // Transcoding job for this upload: { jobId, status, error } (see lib/transcoder.js)
+        transcode: input.transcode || null,
+        // Playable versions once transcoded: { mp4: { path, ... }, hls: { path, variants } }
+        renditions: input.renditions || null,
+        // Poster, scrub sprite and animated preview: { status, poster, sprite, animated }
+        previews: input.previews || null,
+        // Set when the video is moved to the trash; purged after a retention period
+        deletedAt: input.deletedAt || null,
+        createdAt: input.createdAt || new Date().toISOString(),
+        updatedAt: input.updatedAt || input.createdAt || new Date().toISOString()
+    };
+}
+
+// Apply filters, sorting and pagination to an array of records
+// owner: uploader's user id; participant: { id, username } - only records
+// the user owns or received
+// deleted: true lists the trash (optionally deletedBefore an ISO time);
+// trashed records are left out otherwise
+function queryRecords(records, query = {}) {
+    const { owner, sender, recipient, participant, status, deleted, deletedBefore } = query;
+
+    let results = records.filter(record => {
+        if (!!deleted !== !!record.deletedAt) return false;
+        if (deletedBefore && record.deletedAt >= deletedBefore) return false;
+        if (owner && record.owner !== owner) return false;
+        if (participant && record.owner !== participant.id && !record.recipients.includes(participant.username)) return false;
+        if (sender && record.sender !== sender) return false;
+        if (recipient && !record.recipients.includes(recipient)) return false;
+        if (status && record.status !== status) return false;
+        return true;
+    });
+
+    const sortField = SORTABLE_FIELDS.includes(query.sort) ? query.sort : 'createdAt';
+    const direction = query.order === 'asc' ? 1 : -1;
+
+    results.sort((a, b) => {
+        const av = a[sortField];
+        const bv = b[sortField];
+        if (av === bv) return 0;
+        if (av === null || av === undefined) return 1;
+        if (bv === null || bv === undefined) return -1;
+        return (av > bv ? 1 : -1) * direction;
+    });
+
+    const total = results.length;
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+
+    return {
+        total,
+        limit,
+        offset,
+        items: results.slice(offset, offset + limit)
+    };
+}
+
+// ==================== IN-MEMORY DRIVER ====================
+// Non-persistent store, useful for development and tests
+
+class MemoryMessageStore {
+    constructor() {
+        this.records = new Map(); // id -> record
+    }
+
+    async init() {}
+
+    async create(input) {
+        const record = normalizeRecord(input);
+        this.records.set(record.id, record);
+        await this.persist();
+        return { ...record };
+    }
+
+    async get(id) {
+        const record = this.records.get(id);
+        return record ? { ...record } : null;
+    }
+
+    async findByFilename(filename) {
+        for (const record of this.records.values()) {
+            if (record.filename === filename) return { ...record };
+        }
+        return null;
+    }
+
+    async update(id, changes) {
+        const existing = this.records.get(id);
+        if (!existing) return null;
+
+        const record = normalizeRecord({
+            ...existing,
+            ...changes,
+            id: existing.id,
+            createdAt: existing.createdAt,
+            updatedAt: new Date().toISOString()
+        });
+        this.records.set(id, record);
+        await this.persist();
+        return { ...record };
+    }
+
+    async remove(id) {
+        const existed = this.records.delete(id);
+        if (existed) await this.persist();
+        return existed;
+    }
+
+    async list(query) {
+        const result = queryRecords(Array.from(this.records.values()), query);
+        result.items = result.items.map(record => ({ ...record }));
+        return result;
+    }
+
+    async persist() {}
+}
+
+// ==================== JSON FILE DRIVER ====================
+// Default driver: keeps records in memory and rewrites the JSON file after
+// every change
+
+class JsonFileMessageStore extends MemoryMessageStore {
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+        this.write = createJsonWriter(filePath);
+    }
+
+    async init() {
+        const data = await readJsonFile(this.filePath, { messages: [] });
+        (data.messages || []).forEach(record => {
+            this.records.set(record.id, normalizeRecord(record));
+        });
+    }
+
+    persist() {
+        return this.write({ messages: Array.from(this.records.values()) });
+    }
+}
+
+// Create a message store for the given driver ('json' or 'memory')
+function createMessageStore(options = {}) {
+    const driver = options.driver || 'json';
+
+    switch (driver) {
+        case 'memory':
+            return new MemoryMessageStore();
+        case 'json':
+            return new JsonFileMessageStore(options.filePath);
+        default:
+            throw new Error(`Unknown message store driver: ${driver}`);
+    }
+}
+
+module.exports = {
+    createMessageStore,
+    MemoryMessageStore,
+    JsonFileMessageStore,
+    MESSAGE_STATUSES
+};
@@ -0,0 +1,195 @@
+// Metrics
+// Counters, gauges and histograms served by GET /metrics in the Prometheus
+// text format (see lib/routes/system.js). Values are per instance: with
+// several instances Prometheus scrapes each machine and sums them.
+//
+// Label values must come from a small, fixed set (event names that passed
+// validation, HTTP methods, token roles...) so the number of series stays
+// bounded.
+
+const PREFIX = 'video_messenger_';
+
+// Seconds
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const UPLOAD_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are keyed by their label values, in labelNames order
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map(); // key -> { labels, value }
+    }
+
+    entry(labels = {}, create) {
+        const values = this.labelNames.map(label => labels[label] ?? '');
+        const key = values.join('\u0000');
+        let entry = this.series.get(key);
+        if (!entry) {
+            const pairs = {};
+            this.labelNames.forEach((label, index) => { pairs[label] = values[index]; });
+            entry = { labels: pairs, ...create() };
+            this.series.set(key, entry);
+        }
+        return entry;
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+
+    render() {
+        const lines = this.header();
+        this.series.forEach(entry => {
+            lines.push(`${this.name}${formatLabels(entry.labels)} ${entry.value}`);
+        });
+        return lines;
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels, value = 1) {
+        this.entry(labels, () => ({ value: 0 })).value += value;
+    }
+}
+
+// A gauge is set, or read at scrape time with collect(fn)
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+        this.collector = null;
+    }
+
+    set(labels, value) {
+        this.entry(labels, () => ({ value: 0 })).value = value;
+    }
+
+    collect(fn) {
+        this.collector = fn;
+    }
+
+    render() {
+        if (this.collector) this.set({}, this.collector());
+        return super.render();
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = LATENCY_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        const entry = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+    }
+
+    // Observes the seconds from now until the returned function is called
+    startTimer(labels) {
+        const start = process.hrtime.bigint();
+        return (moreLabels = {}) => {
+            this.observe({ ...labels, ...moreLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+        };
+    }
+
+    render() {
+        const lines = this.header();
+        this.series.forEach(entry => {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+            lines.push(`${this.name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+            lines.push(`${this.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+        });
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    add(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.add(new Counter(PREFIX + name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames) {
+        return this.add(new Gauge(PREFIX + name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.add(new Histogram(PREFIX + name, help, labelNames, buckets));
+    }
+
+    render() {
+        return this.metrics.map(metric => metric.render().join('\n')).join('\n') + '\n';
+    }
+}
+
+// The app's metrics. Gauges that read live state (connected sockets) are
+// given their collect() function by whoever owns that state.
+function createMetrics() {
+    const registry = new MetricsRegistry();
+
+    const metrics = {
+        registry,
+        contentType: 'text/plain; version=0.0.4; charset=utf-8',
+        render: () => registry.render(),
+
+        // route: the route pattern ('/api/rooms/:name'), 'other' for static files and 404s
+        httpRequests: registry.counter('http_requests_total', 'HTTP requests by method, route and status', ['method', 'route', 'status']),
+        httpDuration: registry.histogram('http_request_duration_seconds', 'HTTP request latency by method and route', ['method', 'route']),
+
+        connectedSockets: registry.gauge('connected_sockets', 'Sockets connected to this instance'),
+        socketEvents: registry.counter('socket_events_total', 'Socket events received, by event', ['event']),
+
+        uploadBytes: registry.counter('upload_bytes_total', 'Bytes uploaded (file: POST /upload, chunk: resumable upload chunks)', ['kind']),
+        uploadDuration: registry.histogram('upload_duration_seconds', 'Time to receive and store an upload or chunk', ['kind'], UPLOAD_BUCKETS),
+
+        livekitTokens: registry.counter('livekit_tokens_total', 'LiveKit access tokens issued, by role', ['role']),
+        studioOps: registry.counter('studio_ops_total', 'Studio canvas operations, by type and whether they changed the canvas', ['type', 'result']),
+        errors: registry.counter('errors_total', 'Errors logged, by component', ['component'])
+    };
+
+    const uptime = registry.gauge('process_uptime_seconds', 'Seconds since the process started');
+    uptime.collect(() => Math.round(process.uptime()));
+    const memory = registry.gauge('process_resident_memory_bytes', 'Resident memory size');
+    memory.collect(() => process.memoryUsage().rss);
+
+    return metrics;
+}
+
+module.exports = {
+    createMetrics,
+    MetricsRegistry,
+    Counter,
+    Gauge,
+    Histogram
+};
@@ -0,0 +1,180 @@
+// Rate Limiting
+// Token buckets per rule and per caller: each request or socket event spends
+// from the signed-in user's bucket and from the client IP's bucket, and is
+// refused when either is empty. A rule { limit, window, ipLimit } allows
+// bursts of `limit` (`ipLimit` for the IP, default `limit`) refilled over
+// `window` seconds.
+//
+// Buckets live in memory, so limits are per server instance.
+
+const DEFAULT_RULES = {
+    // HTTP
+    api: { limit: 600, window: 60 },                        // any /api request (per IP)
+    auth: { limit: 10, window: 60 },                        // register, login, guest
+    upload: { limit: 20, window: 3600, ipLimit: 60 },       // new uploads
+    'upload-chunk': { limit: 600, window: 60 },
+    'livekit-token': { limit: 20, window: 60, ipLimit: 60 }, // HTTP and socket share it
+    'share-create': { limit: 30, window: 3600 },
+    'share-view': { limit: 60, window: 60 },
+    media: { limit: 1200, window: 60 },                     // HLS fetches a file per segment
+
+    // Socket events without their own rule
+    'socket-default': { limit: 100, window: 10, ipLimit: 400 },
+    // Socket events
+    'studio-cursor-update': { limit: 60, window: 1, ipLimit: 240 },
+    'video-position-update': { limit: 30, window: 1, ipLimit: 120 },
+    'emoji-tag': { limit: 10, window: 10 },
+    'studio-reaction': { limit: 10, window: 10 },
+    'smile-status': { limit: 20, window: 10 },
+    'stickers-update': { limit: 20, window: 10 },
+    'send-video-message': { limit: 30, window: 60 },
+    'room-create': { limit: 5, window: 60 },
+    'recording-start': { limit: 5, window: 60 },
+    login: { limit: 10, window: 60 },
+    getLiveKitToken: 'livekit-token'
+};
+
+const SWEEP_INTERVAL = 60 * 1000;
+
+// Client address behind `trustProxy` reverse proxies (same meaning as a hop
+// count for Express's 'trust proxy' setting)
+function clientAddress(remoteAddress, forwardedFor, trustProxy = 0) {
+    const hops = forwardedFor
+        ? String(forwardedFor).split(',').map(address => address.trim()).filter(Boolean)
+        : [];
+    const chain = [...hops, remoteAddress];
+    return chain[Math.max(0, chain.length - 1 - trustProxy)] || 'unknown';
+}
+
+class RateLimiter {
+    // options: { rules (merged over DEFAULT_RULES), enabled, trustProxy }
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        this.trustProxy = options.trustProxy || 0;
+        this.rules = { ...DEFAULT_RULES };
+        Object.entries(options.rules || {}).forEach(([name, rule]) => {
+            const base = typeof this.rules[name] === 'object' ? this.rules[name] : {};
+            this.rules[name] = typeof rule === 'object' ? { ...base, ...rule } : rule;
+        });
+        this.buckets = new Map(); // 'rule|key' -> { tokens, updatedAt }
+
+        this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL);
+        this.sweepTimer.unref();
+    }
+
+    // Follow aliases (getLiveKitToken -> livekit-token) to [name, rule]
+    resolve(name) {
+        let rule = this.rules[name];
+        while (typeof rule === 'string') {
+            name = rule;
+            rule = this.rules[name];
+        }
+        return rule ? [name, rule] : null;
+    }
+
+    bucket(ruleName, key, capacity, rate, now) {
+        const id = `${ruleName}|${key}`;
+        let bucket = this.buckets.get(id);
+        if (!bucket) {
+            bucket = { tokens: capacity, capacity, rate, updatedAt: now };
+            this.buckets.set(id, bucket);
+        }
+        bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * rate);
+        bucket.updatedAt = now;
+        return bucket;
+    }
+
+    // Spend `cost` from the rule's bucket for each of { userId, ip }.
+    // Returns { allowed: true } or { allowed: false, retryAfter (seconds) };
+    // nothing is spent unless every bucket has enough.
+    consume(name, { userId, ip }, cost = 1) {
+        const resolved = this.resolve(name);
+        if (!this.enabled || !resolved) return { allowed: true };
+
+        const [ruleName, rule] = resolved;
+        const now = Date.now();
+        const buckets = [];
+        if (userId) buckets.push(this.bucket(ruleName, `user:${userId}`, rule.limit, rule.limit / rule.window, now));
+        if (ip) {
+            const ipLimit = rule.ipLimit || rule.limit;
+            buckets.push(this.bucket(ruleName, `ip:${ip}`, ipLimit, ipLimit / rule.window, now));
+        }
+
+        let retryAfter = 0;
+        for (const bucket of buckets) {
+            if (bucket.tokens < cost) {
+                // A cost over the capacity can never fit; wait for a full bucket
+                const missing = Math.min(cost, bucket.capacity) - bucket.tokens;
+                retryAfter = Math.max(retryAfter, Math.ceil(missing / bucket.rate));
+            }
+        }
+        if (retryAfter > 0) return { allowed: false, retryAfter };
+
+        buckets.forEach(bucket => { bucket.tokens -= cost; });
+        return { allowed: true };
+    }
+
+    // Express middleware for a rule. Put it after the auth middleware so
+    // signed-in users get their own bucket; otherwise only the IP is limited.
+    http(name) {
+        return (req, res, next) => {
+            const result = this.consume(name, { userId: req.user?.id, ip: req.ip });
+            if (result.allowed) return next();
+
+            res.set('Retry-After', String(result.retryAfter));
+            res.status(429).json({
+                success: false,
+                message: `Too many requests. Try again in ${result.retryAfter} seconds.`,
+                retryAfter: result.retryAfter
+            });
+        };
+    }
+
+    // socket.io per-socket middleware (socket.use). A limited event is dropped
+    // and the client gets 'rate-limited' { event, message, retryAfter }; an
+    // acknowledgement callback, if any, gets { success: false, error, message, retryAfter }.
+    socket(socket) {
+        const ip = clientAddress(
+            socket.handshake.address,
+            socket.handshake.headers['x-forwarded-for'],
+            this.trustProxy
+        );
+
+        return (packet, next) => {
+            const [event, ...args] = packet;
+            const name = this.resolve(event) ? event : 'socket-default';
+
+            const result = this.consume(name, { userId: socket.data.user?.id, ip });
+            if (result.allowed) return next();
+
+            const message = `Too many '${event}' events. Try again in ${result.retryAfter} seconds.`;
+            socket.emit('rate-limited', { event, message, retryAfter: result.retryAfter });
+
+            const callback = args[args.length - 1];
+            if (typeof callback === 'function') {
+                callback({ success: false, error: message, message, retryAfter: result.retryAfter });
+            }
+        };
+    }
+
+    // Full buckets carry no state; drop them
+    sweep() {
+        const now = Date.now();
+        for (const [id, bucket] of this.buckets) {
+            if (bucket.tokens + (now - bucket.updatedAt) / 1000 * bucket.rate >= bucket.capacity) {
+                this.buckets.delete(id);
+            }
+        }
+    }
+}
+
+function createRateLimiter(options) {
+    return new RateLimiter(options);
+}
+
+module.exports = {
+    createRateLimiter,
+    RateLimiter,
+    clientAddress,
+    DEFAULT_RULES
+};
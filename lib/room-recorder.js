@@ -0,0 +1,316 @@
+// Room Recording
+// Group conversations are recorded on the server with LiveKit Egress: a room
+// composite (everyone's video in one layout, mixed audio) encoded to an MP4.
+// The egress service writes the file to a directory it shares with this
+// server - with a self-hosted LiveKit, a volume mounted into both - and once
+// the egress completes the file is handed to onComplete, which turns it into
+// a video message.
+//
+// Egress is polled rather than waiting for webhooks, so recordings that end
+// on their own (the room emptied, a time limit) are noticed without extra
+// LiveKit configuration. Recordings are persisted, so one that finishes while
+// the server restarts is still picked up.
+//
+// Recording lifecycle: recording -> stopping -> processing -> ready | failed
+// A room has at most one recording that isn't ready or failed.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EncodedFileOutput, EncodedFileType, EgressStatus } = require('livekit-server-sdk');
+const { readJsonFile, createJsonWriter } = require('./json-file');
+const { createLogger } = require('./logger');
+
+const RECORDING_STATUSES = ['recording', 'stopping', 'processing', 'ready', 'failed'];
+const ACTIVE_STATUSES = ['recording', 'stopping'];
+const LAYOUTS = ['grid', 'speaker', 'single-speaker'];
+
+const DEFAULT_POLL_INTERVAL = 3000;
+// Finished recordings are forgotten after a day (their messages stay)
+const FINISHED_TTL = 24 * 60 * 60 * 1000;
+
+class RecordingError extends Error {
+    constructor(message, statusCode) {
+        super(message);
+        this.name = 'RecordingError';
+        this.statusCode = statusCode;
+    }
+}
+
+function generateRecordingId() {
+    return 'rec_' + crypto.randomBytes(9).toString('base64url');
+}
+
+function generateRecordingFilename() {
+    return `recording-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.mp4`;
+}
+
+class RoomRecorder {
+    // options: { egressClient (omit to disable recording),
+    //            outputDir - recordings directory as the egress service sees it,
+    //            dir - the same directory as this server sees it,
+    //            layout, pollInterval, filePath (omit to keep recordings in memory only),
+    //            roomMembers(roomName) - resolves with the user ids currently in a room,
+    //            onUpdate(recording) - called when a recording changes status,
+    //            onComplete(recording, { path, size, duration }) - store the
+    //              finished file; resolves with the message record,
+    //            logger }
+    constructor(options) {
+        this.egressClient = options.egressClient || null;
+        this.outputDir = options.outputDir || options.dir;
+        this.dir = options.dir;
+        this.layout = LAYOUTS.includes(options.layout) ? options.layout : 'grid';
+        this.pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL;
+        this.roomMembers = options.roomMembers || (async () => []);
+        this.onUpdate = options.onUpdate || (() => {});
+        this.onComplete = options.onComplete;
+        this.write = options.filePath ? createJsonWriter(options.filePath) : null;
+        this.filePath = options.filePath;
+        this.log = (options.logger || createLogger()).child({ component: 'recording' });
+
+        this.available = !!this.egressClient;
+        this.recordings = new Map(); // id -> recording
+        this.pollTimer = null;
+        this.polling = false;
+    }
+
+    // Load saved recordings and start watching the active ones
+    async init() {
+        if (this.filePath) {
+            const data = await readJsonFile(this.filePath, { recordings: [] });
+            (data.recordings || []).forEach(recording => {
+                // Interrupted while storing the file: check the egress again
+                if (recording.status === 'processing') recording.status = 'stopping';
+                this.recordings.set(recording.id, recording);
+            });
+        }
+        if (!this.available) return;
+
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        this.pollTimer = setInterval(() => {
+            this.poll().catch(error => this.log.error('Could not check recordings', { error }));
+        }, this.pollInterval);
+        this.pollTimer.unref();
+    }
+
+    close() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    // The room's recording in progress, if any
+    active(roomName) {
+        const recording = Array.from(this.recordings.values())
+            .find(candidate => candidate.roomName === roomName && ACTIVE_STATUSES.includes(candidate.status));
+        return recording ? { ...recording } : null;
+    }
+
+    async get(id) {
+        const recording = this.recordings.get(id);
+        return recording ? { ...recording } : null;
+    }
+
+    // Start recording a room for `user` (who becomes the message's owner)
+    async start(roomName, user, { title } = {}) {
+        if (!this.available) {
+            throw new RecordingError('Recording is not configured on this server', 503);
+        }
+        if (this.active(roomName)) {
+            throw new RecordingError('This room is already being recorded', 409);
+        }
+
+        const filename = generateRecordingFilename();
+        const output = new EncodedFileOutput({
+            fileType: EncodedFileType.MP4,
+            filepath: path.posix.join(this.outputDir, filename)
+        });
+
+        let egress;
+        try {
+            egress = await this.egressClient.startRoomCompositeEgress(roomName, output, { layout: this.layout });
+        } catch (error) {
+            this.log.error('Failed to start egress', { room: roomName, error: error.message });
+            throw new RecordingError('Could not start recording', 502);
+        }
+
+        const now = new Date().toISOString();
+        const recording = {
+            id: generateRecordingId(),
+            roomName,
+            egressId: egress.egressId,
+            filename,
+            title: title || null,
+            startedBy: user.id,
+            startedByName: user.username,
+            participants: Array.from(new Set([user.id, ...(await this.members(roomName))])),
+            status: 'recording',
+            error: null,
+            messageId: null,
+            startedAt: now,
+            stoppedAt: null,
+            finishedAt: null
+        };
+
+        this.recordings.set(recording.id, recording);
+        await this.setStatus(recording, {});
+        this.log.info('Started recording', { room: roomName, egressId: recording.egressId, userId: user.id });
+        return { ...recording };
+    }
+
+    // Ask the egress to finish; the file is picked up by the next poll once
+    // the egress completes
+    async stop(roomName) {
+        const active = this.active(roomName);
+        if (!active) throw new RecordingError('This room is not being recorded', 404);
+
+        const recording = this.recordings.get(active.id);
+        if (recording.status === 'stopping') return { ...recording };
+
+        try {
+            await this.egressClient.stopEgress(recording.egressId);
+        } catch (error) {
+            // Already ending on its own; the poll sorts out how it ended
+            this.log.warn('Could not stop egress', { egressId: recording.egressId, error: error.message });
+        }
+
+        await this.setStatus(recording, { status: 'stopping', stoppedAt: new Date().toISOString() });
+        return { ...recording };
+    }
+
+    // Who is in the room; nobody new if presence can't be read right now
+    async members(roomName) {
+        try {
+            return await this.roomMembers(roomName);
+        } catch (error) {
+            this.log.warn('Could not list room members', { room: roomName, error: error.message });
+            return [];
+        }
+    }
+
+    // ==================== EGRESS STATUS ====================
+
+    async poll() {
+        if (this.polling) return;
+        this.polling = true;
+
+        try {
+            for (const recording of Array.from(this.recordings.values())) {
+                if (ACTIVE_STATUSES.includes(recording.status)) {
+                    await this.check(recording);
+                } else if (recording.finishedAt && Date.now() - Date.parse(recording.finishedAt) > FINISHED_TTL) {
+                    this.recordings.delete(recording.id);
+                    await this.persist();
+                }
+            }
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    async check(recording) {
+        let info;
+        try {
+            [info] = await this.egressClient.listEgress({ egressId: recording.egressId });
+        } catch (error) {
+            this.log.warn('Could not check egress', { egressId: recording.egressId, error: error.message });
+            return;
+        }
+
+        if (!info) {
+            return this.fail(recording, 'The recording was lost by the egress service');
+        }
+
+        switch (info.status) {
+            case EgressStatus.EGRESS_STARTING:
+            case EgressStatus.EGRESS_ACTIVE: {
+                // Everyone who was in the room at some point gets the recording
+                const participants = new Set([...recording.participants, ...(await this.members(recording.roomName))]);
+                if (participants.size !== recording.participants.length) {
+                    recording.participants = Array.from(participants);
+                    await this.persist();
+                }
+                return;
+            }
+
+            case EgressStatus.EGRESS_ENDING:
+                if (recording.status !== 'stopping') {
+                    await this.setStatus(recording, { status: 'stopping', stoppedAt: new Date().toISOString() });
+                }
+                return;
+
+            case EgressStatus.EGRESS_COMPLETE:
+            case EgressStatus.EGRESS_LIMIT_REACHED:
+                return this.finish(recording, info);
+
+            default:
+                return this.fail(recording, info.error || 'Recording failed');
+        }
+    }
+
+    async finish(recording, info) {
+        const result = (info.fileResults || [])[0];
+        if (!result) return this.fail(recording, 'The egress service produced no file');
+
+        // The egress reports the path on its side of the shared directory
+        const file = {
+            path: path.join(this.dir, path.posix.basename(result.filename || recording.filename)),
+            size: Number(result.size) || 0,
+            duration: Number(result.duration) / 1e9 || null
+        };
+
+        let message;
+        try {
+            await this.setStatus(recording, {
+                status: 'processing',
+                stoppedAt: recording.stoppedAt || new Date().toISOString()
+            });
+            message = await this.onComplete({ ...recording }, file);
+        } catch (error) {
+            // The file is the only copy of the conversation: it stays where
+            // the egress left it, and its path is kept for an operator. The
+            // room only hears that it failed; the cause is in the log.
+            this.log.error('Could not save the recording', { room: recording.roomName, filePath: file.path, error });
+            return this.fail(recording, 'Could not save the recording', { filePath: file.path });
+        }
+
+        await this.setStatus(recording, {
+            status: 'ready',
+            messageId: message.id,
+            finishedAt: new Date().toISOString()
+        });
+        this.log.info('Recording saved', { room: recording.roomName, messageId: message.id, filename: message.filename });
+    }
+
+    async fail(recording, error, changes = {}) {
+        this.log.error('Recording failed', { room: recording.roomName, egressId: recording.egressId, error, ...changes });
+        await this.setStatus(recording, {
+            status: 'failed',
+            error,
+            finishedAt: new Date().toISOString(),
+            ...changes
+        });
+    }
+
+    async setStatus(recording, changes) {
+        Object.assign(recording, changes);
+        await this.persist();
+
+        try {
+            await this.onUpdate({ ...recording });
+        } catch (error) {
+            this.log.error('Update handler failed', { recordingId: recording.id, error });
+        }
+    }
+
+    persist() {
+        if (!this.write) return Promise.resolve();
+        return this.write({ recordings: Array.from(this.recordings.values()) });
+    }
+}
+
+module.exports = {
+    RoomRecorder,
+    RecordingError,
+    RECORDING_STATUSES,
+    LAYOUTS
+};
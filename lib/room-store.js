@@ -0,0 +1,113 @@
+// Room Registry
+// Rooms group presence, circle positions, formations, stickers and the studio
+// canvas. A room's name is also its socket.io room and its LiveKit room.
+//
+// Any signed-in user may list the rooms and join one with a socket. LiveKit
+// tokens are only issued for a room the user's socket is in (or one they
+// created); its creator (and admins) host it there.
+//
+// Same driver interface as the other stores: init(), create(room), get(name),
+// list()
+
+const { readJsonFile, createJsonWriter } = require('./json-file');
+
+const ROOM_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_TITLE_LENGTH = 100;
+
+class RoomError extends Error {
+    constructor(message, statusCode) {
+        super(message);
+        this.name = 'RoomError';
+        this.statusCode = statusCode;
+    }
+}
+
+function isValidRoomName(name) {
+    return typeof name === 'string' && ROOM_NAME_PATTERN.test(name);
+}
+
+// ==================== IN-MEMORY DRIVER ====================
+
+class MemoryRoomStore {
+    constructor() {
+        this.rooms = new Map(); // name -> room
+    }
+
+    async init() {}
+
+    // room: { name, title, createdBy (user id or null for built-in rooms) }
+    async create(input) {
+        if (!isValidRoomName(input.name)) {
+            throw new RoomError('Room name must be 1-64 letters, numbers, dashes or underscores', 400);
+        }
+        if (this.rooms.has(input.name)) {
+            throw new RoomError('Room already exists', 409);
+        }
+
+        const room = {
+            name: input.name,
+            title: String(input.title || input.name).slice(0, MAX_TITLE_LENGTH),
+            createdBy: input.createdBy || null,
+            createdAt: new Date().toISOString()
+        };
+
+        this.rooms.set(room.name, room);
+        await this.persist();
+        return { ...room };
+    }
+
+    async get(name) {
+        const room = this.rooms.get(name);
+        return room ? { ...room } : null;
+    }
+
+    // All rooms, oldest first
+    async list() {
+        return Array.from(this.rooms.values())
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .map(room => ({ ...room }));
+    }
+
+    async persist() {}
+}
+
+// ==================== JSON FILE DRIVER ====================
+
+class JsonFileRoomStore extends MemoryRoomStore {
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+        this.write = createJsonWriter(filePath);
+    }
+
+    async init() {
+        const data = await readJsonFile(this.filePath, { rooms: [] });
+        (data.rooms || []).forEach(room => this.rooms.set(room.name, room));
+    }
+
+    persist() {
+        return this.write({ rooms: Array.from(this.rooms.values()) });
+    }
+}
+
+// Create a room store for the given driver ('json' or 'memory')
+function createRoomStore(options = {}) {
+    const driver = options.driver || 'json';
+
+    switch (driver) {
+        case 'memory':
+            return new MemoryRoomStore();
+        case 'json':
+            return new JsonFileRoomStore(options.filePath);
+        default:
+            throw new Error(`Unknown room store driver: ${driver}`);
+    }
+}
+
+module.exports = {
+    createRoomStore,
+    MemoryRoomStore,
+    JsonFileRoomStore,
+    RoomError,
+    isValidRoomName
+};
@@ -0,0 +1,71 @@
+// Auth Routes
+// Accounts and session tokens: register, sign in, guest accounts and the
+// current user (see lib/auth.js)
+
+const express = require('express');
+const { AuthError } = require('../auth');
+
+function sendAuthError(req, res, error) {
+    if (error instanceof AuthError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    req.log.error('Auth error', { component: 'auth', error });
+    res.status(500).json({
+        success: false,
+        message: 'Authentication error',
+        error: error.message
+    });
+}
+
+function createAuthRouter(ctx) {
+    const { auth, rateLimiter } = ctx;
+    const router = express.Router();
+
+    // Create an account: { username, password } -> { user, token, expiresIn }
+    router.post('/api/auth/register', rateLimiter.http('auth'), express.json(), async (req, res) => {
+        try {
+            const session = await auth.register(req.body.username, req.body.password);
+            res.status(201).json({ success: true, ...session });
+        } catch (error) {
+            sendAuthError(req, res, error);
+        }
+    });
+
+    // Sign in: { username, password } -> { user, token, expiresIn }
+    router.post('/api/auth/login', rateLimiter.http('auth'), express.json(), async (req, res) => {
+        try {
+            const session = await auth.login(req.body.username, req.body.password);
+            res.json({ success: true, ...session });
+        } catch (error) {
+            sendAuthError(req, res, error);
+        }
+    });
+
+    // Passwordless guest account for one-click join: { username? } -> { user, token, expiresIn }
+    router.post('/api/auth/guest', rateLimiter.http('auth'), express.json(), async (req, res) => {
+        try {
+            const session = await auth.createGuest(req.body.username);
+            res.status(201).json({ success: true, ...session });
+        } catch (error) {
+            sendAuthError(req, res, error);
+        }
+    });
+
+    // Current user for a session token
+    router.get('/api/auth/me', auth.requireAuth, (req, res) => {
+        res.json({
+            success: true,
+            user: req.user
+        });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createAuthRouter
+};
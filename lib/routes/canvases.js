@@ -0,0 +1,182 @@
+// Saved Canvas Routes
+// Canvases are private to their owner (admins can see all)
+
+const express = require('express');
+
+const MAX_CANVAS_NAME_LENGTH = 100;
+const MAX_THUMBNAIL_LENGTH = 512 * 1024;
+const THUMBNAIL_PATTERN = /^data:image\/(png|jpeg|webp);base64,[A-Za-z0-9+/=]+$/;
+const canvasBody = express.json({ limit: '20mb' });
+
+// Validate { name, thumbnail, document } from a request body. With
+// `partial`, missing fields are left out. Returns { changes } or { error }.
+function parseCanvasInput(body, partial) {
+    const changes = {};
+
+    if (body.name !== undefined || !partial) {
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!name || name.length > MAX_CANVAS_NAME_LENGTH) {
+            return { error: `Name must be 1-${MAX_CANVAS_NAME_LENGTH} characters` };
+        }
+        changes.name = name;
+    }
+
+    if (body.thumbnail !== undefined && body.thumbnail !== null) {
+        if (typeof body.thumbnail !== 'string' || body.thumbnail.length > MAX_THUMBNAIL_LENGTH
+            || !THUMBNAIL_PATTERN.test(body.thumbnail)) {
+            return { error: 'Thumbnail must be a PNG, JPEG or WebP data URL under 512KB' };
+        }
+        changes.thumbnail = body.thumbnail;
+    } else if (body.thumbnail === null) {
+        changes.thumbnail = null;
+    }
+
+    if (body.document !== undefined || !partial) {
+        const document = body.document || { objects: [] };
+        if (typeof document !== 'object' || Array.isArray(document) || !Array.isArray(document.objects)) {
+            return { error: 'Document must be Fabric canvas JSON with an objects array' };
+        }
+        changes.document = document;
+    }
+
+    return { changes };
+}
+
+function sendCanvasError(req, res, error) {
+    req.log.error('Canvas error', { component: 'canvases', error });
+    res.status(500).json({
+        success: false,
+        message: 'Canvas error',
+        error: error.message
+    });
+}
+
+function createCanvasesRouter(ctx) {
+    const { auth, canvasStore } = ctx;
+    const router = express.Router();
+
+    // Load a canvas the user may access, or answer 404
+    async function findOwnCanvas(req, res) {
+        const canvas = await canvasStore.get(req.params.id);
+        if (!canvas || (canvas.owner !== req.user.id && req.user.role !== 'admin')) {
+            res.status(404).json({
+                success: false,
+                message: 'Canvas not found'
+            });
+            return null;
+        }
+        return canvas;
+    }
+
+    // List your saved canvases (metadata and thumbnails, newest first)
+    router.get('/api/canvases', auth.requireAuth, async (req, res) => {
+        try {
+            const result = await canvasStore.list({
+                owner: req.user.id,
+                limit: req.query.limit,
+                offset: req.query.offset
+            });
+
+            res.json({
+                success: true,
+                count: result.items.length,
+                total: result.total,
+                limit: result.limit,
+                offset: result.offset,
+                canvases: result.items
+            });
+        } catch (error) {
+            sendCanvasError(req, res, error);
+        }
+    });
+
+    // Save a canvas: { name, document (Fabric JSON), thumbnail? }
+    router.post('/api/canvases', auth.requireAuth, canvasBody, async (req, res) => {
+        const { changes, error } = parseCanvasInput(req.body, false);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        try {
+            const canvas = await canvasStore.create({ ...changes, owner: req.user.id });
+            res.status(201).json({ success: true, canvas });
+        } catch (err) {
+            sendCanvasError(req, res, err);
+        }
+    });
+
+    // A canvas with its Fabric document
+    router.get('/api/canvases/:id', auth.requireAuth, async (req, res) => {
+        try {
+            const canvas = await findOwnCanvas(req, res);
+            if (!canvas) return;
+
+            const document = await canvasStore.getDocument(canvas.id);
+            res.json({ success: true, canvas: { ...canvas, document } });
+        } catch (error) {
+            sendCanvasError(req, res, error);
+        }
+    });
+
+    // Rename and/or overwrite: { name?, document?, thumbnail? }
+    router.patch('/api/canvases/:id', auth.requireAuth, canvasBody, async (req, res) => {
+        const { changes, error } = parseCanvasInput(req.body, true);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        try {
+            if (!(await findOwnCanvas(req, res))) return;
+
+            const canvas = await canvasStore.update(req.params.id, changes);
+            res.json({ success: true, canvas });
+        } catch (err) {
+            sendCanvasError(req, res, err);
+        }
+    });
+
+    // Copy a canvas: { name? } (default "<name> copy")
+    router.post('/api/canvases/:id/duplicate', auth.requireAuth, express.json(), async (req, res) => {
+        try {
+            const source = await findOwnCanvas(req, res);
+            if (!source) return;
+
+            const { changes, error } = parseCanvasInput({
+                name: req.body.name || `${source.name} copy`.slice(0, MAX_CANVAS_NAME_LENGTH)
+            }, true);
+            if (error) {
+                return res.status(400).json({ success: false, message: error });
+            }
+
+            const canvas = await canvasStore.create({
+                name: changes.name,
+                owner: req.user.id,
+                thumbnail: source.thumbnail,
+                document: await canvasStore.getDocument(source.id)
+            });
+            res.status(201).json({ success: true, canvas });
+        } catch (err) {
+            sendCanvasError(req, res, err);
+        }
+    });
+
+    router.delete('/api/canvases/:id', auth.requireAuth, async (req, res) => {
+        try {
+            if (!(await findOwnCanvas(req, res))) return;
+
+            await canvasStore.remove(req.params.id);
+            res.json({
+                success: true,
+                message: 'Canvas deleted successfully'
+            });
+        } catch (error) {
+            sendCanvasError(req, res, error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createCanvasesRouter
+};
@@ -0,0 +1,42 @@
+// LiveKit Routes
+
+const express = require('express');
+const { LiveKitAccessError } = require('../livekit');
+
+function createLiveKitRouter(ctx) {
+    const { config, auth, rateLimiter, livekitTokens } = ctx;
+    const router = express.Router();
+
+    // LiveKit token endpoint (REST API alternative to socket)
+    // Identity and name come from the session; query: room, role (optional,
+    // may only lower the user's role, e.g. role=viewer)
+    router.get('/api/livekit-token', auth.requireAuth, rateLimiter.http('livekit-token'), async (req, res) => {
+        const room = req.query.room || config.defaultRoom;
+
+        try {
+            const grant = await livekitTokens.createUserToken(req.user, room, req.query.role);
+            res.json({
+                success: true,
+                ...grant
+            });
+        } catch (error) {
+            if (error instanceof LiveKitAccessError) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+            req.log.error('Token generation error', { component: 'livekit', error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to generate token'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createLiveKitRouter
+};
@@ -0,0 +1,254 @@
+// Media and Share Routes
+// Signed media URLs, share links and their management (see
+// lib/media-links.js and lib/share-store.js)
+
+const express = require('express');
+const { shareState } = require('../share-store');
+const { sendStoredObject, isValidKey } = require('../storage');
+const { canViewMessage, canManageMessage } = require('../videos');
+
+function createMediaRouter(ctx) {
+    const { config, auth, rateLimiter, mediaLinks, shareStore, transcodeQueue, videoStorage } = ctx;
+    const { getLiveMessage, presentMessage, presentShare } = ctx.videos;
+    const router = express.Router();
+
+    // Look up a message the signed-in user manages; sends the error response and
+    // returns null otherwise
+    async function findManagedMessage(req, res) {
+        const message = await getLiveMessage(req.params.id);
+        if (!message || !canViewMessage(req.user, message)) {
+            res.status(404).json({
+                success: false,
+                message: 'Video not found'
+            });
+            return null;
+        }
+        if (!canManageMessage(req.user, message)) {
+            res.status(403).json({
+                success: false,
+                message: 'Only the owner can share this video'
+            });
+            return null;
+        }
+        return message;
+    }
+
+    // Stream a message's upload, renditions or previews from storage with a
+    // signed media token (see lib/media-links.js). Range requests get 206
+    // partial content.
+    router.get('/media/:token/*', rateLimiter.http('media'), async (req, res) => {
+        try {
+            const link = mediaLinks.verifyMedia(req.params.token);
+            if (!link) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Link is invalid or has expired'
+                });
+            }
+
+            // Links minted from a share stop working when it is revoked
+            if (link.shareId) {
+                const share = await shareStore.get(link.shareId);
+                if (!share || share.messageId !== link.messageId || share.revokedAt) {
+                    return res.status(410).json({
+                        success: false,
+                        message: 'Share link has been revoked'
+                    });
+                }
+            }
+
+            // The upload itself, or a file the transcoder wrote for it
+            const message = await getLiveMessage(link.messageId);
+            const key = !message ? null
+                : req.params[0] === message.filename
+                    ? message.filename
+                    : transcodeQueue.outputPrefix(message.filename) + req.params[0];
+            if (!key || !isValidKey(key)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Video not found'
+                });
+            }
+
+            // The URL is only valid until the token expires; files under it don't
+            // change, so browsers may cache them that long (capped at a day)
+            const maxAge = Math.min(Math.floor((Date.parse(link.expiresAt) - Date.now()) / 1000), 24 * 60 * 60);
+            res.removeHeader('Pragma');
+            res.removeHeader('Expires');
+            res.removeHeader('Surrogate-Control');
+            res.set('Cache-Control', `private, max-age=${Math.max(maxAge, 0)}`);
+
+            const sent = await sendStoredObject(videoStorage, key, req, res);
+            if (!sent) {
+                res.set('Cache-Control', 'no-store');
+                res.status(404).json({
+                    success: false,
+                    message: 'Video not found'
+                });
+            }
+        } catch (error) {
+            if (res.headersSent) return res.destroy(error);
+            res.set('Cache-Control', 'no-store');
+            res.status(500).json({
+                success: false,
+                message: 'Error streaming video',
+                error: error.message
+            });
+        }
+    });
+
+    // Open a share link: counts a view, then redirects to the best playable file
+    // (the MP4 rendition once transcoded, else the upload). Clients asking for
+    // JSON get the video's signed URLs instead.
+    router.get('/share/:token', rateLimiter.http('share-view'), async (req, res) => {
+        try {
+            const shareId = mediaLinks.verifyShare(req.params.token);
+            const share = shareId ? await shareStore.get(shareId) : null;
+            const message = share ? await getLiveMessage(share.messageId) : null;
+            if (!message) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Share link is invalid or has expired'
+                });
+            }
+
+            const viewed = await shareStore.recordView(share.id);
+            if (!viewed) {
+                const reasons = {
+                    revoked: 'Share link has been revoked',
+                    expired: 'Share link has expired',
+                    exhausted: 'Share link has reached its view limit'
+                };
+                return res.status(410).json({
+                    success: false,
+                    message: reasons[shareState(share)] || 'Share link is no longer available'
+                });
+            }
+
+            const video = presentMessage(message, { shareId: share.id, expiresAt: share.expiresAt });
+            const playable = message.transcode?.status === 'completed' ? video.renditions.mp4.url : video.url;
+
+            if (req.accepts(['html', 'json']) === 'json') {
+                return res.json({
+                    success: true,
+                    share: { id: viewed.id, expiresAt: viewed.expiresAt, views: viewed.views, maxViews: viewed.maxViews },
+                    video: {
+                        id: video.id,
+                        title: video.title,
+                        sender: video.sender,
+                        duration: video.duration,
+                        mimetype: video.mimetype,
+                        url: video.url,
+                        playableUrl: playable,
+                        renditions: video.renditions,
+                        previews: video.previews,
+                        createdAt: video.createdAt
+                    }
+                });
+            }
+
+            res.redirect(302, playable);
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error opening share link',
+                error: error.message
+            });
+        }
+    });
+
+    // Create a share link for a video the signed-in user sent
+    // Body: { expiresIn (seconds, default config.shareTtl, max config.shareMaxTtl), maxViews? }
+    router.post('/api/videos/:id/shares', auth.requireAuth, rateLimiter.http('share-create'), express.json(), async (req, res) => {
+        const expiresIn = req.body.expiresIn === undefined ? config.shareTtl : Number(req.body.expiresIn);
+        const maxViews = req.body.maxViews === undefined || req.body.maxViews === null ? null : Number(req.body.maxViews);
+
+        if (!Number.isInteger(expiresIn) || expiresIn < 60 || expiresIn > config.shareMaxTtl) {
+            return res.status(400).json({
+                success: false,
+                message: `expiresIn must be between 60 and ${config.shareMaxTtl} seconds`
+            });
+        }
+        if (maxViews !== null && (!Number.isInteger(maxViews) || maxViews < 1)) {
+            return res.status(400).json({
+                success: false,
+                message: 'maxViews must be a positive integer'
+            });
+        }
+
+        try {
+            const message = await findManagedMessage(req, res);
+            if (!message) return;
+
+            const share = await shareStore.create({
+                messageId: message.id,
+                createdBy: req.user.id,
+                expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
+                maxViews
+            });
+            res.status(201).json({
+                success: true,
+                share: presentShare(share, req)
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error creating share link',
+                error: error.message
+            });
+        }
+    });
+
+    // Share links of a video, newest first
+    router.get('/api/videos/:id/shares', auth.requireAuth, async (req, res) => {
+        try {
+            const message = await findManagedMessage(req, res);
+            if (!message) return;
+
+            const shares = await shareStore.listByMessage(message.id);
+            res.json({
+                success: true,
+                shares: shares.map(share => presentShare(share, req))
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error listing share links',
+                error: error.message
+            });
+        }
+    });
+
+    // Revoke a share link; media URLs already handed out through it stop working
+    router.delete('/api/videos/:id/shares/:shareId', auth.requireAuth, async (req, res) => {
+        try {
+            const message = await findManagedMessage(req, res);
+            if (!message) return;
+
+            const share = await shareStore.get(req.params.shareId);
+            if (!share || share.messageId !== message.id) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Share link not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                share: presentShare(await shareStore.revoke(share.id), req)
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error revoking share link',
+                error: error.message
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createMediaRouter
+};
@@ -0,0 +1,118 @@
+// Room Routes
+// The room registry over REST; presence itself lives on the sockets (see
+// lib/sockets/presence.js)
+
+const express = require('express');
+const { RoomError } = require('../room-store');
+const { LiveKitAccessError } = require('../livekit');
+
+function sendRoomError(req, res, error) {
+    if (error instanceof RoomError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    req.log.error('Room error', { component: 'rooms', error });
+    res.status(500).json({
+        success: false,
+        message: 'Room error',
+        error: error.message
+    });
+}
+
+function createRoomsRouter(ctx) {
+    const { auth, roomStore, livekitTokens } = ctx;
+    const { roomSummary, roomUsers, createRoom, removeUserFromRoom } = ctx.presence;
+    const router = express.Router();
+
+    // List rooms with their online user counts
+    router.get('/api/rooms', auth.requireAuth, async (req, res) => {
+        try {
+            const rooms = await Promise.all((await roomStore.list()).map(roomSummary));
+            res.json({
+                success: true,
+                count: rooms.length,
+                rooms
+            });
+        } catch (error) {
+            sendRoomError(req, res, error);
+        }
+    });
+
+    // Create a room: { name, title? } - the creator hosts it on LiveKit
+    router.post('/api/rooms', auth.requireAuth, express.json(), async (req, res) => {
+        try {
+            const room = await createRoom(req.user, req.body);
+            res.status(201).json({ success: true, room: await roomSummary(room) });
+        } catch (error) {
+            sendRoomError(req, res, error);
+        }
+    });
+
+    // Room details with the users currently in it
+    router.get('/api/rooms/:name', auth.requireAuth, async (req, res) => {
+        try {
+            const room = await roomStore.get(req.params.name);
+            if (!room) throw new RoomError('Room not found', 404);
+
+            res.json({
+                success: true,
+                room: await roomSummary(room),
+                users: await roomUsers(room.name)
+            });
+        } catch (error) {
+            sendRoomError(req, res, error);
+        }
+    });
+
+    // Join a room over REST: returns a LiveKit token for it. Presence starts
+    // when a socket joins (socket 'room-join' or 'login' with { room }).
+    // Body: { role? } - may only lower the user's role
+    router.post('/api/rooms/:name/join', auth.requireAuth, express.json(), async (req, res) => {
+        try {
+            const room = await roomStore.get(req.params.name);
+            if (!room) throw new RoomError('Room not found', 404);
+
+            const grant = livekitTokens.configured
+                ? await livekitTokens.createUserToken(req.user, room.name, req.body.role)
+                : null;
+
+            res.json({
+                success: true,
+                room: await roomSummary(room),
+                users: await roomUsers(room.name),
+                livekit: grant
+            });
+        } catch (error) {
+            if (error instanceof LiveKitAccessError) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+            sendRoomError(req, res, error);
+        }
+    });
+
+    // Leave a room: removes all of the user's sockets from it, on every
+    // server instance
+    router.post('/api/rooms/:name/leave', auth.requireAuth, async (req, res) => {
+        try {
+            const left = await removeUserFromRoom(req.user.id, req.params.name);
+            res.json({
+                success: true,
+                left
+            });
+        } catch (error) {
+            sendRoomError(req, res, error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createRoomsRouter
+};
@@ -0,0 +1,78 @@
+// System Routes
+// Health, liveness and readiness checks (see lib/health.js), Prometheus
+// metrics (see lib/metrics.js) and the web client's entry page
+
+const crypto = require('crypto');
+const express = require('express');
+const path = require('path');
+
+// Constant-time check of an Authorization header against "Bearer <token>".
+// Both sides are hashed first so their lengths always match.
+function hasBearerToken(header, token) {
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(header || ''), digest(`Bearer ${token}`));
+}
+
+function createSystemRouter(ctx) {
+    const { livekit, publicDir, sharedState } = ctx.config;
+    const { connectedCount } = ctx.presence;
+    const { metrics, health } = ctx;
+    const metricsToken = ctx.config.metrics.token;
+    const router = express.Router();
+
+    // Summary for people (shows whether LiveKit is configured and the shared
+    // state); probes use /livez and /readyz
+    router.get('/health', async (req, res) => {
+        res.json({
+            status: 'ok',
+            node: process.version,
+            livekit: {
+                configured: !!(livekit.apiKey && livekit.apiSecret && livekit.url),
+                apiKeySet: !!livekit.apiKey,
+                apiSecretSet: !!livekit.apiSecret,
+            },
+            sharedState: {
+                driver: sharedState.driver,
+                instance: sharedState.instanceId
+            },
+            connectedUsers: await connectedCount().catch(() => null),
+        });
+    });
+
+    // Liveness: the process is serving requests
+    router.get('/livez', (req, res) => {
+        res.json(health.liveness());
+    });
+
+    // Readiness: 503 while a critical dependency is failing or the server
+    // is draining for a restart
+    router.get('/readyz', async (req, res) => {
+        const result = await health.readiness();
+        res.status(result.ready ? 200 : 503).json(result);
+    });
+
+    // Prometheus scrape endpoint; with METRICS_TOKEN set it needs
+    // "Authorization: Bearer <token>", otherwise anyone can read it
+    router.get('/metrics', (req, res) => {
+        if (metricsToken && !hasBearerToken(req.get('Authorization'), metricsToken)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Metrics token required'
+            });
+        }
+
+        res.set('Content-Type', metrics.contentType);
+        res.send(metrics.render());
+    });
+
+    // Home route
+    router.get('/', (req, res) => {
+        res.sendFile(path.join(publicDir, 'index.html'));
+    });
+
+    return router;
+}
+
+module.exports = {
+    createSystemRouter
+};
@@ -0,0 +1,308 @@
+// Upload Routes
+// Single-request uploads (POST /upload), resumable chunked uploads
+// (/api/uploads) and the status of the transcode each upload queues
+
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const { UploadSessionError } = require('../upload-sessions');
+const { VideoFormatError } = require('../video-sniffer');
+const { generateVideoFilename } = require('../videos');
+
+function sendUploadSessionError(req, res, error) {
+    if (error instanceof VideoFormatError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error instanceof UploadSessionError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            offset: error.offset
+        });
+    }
+
+    req.log.error('Upload session error', { component: 'uploads', error });
+    res.status(500).json({
+        success: false,
+        message: 'Upload session error',
+        error: error.message
+    });
+}
+
+// The form fields recordUpload takes from a client. Anonymous uploads get no
+// sender or recipients: anyone could pose as someone else.
+function uploadFields(req) {
+    const { title, duration, recipients } = req.body || {};
+    return req.user ? { title, duration, recipients } : { title, duration };
+}
+
+function createUploadsRouter(ctx) {
+    const { config, auth, rateLimiter, uploadSessions, transcodeQueue, metrics } = ctx;
+    const { recordUpload, presentMessage } = ctx.videos;
+    const router = express.Router();
+
+    // Uploads and chunks are timed from when their body starts arriving until
+    // they're stored; only successful ones are counted
+    const timeUpload = kind => (req, res, next) => {
+        req.uploadTimer = metrics.uploadDuration.startTimer({ kind });
+        next();
+    };
+    function countUpload(req, kind, bytes) {
+        metrics.uploadBytes.inc({ kind }, bytes);
+        req.uploadTimer();
+    }
+
+    // Configure multer for file uploads (moved into storage once recorded). The
+    // client's file name isn't used: recordUpload names the stored file after
+    // the container it actually contains.
+    const storage = multer.diskStorage({
+        destination: (req, file, cb) => {
+            cb(null, config.uploadTmpDir);
+        },
+        filename: (req, file, cb) => {
+            cb(null, generateVideoFilename('.upload'));
+        }
+    });
+
+    // File filter to turn away anything not declared as video early; the content
+    // itself is checked by recordUpload
+    const fileFilter = (req, file, cb) => {
+        // MediaRecorder types carry codecs ('video/webm;codecs=vp8,opus')
+        if (config.uploads.allowedTypes.includes(file.mimetype.split(';')[0].trim())) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only video files are allowed.'), false);
+        }
+    };
+
+    const upload = multer({
+        storage: storage,
+        fileFilter: fileFilter,
+        limits: {
+            fileSize: config.uploads.maxFileSize
+        }
+    });
+
+    // Upload endpoint
+    // Optional form fields: recipients (signed in only), title, duration (seconds)
+    router.post('/upload', auth.optionalAuth, rateLimiter.http('upload'), timeUpload('file'), upload.single('video'), async (req, res) => {
+        try {
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No video file uploaded'
+                });
+            }
+
+            const message = presentMessage(await recordUpload(req.file, uploadFields(req), req.user));
+            countUpload(req, 'file', req.file.size);
+
+            res.json({
+                success: true,
+                message: 'Video uploaded successfully',
+                messageId: message.id,
+                url: `${req.protocol}://${req.get('host')}${message.url}`,
+                filename: message.filename,
+                size: message.size,
+                mimetype: message.mimetype,
+                media: message.media,
+                transcode: message.transcode,
+                previews: message.previews
+            });
+
+        } catch (error) {
+            if (error instanceof VideoFormatError) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
+            req.log.error('Upload error', { component: 'uploads', error });
+            res.status(500).json({
+                success: false,
+                message: 'Error uploading video',
+                error: error.message
+            });
+        }
+    });
+
+    // Load an upload session for its creator, or answer 404. Requests carry
+    // the session's Upload-Token; sessions opened while signed in also need
+    // the same user.
+    async function findOwnSession(req, res) {
+        const session = await uploadSessions.get(req.params.id);
+        if (!session || !uploadSessions.isCreator(session, req.get('Upload-Token'), req.user)) {
+            res.status(404).json({
+                success: false,
+                message: 'Upload session not found'
+            });
+            return null;
+        }
+        return session;
+    }
+
+    // Start a resumable upload
+    // Body: { mimetype, size? } - size is the total length if already known
+    router.post('/api/uploads', auth.optionalAuth, rateLimiter.http('upload'), express.json(), async (req, res) => {
+        const mimetype = String(req.body.mimetype || '').split(';')[0].trim();
+
+        if (!config.uploads.allowedTypes.includes(mimetype)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid file type. Only video files are allowed.'
+            });
+        }
+
+        try {
+            const session = await uploadSessions.create({
+                mimetype,
+                size: parseInt(req.body.size, 10) || null,
+                owner: req.user ? req.user.id : null
+            });
+
+            res.status(201).json({
+                success: true,
+                uploadId: session.id,
+                uploadToken: session.token,
+                offset: session.offset,
+                maxChunkSize: uploadSessions.maxChunkSize
+            });
+        } catch (error) {
+            sendUploadSessionError(req, res, error);
+        }
+    });
+
+    // Current offset of a resumable upload (used to resume after network loss)
+    router.get('/api/uploads/:id', auth.optionalAuth, async (req, res) => {
+        try {
+            const session = await findOwnSession(req, res);
+            if (!session) return;
+
+            res.json({
+                success: true,
+                uploadId: session.id,
+                offset: session.offset,
+                size: session.size
+            });
+        } catch (error) {
+            sendUploadSessionError(req, res, error);
+        }
+    });
+
+    // Append a chunk: raw bytes in the body, starting at the Upload-Offset header
+    router.patch('/api/uploads/:id', auth.optionalAuth, rateLimiter.http('upload-chunk'), timeUpload('chunk'), async (req, res) => {
+        const offset = parseInt(req.get('Upload-Offset'), 10);
+
+        if (!Number.isInteger(offset) || offset < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing or invalid Upload-Offset header'
+            });
+        }
+
+        try {
+            if (!(await findOwnSession(req, res))) return;
+
+            const newOffset = await uploadSessions.append(req.params.id, offset, req);
+            countUpload(req, 'chunk', newOffset - offset);
+            res.json({
+                success: true,
+                offset: newOffset
+            });
+        } catch (error) {
+            // Client went away mid-chunk; it will resume from the stored offset
+            if (req.socket.destroyed) return;
+            sendUploadSessionError(req, res, error);
+        }
+    });
+
+    // Finalize: move the assembled file into uploads and record the message
+    // Body: same optional fields as /upload (recipients, title, duration)
+    router.post('/api/uploads/:id/complete', auth.optionalAuth, express.json(), async (req, res) => {
+        try {
+            const session = await findOwnSession(req, res);
+            if (!session) return;
+
+            const tmpPath = path.join(config.uploadTmpDir, generateVideoFilename('.upload'));
+            const completed = await uploadSessions.complete(session.id, tmpPath);
+            const file = { path: tmpPath, size: completed.size, mimetype: completed.mimetype };
+            const message = presentMessage(await recordUpload(file, uploadFields(req), req.user));
+
+            res.json({
+                success: true,
+                message: 'Video uploaded successfully',
+                messageId: message.id,
+                url: `${req.protocol}://${req.get('host')}${message.url}`,
+                filename: message.filename,
+                size: message.size,
+                mimetype: message.mimetype,
+                media: message.media,
+                transcode: message.transcode,
+                previews: message.previews
+            });
+        } catch (error) {
+            sendUploadSessionError(req, res, error);
+        }
+    });
+
+    // Cancel a resumable upload (e.g. recording discarded)
+    router.delete('/api/uploads/:id', auth.optionalAuth, async (req, res) => {
+        try {
+            if (!(await findOwnSession(req, res))) return;
+
+            const removed = await uploadSessions.abort(req.params.id);
+            if (!removed) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Upload session not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Upload cancelled'
+            });
+        } catch (error) {
+            sendUploadSessionError(req, res, error);
+        }
+    });
+
+    // Status of a transcoding job: { id, messageId, status, progress (0-1), error,
+    // previews, renditions, createdAt, startedAt, finishedAt }. Finished jobs
+    // are only on their message.
+    router.get('/api/transcode-jobs/:id', async (req, res) => {
+        try {
+            const job = await transcodeQueue.get(req.params.id);
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Transcoding job not found'
+                });
+            }
+
+            // ffmpeg's output stays in the server log
+            const { log, ...status } = job;
+            res.json({
+                success: true,
+                job: status
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error reading transcoding job',
+                error: error.message
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createUploadsRouter
+};
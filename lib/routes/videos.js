@@ -0,0 +1,177 @@
+// Video Routes
+// Listing, inbox history, trash and restore for the signed-in user's videos
+
+const express = require('express');
+const { canViewMessage, canManageMessage } = require('../videos');
+
+function createVideosRouter(ctx) {
+    const { auth, messageStore, inboxStore } = ctx;
+    const { getLiveMessage, presentMessage, purgeTime } = ctx.videos;
+    const router = express.Router();
+
+    // List the signed-in user's videos (owned or received; admins see all).
+    // Videos in the trash are left out.
+    // Query: sender, recipient, status, sort (createdAt|size|duration|title),
+    //        order (asc|desc), limit (max 100), offset
+    router.get('/api/videos', auth.requireAuth, async (req, res) => {
+        try {
+            const { sender, recipient, status, sort, order, limit, offset } = req.query;
+            const participant = req.user.role === 'admin' ? undefined : { id: req.user.id, username: req.user.username };
+            const result = await messageStore.list({ sender, recipient, participant, status, sort, order, limit, offset });
+
+            const videos = result.items.map(message => ({
+                ...presentMessage(message),
+                created: message.createdAt
+            }));
+
+            res.json({
+                success: true,
+                count: videos.length,
+                total: result.total,
+                limit: result.limit,
+                offset: result.offset,
+                videos: videos
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error listing videos',
+                error: error.message
+            });
+        }
+    });
+
+    // Video message inbox history for the signed-in user
+    // Query: box (received|sent, default received), status (queued|delivered|read),
+    //        limit (max 100), offset
+    router.get('/api/inbox', auth.requireAuth, async (req, res) => {
+        const { box, status, limit, offset } = req.query;
+
+        try {
+            const result = await inboxStore.history(req.user.id, { box, status, limit, offset });
+
+            // Fresh signed URLs for messages that still exist
+            const messages = [];
+            for (const entry of result.items) {
+                const message = await getLiveMessage(entry.messageId);
+                messages.push({ ...entry, videoUrl: message ? presentMessage(message).url : null });
+            }
+
+            res.json({
+                success: true,
+                count: messages.length,
+                total: result.total,
+                limit: result.limit,
+                offset: result.offset,
+                messages
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error reading inbox',
+                error: error.message
+            });
+        }
+    });
+
+    // Move a video to the trash (owner or admin only). `:filename` may also be
+    // the message id. Trashed videos stop streaming and can be restored until
+    // they are purged TRASH_DAYS later.
+    router.delete('/api/videos/:filename', auth.requireAuth, async (req, res) => {
+        const filename = req.params.filename;
+
+        try {
+            const message = filename.startsWith('msg_')
+                ? await getLiveMessage(filename)
+                : await messageStore.findByFilename(filename);
+            if (!message || message.deletedAt || !canViewMessage(req.user, message)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Video not found'
+                });
+            }
+            if (!canManageMessage(req.user, message)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only the owner can delete this video'
+                });
+            }
+
+            const trashed = await messageStore.update(message.id, { deletedAt: new Date().toISOString() });
+
+            res.json({
+                success: true,
+                message: 'Video moved to trash',
+                messageId: trashed.id,
+                purgeAt: purgeTime(trashed)
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error deleting video',
+                error: error.message
+            });
+        }
+    });
+
+    // The signed-in user's trashed videos (admins see all), most recently
+    // deleted first. Query: limit (max 100), offset
+    router.get('/api/videos/trash', auth.requireAuth, async (req, res) => {
+        try {
+            const owner = req.user.role === 'admin' ? undefined : req.user.id;
+            const result = await messageStore.list({
+                owner,
+                deleted: true,
+                sort: 'deletedAt',
+                limit: req.query.limit,
+                offset: req.query.offset
+            });
+
+            res.json({
+                success: true,
+                count: result.items.length,
+                total: result.total,
+                limit: result.limit,
+                offset: result.offset,
+                videos: result.items.map(message => ({ ...message, purgeAt: purgeTime(message) }))
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error listing trash',
+                error: error.message
+            });
+        }
+    });
+
+    // Take a video out of the trash
+    router.post('/api/videos/:id/restore', auth.requireAuth, async (req, res) => {
+        try {
+            const message = await messageStore.get(req.params.id);
+            if (!message || !message.deletedAt || !canManageMessage(req.user, message)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Video not found in trash'
+                });
+            }
+
+            const restored = await messageStore.update(message.id, { deletedAt: null });
+            res.json({
+                success: true,
+                video: presentMessage(restored)
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error restoring video',
+                error: error.message
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createVideosRouter
+};
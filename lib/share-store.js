@@ -0,0 +1,141 @@
+// Share Link Store
+// Share links let a video message's sender hand it to people without an
+// account. Each share has an expiry, an optional view limit and can be
+// revoked; the signed URL itself is minted by media-links.js.
+//
+// Same driver interface as the other stores: init(), create(share), get(id),
+// listByMessage(messageId), recordView(id), revoke(id), removeByMessage(messageId)
+
+const crypto = require('crypto');
+const { readJsonFile, createJsonWriter } = require('./json-file');
+
+function generateShareId() {
+    return 'shr_' + crypto.randomBytes(9).toString('base64url');
+}
+
+// 'active', 'revoked', 'expired' or 'exhausted' (view limit reached)
+function shareState(share) {
+    if (share.revokedAt) return 'revoked';
+    if (Date.parse(share.expiresAt) <= Date.now()) return 'expired';
+    if (share.maxViews !== null && share.views >= share.maxViews) return 'exhausted';
+    return 'active';
+}
+
+// ==================== IN-MEMORY DRIVER ====================
+
+class MemoryShareStore {
+    constructor() {
+        this.shares = new Map(); // id -> share
+    }
+
+    async init() {}
+
+    // share: { messageId, createdBy (user id), expiresAt (ISO), maxViews (null = unlimited) }
+    async create(input) {
+        const share = {
+            id: generateShareId(),
+            messageId: input.messageId,
+            createdBy: input.createdBy,
+            expiresAt: input.expiresAt,
+            maxViews: Number.isInteger(input.maxViews) ? input.maxViews : null,
+            views: 0,
+            revokedAt: null,
+            lastViewedAt: null,
+            createdAt: new Date().toISOString()
+        };
+
+        this.shares.set(share.id, share);
+        await this.persist();
+        return { ...share };
+    }
+
+    async get(id) {
+        const share = this.shares.get(id);
+        return share ? { ...share } : null;
+    }
+
+    // Newest first
+    async listByMessage(messageId) {
+        return Array.from(this.shares.values())
+            .filter(share => share.messageId === messageId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(share => ({ ...share }));
+    }
+
+    // Count a view. Returns the updated share, or null if it isn't active.
+    async recordView(id) {
+        const share = this.shares.get(id);
+        if (!share || shareState(share) !== 'active') return null;
+
+        share.views++;
+        share.lastViewedAt = new Date().toISOString();
+        await this.persist();
+        return { ...share };
+    }
+
+    async revoke(id) {
+        const share = this.shares.get(id);
+        if (!share) return null;
+
+        if (!share.revokedAt) {
+            share.revokedAt = new Date().toISOString();
+            await this.persist();
+        }
+        return { ...share };
+    }
+
+    // Drop every share of a deleted message
+    async removeByMessage(messageId) {
+        let removed = 0;
+        for (const [id, share] of this.shares) {
+            if (share.messageId === messageId) {
+                this.shares.delete(id);
+                removed++;
+            }
+        }
+        if (removed > 0) await this.persist();
+        return removed;
+    }
+
+    async persist() {}
+}
+
+// ==================== JSON FILE DRIVER ====================
+
+class JsonFileShareStore extends MemoryShareStore {
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+        this.write = createJsonWriter(filePath);
+    }
+
+    async init() {
+        const data = await readJsonFile(this.filePath, { shares: [] });
+        (data.shares || []).forEach(share => this.shares.set(share.id, share));
+    }
+
+    persist() {
+        return this.write({ shares: Array.from(this.shares.values()) });
+    }
+}
+
+// Create a share store for the given driver ('json' or 'memory')
+function createShareStore(options = {}) {
+    const driver = options.driver || 'json';
+
+    switch (driver) {
+        case 'memory':
+            return new MemoryShareStore();
+        case 'json':
+            return new JsonFileShareStore(options.filePath);
+        default:
+            throw new Error(`Unknown share store driver: ${driver}`);
+    }
+}
+
+module.exports = {
+    createShareStore,
+    shareState,
+    MemoryShareStore,
+    JsonFileShareStore
+};
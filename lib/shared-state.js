@@ -0,0 +1,175 @@
+// Shared State
+// Live state that every server instance has to agree on: who is connected,
+// who is in which room, circle positions, formations and the studio
+// canvases. Values are JSON, grouped in hashes (key -> field -> value).
+//
+// Driver interface: init(), close(), ping(), adapter(), get(key, field),
+// getAll(key), set(key, field, value), remove(key, field), count(key),
+// clear(key)
+//
+// The memory driver is for a single instance. The Redis driver is shared by
+// every instance using the same REDIS_URL, and its adapter() carries
+// socket.io broadcasts between them, so users on different instances see
+// each other.
+
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { createLogger } = require('./logger');
+
+// How long requests to other instances (fetchSockets, serverSideEmit with an
+// acknowledgement) wait for answers
+const REQUEST_TIMEOUT = 2000;
+
+// ==================== IN-MEMORY DRIVER ====================
+
+class MemorySharedState {
+    constructor() {
+        this.driver = 'memory';
+        this.distributed = false;
+        this.hashes = new Map(); // key -> Map(field -> JSON)
+    }
+
+    async init() {}
+
+    async close() {}
+
+    async ping() {}
+
+    // One instance: socket.io's default in-memory adapter
+    adapter() {
+        return null;
+    }
+
+    // Values are stored serialized, like in Redis, so callers never share
+    // objects with the store
+    async get(key, field) {
+        const value = this.hashes.get(key)?.get(String(field));
+        return value === undefined ? null : JSON.parse(value);
+    }
+
+    async getAll(key) {
+        const values = {};
+        (this.hashes.get(key) || new Map()).forEach((value, field) => {
+            values[field] = JSON.parse(value);
+        });
+        return values;
+    }
+
+    async set(key, field, value) {
+        if (!this.hashes.has(key)) this.hashes.set(key, new Map());
+        this.hashes.get(key).set(String(field), JSON.stringify(value));
+    }
+
+    // Returns true if the field existed
+    async remove(key, field) {
+        const hash = this.hashes.get(key);
+        if (!hash || !hash.delete(String(field))) return false;
+        if (hash.size === 0) this.hashes.delete(key);
+        return true;
+    }
+
+    async count(key) {
+        return this.hashes.get(key)?.size || 0;
+    }
+
+    async clear(key) {
+        this.hashes.delete(key);
+    }
+}
+
+// ==================== REDIS DRIVER ====================
+// One connection for commands (also used by the adapter to publish) and one
+// for the adapter's subscriptions
+
+class RedisSharedState {
+    constructor({ redisUrl, prefix = '', logger = createLogger() }) {
+        this.driver = 'redis';
+        this.distributed = true;
+        this.prefix = prefix;
+        this.log = logger.child({ component: 'shared-state' });
+        this.client = createClient({ url: redisUrl });
+        this.subscriber = this.client.duplicate();
+
+        [this.client, this.subscriber].forEach(client => {
+            client.on('error', error => this.log.error('Redis error', { error: error.message }));
+        });
+    }
+
+    async init() {
+        await this.client.connect();
+        await this.subscriber.connect();
+        this.log.info('Connected to Redis');
+    }
+
+    async close() {
+        await Promise.all([this.client, this.subscriber]
+            .filter(client => client.isOpen)
+            .map(client => client.quit()));
+    }
+
+    // Round-trip to Redis (health checks)
+    async ping() {
+        await this.client.ping();
+    }
+
+    adapter() {
+        return createAdapter(this.client, this.subscriber, {
+            key: `${this.prefix}socket.io`,
+            requestsTimeout: REQUEST_TIMEOUT
+        });
+    }
+
+    key(key) {
+        return this.prefix + key;
+    }
+
+    async get(key, field) {
+        const value = await this.client.hGet(this.key(key), String(field));
+        return value == null ? null : JSON.parse(value);
+    }
+
+    async getAll(key) {
+        const hash = await this.client.hGetAll(this.key(key));
+        const values = {};
+        Object.entries(hash).forEach(([field, value]) => {
+            values[field] = JSON.parse(value);
+        });
+        return values;
+    }
+
+    async set(key, field, value) {
+        await this.client.hSet(this.key(key), String(field), JSON.stringify(value));
+    }
+
+    async remove(key, field) {
+        return (await this.client.hDel(this.key(key), String(field))) > 0;
+    }
+
+    async count(key) {
+        return this.client.hLen(this.key(key));
+    }
+
+    async clear(key) {
+        await this.client.del(this.key(key));
+    }
+}
+
+// Create the shared state for the given driver ('memory' or 'redis')
+function createSharedState(options = {}) {
+    const driver = options.driver || 'memory';
+
+    switch (driver) {
+        case 'memory':
+            return new MemorySharedState();
+        case 'redis':
+            return new RedisSharedState(options);
+        default:
+            throw new Error(`Unknown shared state driver: ${driver}`);
+    }
+}
+
+module.exports = {
+    createSharedState,
+    MemorySharedState,
+    RedisSharedState
+};
@@ -0,0 +1,294 @@
+// Socket Event Schemas
+// Every inbound socket.io event is checked against a declarative schema
+// before its handler runs, so handlers can trust the shape of `data`. Events
+// without a schema are refused. A rejected event never reaches its handler;
+// the client gets an acknowledgement { success: false, error, message } if it
+// asked for one, and an 'invalid-payload' { event, message } event otherwise.
+//
+// Schemas are plain objects:
+//   type        - 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array',
+//                 or a list of them ('string' or 'integer' ids)
+//   optional    - undefined is allowed;  nullable - null is allowed
+//   min, max    - number range;  maxLength, pattern, enum - strings
+//   properties  - object fields;  values - schema for every value of a map
+//   maxKeys     - object size;  items, maxItems - arrays (items may be a
+//                 list of schemas for a fixed-length tuple)
+//   maxBytes    - JSON-encoded size (for opaque values like SDP or canvas props)
+
+// ==================== BUILDING BLOCKS ====================
+
+const id = { type: 'string', maxLength: 128 };
+const socketId = { type: 'string', maxLength: 64 };
+const roomName = { type: 'string', maxLength: 64 };
+const coordinate = { type: 'number', min: -100000, max: 100000 };
+const emoji = { type: 'string', maxLength: 32 };
+const color = { type: 'string', maxLength: 32, optional: true };
+const NO_PAYLOAD = { type: 'object', optional: true, nullable: true, maxKeys: 8 };
+
+// RTCSessionDescription / RTCIceCandidate as JSON
+const sessionDescription = {
+    type: 'object',
+    properties: {
+        type: { type: 'string', enum: ['offer', 'answer', 'pranswer', 'rollback'] },
+        sdp: { type: 'string', maxLength: 64 * 1024, optional: true }
+    }
+};
+const iceCandidate = {
+    type: 'object',
+    maxBytes: 4096,
+    properties: {
+        candidate: { type: 'string', maxLength: 2048 },
+        sdpMid: { type: 'string', maxLength: 64, optional: true, nullable: true },
+        sdpMLineIndex: { type: 'integer', min: 0, max: 1024, optional: true, nullable: true }
+    }
+};
+
+// Studio CRDT operation (see public/js/studio-crdt.js)
+const objectId = { type: ['string', 'integer'], maxLength: 64 };
+const clock = { type: 'array', items: [{ type: 'integer', min: 0 }, { type: 'string', maxLength: 64 }] };
+const objectProps = { type: 'object', maxKeys: 200, maxBytes: 5 * 1024 * 1024 };
+
+const position = {
+    type: 'object',
+    properties: {
+        x: coordinate,
+        y: coordinate,
+        scale: { type: 'number', min: 0, max: 10, optional: true }
+    }
+};
+
+// ==================== EVENT REGISTRY ====================
+
+const SOCKET_EVENT_SCHEMAS = {
+    login: { type: 'object', optional: true, properties: { room: { ...roomName, optional: true } } },
+
+    // WebRTC signaling
+    offer: { type: 'object', properties: { offer: sessionDescription, to: socketId } },
+    answer: { type: 'object', properties: { answer: sessionDescription, to: socketId } },
+    'ice-candidate': { type: 'object', properties: { candidate: iceCandidate, to: socketId } },
+
+    // Rooms
+    'room-list': NO_PAYLOAD,
+    'room-create': {
+        type: 'object',
+        properties: { name: roomName, title: { type: 'string', maxLength: 100, optional: true, nullable: true } }
+    },
+    'room-join': { type: 'object', properties: { room: roomName } },
+    'room-leave': NO_PAYLOAD,
+    getLiveKitToken: {
+        type: 'object',
+        optional: true,
+        properties: {
+            roomName: { ...roomName, optional: true, nullable: true },
+            role: { type: 'string', enum: ['viewer', 'speaker', 'host'], optional: true, nullable: true }
+        }
+    },
+
+    // Room recording
+    'recording-start': {
+        type: 'object',
+        optional: true,
+        properties: { title: { type: 'string', maxLength: 100, optional: true, nullable: true } }
+    },
+    'recording-stop': NO_PAYLOAD,
+    'recording-status-request': NO_PAYLOAD,
+
+    // Video messages
+    'send-video-message': {
+        type: 'object',
+        properties: {
+            messageId: id,
+            to: { ...id, optional: true, nullable: true },
+            toUsername: { type: 'string', maxLength: 64, optional: true, nullable: true }
+        }
+    },
+    'video-message-ack': { type: 'object', properties: { inboxId: id } },
+    'video-message-read': { type: 'object', properties: { inboxId: id } },
+
+    // Room decorations
+    'stickers-update': {
+        type: 'object',
+        properties: {
+            stickers: {
+                type: 'array',
+                maxItems: 100,
+                items: {
+                    type: 'object',
+                    properties: {
+                        emoji,
+                        x: coordinate,
+                        y: coordinate,
+                        size: { type: 'number', min: 0, max: 2000 },
+                        rotation: { type: 'number', min: -100000, max: 100000, optional: true }
+                    }
+                }
+            }
+        }
+    },
+    'emoji-tag': {
+        type: 'object',
+        properties: { targetId: id, emoji, fromUser: { type: 'string', maxLength: 64, optional: true } }
+    },
+    'smile-status': { type: 'object', properties: { isSmiling: { type: 'boolean' }, participantId: id } },
+
+    // Circle positions (Shared Reality)
+    'video-position-update': {
+        type: 'object',
+        properties: {
+            participantId: id,
+            x: coordinate,
+            y: coordinate,
+            timestamp: { type: 'number', min: 0, optional: true },
+            scale: { type: 'number', min: 0, max: 10, optional: true }
+        }
+    },
+    'video-position-sync-request': NO_PAYLOAD,
+    'video-formation-change': {
+        type: 'object',
+        properties: {
+            formation: { type: 'string', enum: ['cluster', 'audience', 'stack', 'scatter'] },
+            presenterId: { ...id, optional: true, nullable: true },
+            targetPositions: { type: 'object', maxKeys: 100, values: position, optional: true, nullable: true }
+        }
+    },
+
+    // Studio
+    'studio-join': NO_PAYLOAD,
+    'studio-leave': NO_PAYLOAD,
+    'studio-cursor-update': {
+        type: 'object',
+        properties: { x: coordinate, y: coordinate, color, name: { type: 'string', maxLength: 64, optional: true } }
+    },
+    'studio-reaction': { type: 'object', properties: { emoji, color } },
+    'studio-object-added': { type: 'object', properties: { objectId, props: objectProps, clock } },
+    'studio-object-modified': { type: 'object', properties: { objectId, props: objectProps, clock } },
+    'studio-object-removed': { type: 'object', properties: { objectId, clock } },
+    'studio-canvas-sync-request': NO_PAYLOAD
+};
+
+// ==================== VALIDATION ====================
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) return 'non-finite number';
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+function matchesType(expected, actual) {
+    return expected === actual || (expected === 'number' && actual === 'integer');
+}
+
+function byteSize(value) {
+    try {
+        return Buffer.byteLength(JSON.stringify(value));
+    } catch {
+        return Infinity;
+    }
+}
+
+// Returns an error message for the first problem found, or null
+function validate(schema, value, path = 'data') {
+    if (value === undefined) return schema.optional ? null : `${path} is required`;
+    if (value === null) {
+        if (schema.nullable) return null;
+        return schema.optional ? null : `${path} is required`;
+    }
+
+    const actual = typeOf(value);
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(type, actual))) {
+        return `${path} must be ${types.map(type => (type === 'integer' || type === 'array' || type === 'object' ? 'an ' : 'a ') + type).join(' or ')}`;
+    }
+
+    if (schema.maxBytes && byteSize(value) > schema.maxBytes) {
+        return `${path} must be at most ${schema.maxBytes} bytes`;
+    }
+
+    switch (actual) {
+        case 'number':
+        case 'integer':
+            if (schema.min !== undefined && value < schema.min) return `${path} must be at least ${schema.min}`;
+            if (schema.max !== undefined && value > schema.max) return `${path} must be at most ${schema.max}`;
+            return null;
+
+        case 'string':
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                return `${path} must be at most ${schema.maxLength} characters`;
+            }
+            if (schema.enum && !schema.enum.includes(value)) return `${path} must be one of ${schema.enum.join(', ')}`;
+            if (schema.pattern && !schema.pattern.test(value)) return `${path} is not valid`;
+            return null;
+
+        case 'array': {
+            if (Array.isArray(schema.items)) {
+                if (value.length !== schema.items.length) return `${path} must have ${schema.items.length} items`;
+                for (let i = 0; i < value.length; i++) {
+                    const error = validate(schema.items[i], value[i], `${path}[${i}]`);
+                    if (error) return error;
+                }
+                return null;
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                return `${path} must have at most ${schema.maxItems} items`;
+            }
+            if (schema.items) {
+                for (let i = 0; i < value.length; i++) {
+                    const error = validate(schema.items, value[i], `${path}[${i}]`);
+                    if (error) return error;
+                }
+            }
+            return null;
+        }
+
+        case 'object': {
+            const keys = Object.keys(value);
+            if (schema.maxKeys !== undefined && keys.length > schema.maxKeys) {
+                return `${path} must have at most ${schema.maxKeys} fields`;
+            }
+            for (const [key, fieldSchema] of Object.entries(schema.properties || {})) {
+                const error = validate(fieldSchema, value[key], `${path}.${key}`);
+                if (error) return error;
+            }
+            if (schema.values) {
+                for (const key of keys) {
+                    const error = validate(schema.values, value[key], `${path}.${key}`);
+                    if (error) return error;
+                }
+            }
+            return null;
+        }
+
+        default:
+            return null;
+    }
+}
+
+// socket.io per-socket middleware (socket.use) that checks each event's
+// payload against `schemas` (default SOCKET_EVENT_SCHEMAS)
+function socketValidator(socket, schemas = SOCKET_EVENT_SCHEMAS) {
+    return (packet, next) => {
+        const [event, ...args] = packet;
+        const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+
+        const schema = Object.prototype.hasOwnProperty.call(schemas, event) ? schemas[event] : null;
+        const error = schema ? validate(schema, args[0]) : `Unknown event: ${event}`;
+        if (!error) return next();
+
+        const message = schema ? `Invalid '${event}' payload: ${error}` : error;
+        if (callback) {
+            callback({ success: false, error: message, message });
+        } else {
+            socket.emit('invalid-payload', { event, message });
+        }
+    };
+}
+
+module.exports = {
+    SOCKET_EVENT_SCHEMAS,
+    validate,
+    socketValidator
+};
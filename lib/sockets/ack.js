@@ -0,0 +1,8 @@
+// Answer a socket.io acknowledgement if the client asked for one
+function ack(callback, payload) {
+    if (typeof callback === 'function') callback(payload);
+}
+
+module.exports = {
+    ack
+};
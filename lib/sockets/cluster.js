@@ -0,0 +1,45 @@
+// Cluster
+// Messages between server instances, for work that has to happen on the
+// instance holding a socket or a cached studio canvas. They ride on the
+// socket.io adapter's server-side events, so they only go anywhere with the
+// Redis adapter (SHARED_STATE=redis); a single instance has nobody to tell.
+
+// ctx: { io, sharedState, logger }
+function createCluster(ctx) {
+    const { io, sharedState } = ctx;
+    const log = ctx.logger.child({ component: 'cluster' });
+
+    // Tell every other instance
+    function publish(event, ...args) {
+        if (!sharedState.distributed) return;
+        io.serverSideEmit(event, ...args);
+    }
+
+    // Ask every other instance; resolves with their answers (instances that
+    // don't answer within the adapter's request timeout are left out)
+    function request(event, ...args) {
+        if (!sharedState.distributed) return Promise.resolve([]);
+
+        return new Promise(resolve => {
+            io.serverSideEmit(event, ...args, (error, responses) => {
+                if (error) log.warn('Request to other instances failed', { event, error: error.message });
+                resolve(responses || []);
+            });
+        });
+    }
+
+    // handler(...args, callback?) - requests pass a callback for the answer
+    function on(event, handler) {
+        io.on(event, handler);
+    }
+
+    return {
+        publish,
+        request,
+        on
+    };
+}
+
+module.exports = {
+    createCluster
+};
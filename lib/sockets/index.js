@@ -0,0 +1,56 @@
+// Socket Handlers
+// Every socket is authenticated (see auth.socketMiddleware), rate limited and
+// has its payloads checked against lib/socket-schemas.js before any handler
+// runs. The handlers themselves are grouped by feature in this directory.
+
+const { socketValidator } = require('../socket-schemas');
+const { registerSessionHandlers } = require('./session');
+const { registerSignalingHandlers } = require('./signaling');
+const { registerRoomHandlers } = require('./rooms');
+const { registerMessageHandlers } = require('./messages');
+const { registerSharedRealityHandlers } = require('./shared-reality');
+const { registerStudioHandlers } = require('./studio');
+const { registerRecordingHandlers } = require('./recordings');
+
+// Count each event that passed validation (so only known event names become
+// metric labels)
+function countEvents(metrics) {
+    return ([event], next) => {
+        metrics.socketEvents.inc({ event });
+        next();
+    };
+}
+
+// ctx: the app context (see lib/app.js) - stores, services, presence, inbox,
+// studio and recordings
+function attachSocketHandlers(io, ctx) {
+    const { logger, metrics } = ctx;
+    metrics.connectedSockets.collect(() => io.of('/').sockets.size);
+
+    io.use(ctx.auth.socketMiddleware);
+
+    io.on('connection', (socket) => {
+        const account = socket.data.user;
+
+        // Every line logged about this socket carries its id and user. Kept
+        // off socket.data, which fetchSockets() sends to other instances.
+        socket.log = logger.child({ component: 'socket', socketId: socket.id, userId: account.id });
+
+        socket.use(ctx.rateLimiter.socket(socket));
+        socket.use(socketValidator(socket));
+        socket.use(countEvents(metrics));
+        socket.log.info('Socket connected', { username: account.username });
+
+        registerSessionHandlers(socket, ctx);
+        registerSignalingHandlers(socket, ctx);
+        registerRoomHandlers(socket, ctx);
+        registerMessageHandlers(socket, ctx);
+        registerSharedRealityHandlers(socket, ctx);
+        registerStudioHandlers(socket, ctx);
+        registerRecordingHandlers(socket, ctx);
+    });
+}
+
+module.exports = {
+    attachSocketHandlers
+};
@@ -0,0 +1,185 @@
+// Video Message Delivery
+// Sending a stored video to another user through their inbox, pushing inbox
+// entries to online recipients and relaying delivered/read receipts.
+
+// ctx: { io, inboxStore, messageStore, presence, videos }
+function createInboxDelivery(ctx) {
+    const { io, inboxStore, messageStore } = ctx;
+    const { getUser, userRoom } = ctx.presence;
+    const { getLiveMessage, presentMessage } = ctx.videos;
+
+    // Push an inbox entry to a socket (or room); the client answers with 'video-message-ack'
+    // Includes the transcoded renditions and previews when they are ready, so
+    // recipients that can't play WebM get the MP4 and the poster shows first.
+    // Media URLs are signed for the recipient at delivery time; a message
+    // that has since been deleted has none.
+    async function deliverInboxEntry(target, entry) {
+        const stored = await getLiveMessage(entry.messageId);
+        const message = stored ? presentMessage(stored) : null;
+
+        target.emit('video-message-received', {
+            inboxId: entry.id,
+            messageId: entry.messageId,
+            videoUrl: message ? message.url : null,
+            renditions: message ? message.renditions : null,
+            previews: message ? message.previews : null,
+            filename: entry.filename,
+            size: entry.size,
+            senderId: entry.sender,
+            senderName: entry.senderName,
+            timestamp: new Date(entry.createdAt).getTime()
+        });
+    }
+
+    // Apply a delivered/read receipt from the recipient and notify the sender
+    async function updateInboxStatus(socket, inboxId, status) {
+        if (!inboxId) return;
+
+        try {
+            const user = await getUser(socket.data.user.id);
+            if (!user) return;
+
+            const existing = await inboxStore.get(inboxId);
+            if (!existing || existing.recipient !== user.userId) return;
+
+            const entry = await inboxStore.setStatus(inboxId, status);
+            if (!entry) return;
+
+            if (entry.messageId) {
+                await messageStore.update(entry.messageId, { status });
+            }
+
+            io.to(userRoom(entry.sender)).emit('video-message-receipt', {
+                inboxId: entry.id,
+                messageId: entry.messageId,
+                recipientId: entry.recipient,
+                recipient: entry.recipientName,
+                status: entry.status,
+                deliveredAt: entry.deliveredAt,
+                readAt: entry.readAt
+            });
+        } catch (error) {
+            socket.log.error('Failed to update status', { component: 'inbox', inboxId, status, error });
+        }
+    }
+
+    return {
+        deliverInboxEntry,
+        updateInboxStatus
+    };
+}
+
+// ctx: { io, userStore, inboxStore, messageStore, presence, inbox, videos }
+function registerMessageHandlers(socket, ctx) {
+    const { io, userStore, inboxStore, messageStore } = ctx;
+    const { getUser, isUserOnline, userRoom } = ctx.presence;
+    const { deliverInboxEntry, updateInboxStatus } = ctx.inbox;
+    const { getLiveMessage } = ctx.videos;
+    const account = socket.data.user;
+    const log = socket.log.child({ component: 'inbox' });
+
+    // Handle video message sending
+    // Messages are queued in the recipient's inbox (by user id) so they reach
+    // recipients who are offline or reconnect with a new socket id. Only
+    // stored videos can be sent: the file name, size and media URLs come
+    // from the message record.
+    socket.on('send-video-message', async (data) => {
+        const { messageId, to, toUsername } = data;
+
+        try {
+            const sender = await getUser(account.id);
+            if (!sender) {
+                log.warn('Sender not found in connected users');
+                return;
+            }
+
+            // `to` is the recipient's user id; toUsername also reaches users who
+            // have never been online in this session
+            const recipient = to
+                ? await userStore.get(to)
+                : await userStore.findByUsername(toUsername || '');
+            if (!recipient) {
+                socket.emit('video-message-sent', {
+                    success: false,
+                    to: to,
+                    message: 'Recipient not found'
+                });
+                return;
+            }
+            const recipientName = recipient.username;
+
+            // Only the owner may send a stored video. Anonymous uploads have no
+            // owner and can't be sent: anyone holding the message id could claim them
+            const message = await getLiveMessage(messageId);
+            if (!message || message.owner !== sender.userId) {
+                socket.emit('video-message-sent', {
+                    success: false,
+                    to: to,
+                    message: 'Video not found'
+                });
+                return;
+            }
+
+            const entry = await inboxStore.enqueue({
+                messageId,
+                sender: sender.userId,
+                senderName: sender.username,
+                recipient: recipient.id,
+                recipientName,
+                filename: message.filename,
+                size: message.size
+            });
+
+            // Record the recipient and mark the stored message as sent
+            await messageStore.update(messageId, {
+                recipients: message.recipients.includes(recipientName)
+                    ? message.recipients
+                    : [...message.recipients, recipientName],
+                status: 'sent'
+            });
+
+            const online = await isUserOnline(recipient.id);
+            if (online) {
+                await deliverInboxEntry(io.to(userRoom(recipient.id)), entry);
+            }
+
+            log.info(online ? 'Video message sent' : 'Video message queued (recipient offline)', {
+                inboxId: entry.id,
+                messageId,
+                recipientId: recipient.id
+            });
+
+            // Tell the sender it was accepted; delivery/read receipts follow
+            // as 'video-message-receipt' events
+            socket.emit('video-message-sent', {
+                success: true,
+                to: recipient.id,
+                recipient: recipientName,
+                inboxId: entry.id,
+                messageId,
+                status: entry.status
+            });
+        } catch (error) {
+            log.error('Failed to queue message', { error });
+            socket.emit('video-message-sent', {
+                success: false,
+                to: to,
+                message: 'Failed to send video message'
+            });
+        }
+    });
+
+    // Recipient's client confirms it received / played a message
+    socket.on('video-message-ack', (data) => {
+        updateInboxStatus(socket, data?.inboxId, 'delivered');
+    });
+
+    socket.on('video-message-read', (data) => {
+        updateInboxStatus(socket, data?.inboxId, 'read');
+    });
+}
+
+module.exports = {
+    createInboxDelivery,
+    registerMessageHandlers
+};
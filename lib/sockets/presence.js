@@ -0,0 +1,361 @@
+// Presence
+// Who is connected, which room each socket is in and the live state of each
+// room (circle positions, formation). Route handlers use it for room
+// listings; the socket handlers move sockets between rooms.
+//
+// All of it is kept in the shared state (see lib/shared-state.js), so every
+// server instance sees the same users, rooms and positions:
+//   users                  userId -> { userId, username, socketId } (latest socket)
+//   sockets                socketId -> { socketId, userId, username, room, instance }
+//   user-sockets:<userId>  socketId -> room name or null
+//   room-users:<room>      userId -> { userId, username, socketId }
+//   room-positions:<room>  participantId -> { x, y, scale?, timestamp, movedBy }
+//   formations             room name -> { formation, presenterId }
+//   instances              instanceId -> { lastSeen }
+//
+// Every instance refreshes its entry in `instances`; the sockets of an
+// instance that stops refreshing (it crashed) are cleared by the others.
+
+const { RoomError } = require('../room-store');
+
+const HEARTBEAT_INTERVAL = 15 * 1000;
+// An instance that hasn't refreshed its entry for this long is gone
+const INSTANCE_TIMEOUT = 60 * 1000;
+
+const userSocketsKey = userId => `user-sockets:${userId}`;
+const roomUsersKey = roomName => `room-users:${roomName}`;
+const positionsKey = roomName => `room-positions:${roomName}`;
+
+// ctx: { config, io, roomStore, studioDocuments, sharedState, cluster, logger }
+function createPresence(ctx) {
+    const { config, io, roomStore, studioDocuments, sharedState, cluster } = ctx;
+    const instanceId = config.sharedState.instanceId;
+    const log = ctx.logger.child({ component: 'presence' });
+    const roomsLog = ctx.logger.child({ component: 'rooms' });
+
+    // ==================== USERS ====================
+    // Every socket is authenticated (see auth.socketMiddleware); socket.data.user
+    // holds the account, so a user keeps the same id across reconnects
+
+    // Register a logged-in socket. Resolves true if the user was already
+    // connected (another tab/device, on any instance).
+    async function connectSocket(socket) {
+        const account = socket.data.user;
+        const isReconnect = !!(await sharedState.get('users', account.id));
+
+        // A user with several tabs/devices is one person; the latest socket is
+        // used for P2P signaling
+        await sharedState.set('users', account.id, {
+            userId: account.id,
+            username: account.username,
+            socketId: socket.id
+        });
+        await setSocketRoom(socket.id, account, socket.data.room || null);
+        return isReconnect;
+    }
+
+    // Disconnects still being written, so close() can wait for them
+    const pending = new Set();
+
+    // A socket closed: take it out of its room and forget it
+    function disconnectSocket(socket) {
+        const work = leaveRoom(socket).then(() => dropSocket(socket.id, socket.data.user));
+        const done = () => pending.delete(work);
+        pending.add(work);
+        work.then(done, done);
+        return work;
+    }
+
+    // The user goes offline with their last socket
+    async function dropSocket(socketId, account) {
+        await sharedState.remove('sockets', socketId);
+        await sharedState.remove(userSocketsKey(account.id), socketId);
+
+        const user = await sharedState.get('users', account.id);
+        if (!user) return;
+
+        // Other tabs/devices of the same user are still connected
+        const remaining = Object.keys(await sharedState.getAll(userSocketsKey(account.id)));
+        if (remaining.length > 0) {
+            if (user.socketId === socketId) {
+                await sharedState.set('users', account.id, { ...user, socketId: remaining[0] });
+            }
+            log.info('Socket closed, user still connected', { socketId, userId: account.id, remaining: remaining.length });
+            return;
+        }
+
+        log.info('User disconnected', { socketId, userId: account.id, username: user.username });
+        await sharedState.remove('users', account.id);
+    }
+
+    async function setSocketRoom(socketId, account, roomName) {
+        await sharedState.set('sockets', socketId, {
+            socketId,
+            userId: account.id,
+            username: account.username,
+            room: roomName,
+            instance: instanceId
+        });
+        await sharedState.set(userSocketsKey(account.id), socketId, roomName);
+    }
+
+    function getUser(userId) {
+        return sharedState.get('users', userId);
+    }
+
+    async function isConnected(userId) {
+        return !!(await getUser(userId));
+    }
+
+    function connectedCount() {
+        return sharedState.count('users');
+    }
+
+    async function isUserOnline(userId) {
+        return (await sharedState.count(userSocketsKey(userId))) > 0;
+    }
+
+    // Every socket of a logged-in user joins this room, so messages reach all
+    // of their tabs/devices regardless of socket id
+    function userRoom(userId) {
+        return `user:${userId}`;
+    }
+
+    // ==================== ROOMS ====================
+
+    async function roomUsers(roomName) {
+        return Object.values(await sharedState.getAll(roomUsersKey(roomName)));
+    }
+
+    // A socket of the user has joined the room
+    async function isInRoom(userId, roomName) {
+        return !!(await sharedState.get(roomUsersKey(roomName), userId));
+    }
+
+    async function roomSummary(room) {
+        return {
+            ...room,
+            online: await sharedState.count(roomUsersKey(room.name))
+        };
+    }
+
+    async function createRoom(user, { name, title } = {}) {
+        const room = await roomStore.create({ name, title, createdBy: user.id });
+        io.emit('room-created', await roomSummary(room));
+        roomsLog.info('Room created', { room: room.name, userId: user.id });
+        return room;
+    }
+
+    // Move a socket into a room (leaving its current one). Sends the joiner
+    // 'room-joined' and 'users-list', and the others in the room 'user-joined'.
+    async function joinRoom(socket, roomName) {
+        const room = await roomStore.get(roomName);
+        if (!room) throw new RoomError('Room not found', 404);
+
+        const account = socket.data.user;
+        if (socket.data.room !== room.name) {
+            await leaveRoom(socket);
+            socket.join(room.name);
+            socket.data.room = room.name;
+        }
+
+        const user = {
+            userId: account.id,
+            username: account.username,
+            socketId: socket.id
+        };
+        await setSocketRoom(socket.id, account, room.name);
+        await sharedState.set(roomUsersKey(room.name), account.id, user);
+
+        const users = await roomUsers(room.name);
+        const others = users.filter(other => other.userId !== account.id);
+        socket.emit('room-joined', { room: await roomSummary(room), users: others });
+        socket.emit('users-list', others);
+        socket.to(room.name).except(userRoom(account.id)).emit('user-joined', user);
+
+        roomsLog.info('Joined room', { room: room.name, socketId: socket.id, userId: account.id, online: users.length });
+        return { room, users: others };
+    }
+
+    // Take a socket out of its room. The user stays present while another of
+    // their sockets is still in the room.
+    async function leaveRoom(socket) {
+        const roomName = socket.data.room;
+        if (!roomName) return;
+
+        if (socket.data.inStudio) {
+            socket.data.inStudio = false;
+            socket.to(roomName).emit('studio-user-left', { socketId: socket.id });
+        }
+        socket.leave(roomName);
+        socket.data.room = null;
+
+        // This instance keeps a room's studio canvas while it has sockets in it
+        if (!io.sockets.adapter.rooms.has(roomName)) {
+            studioDocuments.unload(roomName);
+        }
+
+        await removeFromRoom(socket.id, socket.data.user, roomName);
+    }
+
+    async function removeFromRoom(socketId, account, roomName) {
+        await setSocketRoom(socketId, account, null);
+
+        const user = await sharedState.get(roomUsersKey(roomName), account.id);
+        if (!user) return;
+
+        const sockets = await sharedState.getAll(userSocketsKey(account.id));
+        const remaining = Object.keys(sockets).filter(id => sockets[id] === roomName);
+        if (remaining.length > 0) {
+            if (user.socketId === socketId) {
+                await sharedState.set(roomUsersKey(roomName), account.id, { ...user, socketId: remaining[0] });
+            }
+            return;
+        }
+
+        await sharedState.remove(roomUsersKey(roomName), account.id);
+        await sharedState.remove(positionsKey(roomName), account.id);
+        io.to(roomName).emit('user-left', { socketId, userId: account.id });
+        roomsLog.info('Left room', { room: roomName, socketId, userId: account.id });
+
+        // Positions and the formation go with the room's last user
+        if ((await sharedState.count(roomUsersKey(roomName))) === 0) {
+            await sharedState.clear(positionsKey(roomName));
+            await sharedState.remove('formations', roomName);
+        }
+    }
+
+    // Take every socket of a user out of a room, on every instance. Resolves
+    // with the number of sockets that left.
+    async function removeUserFromRoom(userId, roomName) {
+        const left = await leaveLocalSockets(userId, roomName);
+        const elsewhere = await cluster.request('presence:leave-room', userId, roomName);
+        return elsewhere.reduce((total, count) => total + count, left);
+    }
+
+    async function leaveLocalSockets(userId, roomName) {
+        const sockets = Array.from(io.sockets.adapter.rooms.get(roomName) || [])
+            .map(socketId => io.sockets.sockets.get(socketId))
+            .filter(userSocket => userSocket && userSocket.data.user.id === userId);
+
+        for (const userSocket of sockets) {
+            await leaveRoom(userSocket);
+            userSocket.emit('room-left', { room: roomName });
+        }
+        return sockets.length;
+    }
+
+    cluster.on('presence:leave-room', (userId, roomName, callback) => {
+        leaveLocalSockets(userId, roomName)
+            .then(callback)
+            .catch(error => {
+                roomsLog.error('Failed to leave room', { room: roomName, userId, error });
+                callback(0);
+            });
+    });
+
+    // ==================== ROOM STATE ====================
+    // Shared Reality: all users in a room see the same circle positions and
+    // formation. Late joiners get them with 'video-position-sync'.
+
+    async function roomState(roomName) {
+        const formation = await sharedState.get('formations', roomName);
+        return {
+            positions: await sharedState.getAll(positionsKey(roomName)),
+            formation: formation?.formation || 'cluster', // 'cluster' | 'audience' | 'stack' | 'scatter'
+            presenterId: formation?.presenterId || null   // For audience mode
+        };
+    }
+
+    // position: { x, y, scale?, timestamp, movedBy }
+    function setPosition(roomName, participantId, position) {
+        return sharedState.set(positionsKey(roomName), participantId, position);
+    }
+
+    // positions: participantId -> position, or null to keep the current ones
+    async function setFormation(roomName, { formation, presenterId }, positions) {
+        await sharedState.set('formations', roomName, { formation, presenterId });
+        for (const [participantId, position] of Object.entries(positions || {})) {
+            await setPosition(roomName, participantId, position);
+        }
+    }
+
+    // ==================== INSTANCES ====================
+
+    let heartbeatTimer = null;
+
+    // Clear out what a previous run of this instance left behind, then keep
+    // this instance's entry fresh
+    async function init() {
+        await clearSockets(record => record.instance === instanceId);
+        await heartbeat();
+
+        heartbeatTimer = setInterval(() => {
+            heartbeat().catch(error => log.error('Heartbeat failed', { error }));
+        }, HEARTBEAT_INTERVAL);
+        heartbeatTimer.unref();
+    }
+
+    // Call after the sockets are closed
+    async function close() {
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+        await Promise.allSettled(Array.from(pending));
+    }
+
+    // Refresh this instance's entry and clear the sockets of instances that
+    // stopped refreshing theirs
+    async function heartbeat() {
+        const now = Date.now();
+        await sharedState.set('instances', instanceId, { lastSeen: now });
+
+        const instances = await sharedState.getAll('instances');
+        const gone = Object.keys(instances).filter(id => now - instances[id].lastSeen > INSTANCE_TIMEOUT);
+        if (gone.length === 0) return;
+
+        const cleared = await clearSockets(record => gone.includes(record.instance));
+        for (const id of gone) {
+            await sharedState.remove('instances', id);
+        }
+        log.warn('Instances stopped; cleared their sockets', { instances: gone, sockets: cleared });
+    }
+
+    async function clearSockets(filter) {
+        const records = Object.values(await sharedState.getAll('sockets')).filter(filter);
+        for (const record of records) {
+            const account = { id: record.userId, username: record.username };
+            if (record.room) {
+                await removeFromRoom(record.socketId, account, record.room);
+            }
+            await dropSocket(record.socketId, account);
+        }
+        return records.length;
+    }
+
+    return {
+        connectSocket,
+        disconnectSocket,
+        getUser,
+        isConnected,
+        connectedCount,
+        isUserOnline,
+        userRoom,
+        roomUsers,
+        isInRoom,
+        roomSummary,
+        createRoom,
+        joinRoom,
+        leaveRoom,
+        removeUserFromRoom,
+        roomState,
+        setPosition,
+        setFormation,
+        init,
+        close,
+        heartbeat
+    };
+}
+
+module.exports = {
+    createPresence
+};
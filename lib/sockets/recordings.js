@@ -0,0 +1,139 @@
+// Room Recording Events
+// Starting and stopping a server-side recording of the socket's room (see
+// lib/room-recorder.js). Everyone in the room hears 'recording-status' as the
+// recording changes; once it is saved as a video message, everyone who took
+// part gets 'recording-ready' with the video.
+
+const { RecordingError } = require('../room-recorder');
+const { ack } = require('./ack');
+
+// What clients see of a recording
+function presentRecording(recording) {
+    return {
+        id: recording.id,
+        room: recording.roomName,
+        status: recording.status,
+        title: recording.title,
+        startedBy: recording.startedBy,
+        startedByName: recording.startedByName,
+        startedAt: recording.startedAt,
+        stoppedAt: recording.stoppedAt,
+        finishedAt: recording.finishedAt,
+        error: recording.error,
+        messageId: recording.messageId
+    };
+}
+
+// ctx: { io, userStore, messageStore, presence, videos }
+function createRecordingDelivery(ctx) {
+    const { io, userStore, messageStore } = ctx;
+    const { userRoom } = ctx.presence;
+    const { recordUpload, presentMessage } = ctx.videos;
+
+    // RoomRecorder onUpdate: tell the room, and the participants once the
+    // video is ready
+    async function announce(recording) {
+        io.to(recording.roomName).emit('recording-status', presentRecording(recording));
+        if (recording.status !== 'ready') return;
+
+        const message = await messageStore.get(recording.messageId);
+        if (!message) return;
+
+        recording.participants.forEach(userId => {
+            io.to(userRoom(userId)).emit('recording-ready', {
+                recording: presentRecording(recording),
+                video: presentMessage(message)
+            });
+        });
+    }
+
+    // RoomRecorder onComplete: the recording becomes a video message owned by
+    // whoever started it and received by everyone else who took part
+    async function save(recording, file) {
+        const owner = await userStore.get(recording.startedBy);
+        const participants = await Promise.all(recording.participants.map(userId => userStore.get(userId)));
+        const recipients = participants
+            .filter(user => user && user.id !== recording.startedBy)
+            .map(user => user.username);
+
+        return recordUpload(
+            { path: file.path, mimetype: 'video/mp4', size: file.size },
+            {
+                title: recording.title || `Recording of ${recording.roomName}`,
+                duration: file.duration,
+                recipients,
+                sender: recording.startedByName
+            },
+            owner,
+            // RoomRecorder keeps the file if it can't be saved
+            { keepFile: true }
+        );
+    }
+
+    return {
+        announce,
+        save
+    };
+}
+
+// ctx: { livekitTokens, roomRecorder }
+function registerRecordingHandlers(socket, ctx) {
+    const { livekitTokens, roomRecorder } = ctx;
+    const account = socket.data.user;
+
+    function sendRecordingError(callback, error, fallback) {
+        if (!(error instanceof RecordingError)) {
+            socket.log.error(fallback, { component: 'recording', error });
+        }
+        ack(callback, { success: false, message: error instanceof RecordingError ? error.message : fallback });
+    }
+
+    // Anyone who may speak in the room may record it
+    // data: { title? }
+    socket.on('recording-start', async (data, callback) => {
+        const roomName = socket.data.room;
+        try {
+            if (!roomName) throw new RecordingError('Join a room first', 400);
+            if ((await livekitTokens.roleFor(account, roomName)) === 'viewer') {
+                throw new RecordingError('Not allowed to record this room', 403);
+            }
+
+            const recording = await roomRecorder.start(roomName, account, { title: data?.title });
+            ack(callback, { success: true, recording: presentRecording(recording) });
+        } catch (error) {
+            sendRecordingError(callback, error, 'Could not start recording');
+        }
+    });
+
+    // Whoever started the recording, or a room host, may stop it
+    socket.on('recording-stop', async (data, callback) => {
+        const roomName = socket.data.room;
+        try {
+            const active = roomName ? roomRecorder.active(roomName) : null;
+            if (!active) throw new RecordingError('This room is not being recorded', 404);
+            if (active.startedBy !== account.id && (await livekitTokens.roleFor(account, roomName)) !== 'host') {
+                throw new RecordingError('Only whoever started the recording or a host can stop it', 403);
+            }
+
+            const recording = await roomRecorder.stop(roomName);
+            ack(callback, { success: true, recording: presentRecording(recording) });
+        } catch (error) {
+            sendRecordingError(callback, error, 'Could not stop recording');
+        }
+    });
+
+    // The room's recording in progress, e.g. after joining a room
+    socket.on('recording-status-request', (data, callback) => {
+        const recording = socket.data.room ? roomRecorder.active(socket.data.room) : null;
+        ack(callback, {
+            success: true,
+            available: roomRecorder.available,
+            recording: recording ? presentRecording(recording) : null
+        });
+    });
+}
+
+module.exports = {
+    createRecordingDelivery,
+    registerRecordingHandlers
+};
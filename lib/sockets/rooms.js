@@ -0,0 +1,89 @@
+// Room Events
+// Listing, creating, joining and leaving rooms, and LiveKit tokens for the
+// socket's room. Room events answer through an acknowledgement callback.
+
+const { LiveKitAccessError } = require('../livekit');
+const { ack } = require('./ack');
+
+// ctx: { config, roomStore, livekitTokens, presence }
+function registerRoomHandlers(socket, ctx) {
+    const { config, roomStore, livekitTokens } = ctx;
+    const { isConnected, roomSummary, createRoom, joinRoom, leaveRoom } = ctx.presence;
+    const account = socket.data.user;
+
+    // ==================== ROOMS ====================
+    // All room events answer through an acknowledgement callback:
+    // { success, ... } or { success: false, message }
+
+    socket.on('room-list', async (data, callback) => {
+        try {
+            const rooms = await Promise.all((await roomStore.list()).map(roomSummary));
+            ack(callback, { success: true, rooms });
+        } catch (error) {
+            ack(callback, { success: false, message: error.message });
+        }
+    });
+
+    // data: { name, title? }
+    socket.on('room-create', async (data, callback) => {
+        try {
+            const room = await createRoom(account, data);
+            ack(callback, { success: true, room: await roomSummary(room) });
+        } catch (error) {
+            ack(callback, { success: false, message: error.message });
+        }
+    });
+
+    // data: { room }
+    socket.on('room-join', async (data, callback) => {
+        try {
+            const { room, users } = await joinRoom(socket, data?.room);
+            ack(callback, { success: true, room: await roomSummary(room), users });
+        } catch (error) {
+            ack(callback, { success: false, message: error.message });
+        }
+    });
+
+    socket.on('room-leave', async (data, callback) => {
+        const roomName = socket.data.room;
+        try {
+            if (roomName) {
+                await leaveRoom(socket);
+                socket.emit('room-left', { room: roomName });
+            }
+            ack(callback, { success: true, room: roomName || null });
+        } catch (error) {
+            ack(callback, { success: false, message: error.message });
+        }
+    });
+
+    // ==================== LIVEKIT TOKEN REQUEST ====================
+
+    // Client requests LiveKit token to join a room
+    // data: { roomName, role } - role may only lower the user's own role
+    socket.on('getLiveKitToken', async (data, callback) => {
+        const { roomName, role } = data || {};
+        if (typeof callback !== 'function') return;
+
+        try {
+            if (!(await isConnected(account.id))) {
+                callback({ error: 'Not logged in' });
+                return;
+            }
+
+            const grant = await livekitTokens.createUserToken(account, roomName || socket.data.room || config.defaultRoom, role);
+            callback(grant);
+
+            socket.log.info('Token generated', { component: 'livekit', room: grant.roomName, role: grant.role });
+        } catch (error) {
+            if (!(error instanceof LiveKitAccessError)) {
+                socket.log.error('Token generation error', { component: 'livekit', error });
+            }
+            callback({ error: error instanceof LiveKitAccessError ? error.message : 'Failed to generate token' });
+        }
+    });
+}
+
+module.exports = {
+    registerRoomHandlers
+};
@@ -0,0 +1,63 @@
+// Session Events
+// 'login' registers the authenticated user as connected, puts the socket in
+// a room and delivers queued inbox entries; 'disconnect' undoes it.
+
+// ctx: { config, inboxStore, presence, inbox }
+function registerSessionHandlers(socket, ctx) {
+    const { config, inboxStore } = ctx;
+    const { connectSocket, disconnectSocket, joinRoom, userRoom } = ctx.presence;
+    const { deliverInboxEntry } = ctx.inbox;
+    const account = socket.data.user;
+    const log = socket.log;
+
+    // Handle login - identity comes from the authenticated session, not the payload
+    // data: { room } - room to join (default: the first of DEFAULT_ROOMS)
+    socket.on('login', async (data) => {
+        let isReconnect = false;
+        try {
+            isReconnect = await connectSocket(socket);
+        } catch (error) {
+            log.error('Failed to register socket', { component: 'presence', error });
+        }
+
+        socket.join(userRoom(account.id));
+        socket.emit('login-success', {
+            socketId: socket.id,
+            userId: account.id,
+            username: account.username
+        });
+
+        log.info(isReconnect ? 'User rejoined' : 'User joined', { username: account.username });
+
+        // Enter the requested room; unknown rooms fall back to the default
+        try {
+            await joinRoom(socket, data?.room || config.defaultRoom);
+        } catch (error) {
+            socket.emit('room-error', { room: data?.room, message: error.message });
+            await joinRoom(socket, config.defaultRoom)
+                .catch(err => log.error('Failed to join default room', { component: 'rooms', error: err }));
+        }
+
+        // Deliver anything that arrived while this user was offline
+        inboxStore.pending(account.id)
+            .then(async entries => {
+                for (const entry of entries) {
+                    await deliverInboxEntry(socket, entry);
+                }
+                if (entries.length > 0) {
+                    log.info('Delivered queued messages', { component: 'inbox', count: entries.length });
+                }
+            })
+            .catch(error => log.error('Failed to load pending messages', { component: 'inbox', error }));
+    });
+
+    // Handle disconnect
+    socket.on('disconnect', (reason) => {
+        log.info('Socket disconnected', { reason });
+        disconnectSocket(socket).catch(error => log.error('Failed to remove socket', { component: 'presence', error }));
+    });
+}
+
+module.exports = {
+    registerSessionHandlers
+};
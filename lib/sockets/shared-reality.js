@@ -0,0 +1,152 @@
+// Shared Reality Events
+// Everyone in a room sees the same stickers, emoji tags, smiles, circle
+// positions and formation; these events relay them within the room and keep
+// positions and the formation in the room state for late joiners (see
+// lib/sockets/presence.js).
+
+// ctx: { io, presence }
+function registerSharedRealityHandlers(socket, ctx) {
+    const { io } = ctx;
+    const { roomState, setPosition, setFormation } = ctx.presence;
+    const account = socket.data.user;
+    const log = socket.log.child({ component: 'shared-reality' });
+
+    // Handle sticker synchronization
+    socket.on('stickers-update', (data) => {
+        const { stickers } = data;
+        const roomName = socket.data.room;
+        if (!roomName) return;
+
+        // Broadcast to all OTHER users in the room (not back to sender)
+        socket.to(roomName).emit('stickers-update', {
+            stickers: stickers,
+            from: socket.id
+        });
+
+        log.debug('Stickers updated', { room: roomName, count: stickers.length });
+    });
+
+    // Handle emoji tags on video circles
+    socket.on('emoji-tag', (data) => {
+        const { targetId, emoji, fromUser } = data;
+        const roomName = socket.data.room;
+        if (!roomName) return;
+
+        // Broadcast to ALL users in the room (including sender for consistency)
+        io.to(roomName).emit('emoji-tag', {
+            targetId: targetId,
+            emoji: emoji,
+            fromUser: fromUser,
+            fromSocketId: socket.id
+        });
+
+        log.debug('Emoji tag', { room: roomName, emoji, targetId });
+    });
+
+    // Handle smile status for physics attraction
+    socket.on('smile-status', (data) => {
+        const { isSmiling, participantId } = data;
+        const roomName = socket.data.room;
+        if (!roomName) return;
+
+        // Broadcast smile status to all OTHER users in the room
+        socket.to(roomName).emit('smile-status', {
+            participantId: participantId,
+            isSmiling: isSmiling
+        });
+
+        log.debug('Smile status', { room: roomName, participantId, isSmiling });
+    });
+
+    // ==================== VIDEO CIRCLE POSITION SYNC ====================
+    // Shared Reality: When User A moves a circle, all users in the room see it move
+
+    // Handle position update from a user
+    socket.on('video-position-update', async (data) => {
+        const { participantId, x, y, timestamp } = data;
+        const roomName = socket.data.room;
+        if (!roomName) return;
+
+        // Store position in room state (movedBy is always the mover's user id)
+        try {
+            await setPosition(roomName, participantId, {
+                x: x,
+                y: y,
+                timestamp: timestamp || Date.now(),
+                movedBy: account.id
+            });
+        } catch (error) {
+            log.error('Failed to store position', { room: roomName, error });
+        }
+
+        // Broadcast to all OTHER users in the room
+        socket.to(roomName).emit('video-position-update', {
+            participantId: participantId,
+            x: x,
+            y: y,
+            timestamp: timestamp,
+            movedBy: account.id
+        });
+
+        log.debug('Position moved', { room: roomName, participantId, x: Math.round(x), y: Math.round(y) });
+    });
+
+    // Handle request for full position sync (new user joining)
+    socket.on('video-position-sync-request', async () => {
+        const roomName = socket.data.room;
+        if (!roomName) return;
+
+        try {
+            const { positions, formation, presenterId } = await roomState(roomName);
+
+            // Send current state to requesting user (use socket.id directly for reliability)
+            socket.emit('video-position-sync', {
+                positions,
+                formation,
+                presenterId
+            });
+
+            log.debug('Position sync sent', { room: roomName, count: Object.keys(positions).length });
+        } catch (error) {
+            log.error('Failed to load positions', { room: roomName, error });
+        }
+    });
+
+    // Handle formation mode change
+    socket.on('video-formation-change', async (data) => {
+        const { formation, presenterId, targetPositions } = data;
+        const roomName = socket.data.room;
+        if (!roomName) return;
+
+        // Update room state; if target positions provided, update all positions
+        const positions = {};
+        Object.entries(targetPositions || {}).forEach(([participantId, pos]) => {
+            positions[participantId] = {
+                x: pos.x,
+                y: pos.y,
+                scale: pos.scale,
+                timestamp: Date.now(),
+                movedBy: account.id
+            };
+        });
+        try {
+            await setFormation(roomName, { formation, presenterId: presenterId || null }, positions);
+        } catch (error) {
+            log.error('Failed to store formation', { room: roomName, error });
+        }
+
+        // Broadcast to ALL users in the room (including sender for consistency)
+        io.to(roomName).emit('video-formation-change', {
+            formation: formation,
+            presenterId: presenterId,
+            targetPositions: targetPositions,
+            changedBy: account.username
+        });
+
+        log.info('Formation changed', { room: roomName, formation });
+    });
+}
+
+module.exports = {
+    registerSharedRealityHandlers
+};
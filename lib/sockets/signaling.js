@@ -0,0 +1,40 @@
+// WebRTC Signaling
+// Offers, answers and ICE candidates relayed between sockets for the P2P
+// fallback when LiveKit isn't configured.
+
+// ctx: { io }
+function registerSignalingHandlers(socket, ctx) {
+    const { io } = ctx;
+    const log = socket.log;
+
+    // WebRTC signaling (P2P fallback)
+    socket.on('offer', (data) => {
+        const { offer, to } = data;
+        io.to(to).emit('offer', {
+            offer,
+            from: socket.id
+        });
+        log.debug('Offer relayed', { component: 'signaling', to });
+    });
+
+    socket.on('answer', (data) => {
+        const { answer, to } = data;
+        io.to(to).emit('answer', {
+            answer,
+            from: socket.id
+        });
+        log.debug('Answer relayed', { component: 'signaling', to });
+    });
+
+    socket.on('ice-candidate', (data) => {
+        const { candidate, to } = data;
+        io.to(to).emit('ice-candidate', {
+            candidate,
+            from: socket.id
+        });
+    });
+}
+
+module.exports = {
+    registerSignalingHandlers
+};
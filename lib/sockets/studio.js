@@ -0,0 +1,199 @@
+// Studio Events
+// The collaborative canvas: who is in the studio, cursors, reactions and CRDT
+// operations on the room's canvas, which the server keeps (see
+// lib/studio-documents.js).
+//
+// Whether a socket is in the studio is kept in socket.data.inStudio, which
+// every instance can read (fetchSockets). Each instance caches the canvases
+// of rooms it has sockets in; operations applied on one instance are passed
+// to the others so their copies stay current.
+
+// ctx: { studioDocuments, cluster, metrics }
+function createStudioSync(ctx) {
+    const { studioDocuments, cluster, metrics } = ctx;
+
+    // Operations applied on other instances
+    cluster.on('studio:op', (roomName, op) => {
+        studioDocuments.applyLoaded(roomName, op);
+    });
+
+    // Another instance is loading a canvas: send it our copy, which may have
+    // changes that aren't saved yet
+    cluster.on('studio:snapshot', (roomName, callback) => {
+        callback(studioDocuments.loaded(roomName)?.snapshot() || null);
+    });
+
+    // Send a socket the room's canonical studio canvas
+    async function sendStudioSnapshot(socket) {
+        const roomName = socket.data.room;
+        if (!roomName) return;
+        const log = socket.log.child({ component: 'studio', room: roomName });
+
+        try {
+            const doc = await studioDocuments.get(roomName);
+            socket.emit('studio-canvas-sync', {
+                targetId: socket.id,
+                ...doc.snapshot()
+            });
+            log.debug('Sent canvas', { objects: doc.objectCount });
+        } catch (error) {
+            log.error('Failed to load canvas', { error });
+        }
+    }
+
+    // Apply a CRDT operation (see public/js/studio-crdt.js) to the room's canvas,
+    // then relay it to the other studio users in the room. Operations that lose
+    // to newer edits change nothing and are not relayed.
+    async function applyStudioChange(socket, event, type, data) {
+        const roomName = socket.data.room;
+        if (!roomName || !data) return;
+
+        const op = { type, objectId: data.objectId, props: data.props, clock: data.clock };
+        try {
+            const changed = await studioDocuments.apply(roomName, op);
+            metrics.studioOps.inc({ type, result: changed ? 'applied' : 'ignored' });
+            if (!changed) return;
+
+            cluster.publish('studio:op', roomName, op);
+
+            socket.to(roomName).emit(event, {
+                socketId: socket.id,
+                ...op
+            });
+        } catch (error) {
+            socket.log.error('Failed to apply operation', { component: 'studio', room: roomName, type, error });
+        }
+    }
+
+    return {
+        sendStudioSnapshot,
+        applyStudioChange
+    };
+}
+
+// ctx: { io, studio }
+function registerStudioHandlers(socket, ctx) {
+    const { io } = ctx;
+    const { sendStudioSnapshot, applyStudioChange } = ctx.studio;
+    const account = socket.data.user;
+    const log = socket.log.child({ component: 'studio' });
+
+    // ==================== STUDIO MODE EVENTS ====================
+    // Studio events stay within the socket's room; a socket leaving its room
+    // also leaves the studio
+
+    // Track users in studio mode
+    if (!socket.data.inStudio) {
+        socket.data.inStudio = false;
+    }
+
+    // User joins studio mode
+    socket.on('studio-join', async () => {
+        const roomName = socket.data.room;
+        if (!roomName) return;
+
+        // Prevent duplicate join broadcasts
+        if (socket.data.inStudio) {
+            log.debug('Already in studio, skipping duplicate join', { room: roomName });
+            return;
+        }
+
+        socket.data.inStudio = true;
+        log.info('Joined studio', { room: roomName });
+
+        // Notify other studio users
+        socket.to(roomName).emit('studio-user-joined', {
+            socketId: socket.id,
+            username: account.username
+        });
+
+        // Send list of users currently in studio in this room
+        try {
+            const roomSockets = await io.in(roomName).fetchSockets();
+            const studioUsers = roomSockets
+                .filter(userSocket => userSocket.data.inStudio && userSocket.id !== socket.id)
+                .map(userSocket => ({
+                    socketId: userSocket.id,
+                    username: userSocket.data.user.username
+                }));
+            socket.emit('studio-users-list', studioUsers);
+        } catch (error) {
+            log.error('Failed to list studio users', { room: roomName, error });
+        }
+
+        // The server holds the canvas, so the joiner gets it straight away
+        sendStudioSnapshot(socket);
+    });
+
+    // User leaves studio mode
+    socket.on('studio-leave', () => {
+        if (!socket.data.inStudio) return;
+
+        socket.data.inStudio = false;
+        log.info('Left studio', { room: socket.data.room });
+
+        // Notify other studio users
+        socket.to(socket.data.room).emit('studio-user-left', {
+            socketId: socket.id
+        });
+    });
+
+    // Real-time cursor position updates
+    socket.on('studio-cursor-update', (data) => {
+        if (!socket.data.inStudio) return;
+
+        // Broadcast cursor position to all OTHER users in studio
+        socket.to(socket.data.room).emit('studio-cursor-update', {
+            socketId: socket.id,
+            x: data.x,
+            y: data.y,
+            color: data.color,
+            name: account.username
+        });
+    });
+
+    // ==================== Fabric.js Studio Events ====================
+
+    // Real-time emoji reactions
+    socket.on('studio-reaction', (data) => {
+        if (!socket.data.inStudio) return;
+
+        socket.to(socket.data.room).emit('studio-reaction', {
+            socketId: socket.id,
+            emoji: data.emoji,
+            color: data.color
+        });
+    });
+
+    // Fabric object changes update the room's canvas document
+    socket.on('studio-object-added', (data) => {
+        if (!socket.data.inStudio) return;
+        applyStudioChange(socket, 'studio-object-added', 'add', data);
+    });
+
+    socket.on('studio-object-modified', (data) => {
+        if (!socket.data.inStudio) return;
+        applyStudioChange(socket, 'studio-object-modified', 'set', data);
+    });
+
+    socket.on('studio-object-removed', (data) => {
+        if (!socket.data.inStudio) return;
+        applyStudioChange(socket, 'studio-object-removed', 'remove', data);
+    });
+
+    // Canvas sync request (client asking for the current state) - answered
+    // from the server's copy, not by other users
+    socket.on('studio-canvas-sync-request', () => {
+        if (!socket.data.inStudio) {
+            log.debug('Canvas sync request rejected - not in studio');
+            return;
+        }
+
+        sendStudioSnapshot(socket);
+    });
+}
+
+module.exports = {
+    createStudioSync,
+    registerStudioHandlers
+};
@@ -0,0 +1,353 @@
+// Upload Storage
+// Where uploaded videos and everything generated from them (renditions,
+// previews) live. Local disk doesn't survive redeploys on Fly or Vercel, so
+// production can use any S3-compatible bucket (AWS S3, MinIO, R2...).
+//
+// Keys are '/'-separated paths: 'video-123.webm',
+// 'renditions/video-123/hls/master.m3u8'. Drivers share one async interface:
+//   init()
+//   put(key, filePath, { contentType }) - moves a local file into storage
+//   stat(key)                           - { size, lastModified, etag } or null
+//   createReadStream(key, { start, end }) - whole object or an inclusive byte range
+//   withLocalFile(key, fn)              - fn(path) with a local copy (for ffmpeg)
+//   list(prefix)                        - [{ key, size, lastModified }]
+//   remove(key), removePrefix(prefix)
+//   check()                             - rejects if uploads can't be stored (health checks)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// No empty, '.' or '..' segments, no backslashes and no leading slash, so a
+// key can't escape the storage root
+function isValidKey(key) {
+    return typeof key === 'string'
+        && key.length > 0
+        && !key.includes('\\')
+        && key.split('/').every(segment => segment && segment !== '.' && segment !== '..');
+}
+
+function assertKey(key) {
+    if (!isValidKey(key)) throw new Error(`Invalid storage key: ${key}`);
+}
+
+// ==================== LOCAL DISK DRIVER ====================
+
+class DiskStorage {
+    constructor(dir) {
+        this.dir = dir;
+    }
+
+    async init() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+    }
+
+    // Write and remove a probe file; a read-only or full disk fails
+    async check() {
+        const probe = path.join(this.dir, `.health-${process.pid}-${Date.now()}`);
+        await fs.promises.writeFile(probe, 'ok');
+        await fs.promises.rm(probe, { force: true });
+    }
+
+    filePath(key) {
+        assertKey(key);
+        return path.join(this.dir, ...key.split('/'));
+    }
+
+    async put(key, filePath) {
+        const target = this.filePath(key);
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+        try {
+            await fs.promises.rename(filePath, target);
+        } catch (error) {
+            // Temp files may be on another filesystem
+            if (error.code !== 'EXDEV') throw error;
+            await fs.promises.copyFile(filePath, target);
+            await fs.promises.rm(filePath, { force: true });
+        }
+    }
+
+    async stat(key) {
+        try {
+            const stats = await fs.promises.stat(this.filePath(key));
+            if (!stats.isFile()) return null;
+            return {
+                size: stats.size,
+                lastModified: stats.mtime,
+                etag: `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`
+            };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async createReadStream(key, { start, end } = {}) {
+        return fs.createReadStream(this.filePath(key), { start, end });
+    }
+
+    async withLocalFile(key, fn) {
+        return fn(this.filePath(key));
+    }
+
+    async list(prefix = '') {
+        const results = [];
+
+        const walk = async dirKey => {
+            let entries;
+            try {
+                entries = await fs.promises.readdir(dirKey ? this.filePath(dirKey) : this.dir, { withFileTypes: true });
+            } catch (error) {
+                if (error.code === 'ENOENT') return;
+                throw error;
+            }
+
+            for (const entry of entries) {
+                const key = dirKey ? `${dirKey}/${entry.name}` : entry.name;
+                if (entry.isDirectory()) {
+                    // Only descend where keys can still match the prefix
+                    if (prefix.startsWith(`${key}/`) || `${key}/`.startsWith(prefix)) {
+                        await walk(key);
+                    }
+                } else if (entry.isFile() && key.startsWith(prefix)) {
+                    const stats = await fs.promises.stat(this.filePath(key));
+                    results.push({ key, size: stats.size, lastModified: stats.mtime });
+                }
+            }
+        };
+
+        await walk('');
+        return results;
+    }
+
+    async remove(key) {
+        await fs.promises.rm(this.filePath(key), { force: true });
+    }
+
+    async removePrefix(prefix) {
+        // A directory prefix goes in one call
+        if (prefix.endsWith('/')) {
+            await fs.promises.rm(this.filePath(prefix.slice(0, -1)), { recursive: true, force: true });
+            return;
+        }
+        for (const { key } of await this.list(prefix)) {
+            await this.remove(key);
+        }
+    }
+}
+
+// ==================== S3-COMPATIBLE DRIVER ====================
+// options: { bucket, prefix (key prefix inside the bucket), region,
+//            endpoint (for MinIO and other S3-compatible services),
+//            forcePathStyle, accessKeyId, secretAccessKey }
+// Without keys the AWS SDK's default credential chain is used.
+
+class S3Storage {
+    constructor(options) {
+        if (!options.bucket) throw new Error('S3 storage needs a bucket (S3_BUCKET)');
+
+        // Loaded here so disk-only deployments never pay for the SDK
+        this.sdk = require('@aws-sdk/client-s3');
+        this.bucket = options.bucket;
+        this.prefix = options.prefix ? options.prefix.replace(/\/?$/, '/') : '';
+        this.client = new this.sdk.S3Client({
+            region: options.region || 'us-east-1',
+            endpoint: options.endpoint || undefined,
+            forcePathStyle: !!options.forcePathStyle,
+            // Default streaming checksums use aws-chunked uploads, which many
+            // S3-compatible services store verbatim or reject
+            requestChecksumCalculation: 'WHEN_REQUIRED',
+            responseChecksumValidation: 'WHEN_REQUIRED',
+            credentials: options.accessKeyId && options.secretAccessKey
+                ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+                : undefined
+        });
+    }
+
+    // Fail at startup rather than on the first upload
+    async init() {
+        await this.check();
+    }
+
+    // The bucket is reachable with these credentials. Writing a probe object
+    // on every check would cost a request and leave versions behind.
+    async check() {
+        await this.client.send(new this.sdk.HeadBucketCommand({ Bucket: this.bucket }));
+    }
+
+    objectKey(key) {
+        assertKey(key);
+        return this.prefix + key;
+    }
+
+    async put(key, filePath, { contentType } = {}) {
+        const { size } = await fs.promises.stat(filePath);
+        await this.client.send(new this.sdk.PutObjectCommand({
+            Bucket: this.bucket,
+            Key: this.objectKey(key),
+            Body: fs.createReadStream(filePath),
+            ContentLength: size,
+            ContentType: contentType
+        }));
+        await fs.promises.rm(filePath, { force: true });
+    }
+
+    async stat(key) {
+        try {
+            const head = await this.client.send(new this.sdk.HeadObjectCommand({
+                Bucket: this.bucket,
+                Key: this.objectKey(key)
+            }));
+            return { size: head.ContentLength, lastModified: head.LastModified, etag: head.ETag };
+        } catch (error) {
+            if (error.$metadata?.httpStatusCode === 404) return null;
+            throw error;
+        }
+    }
+
+    async createReadStream(key, { start, end } = {}) {
+        const object = await this.client.send(new this.sdk.GetObjectCommand({
+            Bucket: this.bucket,
+            Key: this.objectKey(key),
+            Range: start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined
+        }));
+        return object.Body;
+    }
+
+    // Downloads to a temp directory that is removed when fn settles
+    async withLocalFile(key, fn) {
+        const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-'));
+        const localPath = path.join(dir, path.posix.basename(key));
+
+        try {
+            await pipeline(await this.createReadStream(key), fs.createWriteStream(localPath));
+            return await fn(localPath);
+        } finally {
+            await fs.promises.rm(dir, { recursive: true, force: true });
+        }
+    }
+
+    async list(prefix = '') {
+        const results = [];
+        let ContinuationToken;
+
+        do {
+            const page = await this.client.send(new this.sdk.ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: this.prefix + prefix,
+                ContinuationToken
+            }));
+            (page.Contents || []).forEach(object => results.push({
+                key: object.Key.slice(this.prefix.length),
+                size: object.Size,
+                lastModified: object.LastModified
+            }));
+            ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (ContinuationToken);
+
+        return results;
+    }
+
+    async remove(key) {
+        await this.client.send(new this.sdk.DeleteObjectCommand({
+            Bucket: this.bucket,
+            Key: this.objectKey(key)
+        }));
+    }
+
+    async removePrefix(prefix) {
+        const keys = (await this.list(prefix)).map(object => object.key);
+
+        // DeleteObjects takes at most 1000 keys
+        for (let i = 0; i < keys.length; i += 1000) {
+            await this.client.send(new this.sdk.DeleteObjectsCommand({
+                Bucket: this.bucket,
+                Delete: {
+                    Objects: keys.slice(i, i + 1000).map(key => ({ Key: this.objectKey(key) })),
+                    Quiet: true
+                }
+            }));
+        }
+    }
+}
+
+// ==================== HTTP ====================
+
+// Send a stored object with conditional GET (ETag/Last-Modified) and single
+// byte-range (206) support. Returns false if the object doesn't exist, so the
+// caller can send its own 404.
+async function sendStoredObject(storage, key, req, res) {
+    const info = await storage.stat(key);
+    if (!info) return false;
+
+    res.set('Accept-Ranges', 'bytes');
+    if (info.etag) res.set('ETag', info.etag);
+    if (info.lastModified) res.set('Last-Modified', info.lastModified.toUTCString());
+    res.type(path.posix.extname(key) || 'application/octet-stream');
+
+    if (req.fresh) {
+        res.status(304).end();
+        return true;
+    }
+
+    let range = req.range(info.size, { combine: true });
+
+    // If-Range: only honour the range while the validator still matches
+    const ifRange = req.get('If-Range');
+    if (range && ifRange && ifRange !== info.etag && ifRange !== res.get('Last-Modified')) {
+        range = undefined;
+    }
+
+    if (range === -1) {
+        res.set('Content-Range', `bytes */${info.size}`);
+        res.status(416).end();
+        return true;
+    }
+
+    // Malformed or multiple ranges get the whole file
+    let start;
+    let end;
+    if (Array.isArray(range) && range.type === 'bytes' && range.length === 1) {
+        ({ start, end } = range[0]);
+        res.status(206);
+        res.set('Content-Range', `bytes ${start}-${end}/${info.size}`);
+        res.set('Content-Length', String(end - start + 1));
+    } else {
+        res.set('Content-Length', String(info.size));
+    }
+
+    if (req.method === 'HEAD' || info.size === 0) {
+        res.end();
+        return true;
+    }
+
+    const stream = await storage.createReadStream(key, { start, end });
+    res.on('close', () => stream.destroy());
+    stream.on('error', error => res.destroy(error));
+    stream.pipe(res);
+    return true;
+}
+
+// Create a storage backend for the given driver ('disk' or 's3')
+function createStorage(options = {}) {
+    const driver = options.driver || 'disk';
+
+    switch (driver) {
+        case 'disk':
+            return new DiskStorage(options.dir);
+        case 's3':
+            return new S3Storage(options);
+        default:
+            throw new Error(`Unknown storage driver: ${driver}`);
+    }
+}
+
+module.exports = {
+    createStorage,
+    sendStoredObject,
+    isValidKey,
+    DiskStorage,
+    S3Storage
+};
@@ -0,0 +1,276 @@
+// Studio Canvas Documents
+// The server holds the canonical document for each room's studio canvas. It
+// applies studio-object-added/modified/removed operations, answers sync
+// requests itself and persists every document, so a canvas survives its
+// last editor leaving (and server restarts).
+//
+// Documents are saved shortly after a change (edits during a drag are
+// coalesced into one write) and loaded on first use. With several server
+// instances each caches the documents it needs; the instances pass each
+// other their operations, and a document being loaded is merged with the
+// copies other instances already hold.
+
+const path = require('path');
+const { readJsonFile, createJsonWriter } = require('./json-file');
+const { CanvasDocument } = require('../public/js/studio-crdt');
+const { createLogger } = require('./logger');
+
+// Entries (including removed-object tombstones) per canvas
+const MAX_OBJECTS = 5000;
+const DEFAULT_SAVE_DELAY = 1000; // ms
+const SERVER_ACTOR = 'server';
+
+// One canvas: the CRDT document shared with the clients (public/js/studio-crdt.js)
+class StudioDocument {
+    constructor(name, data = {}) {
+        this.name = name;
+        this.updatedAt = data.updatedAt || null;
+        this.crdt = data.state
+            ? CanvasDocument.fromJSON(data.state, SERVER_ACTOR, { maxEntries: MAX_OBJECTS })
+            : StudioDocument.fromObjectList(data.objects || []);
+    }
+
+    // Documents saved before the CRDT model were a plain list of
+    // { objectId, json } in stacking order
+    static fromObjectList(objects) {
+        const crdt = new CanvasDocument(SERVER_ACTOR, { maxEntries: MAX_OBJECTS });
+        objects.forEach(item => crdt.localAdd(item.objectId, item.json || {}));
+        return crdt;
+    }
+
+    // Apply a client operation; returns true if it changed the document.
+    // Operations on objects the document doesn't know are dropped once it
+    // holds MAX_OBJECTS entries, whatever their type.
+    apply(op) {
+        const result = this.crdt.apply(op);
+        if (!result) return false;
+
+        this.updatedAt = new Date().toISOString();
+        return true;
+    }
+
+    // Merge another copy of the document (a snapshot() from another
+    // instance). Every register is replayed as an operation, so merging is
+    // order-independent like any other edit. The other copy's clock is
+    // taken first: its operations may be far ahead of a stale stored copy.
+    merge(snapshot) {
+        const state = snapshot && snapshot.state;
+        if (!state) return;
+
+        const other = CanvasDocument.fromJSON(state, SERVER_ACTOR);
+        this.crdt.observe([other.counter, SERVER_ACTOR]);
+        other.operations().forEach(op => this.crdt.apply(op));
+
+        if (snapshot.updatedAt && (!this.updatedAt || snapshot.updatedAt > this.updatedAt)) {
+            this.updatedAt = snapshot.updatedAt;
+        }
+    }
+
+    get objectCount() {
+        return this.crdt.visibleObjects().length;
+    }
+
+    snapshot() {
+        return {
+            state: this.crdt.toJSON(),
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+// ==================== IN-MEMORY DRIVER ====================
+
+class MemoryStudioStore {
+    constructor() {
+        this.documents = new Map(); // name -> saved data
+    }
+
+    async init() {}
+
+    async load(name) {
+        return this.documents.get(name) || null;
+    }
+
+    async save(name, data) {
+        this.documents.set(name, data);
+    }
+}
+
+// ==================== JSON FILE DRIVER ====================
+// One file per document (documents can hold large image data URLs)
+
+class JsonFileStudioStore {
+    constructor(dir) {
+        this.dir = dir;
+        this.writers = new Map(); // name -> write(data)
+    }
+
+    async init() {}
+
+    filePath(name) {
+        return path.join(this.dir, `${encodeURIComponent(name)}.json`);
+    }
+
+    async load(name) {
+        return readJsonFile(this.filePath(name), null);
+    }
+
+    save(name, data) {
+        if (!this.writers.has(name)) {
+            this.writers.set(name, createJsonWriter(this.filePath(name)));
+        }
+        return this.writers.get(name)(data);
+    }
+}
+
+// ==================== SHARED STATE DRIVER ====================
+// With several server instances the canvases live in the shared state (see
+// lib/shared-state.js) with the rest of the room state
+
+class SharedStateStudioStore {
+    constructor(sharedState) {
+        this.sharedState = sharedState;
+    }
+
+    async init() {}
+
+    load(name) {
+        return this.sharedState.get('studio-canvases', name);
+    }
+
+    save(name, data) {
+        return this.sharedState.set('studio-canvases', name, data);
+    }
+}
+
+// Create a studio document store for the given driver ('json', 'memory' or
+// 'shared' with options.sharedState)
+function createStudioStore(options = {}) {
+    const driver = options.driver || 'json';
+
+    switch (driver) {
+        case 'memory':
+            return new MemoryStudioStore();
+        case 'json':
+            return new JsonFileStudioStore(options.dir);
+        case 'shared':
+            return new SharedStateStudioStore(options.sharedState);
+        default:
+            throw new Error(`Unknown studio store driver: ${driver}`);
+    }
+}
+
+// ==================== DOCUMENT CACHE ====================
+// Loaded documents stay in memory while in use; changes are saved after
+// `saveDelay` ms. `peers(name)` resolves with other instances' copies of a
+// document (snapshots, or null where they don't have it), merged in when it
+// is loaded.
+
+class StudioDocuments {
+    constructor({ store, saveDelay = DEFAULT_SAVE_DELAY, peers = async () => [], logger = createLogger() }) {
+        this.store = store;
+        this.saveDelay = saveDelay;
+        this.peers = peers;
+        this.log = logger.child({ component: 'studio' });
+        this.documents = new Map();  // name -> StudioDocument
+        this.loading = new Map();    // name -> Promise<StudioDocument>
+        this.saveTimers = new Map(); // name -> timeout
+    }
+
+    async get(name) {
+        if (this.documents.has(name)) return this.documents.get(name);
+        if (this.loading.has(name)) return this.loading.get(name);
+
+        const loading = Promise.all([this.store.load(name), this.peers(name)])
+            .then(([data, copies]) => {
+                const doc = new StudioDocument(name, data || {});
+                copies.forEach(copy => doc.merge(copy));
+                this.documents.set(name, doc);
+                return doc;
+            })
+            .finally(() => this.loading.delete(name));
+
+        this.loading.set(name, loading);
+        return loading;
+    }
+
+    // Apply an operation and schedule a save. Returns true if the document
+    // changed.
+    async apply(name, op) {
+        const doc = await this.get(name);
+
+        const changed = doc.apply(op);
+        if (changed) this.scheduleSave(name);
+        return changed;
+    }
+
+    // The document if this instance has it loaded
+    loaded(name) {
+        return this.documents.get(name) || null;
+    }
+
+    // Apply an operation that another instance already applied and saves;
+    // documents this instance hasn't loaded pick it up when they load
+    applyLoaded(name, op) {
+        if (this.loading.has(name)) {
+            this.loading.get(name).then(doc => doc.apply(op), () => {});
+        }
+        const doc = this.documents.get(name);
+        return doc ? doc.apply(op) : false;
+    }
+
+    scheduleSave(name) {
+        if (this.saveTimers.has(name)) return;
+
+        const timer = setTimeout(() => {
+            this.saveTimers.delete(name);
+            this.save(name);
+        }, this.saveDelay);
+        timer.unref();
+        this.saveTimers.set(name, timer);
+    }
+
+    async save(name) {
+        const doc = this.documents.get(name);
+        if (!doc) return;
+
+        try {
+            await this.store.save(name, { name, ...doc.snapshot() });
+        } catch (error) {
+            this.log.error('Failed to save canvas', { room: name, error });
+        }
+    }
+
+    // Save now and drop the document from memory (e.g. when a room empties)
+    async unload(name) {
+        await this.flush(name);
+        // Keep it if someone edited while the save was in flight
+        if (!this.saveTimers.has(name)) {
+            this.documents.delete(name);
+        }
+    }
+
+    // Write pending changes immediately (all documents if no name is given)
+    async flush(name) {
+        const names = name ? [name] : Array.from(this.saveTimers.keys());
+
+        await Promise.all(names.map(docName => {
+            const timer = this.saveTimers.get(docName);
+            if (!timer) return null;
+
+            clearTimeout(timer);
+            this.saveTimers.delete(docName);
+            return this.save(docName);
+        }));
+    }
+}
+
+module.exports = {
+    StudioDocuments,
+    StudioDocument,
+    MAX_OBJECTS,
+    createStudioStore,
+    MemoryStudioStore,
+    JsonFileStudioStore,
+    SharedStateStudioStore
+};
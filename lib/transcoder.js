@@ -0,0 +1,536 @@
+// Transcoding Queue
+// Recordings arrive as WebM (VP8/Opus), which Safari and most email clients
+// can't play. Every upload gets a background job that runs a local ffmpeg to
+// produce previews (poster, scrub sprite, animated GIF), an MP4 (H.264/AAC)
+// and an HLS ladder next to the original. Previews come first so envelopes
+// have something to show while the slower encodes run.
+//
+// Jobs run one at a time by default (ffmpeg uses every core it can get) and
+// are persisted, so jobs interrupted by a restart are picked up again.
+//
+// Job lifecycle: queued -> running -> completed | failed
+// A finished job is dropped once onUpdate has stored its result (on the
+// message record); if that fails the job is kept.
+//
+// ffmpeg runs in a scratch directory under workDir; the output is then moved
+// into storage (see storage.js) under renditions/<input name without
+// extension>/ (previews and renditions record `path`s relative to it; the
+// server turns them into signed media URLs):
+//   poster.jpg, sprite.jpg + sprite.vtt, preview.gif
+//   video.mp4
+//   hls/master.m3u8, hls/<rung>/index.m3u8, hls/<rung>/segment_000.ts ...
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { readJsonFile, createJsonWriter } = require('./json-file');
+const { createLogger } = require('./logger');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// HLS renditions; rungs taller than the source are skipped (the smallest is
+// always kept)
+const HLS_LADDER = [
+    { name: '360p', height: 360, videoBitrate: 800000, audioBitrate: 96000 },
+    { name: '720p', height: 720, videoBitrate: 2800000, audioBitrate: 128000 },
+    { name: '1080p', height: 1080, videoBitrate: 5000000, audioBitrate: 128000 }
+];
+
+const HLS_SEGMENT_SECONDS = 4;
+
+// Previews
+const POSTER_MAX_HEIGHT = 720;
+const SPRITE_TILE_WIDTH = 160;
+const SPRITE_COLUMNS = 10;
+const SPRITE_MAX_TILES = 100;
+const ANIMATED_PREVIEW_SECONDS = 3;
+const ANIMATED_PREVIEW_WIDTH = 320;
+const MAX_LOG_LENGTH = 2000; // characters of ffmpeg stderr kept for failed jobs
+
+function generateJobId() {
+    return 'job_' + crypto.randomBytes(9).toString('base64url');
+}
+
+// Run a binary, resolving with stdout. Rejects with the tail of stderr.
+// onSpawn receives the child process (used to cancel running jobs).
+function run(command, args, { onStdout, onSpawn } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        let stdout = '';
+        let stderr = '';
+
+        child.stdout.on('data', chunk => {
+            stdout += chunk;
+            if (onStdout) onStdout(chunk.toString());
+        });
+        child.stderr.on('data', chunk => {
+            stderr = (stderr + chunk).slice(-MAX_LOG_LENGTH);
+        });
+        child.on('error', reject);
+        child.on('close', (code, signal) => {
+            if (code === 0) return resolve(stdout);
+            const error = new Error(signal
+                ? `${path.basename(command)} was stopped (${signal})`
+                : `${path.basename(command)} exited with code ${code}`);
+            error.log = stderr.trim();
+            reject(error);
+        });
+
+        if (onSpawn) onSpawn(child);
+    });
+}
+
+// Even dimensions are required by libx264 with yuv420p
+function evenSize(value) {
+    return Math.max(2, Math.round(value / 2) * 2);
+}
+
+// WebVTT timestamp (HH:MM:SS.mmm)
+function vttTime(seconds) {
+    const date = new Date(Math.round(seconds * 1000));
+    return date.toISOString().slice(11, 23);
+}
+
+class TranscodeQueue {
+    // options: { storage, workDir, ffmpegPath, ffprobePath,
+    //            concurrency, filePath (omit to keep jobs in memory only),
+    //            onUpdate(job) - called when a job changes status, logger }
+    constructor(options) {
+        this.storage = options.storage;
+        this.workDir = options.workDir;
+        this.ffmpegPath = options.ffmpegPath || 'ffmpeg';
+        this.ffprobePath = options.ffprobePath || 'ffprobe';
+        this.concurrency = options.concurrency || 1;
+        this.onUpdate = options.onUpdate || (() => {});
+        this.write = options.filePath ? createJsonWriter(options.filePath) : null;
+        this.filePath = options.filePath;
+        this.log = (options.logger || createLogger()).child({ component: 'transcode' });
+
+        this.available = false;
+        this.jobs = new Map();      // id -> job
+        this.processes = new Map(); // id -> running ffmpeg child process
+        this.running = 0;
+    }
+
+    // Load saved jobs and check that ffmpeg can be run. Without ffmpeg the
+    // queue stays disabled and enqueue() returns null.
+    async init() {
+        if (this.filePath) {
+            const data = await readJsonFile(this.filePath, { jobs: [] });
+            (data.jobs || []).forEach(job => {
+                // Interrupted by a restart: start over
+                if (job.status === 'running') {
+                    job.status = 'queued';
+                    job.progress = 0;
+                }
+                this.jobs.set(job.id, job);
+            });
+        }
+
+        try {
+            await run(this.ffmpegPath, ['-hide_banner', '-version']);
+            await run(this.ffprobePath, ['-hide_banner', '-version']);
+            this.available = true;
+        } catch (error) {
+            this.log.warn('ffmpeg/ffprobe not available - uploads will not be transcoded', { error: error.message });
+            return;
+        }
+
+        this.processNext();
+    }
+
+    // Queue a transcode of the stored upload <filename> for a message. duration is the
+    // recorder's length in seconds, used when the file has none in its header.
+    async enqueue({ messageId, filename, duration }) {
+        if (!this.available) return null;
+
+        const now = new Date().toISOString();
+        const job = {
+            id: generateJobId(),
+            messageId,
+            input: filename,
+            duration: Number.isFinite(duration) && duration > 0 ? duration : null,
+            status: 'queued',
+            progress: 0,
+            error: null,
+            previews: { status: 'pending' },
+            renditions: null,
+            createdAt: now,
+            startedAt: null,
+            finishedAt: null
+        };
+
+        this.jobs.set(job.id, job);
+        await this.persist();
+        this.processNext();
+        return { ...job };
+    }
+
+    // Jobs waiting and running (health checks)
+    stats() {
+        let queued = 0;
+        this.jobs.forEach(job => {
+            if (job.status === 'queued') queued++;
+        });
+        return { queued, running: this.running };
+    }
+
+    async get(id) {
+        const job = this.jobs.get(id);
+        return job ? { ...job } : null;
+    }
+
+    // Drop a job and its output; a running ffmpeg is stopped
+    async remove(id) {
+        const job = this.jobs.get(id);
+        if (!job) return false;
+
+        this.jobs.delete(id);
+        const child = this.processes.get(id);
+        if (child) child.kill('SIGKILL');
+
+        await this.storage.removePrefix(this.outputPrefix(job.input));
+        await this.persist();
+        return true;
+    }
+
+    // Storage key prefix of an upload's output, for serving it
+    outputPrefix(filename) {
+        return `renditions/${path.parse(filename).name}/`;
+    }
+
+    // Move files from the scratch directory into storage
+    async publish(job, dir, files) {
+        const prefix = this.outputPrefix(job.input);
+        for (const file of files) {
+            if (!this.jobs.has(job.id)) throw new Error('Job was removed');
+            await this.storage.put(prefix + file, path.join(dir, ...file.split('/')));
+        }
+    }
+
+    processNext() {
+        while (this.running < this.concurrency) {
+            const job = Array.from(this.jobs.values()).find(candidate => candidate.status === 'queued');
+            if (!job) return;
+
+            this.running++;
+            this.runJob(job)
+                .catch(error => this.log.error('Transcode job could not be recorded', { jobId: job.id, error }))
+                .finally(() => {
+                    this.running--;
+                    this.processNext();
+                });
+        }
+    }
+
+    async runJob(job) {
+        try {
+            await this.setStatus(job, {
+                status: 'running',
+                startedAt: new Date().toISOString(),
+                error: null,
+                previews: { status: 'pending' }
+            });
+
+            const renditions = await this.transcode(job);
+            // Removed while running
+            if (!this.jobs.has(job.id)) return;
+
+            await this.finish(job, {
+                status: 'completed',
+                progress: 1,
+                renditions,
+                finishedAt: new Date().toISOString()
+            });
+            this.log.info('Transcoded', { jobId: job.id, input: job.input, renditions: renditions.hls.variants.length });
+        } catch (error) {
+            if (!this.jobs.has(job.id)) return;
+
+            this.log.error('Transcode failed', { jobId: job.id, input: job.input, error: error.message });
+            await this.finish(job, {
+                status: 'failed',
+                previews: job.previews.status === 'pending' ? { status: 'failed' } : job.previews,
+                error: error.message,
+                log: error.log || null,
+                finishedAt: new Date().toISOString()
+            });
+        }
+    }
+
+    // Resolves with whether onUpdate took the change
+    async setStatus(job, changes) {
+        Object.assign(job, changes);
+        await this.persist();
+
+        try {
+            await this.onUpdate({ ...job });
+            return true;
+        } catch (error) {
+            this.log.error('Update handler failed', { jobId: job.id, error });
+            return false;
+        }
+    }
+
+    async finish(job, changes) {
+        if (await this.setStatus(job, changes)) {
+            this.jobs.delete(job.id);
+            await this.persist();
+        }
+    }
+
+    // ==================== FFMPEG ====================
+
+    async transcode(job) {
+        const dir = path.join(this.workDir, job.id);
+        await fs.promises.rm(dir, { recursive: true, force: true });
+        await fs.promises.mkdir(dir, { recursive: true });
+        await this.storage.removePrefix(this.outputPrefix(job.input));
+
+        try {
+            return await this.storage.withLocalFile(job.input, input => this.transcodeFile(job, input, dir));
+        } finally {
+            await fs.promises.rm(dir, { recursive: true, force: true });
+        }
+    }
+
+    async transcodeFile(job, input, dir) {
+        const source = await this.probe(input);
+        if (!source.duration) source.duration = job.duration;
+
+        const rungs = HLS_LADDER.filter((rung, index) => index === 0 || !source.height || rung.height <= source.height);
+        const steps = 2 + rungs.length;
+        let step = 0;
+
+        // Previews are only on the job (and its message) once they're stored.
+        // A broken preview shouldn't cost the recipient a playable video.
+        try {
+            const previews = await this.generatePreviews(job, input, dir, source);
+            await this.publish(job, dir, ['poster.jpg', 'sprite.jpg', 'sprite.vtt', 'preview.gif']);
+            await this.setStatus(job, { previews });
+        } catch (error) {
+            if (!this.jobs.has(job.id)) throw error;
+            this.log.error('Previews failed', { jobId: job.id, input: job.input, error: error.message });
+            await this.setStatus(job, { previews: { status: 'failed' } });
+        }
+        step++;
+        job.progress = step / steps;
+
+        // MP4 for download, email and browsers without HLS
+        await this.ffmpeg(job, source.duration, [
+            '-i', input,
+            '-map', '0:v:0', '-map', '0:a:0?',
+            '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2',
+            '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p',
+            '-c:a', 'aac', '-b:a', '128k', '-ac', '2',
+            '-movflags', '+faststart',
+            path.join(dir, 'video.mp4')
+        ], progress => { job.progress = (step + progress) / steps; });
+        step++;
+
+        const mp4Stats = await fs.promises.stat(path.join(dir, 'video.mp4'));
+
+        const variants = [];
+        for (const rung of rungs) {
+            const height = source.height ? Math.min(rung.height, evenSize(source.height)) : rung.height;
+            const width = source.width && source.height ? evenSize(height * source.width / source.height) : null;
+            const rungDir = path.join(dir, 'hls', rung.name);
+            await fs.promises.mkdir(rungDir, { recursive: true });
+
+            await this.ffmpeg(job, source.duration, [
+                '-i', input,
+                '-map', '0:v:0', '-map', '0:a:0?',
+                '-vf', `scale=-2:${height}`,
+                '-c:v', 'libx264', '-preset', 'veryfast', '-pix_fmt', 'yuv420p',
+                '-b:v', String(rung.videoBitrate),
+                '-maxrate', String(Math.round(rung.videoBitrate * 1.07)),
+                '-bufsize', String(Math.round(rung.videoBitrate * 1.5)),
+                // Keyframe every 2s so segments cut cleanly
+                '-force_key_frames', 'expr:gte(t,n_forced*2)', '-sc_threshold', '0',
+                '-c:a', 'aac', '-b:a', String(rung.audioBitrate), '-ac', '2',
+                '-f', 'hls',
+                '-hls_time', String(HLS_SEGMENT_SECONDS),
+                '-hls_playlist_type', 'vod',
+                '-hls_segment_filename', path.join(rungDir, 'segment_%03d.ts'),
+                path.join(rungDir, 'index.m3u8')
+            ], progress => { job.progress = (step + progress) / steps; });
+            step++;
+
+            variants.push({
+                name: rung.name,
+                width,
+                height,
+                bandwidth: rung.videoBitrate + rung.audioBitrate,
+                path: `hls/${rung.name}/index.m3u8`
+            });
+        }
+
+        await fs.promises.writeFile(path.join(dir, 'hls', 'master.m3u8'), this.masterPlaylist(variants));
+
+        const segments = [];
+        for (const rung of rungs) {
+            const files = await fs.promises.readdir(path.join(dir, 'hls', rung.name));
+            files.forEach(file => segments.push(`hls/${rung.name}/${file}`));
+        }
+        await this.publish(job, dir, ['video.mp4', 'hls/master.m3u8', ...segments]);
+
+        return {
+            mp4: {
+                path: 'video.mp4',
+                mimetype: 'video/mp4',
+                size: mp4Stats.size
+            },
+            hls: {
+                path: 'hls/master.m3u8',
+                mimetype: 'application/vnd.apple.mpegurl',
+                variants
+            },
+            source: {
+                width: source.width,
+                height: source.height,
+                duration: source.duration
+            }
+        };
+    }
+
+    // Poster frame, a sprite sheet of scrub thumbnails (with a WebVTT track
+    // pointing into it) and a short looping GIF
+    async generatePreviews(job, input, dir, source) {
+        const aspect = source.width && source.height ? source.height / source.width : 9 / 16;
+
+        // thumbnail picks a representative frame, skipping black first frames
+        const posterHeight = source.height ? Math.min(evenSize(source.height), POSTER_MAX_HEIGHT) : POSTER_MAX_HEIGHT;
+        const posterWidth = evenSize(posterHeight / aspect);
+        await this.ffmpeg(job, null, [
+            '-i', input,
+            '-vf', `thumbnail=50,scale=-2:${posterHeight}`,
+            '-frames:v', '1', '-q:v', '3',
+            path.join(dir, 'poster.jpg')
+        ]);
+
+        // One tile every `interval` seconds, at most SPRITE_MAX_TILES
+        const duration = source.duration || SPRITE_MAX_TILES;
+        const interval = Math.max(1, Math.ceil(duration / SPRITE_MAX_TILES));
+        const count = Math.min(SPRITE_MAX_TILES, Math.max(1, Math.ceil(duration / interval)));
+        const columns = Math.min(SPRITE_COLUMNS, count);
+        const rows = Math.ceil(count / columns);
+        const tileWidth = SPRITE_TILE_WIDTH;
+        const tileHeight = evenSize(tileWidth * aspect);
+        await this.ffmpeg(job, null, [
+            '-i', input,
+            '-vf', `fps=1/${interval},scale=${tileWidth}:${tileHeight},tile=${columns}x${rows}`,
+            '-frames:v', '1', '-q:v', '5',
+            path.join(dir, 'sprite.jpg')
+        ]);
+        await fs.promises.writeFile(path.join(dir, 'sprite.vtt'),
+            this.spriteTrack(job, { count, columns, interval, tileWidth, tileHeight, duration }));
+
+        // Skip the first second (people settling in front of the camera)
+        // when the recording is long enough
+        const start = source.duration && source.duration > ANIMATED_PREVIEW_SECONDS + 2 ? 1 : 0;
+        const previewSeconds = source.duration ? Math.min(ANIMATED_PREVIEW_SECONDS, source.duration) : ANIMATED_PREVIEW_SECONDS;
+        await this.ffmpeg(job, null, [
+            '-i', input,
+            '-ss', String(start), '-t', String(previewSeconds),
+            '-vf', `fps=10,scale=${ANIMATED_PREVIEW_WIDTH}:-2:flags=lanczos,split[a][b];[a]palettegen=max_colors=128[p];[b][p]paletteuse`,
+            '-loop', '0',
+            path.join(dir, 'preview.gif')
+        ]);
+
+        return {
+            status: 'ready',
+            poster: { path: 'poster.jpg', mimetype: 'image/jpeg', width: posterWidth, height: posterHeight },
+            sprite: {
+                path: 'sprite.jpg',
+                vttPath: 'sprite.vtt',
+                mimetype: 'image/jpeg',
+                columns,
+                rows,
+                count,
+                interval,
+                tileWidth,
+                tileHeight
+            },
+            animated: {
+                path: 'preview.gif',
+                mimetype: 'image/gif',
+                width: ANIMATED_PREVIEW_WIDTH,
+                duration: previewSeconds
+            }
+        };
+    }
+
+    // WebVTT thumbnails track: each cue points at its tile with #xywh=
+    spriteTrack(job, { count, columns, interval, tileWidth, tileHeight, duration }) {
+        const lines = ['WEBVTT', ''];
+        for (let index = 0; index < count; index++) {
+            const start = index * interval;
+            const end = Math.min(start + interval, duration);
+            const x = (index % columns) * tileWidth;
+            const y = Math.floor(index / columns) * tileHeight;
+            lines.push(`${vttTime(start)} --> ${vttTime(end)}`);
+            lines.push(`sprite.jpg#xywh=${x},${y},${tileWidth},${tileHeight}`);
+            lines.push('');
+        }
+        return lines.join('\n');
+    }
+
+    masterPlaylist(variants) {
+        const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+        variants.forEach(variant => {
+            const resolution = variant.width ? `,RESOLUTION=${variant.width}x${variant.height}` : '';
+            lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${variant.bandwidth}${resolution}`);
+            lines.push(`${variant.name}/index.m3u8`);
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    // Size and duration of the source. MediaRecorder WebM files often have no
+    // duration in the header, in which case it is null (progress then only
+    // moves between steps).
+    async probe(input) {
+        const output = await run(this.ffprobePath, [
+            '-v', 'error',
+            '-print_format', 'json',
+            '-show_format', '-show_streams',
+            input
+        ]);
+
+        const info = JSON.parse(output);
+        const video = (info.streams || []).find(stream => stream.codec_type === 'video');
+        if (!video) throw new Error('Input has no video stream');
+
+        const duration = parseFloat(info.format?.duration);
+        return {
+            width: video.width || null,
+            height: video.height || null,
+            duration: Number.isFinite(duration) && duration > 0 ? duration : null
+        };
+    }
+
+    // Run ffmpeg with machine-readable progress on stdout
+    ffmpeg(job, duration, args, onProgress) {
+        if (!this.jobs.has(job.id)) return Promise.reject(new Error('Job was removed'));
+
+        return run(this.ffmpegPath, ['-hide_banner', '-y', '-nostdin', '-progress', 'pipe:1', '-nostats', ...args], {
+            onSpawn: child => this.processes.set(job.id, child),
+            onStdout: text => {
+                const match = /out_time_us=(\d+)/.exec(text);
+                if (match && duration) {
+                    onProgress(Math.min(parseInt(match[1], 10) / 1e6 / duration, 1));
+                }
+            }
+        }).finally(() => this.processes.delete(job.id));
+    }
+
+    persist() {
+        if (!this.write) return Promise.resolve();
+        return this.write({ jobs: Array.from(this.jobs.values()) });
+    }
+}
+
+module.exports = {
+    TranscodeQueue,
+    HLS_LADDER,
+    JOB_STATUSES
+};
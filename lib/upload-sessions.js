@@ -0,0 +1,233 @@
+// Resumable Upload Sessions
+// tus-style chunked uploads: a client opens a session, appends chunks at the
+// current offset and finalizes once the recording is complete. Partial data and
+// session metadata live on disk so an upload survives dropped connections and
+// server restarts.
+//
+// Files per session in the sessions directory:
+//   <id>.json - session metadata
+//   <id>.part - bytes received so far (its size is the authoritative offset)
+//
+// Only the session's creator may use it: create() returns a secret token
+// (only its hash is stored) and records the signed-in user, if any.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+class UploadSessionError extends Error {
+    constructor(message, statusCode, details = {}) {
+        super(message);
+        this.name = 'UploadSessionError';
+        this.statusCode = statusCode;
+        Object.assign(this, details);
+    }
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class UploadSessionManager {
+    constructor(options) {
+        this.dir = options.dir;
+        this.maxSize = options.maxSize;
+        this.maxChunkSize = options.maxChunkSize;
+        this.ttl = options.ttl;                 // ms of inactivity before a session expires
+        this.activeAppends = new Set();         // session ids with a chunk in flight
+    }
+
+    async init() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+    }
+
+    metaPath(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    partPath(id) {
+        return path.join(this.dir, `${id}.part`);
+    }
+
+    // owner: the creator's user id, or null for an anonymous upload.
+    // Resolves with the session and its `token`, which isn't kept.
+    async create({ mimetype, size, owner = null }) {
+        if (size && size > this.maxSize) {
+            throw new UploadSessionError(`Upload exceeds maximum size of ${this.maxSize} bytes`, 413);
+        }
+
+        const token = crypto.randomBytes(24).toString('base64url');
+        const now = new Date().toISOString();
+        const session = {
+            id: crypto.randomBytes(12).toString('hex'),
+            mimetype,
+            size: size || null,
+            owner,
+            tokenHash: hashToken(token),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await fs.promises.writeFile(this.partPath(session.id), '');
+        await this.saveMeta(session);
+        return { ...session, offset: 0, token };
+    }
+
+    // Whether a request with this token (and signed-in user, or null) is the
+    // session's creator
+    isCreator(session, token, user) {
+        if (typeof token !== 'string' || typeof session.tokenHash !== 'string') return false;
+
+        const expected = Buffer.from(session.tokenHash, 'hex');
+        const actual = Buffer.from(hashToken(token), 'hex');
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(actual, expected)) {
+            return false;
+        }
+        return !session.owner || (!!user && user.id === session.owner);
+    }
+
+    async get(id) {
+        if (!/^[a-f0-9]{24}$/.test(id)) return null;
+
+        try {
+            const session = JSON.parse(await fs.promises.readFile(this.metaPath(id), 'utf8'));
+            const stats = await fs.promises.stat(this.partPath(id));
+            return { ...session, offset: stats.size };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async saveMeta(session) {
+        const { offset, ...meta } = session;
+        await fs.promises.writeFile(this.metaPath(session.id), JSON.stringify(meta));
+    }
+
+    // Append a chunk read from `source` at `offset`. Returns the new offset.
+    // If the connection drops mid-chunk, the bytes that arrived are kept and the
+    // client resumes from the offset reported by get(). A chunk over the size
+    // limits is refused whole: the file is cut back to `offset`, which the
+    // error carries.
+    async append(id, offset, source) {
+        const session = await this.get(id);
+        if (!session) {
+            throw new UploadSessionError('Upload session not found', 404);
+        }
+        if (this.activeAppends.has(id)) {
+            throw new UploadSessionError('Another chunk is already being written', 409, { offset: session.offset });
+        }
+        if (offset !== session.offset) {
+            throw new UploadSessionError('Offset does not match upload progress', 409, { offset: session.offset });
+        }
+
+        this.activeAppends.add(id);
+        let received = 0;
+
+        const limiter = new Transform({
+            transform: (chunk, encoding, callback) => {
+                received += chunk.length;
+                if (received > this.maxChunkSize) {
+                    return callback(new UploadSessionError(`Chunk exceeds maximum size of ${this.maxChunkSize} bytes`, 413));
+                }
+                if (offset + received > (session.size || this.maxSize)) {
+                    return callback(new UploadSessionError('Upload exceeds declared size', 413));
+                }
+                callback(null, chunk);
+            }
+        });
+
+        // The source is piped in rather than made part of the pipeline, which
+        // would destroy it (and the client's connection) on a refused chunk
+        const written = pipeline(limiter, fs.createWriteStream(this.partPath(id), { flags: 'a' }));
+        const onClose = () => {
+            if (!source.readableEnded) limiter.destroy(new Error('Chunk was cut off'));
+        };
+        source.once('close', onClose);
+        source.pipe(limiter);
+
+        try {
+            await written;
+        } catch (error) {
+            if (error instanceof UploadSessionError) {
+                // Drain what's left so the response can be sent
+                source.unpipe(limiter);
+                source.resume();
+                await fs.promises.truncate(this.partPath(id), offset);
+                error.offset = offset;
+            }
+            throw error;
+        } finally {
+            source.off('close', onClose);
+            this.activeAppends.delete(id);
+            session.updatedAt = new Date().toISOString();
+            await this.saveMeta(session);
+        }
+
+        return offset + received;
+    }
+
+    // Move the assembled file to its final location and drop the session
+    async complete(id, destination) {
+        const session = await this.get(id);
+        if (!session) {
+            throw new UploadSessionError('Upload session not found', 404);
+        }
+        if (this.activeAppends.has(id)) {
+            throw new UploadSessionError('A chunk is still being written', 409, { offset: session.offset });
+        }
+        if (session.offset === 0) {
+            throw new UploadSessionError('No data uploaded', 400);
+        }
+        if (session.size && session.offset !== session.size) {
+            throw new UploadSessionError('Upload is incomplete', 409, { offset: session.offset });
+        }
+
+        try {
+            await fs.promises.rename(this.partPath(id), destination);
+        } catch (error) {
+            // Sessions and uploads may live on different volumes
+            if (error.code !== 'EXDEV') throw error;
+            await fs.promises.copyFile(this.partPath(id), destination);
+            await fs.promises.rm(this.partPath(id), { force: true });
+        }
+        await fs.promises.rm(this.metaPath(id), { force: true });
+        return { ...session, size: session.offset };
+    }
+
+    async abort(id) {
+        const session = await this.get(id);
+        if (!session) return false;
+
+        await fs.promises.rm(this.partPath(id), { force: true });
+        await fs.promises.rm(this.metaPath(id), { force: true });
+        return true;
+    }
+
+    // Remove sessions that have been idle longer than the TTL
+    async cleanupExpired() {
+        const files = await fs.promises.readdir(this.dir);
+        const cutoff = Date.now() - this.ttl;
+        let removed = 0;
+
+        for (const file of files.filter(f => f.endsWith('.json'))) {
+            const id = path.basename(file, '.json');
+            const session = await this.get(id).catch(() => null);
+            if (!session || this.activeAppends.has(id)) continue;
+
+            if (new Date(session.updatedAt).getTime() < cutoff) {
+                await this.abort(id);
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+}
+
+module.exports = {
+    UploadSessionManager,
+    UploadSessionError
+};
@@ -0,0 +1,111 @@
+// User Account Store
+// Accounts give every person a stable id that survives reconnects. Guest
+// accounts (no password) are created automatically for the one-click join
+// flow; registered accounts have a scrypt password hash.
+//
+// Same driver interface as the other stores: init(), create(user), get(id),
+// findByUsername(username), update(id, changes)
+
+const crypto = require('crypto');
+const { readJsonFile, createJsonWriter } = require('./json-file');
+
+function generateUserId() {
+    return 'usr_' + crypto.randomBytes(9).toString('base64url');
+}
+
+// ==================== IN-MEMORY DRIVER ====================
+
+class MemoryUserStore {
+    constructor() {
+        this.users = new Map();      // id -> user
+        this.byUsername = new Map(); // lowercased username -> id
+    }
+
+    async init() {}
+
+    // user: { username, passwordHash, role }
+    async create(input) {
+        const key = input.username.toLowerCase();
+        if (this.byUsername.has(key)) {
+            throw new Error(`Username already taken: ${input.username}`);
+        }
+
+        const user = {
+            id: generateUserId(),
+            username: input.username,
+            passwordHash: input.passwordHash || null,
+            role: input.role || 'user',
+            createdAt: new Date().toISOString()
+        };
+
+        this.users.set(user.id, user);
+        this.byUsername.set(key, user.id);
+        await this.persist();
+        return { ...user };
+    }
+
+    async get(id) {
+        const user = this.users.get(id);
+        return user ? { ...user } : null;
+    }
+
+    async findByUsername(username) {
+        const id = this.byUsername.get(String(username).toLowerCase());
+        return id ? this.get(id) : null;
+    }
+
+    async update(id, changes) {
+        const user = this.users.get(id);
+        if (!user) return null;
+
+        // Usernames and ids are immutable
+        const { id: ignoredId, username, ...rest } = changes;
+        Object.assign(user, rest);
+        await this.persist();
+        return { ...user };
+    }
+
+    async persist() {}
+}
+
+// ==================== JSON FILE DRIVER ====================
+
+class JsonFileUserStore extends MemoryUserStore {
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+        this.write = createJsonWriter(filePath);
+    }
+
+    async init() {
+        const data = await readJsonFile(this.filePath, { users: [] });
+        (data.users || []).forEach(user => {
+            this.users.set(user.id, user);
+            this.byUsername.set(user.username.toLowerCase(), user.id);
+        });
+    }
+
+    persist() {
+        return this.write({ users: Array.from(this.users.values()) });
+    }
+}
+
+// Create a user store for the given driver ('json' or 'memory')
+function createUserStore(options = {}) {
+    const driver = options.driver || 'json';
+
+    switch (driver) {
+        case 'memory':
+            return new MemoryUserStore();
+        case 'json':
+            return new JsonFileUserStore(options.filePath);
+        default:
+            throw new Error(`Unknown user store driver: ${driver}`);
+    }
+}
+
+module.exports = {
+    createUserStore,
+    MemoryUserStore,
+    JsonFileUserStore
+};
@@ -0,0 +1,365 @@
+// Upload Content Sniffing
+// The client's Content-Type and file name can't be trusted, so every upload
+// is identified from its bytes before it is stored: EBML (WebM/Matroska) or
+// ISO BMFF (MP4, `ftyp` first). The container headers also give duration,
+// resolution and codecs without running ffmpeg.
+//
+// sniffVideo(filePath) resolves with
+//   { container, mimetype, extension, duration, width, height, videoCodec, audioCodec }
+// or rejects with a VideoFormatError (415).
+
+const fs = require('fs');
+
+const CONTAINERS = {
+    webm: { mimetype: 'video/webm', extension: '.webm' },
+    matroska: { mimetype: 'video/x-matroska', extension: '.mkv' },
+    mp4: { mimetype: 'video/mp4', extension: '.mp4' }
+};
+
+const EBML_HEAD_BYTES = 1024 * 1024;     // Tracks come before the first Cluster
+const MAX_MOOV_BYTES = 16 * 1024 * 1024;
+
+class VideoFormatError extends Error {
+    constructor(message, statusCode = 415) {
+        super(message);
+        this.name = 'VideoFormatError';
+        this.statusCode = statusCode;
+    }
+}
+
+async function readAt(handle, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+// ==================== EBML (WEBM / MATROSKA) ====================
+
+const EBML = {
+    header: 0x1A45DFA3,
+    docType: 0x4282,
+    segment: 0x18538067,
+    info: 0x1549A966,
+    timecodeScale: 0x2AD7B1,
+    duration: 0x4489,
+    tracks: 0x1654AE6B,
+    trackEntry: 0xAE,
+    trackType: 0x83,
+    codecId: 0x86,
+    video: 0xE0,
+    pixelWidth: 0xB0,
+    pixelHeight: 0xBA,
+    cluster: 0x1F43B675
+};
+
+const EBML_CODECS = {
+    V_VP8: 'vp8',
+    V_VP9: 'vp9',
+    V_AV1: 'av1',
+    'V_MPEG4/ISO/AVC': 'h264',
+    'V_MPEGH/ISO/HEVC': 'hevc',
+    A_OPUS: 'opus',
+    A_VORBIS: 'vorbis',
+    A_AAC: 'aac',
+    A_PCM: 'pcm'
+};
+
+// Variable-length integer at `offset`: { length, value }. IDs keep their
+// marker bit; sizes drop it, and an all-ones size means "unknown" (null).
+function readVint(buffer, offset, keepMarker) {
+    const first = buffer[offset];
+    if (first === undefined || first === 0) return null;
+
+    const length = Math.clz32(first) - 23;
+    if (offset + length > buffer.length) return null;
+
+    let value = keepMarker ? first : first & (0xFF >> length);
+    let allOnes = value === (0xFF >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + buffer[offset + i];
+        if (buffer[offset + i] !== 0xFF) allOnes = false;
+    }
+    return { length, value: !keepMarker && allOnes ? null : value };
+}
+
+// Elements in buffer[start, end): [{ id, dataStart, dataEnd }]. Stops at an
+// element that runs past the buffer (or has an unknown size) and includes it
+// with dataEnd = end, so a Segment can be walked from its header alone.
+function readElements(buffer, start, end) {
+    const elements = [];
+    let offset = start;
+
+    while (offset < end) {
+        const id = readVint(buffer, offset, true);
+        const size = id && readVint(buffer, offset + id.length, false);
+        if (!id || !size) break;
+
+        const dataStart = offset + id.length + size.length;
+        const dataEnd = size.value === null ? end : dataStart + size.value;
+        elements.push({ id: id.value, dataStart, dataEnd: Math.min(dataEnd, end) });
+        if (dataEnd > end) break;
+        offset = dataEnd;
+    }
+    return elements;
+}
+
+function readUint(buffer, element) {
+    let value = 0;
+    for (let i = element.dataStart; i < element.dataEnd; i++) value = value * 256 + buffer[i];
+    return value;
+}
+
+function readFloat(buffer, element) {
+    const length = element.dataEnd - element.dataStart;
+    if (length === 4) return buffer.readFloatBE(element.dataStart);
+    if (length === 8) return buffer.readDoubleBE(element.dataStart);
+    return null;
+}
+
+function readString(buffer, element) {
+    return buffer.toString('latin1', element.dataStart, element.dataEnd).replace(/\0+$/, '');
+}
+
+function ebmlCodec(codecId) {
+    return EBML_CODECS[codecId] || EBML_CODECS[codecId.split('/')[0]] || codecId.toLowerCase();
+}
+
+async function sniffEbml(handle) {
+    const buffer = await readAt(handle, 0, EBML_HEAD_BYTES);
+    const [header, segment] = readElements(buffer, 0, buffer.length);
+    if (!header) throw new VideoFormatError('Invalid WebM/Matroska file: truncated header');
+
+    const docTypeElement = readElements(buffer, header.dataStart, header.dataEnd)
+        .find(element => element.id === EBML.docType);
+    const docType = docTypeElement ? readString(buffer, docTypeElement) : 'matroska';
+    if (!CONTAINERS[docType]) {
+        throw new VideoFormatError(`Unsupported EBML document type: ${docType}`);
+    }
+    if (!segment || segment.id !== EBML.segment) {
+        throw new VideoFormatError('Invalid WebM/Matroska file: no Segment');
+    }
+
+    const result = { container: docType, duration: null, width: null, height: null, videoCodec: null, audioCodec: null };
+    let sawTracks = false;
+
+    for (const element of readElements(buffer, segment.dataStart, segment.dataEnd)) {
+        if (element.id === EBML.cluster) break;
+
+        if (element.id === EBML.info) {
+            const fields = readElements(buffer, element.dataStart, element.dataEnd);
+            const scale = fields.find(field => field.id === EBML.timecodeScale);
+            const duration = fields.find(field => field.id === EBML.duration);
+            // MediaRecorder leaves Duration out while recording
+            const value = duration ? readFloat(buffer, duration) : null;
+            if (value > 0) {
+                result.duration = value * (scale ? readUint(buffer, scale) : 1000000) / 1e9;
+            }
+        }
+
+        if (element.id === EBML.tracks) {
+            sawTracks = true;
+            for (const entry of readElements(buffer, element.dataStart, element.dataEnd)) {
+                if (entry.id !== EBML.trackEntry) continue;
+
+                const fields = readElements(buffer, entry.dataStart, entry.dataEnd);
+                const type = fields.find(field => field.id === EBML.trackType);
+                const codec = fields.find(field => field.id === EBML.codecId);
+                const trackType = type ? readUint(buffer, type) : null;
+
+                if (trackType === 1 && !result.videoCodec) {
+                    result.videoCodec = codec ? ebmlCodec(readString(buffer, codec)) : 'unknown';
+                    const video = fields.find(field => field.id === EBML.video);
+                    const dimensions = video ? readElements(buffer, video.dataStart, video.dataEnd) : [];
+                    const width = dimensions.find(field => field.id === EBML.pixelWidth);
+                    const height = dimensions.find(field => field.id === EBML.pixelHeight);
+                    result.width = width ? readUint(buffer, width) : null;
+                    result.height = height ? readUint(buffer, height) : null;
+                } else if (trackType === 2 && !result.audioCodec) {
+                    result.audioCodec = codec ? ebmlCodec(readString(buffer, codec)) : 'unknown';
+                }
+            }
+        }
+    }
+
+    if (!sawTracks) throw new VideoFormatError('Invalid WebM/Matroska file: no track information');
+    return result;
+}
+
+// ==================== ISO BMFF (MP4) ====================
+
+const MP4_CODECS = {
+    avc1: 'h264',
+    avc3: 'h264',
+    hvc1: 'hevc',
+    hev1: 'hevc',
+    vp09: 'vp9',
+    av01: 'av1',
+    mp4a: 'aac',
+    Opus: 'opus',
+    'ac-3': 'ac3'
+};
+
+// Box header at `position` in the file: { type, start, dataStart, end }
+async function readBoxHeader(handle, position, fileSize) {
+    const header = await readAt(handle, position, 16);
+    if (header.length < 8) return null;
+
+    let size = header.readUInt32BE(0);
+    let headerLength = 8;
+    if (size === 1) {
+        if (header.length < 16) return null;
+        size = Number(header.readBigUInt64BE(8));
+        headerLength = 16;
+    } else if (size === 0) {
+        size = fileSize - position;
+    }
+    if (size < headerLength) return null;
+
+    return {
+        type: header.toString('latin1', 4, 8),
+        start: position,
+        dataStart: position + headerLength,
+        end: position + size
+    };
+}
+
+// Child boxes of a box held in memory: [{ type, dataStart, end }]
+function readBoxes(buffer, start, end) {
+    const boxes = [];
+    let offset = start;
+
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        let headerLength = 8;
+        if (size === 1) {
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            headerLength = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerLength || offset + size > end) break;
+
+        boxes.push({ type: buffer.toString('latin1', offset + 4, offset + 8), dataStart: offset + headerLength, end: offset + size });
+        offset += size;
+    }
+    return boxes;
+}
+
+function findBox(buffer, parent, ...path) {
+    let box = parent;
+    for (const type of path) {
+        box = readBoxes(buffer, box.dataStart, box.end).find(child => child.type === type);
+        if (!box) return null;
+    }
+    return box;
+}
+
+function parseMoov(buffer) {
+    const moov = { dataStart: 0, end: buffer.length };
+    const result = { duration: null, width: null, height: null, videoCodec: null, audioCodec: null };
+
+    // mvhd: version 0 has 32-bit times, version 1 64-bit
+    const mvhd = findBox(buffer, moov, 'mvhd');
+    if (mvhd) {
+        const version = buffer[mvhd.dataStart];
+        const timescale = buffer.readUInt32BE(mvhd.dataStart + (version === 1 ? 20 : 12));
+        const duration = version === 1
+            ? Number(buffer.readBigUInt64BE(mvhd.dataStart + 24))
+            : buffer.readUInt32BE(mvhd.dataStart + 16);
+        // Fragmented MP4 (MediaRecorder) has no duration here
+        if (timescale > 0 && duration > 0 && duration !== 0xFFFFFFFF) {
+            result.duration = duration / timescale;
+        }
+    }
+
+    for (const trak of readBoxes(buffer, 0, buffer.length).filter(box => box.type === 'trak')) {
+        const hdlr = findBox(buffer, trak, 'mdia', 'hdlr');
+        const stsd = findBox(buffer, trak, 'mdia', 'minf', 'stbl', 'stsd');
+        if (!hdlr || !stsd) continue;
+
+        const handler = buffer.toString('latin1', hdlr.dataStart + 8, hdlr.dataStart + 12);
+        // First sample entry: version/flags, entry count, then size + format
+        const format = stsd.dataStart + 16 <= stsd.end
+            ? buffer.toString('latin1', stsd.dataStart + 12, stsd.dataStart + 16)
+            : null;
+        const codec = format ? (MP4_CODECS[format] || format.trim().toLowerCase()) : 'unknown';
+
+        if (handler === 'vide' && !result.videoCodec) {
+            result.videoCodec = codec;
+            // tkhd width/height are 16.16 fixed point at the end of the box
+            const tkhd = findBox(buffer, trak, 'tkhd');
+            if (tkhd && tkhd.end - tkhd.dataStart >= 84) {
+                const offset = tkhd.dataStart + (buffer[tkhd.dataStart] === 1 ? 88 : 76);
+                result.width = buffer.readUInt32BE(offset) >>> 16 || null;
+                result.height = buffer.readUInt32BE(offset + 4) >>> 16 || null;
+            }
+        } else if (handler === 'soun' && !result.audioCodec) {
+            result.audioCodec = codec;
+        }
+    }
+
+    return result;
+}
+
+async function sniffMp4(handle, fileSize) {
+    let position = 0;
+    let first = true;
+
+    while (position < fileSize) {
+        const box = await readBoxHeader(handle, position, fileSize);
+        if (!box) break;
+
+        if (first) {
+            const brand = (await readAt(handle, box.dataStart, 4)).toString('latin1');
+            if (brand === 'qt  ') throw new VideoFormatError('QuickTime files are not supported');
+            first = false;
+        }
+
+        // moov is at the start (faststart) or after the media data
+        if (box.type === 'moov') {
+            if (box.end - box.dataStart > MAX_MOOV_BYTES) {
+                throw new VideoFormatError('MP4 metadata is too large');
+            }
+            const moov = await readAt(handle, box.dataStart, box.end - box.dataStart);
+            return { container: 'mp4', ...parseMoov(moov) };
+        }
+        position = box.end;
+    }
+
+    throw new VideoFormatError('Invalid MP4 file: no moov box');
+}
+
+// ==================== SNIFFING ====================
+
+async function sniffVideo(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+
+    try {
+        const { size } = await handle.stat();
+        const magic = await readAt(handle, 0, 12);
+
+        let info;
+        if (magic.length >= 4 && magic.readUInt32BE(0) === EBML.header) {
+            info = await sniffEbml(handle);
+        } else if (magic.length >= 12 && magic.toString('latin1', 4, 8) === 'ftyp') {
+            info = await sniffMp4(handle, size);
+        } else {
+            throw new VideoFormatError('File is not a WebM, Matroska or MP4 video');
+        }
+
+        if (!info.videoCodec) throw new VideoFormatError('File has no video track');
+        return { ...info, ...CONTAINERS[info.container] };
+    } catch (error) {
+        // Truncated or corrupt headers surface as RangeErrors from Buffer reads
+        if (error instanceof RangeError) throw new VideoFormatError('Video file is corrupt or truncated');
+        throw error;
+    } finally {
+        await handle.close();
+    }
+}
+
+module.exports = {
+    sniffVideo,
+    VideoFormatError,
+    CONTAINERS
+};
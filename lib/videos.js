@@ -0,0 +1,210 @@
+// Video Messages
+// What routes and socket handlers share about stored video messages: taking
+// in uploads, who may see or manage a message, presenting it with signed
+// media URLs, and the trash.
+
+const fs = require('fs');
+const { shareState } = require('./share-store');
+const { sniffVideo, VideoFormatError } = require('./video-sniffer');
+
+// Form fields may arrive as a comma-separated string or repeated fields
+function parseRecipients(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(name => name.trim()).filter(Boolean);
+}
+
+// Generate unique filename for a stored video
+function generateVideoFilename(ext) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    return 'video-' + uniqueSuffix + ext;
+}
+
+// What a message record keeps about its transcode job
+function transcodeSummary(job) {
+    return {
+        jobId: job.id,
+        status: job.status,
+        error: job.error
+    };
+}
+
+// The owner (uploader), the recipients and admins may watch a message
+function canViewMessage(user, message) {
+    if (!user) return false;
+    return user.role === 'admin'
+        || (!!message.owner && message.owner === user.id)
+        || message.recipients.includes(user.username);
+}
+
+// Only the owner (or an admin) may share, send, delete or restore it.
+// Anonymous uploads have no owner, so only admins can manage them.
+function canManageMessage(user, message) {
+    if (!user) return false;
+    return user.role === 'admin' || (!!message.owner && message.owner === user.id);
+}
+
+// ctx: { config, videoStorage, messageStore, shareStore, transcodeQueue, mediaLinks, logger }
+function createVideos(ctx) {
+    const { config, videoStorage, messageStore, shareStore, transcodeQueue, mediaLinks } = ctx;
+    const log = ctx.logger.child({ component: 'videos' });
+    const trashTtl = config.trashDays * 24 * 60 * 60 * 1000;
+
+    // Check a finished upload (a temp file at file.path) is the video its
+    // Content-Type claims, move it into storage under a name with the sniffed
+    // container's extension, create its message store record and queue its
+    // transcode. The sender is the signed-in user when the request carries a
+    // session token. Rejects with a VideoFormatError if the content doesn't match;
+    // the temp file is deleted then, unless options.keepFile is set.
+    async function recordUpload(file, fields, user, { keepFile = false } = {}) {
+        let media;
+        let filename;
+        try {
+            media = await sniffVideo(file.path);
+            const declared = String(file.mimetype || '').split(';')[0].trim();
+            if (declared !== media.mimetype) {
+                throw new VideoFormatError(`File content is ${media.mimetype}, not ${declared}`);
+            }
+
+            filename = generateVideoFilename(media.extension);
+            await videoStorage.put(filename, file.path, { contentType: media.mimetype });
+        } catch (error) {
+            if (!keepFile) await fs.promises.rm(file.path, { force: true });
+            throw error;
+        }
+
+        // The container's own duration beats the client's (MediaRecorder WebM has none)
+        const duration = media.duration ?? parseFloat(fields.duration);
+        const message = await messageStore.create({
+            filename,
+            owner: user ? user.id : null,
+            sender: user ? user.username : fields.sender,
+            recipients: parseRecipients(fields.recipients),
+            title: fields.title,
+            duration: Number.isFinite(duration) ? duration : null,
+            size: file.size,
+            mimetype: media.mimetype,
+            media: {
+                container: media.container,
+                width: media.width,
+                height: media.height,
+                videoCodec: media.videoCodec,
+                audioCodec: media.audioCodec
+            }
+        });
+
+        try {
+            const job = await transcodeQueue.enqueue({
+                messageId: message.id,
+                filename,
+                duration: message.duration
+            });
+            if (job) {
+                return await messageStore.update(message.id, {
+                    transcode: transcodeSummary(job),
+                    previews: job.previews
+                });
+            }
+        } catch (error) {
+            log.error('Failed to queue transcode', { filename, error });
+        }
+        return message;
+    }
+
+    // Record uploads that predate the message store so they stay listed
+    async function importUntrackedUploads() {
+        const objects = await videoStorage.list('video-');
+        let imported = 0;
+
+        for (const object of objects.filter(o => !o.key.includes('/'))) {
+            if (await messageStore.findByFilename(object.key)) continue;
+
+            await messageStore.create({
+                filename: object.key,
+                size: object.size,
+                createdAt: object.lastModified.toISOString()
+            });
+            imported++;
+        }
+
+        if (imported > 0) {
+            log.info('Imported existing uploads', { count: imported });
+        }
+    }
+
+    // A message that exists and isn't in the trash
+    async function getLiveMessage(id) {
+        const message = id ? await messageStore.get(id) : null;
+        return message && !message.deletedAt ? message : null;
+    }
+
+    // A message record with freshly signed media URLs
+    function presentMessage(message, options) {
+        return mediaLinks.withMediaUrls(message, mediaLinks.signMedia(message.id, options));
+    }
+
+    function presentShare(share, req) {
+        return {
+            ...share,
+            state: shareState(share),
+            url: `${req.protocol}://${req.get('host')}/share/${mediaLinks.signShare(share)}`
+        };
+    }
+
+    // ==================== TRASH ====================
+    // Deleting a video only marks it (deletedAt); the file, renditions and
+    // share links are removed for good TRASH_DAYS later
+
+    function purgeTime(message) {
+        return new Date(Date.parse(message.deletedAt) + trashTtl).toISOString();
+    }
+
+    async function purgeMessage(message) {
+        // Stops a transcode still running; finished jobs may be gone already,
+        // so the renditions are removed by their prefix
+        if (message.transcode) {
+            await transcodeQueue.remove(message.transcode.jobId);
+        }
+        await videoStorage.remove(message.filename);
+        await videoStorage.removePrefix(transcodeQueue.outputPrefix(message.filename));
+        await shareStore.removeByMessage(message.id);
+        await messageStore.remove(message.id);
+    }
+
+    // Permanently remove videos that have been in the trash longer than TRASH_DAYS
+    async function purgeTrash() {
+        const deletedBefore = new Date(Date.now() - trashTtl).toISOString();
+        let purged = 0;
+
+        for (;;) {
+            const { items } = await messageStore.list({ deleted: true, deletedBefore, limit: 100 });
+            if (items.length === 0) break;
+
+            for (const message of items) {
+                await purgeMessage(message);
+                purged++;
+            }
+        }
+        return purged;
+    }
+
+    return {
+        recordUpload,
+        importUntrackedUploads,
+        getLiveMessage,
+        presentMessage,
+        presentShare,
+        purgeTime,
+        purgeMessage,
+        purgeTrash
+    };
+}
+
+module.exports = {
+    createVideos,
+    parseRecipients,
+    generateVideoFilename,
+    transcodeSummary,
+    canViewMessage,
+    canManageMessage
+};
@@ -3,6 +3,12 @@ const BACKEND_URL = window.location.hostname.includes('localhost')
     ? 'http://localhost:3000'
     : 'https://video-messenger-backend.fly.dev'; // Fly.io backend URL
 
+// Session token storage (keeps the same account across reloads/reconnects)
+const AUTH_TOKEN_KEY = 'videoMessengerAuthToken';
+
+// socket.io's reconnection delay; raised while a restarting server comes back
+const RECONNECTION_DELAY = 1000;
+
 // Check if SFU (LiveKit) is handling video - skip P2P if so
 function isSFUActive() {
     return window.sfuConnectionManager?.isConnected === true;
@@ -34,9 +40,23 @@ class ConnectionManager {
         this.remoteStream = null;
         this.isLoggedIn = false;
         this.mySocketId = null;
+        this.userId = null;
+        this.username = null;
+        this.authToken = localStorage.getItem(AUTH_TOKEN_KEY);
         this.remoteSocketId = null;
         this.connectedUsers = [];
 
+        // Set by 'server-restarting' until we're back in a room
+        this.serverRestarting = false;
+
+        // Room we're in (presence, positions, studio and LiveKit are per room);
+        // ?room=<name> in the URL picks the room to join
+        this.currentRoom = new URLSearchParams(window.location.search).get('room');
+
+        // Incoming video messages waiting to be shown (queued while offline)
+        this.incomingMessages = [];
+        this.currentIncomingMessage = null;
+
         // ICE servers configuration (STUN server)
         this.iceServers = {
             iceServers: [
@@ -102,32 +122,47 @@ class ConnectionManager {
                     messageVideo.pause();
                     messageVideo.src = '';
                 }
+                this.currentIncomingMessage = null;
+                this.showNextIncomingMessage();
+            });
+        }
+
+        // Send a read receipt once the recipient starts playing a message
+        const incomingMessageVideo = document.getElementById('incomingMessageVideo');
+        if (incomingMessageVideo) {
+            incomingMessageVideo.addEventListener('play', () => {
+                const message = this.currentIncomingMessage;
+                if (message && message.inboxId && !message.readSent && this.socket) {
+                    message.readSent = true;
+                    this.socket.emit('video-message-read', { inboxId: message.inboxId });
+                }
             });
         }
 
-        /* COMMENTED OUT - Authentication UI handlers
-        // Login button
+        // Sign in / create account (login modal)
         const loginBtn = document.getElementById('loginBtn');
+        const registerBtn = document.getElementById('registerBtn');
         const passwordInput = document.getElementById('passwordInput');
         const usernameInput = document.getElementById('usernameInput');
 
-        if (loginBtn) {
+        if (loginBtn && passwordInput && usernameInput) {
             loginBtn.addEventListener('click', () => {
-                const password = passwordInput.value;
-                const username = usernameInput.value || 'Guest';
-                this.login(password, username);
+                this.signIn(usernameInput.value.trim(), passwordInput.value);
             });
 
-            // Enter key to login
+            // Enter key to sign in
             passwordInput.addEventListener('keypress', (e) => {
                 if (e.key === 'Enter') {
-                    const password = passwordInput.value;
-                    const username = usernameInput.value || 'Guest';
-                    this.login(password, username);
+                    this.signIn(usernameInput.value.trim(), passwordInput.value);
                 }
             });
         }
-        */
+
+        if (registerBtn && passwordInput && usernameInput) {
+            registerBtn.addEventListener('click', () => {
+                this.register(usernameInput.value.trim(), passwordInput.value);
+            });
+        }
 
         // Reconnect button handler
         const reconnectBtn = document.getElementById('reconnectBtn');
@@ -139,6 +174,13 @@ class ConnectionManager {
     }
 
     reconnect() {
+        // Signaling is down while the server restarts; the call is redialed
+        // once we're back in the room
+        if (this.serverRestarting) {
+            this.updateConnectionStatus('connecting', 'Server restarting - reconnecting...');
+            return;
+        }
+
         console.log('🔄 Reconnecting...');
         this.updateConnectionStatus('connecting', 'Reconnecting...');
 
@@ -156,14 +198,155 @@ class ConnectionManager {
         }
     }
 
-    login(password, username) {
-        /* COMMENTED OUT - Password validation
-        if (!password) {
-            this.showStatus('Please enter a password', 'error');
-            return;
+    // Start SFU for multi-party video in the current room (no-op if running)
+    async startSFU() {
+        if (!window.sfuConnectionManager || window.sfuConnectionManager.isConnected) return;
+
+        const localStream = window.videoRecorder?.stream;
+        if (localStream) {
+            console.log('[ConnectionManager] Starting SFU with local stream...');
+            await window.sfuConnectionManager.start(localStream);
+        } else {
+            console.log('[ConnectionManager] Waiting for camera stream before starting SFU...');
+            // Retry after camera is ready
+            const checkStream = setInterval(async () => {
+                const stream = window.videoRecorder?.stream;
+                if (stream) {
+                    clearInterval(checkStream);
+                    console.log('[ConnectionManager] Camera ready, starting SFU...');
+                    await window.sfuConnectionManager.start(stream);
+                }
+            }, 500);
+            // Give up after 10 seconds
+            setTimeout(() => clearInterval(checkStream), 10000);
+        }
+    }
+
+    // ==================== ROOMS ====================
+
+    // Emit a room event and resolve with its acknowledgement
+    roomRequest(event, data = {}) {
+        return new Promise((resolve, reject) => {
+            if (!this.socket) {
+                reject(new Error('Not connected'));
+                return;
+            }
+            this.socket.emit(event, data, (response) => {
+                if (response?.success) {
+                    resolve(response);
+                } else {
+                    reject(new Error(response?.message || `${event} failed`));
+                }
+            });
+        });
+    }
+
+    async listRooms() {
+        return (await this.roomRequest('room-list')).rooms;
+    }
+
+    async createRoom(name, title) {
+        return (await this.roomRequest('room-create', { name, title })).room;
+    }
+
+    // Switch rooms; 'room-joined' then moves LiveKit over
+    async joinRoom(name) {
+        return this.roomRequest('room-join', { room: name });
+    }
+
+    // The server answers with 'room-left', which resets local room state
+    async leaveRoom() {
+        return this.roomRequest('room-leave');
+    }
+
+    // ==================== AUTHENTICATION ====================
+
+    authHeaders() {
+        return this.authToken ? { Authorization: `Bearer ${this.authToken}` } : {};
+    }
+
+    saveSession(data) {
+        this.authToken = data.token;
+        this.userId = data.user.id;
+        this.username = data.user.username;
+        localStorage.setItem(AUTH_TOKEN_KEY, data.token);
+    }
+
+    clearSession() {
+        this.authToken = null;
+        this.userId = null;
+        localStorage.removeItem(AUTH_TOKEN_KEY);
+    }
+
+    async authRequest(path, options = {}) {
+        const response = await fetch(`${BACKEND_URL}${path}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                ...this.authHeaders(),
+                ...options.headers
+            }
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(data.message || `Request failed (${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    // Reuse the stored session, or create a guest account for one-click join
+    async ensureSession(preferredUsername) {
+        if (this.authToken) {
+            try {
+                const data = await this.authRequest('/api/auth/me');
+                this.userId = data.user.id;
+                this.username = data.user.username;
+                return;
+            } catch (error) {
+                if (error.status !== 401) throw error;
+                console.log('Stored session expired, creating a new guest account');
+                this.clearSession();
+            }
         }
-        */
 
+        const data = await this.authRequest('/api/auth/guest', {
+            method: 'POST',
+            body: JSON.stringify({ username: preferredUsername })
+        });
+        this.saveSession(data);
+    }
+
+    async signIn(username, password) {
+        try {
+            const data = await this.authRequest('/api/auth/login', {
+                method: 'POST',
+                body: JSON.stringify({ username, password })
+            });
+            this.saveSession(data);
+            this.connect();
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    async register(username, password) {
+        try {
+            const data = await this.authRequest('/api/auth/register', {
+                method: 'POST',
+                body: JSON.stringify({ username, password })
+            });
+            this.saveSession(data);
+            this.connect();
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    // One-click join: uses the stored account or a guest account
+    async login(password, username) {
         // Check if Socket.io is loaded
         if (typeof io === 'undefined') {
             console.error('Socket.io client library not loaded');
@@ -171,27 +354,60 @@ class ConnectionManager {
             return;
         }
 
-        // Connect to Socket.io server
+        try {
+            await this.ensureSession(username);
+        } catch (error) {
+            console.error('Could not start session:', error);
+            this.showStatus('Connection error: ' + error.message, 'error');
+            this.updateConnectionStatus('error', 'Could not sign in');
+            return;
+        }
+
+        this.connect();
+    }
+
+    connect() {
+        if (this.socket) {
+            this.socket.disconnect();
+        }
+
+        // Connect to Socket.io server with the session token
         console.log('Connecting to backend:', BACKEND_URL);
         this.socket = io(BACKEND_URL, {
             withCredentials: true,
-            transports: ['websocket', 'polling']
+            transports: ['websocket', 'polling'],
+            reconnectionDelay: RECONNECTION_DELAY,
+            auth: { token: this.authToken }
         });
 
         // Socket event handlers
         this.setupSocketHandlers();
 
-        // Emit login event
-        this.socket.emit('login', { password, username });
+        // Log in on every (re)connect so presence survives network drops
+        this.socket.on('connect', () => {
+            this.socket.emit('login', { room: this.currentRoom });
+        });
+
+        this.socket.on('connect_error', (error) => {
+            if (error.message === 'Unauthorized') {
+                console.warn('Session rejected by server');
+                this.clearSession();
+                this.socket.disconnect();
+                this.updateConnectionStatus('error', 'Session expired - click Connect');
+                if (this.loginModal) this.loginModal.classList.remove('hidden');
+            }
+        });
     }
 
     setupSocketHandlers() {
         this.socket.on('login-success', async (data) => {
             this.isLoggedIn = true;
             this.mySocketId = data.socketId;
+            this.userId = data.userId;
+            this.username = data.username;
             this.loginModal.classList.add('hidden');
             this.showStatus('Connected! Waiting for other users...', 'success');
-            console.log('Login successful, socket ID:', this.mySocketId);
+            console.log('Login successful, user:', this.username, '(' + this.userId + ') socket ID:', this.mySocketId);
 
             // Update connection status indicator
             this.updateConnectionStatus('waiting', 'Waiting for others to join');
@@ -203,28 +419,74 @@ class ConnectionManager {
                 const label = connectBtn.querySelector('.btn-label');
                 if (label) label.textContent = 'Connected';
             }
+        });
 
-            // Start SFU for multi-party video
-            if (window.sfuConnectionManager) {
-                const localStream = window.videoRecorder?.stream;
-                if (localStream) {
-                    console.log('[ConnectionManager] Starting SFU with local stream...');
-                    await window.sfuConnectionManager.start(localStream);
-                } else {
-                    console.log('[ConnectionManager] Waiting for camera stream before starting SFU...');
-                    // Retry after camera is ready
-                    const checkStream = setInterval(async () => {
-                        const stream = window.videoRecorder?.stream;
-                        if (stream) {
-                            clearInterval(checkStream);
-                            console.log('[ConnectionManager] Camera ready, starting SFU...');
-                            await window.sfuConnectionManager.start(stream);
-                        }
-                    }, 500);
-                    // Give up after 10 seconds
-                    setTimeout(() => clearInterval(checkStream), 10000);
-                }
+        // Server put us in a room (after login or a room switch)
+        this.socket.on('room-joined', (data) => {
+            const previousRoom = this.currentRoom;
+            this.currentRoom = data.room.name;
+            console.log(`Joined room ${data.room.name} (${data.room.online} online)`);
+
+            // Keep the room in the URL so it can be shared
+            const url = new URL(window.location.href);
+            url.searchParams.set('room', data.room.name);
+            window.history.replaceState(null, '', url);
+
+            // Switching rooms: drop the P2P call and move LiveKit to the new room
+            if (previousRoom && previousRoom !== data.room.name) {
+                this.closeConnection();
+            }
+
+            // Back after a server restart: everyone has a new socket id, so the
+            // P2P call is redialed from the users list like a fresh join
+            if (this.serverRestarting) {
+                this.serverRestarting = false;
+                this.socket.io.reconnectionDelay(RECONNECTION_DELAY);
+                this.closeConnection();
+                this.showStatus('Reconnected after server restart', 'info');
+            }
+            const sfu = window.sfuConnectionManager;
+            if (sfu?.isConnected && sfu.roomName !== data.room.name) {
+                sfu.stop();
             }
+            this.startSFU();
+        });
+
+        // The server is going down for a deploy. The socket reconnects by
+        // itself; wait the suggested time so clients don't all reconnect at once
+        // (socket.io adds jitter to the delay)
+        this.socket.on('server-restarting', (data) => {
+            console.log(`[Socket] Server restarting, reconnecting in ${data.retryAfter}ms`);
+            this.serverRestarting = true;
+            this.socket.io.reconnectionDelay(data.retryAfter);
+            this.updateConnectionStatus('connecting', 'Server restarting - reconnecting...');
+        });
+
+        this.socket.on('room-left', () => {
+            this.currentRoom = null;
+            this.connectedUsers = [];
+            this.updateUsersList();
+            this.closeConnection();
+            window.sfuConnectionManager?.stop();
+            this.updateConnectionStatus('waiting', 'Not in a room');
+        });
+
+        this.socket.on('room-error', (data) => {
+            this.showStatus(`Room ${data.room}: ${data.message}`, 'error');
+        });
+
+        // The server dropped an event because this user or IP sent too many
+        this.socket.on('rate-limited', (data) => {
+            console.warn(`[RateLimit] ${data.event} limited for ${data.retryAfter}s`);
+            // Cursor and position updates are lossy; don't nag about those
+            if (!['studio-cursor-update', 'video-position-update'].includes(data.event)) {
+                this.showStatus(data.message, 'error');
+            }
+        });
+
+        // The server refused an event whose payload didn't match its schema
+        this.socket.on('invalid-payload', (data) => {
+            console.warn(`[Socket] ${data.message}`);
         });
 
         this.socket.on('login-failed', (data) => {
@@ -261,6 +523,8 @@ class ConnectionManager {
         this.socket.on('user-joined', (user) => {
             console.log('User joined:', user);
             console.log('My socket ID:', this.mySocketId);
+            // Same account on a new socket (reconnect / another tab) replaces the old entry
+            this.connectedUsers = this.connectedUsers.filter(u => u.userId !== user.userId);
             this.connectedUsers.push(user);
             this.updateUsersList();
             this.showStatus(`${user.username} joined!`, 'info');
@@ -287,8 +551,8 @@ class ConnectionManager {
         });
 
         this.socket.on('user-left', (data) => {
-            console.log('User left:', data.socketId);
-            this.connectedUsers = this.connectedUsers.filter(u => u.socketId !== data.socketId);
+            console.log('User left:', data.userId, data.socketId);
+            this.connectedUsers = this.connectedUsers.filter(u => u.userId !== data.userId);
             this.updateUsersList();
             if (this.remoteSocketId === data.socketId) {
                 this.showStatus('Remote user disconnected', 'info');
@@ -322,12 +586,30 @@ class ConnectionManager {
         // Video message handlers
         this.socket.on('video-message-received', (data) => {
             console.log('Received video message from:', data.senderName);
+            // Delivery receipt back to the sender
+            if (data.inboxId) {
+                this.socket.emit('video-message-ack', { inboxId: data.inboxId });
+            }
             this.handleVideoMessageReceived(data);
         });
 
         this.socket.on('video-message-sent', (data) => {
-            console.log('Video message sent successfully to:', data.to);
-            this.showStatus('Video message sent successfully!', 'success');
+            if (!data.success) {
+                console.warn('Video message not sent:', data.message);
+                this.showStatus(data.message || 'Video message could not be sent', 'error');
+                return;
+            }
+            console.log('Video message accepted for:', data.recipient, '| status:', data.status);
+            this.showStatus(`Video message sent to ${data.recipient}!`, 'success');
+        });
+
+        this.socket.on('video-message-receipt', (data) => {
+            console.log('Video message receipt:', data.recipient, data.status);
+            if (data.status === 'read') {
+                this.showStatus(`${data.recipient} watched your video message 👀`, 'info');
+            } else if (data.status === 'delivered') {
+                this.showStatus(`Video message delivered to ${data.recipient}`, 'info');
+            }
         });
 
         // Sticker synchronization
@@ -737,10 +1019,10 @@ class ConnectionManager {
         // Clear existing options
         recipientSelect.innerHTML = '<option value="">Select recipient...</option>';
 
-        // Add connected users
+        // Add connected users (value is the stable user id)
         this.connectedUsers.forEach(user => {
             const option = document.createElement('option');
-            option.value = user.socketId;
+            option.value = user.userId;
             option.textContent = user.username;
             recipientSelect.appendChild(option);
         });
@@ -756,7 +1038,7 @@ class ConnectionManager {
         }
     }
 
-    sendVideoMessage(videoUrl, filename, size, recipientId) {
+    sendVideoMessage(messageId, recipientId) {
         if (!this.socket || !this.isLoggedIn) {
             this.showStatus('Please join the chat first', 'error');
             return;
@@ -768,9 +1050,7 @@ class ConnectionManager {
         }
 
         this.socket.emit('send-video-message', {
-            videoUrl,
-            filename,
-            size,
+            messageId,
             to: recipientId
         });
 
@@ -778,9 +1058,19 @@ class ConnectionManager {
     }
 
     handleVideoMessageReceived(data) {
-        const { videoUrl, filename, senderName, timestamp } = data;
+        this.showStatus(`New video message from ${data.senderName}!`, 'info');
+
+        // Several messages can arrive at once after being queued offline;
+        // show them one at a time
+        this.incomingMessages.push(data);
+        if (!this.currentIncomingMessage) {
+            this.showNextIncomingMessage();
+        }
+    }
 
-        this.showStatus(`New video message from ${senderName}!`, 'info');
+    showNextIncomingMessage() {
+        const data = this.incomingMessages.shift();
+        if (!data) return;
 
         // Show notification modal
         const modal = document.getElementById('incomingMessageModal');
@@ -788,8 +1078,16 @@ class ConnectionManager {
         const messageSender = document.getElementById('messageSender');
 
         if (modal && messageVideo && messageSender) {
-            messageSender.textContent = senderName;
-            messageVideo.src = videoUrl;
+            this.currentIncomingMessage = data;
+            messageSender.textContent = data.senderName;
+            // The transcoded MP4 plays everywhere (Safari can't play WebM).
+            // Media URLs are signed paths on the backend.
+            const videoUrl = data.renditions?.mp4 ? data.renditions.mp4.url : data.videoUrl;
+            messageVideo.src = new URL(videoUrl, BACKEND_URL).href;
+            // Server-generated poster frame shows until playback starts
+            messageVideo.poster = data.previews?.status === 'ready'
+                ? new URL(data.previews.poster.url, BACKEND_URL).href
+                : '';
             modal.classList.remove('hidden');
         }
     }
@@ -1,11 +1,213 @@
 // Video Recorder Application
 console.log('🎬 recorder.js loaded');
 
+// Resumable chunked uploader
+// Streams recorded chunks to /api/uploads while recording is still running.
+// Network failures are retried with backoff, resuming from the offset the
+// server reports, so a dropped connection never loses the whole message.
+class ChunkedUploader {
+    constructor(mimeType) {
+        this.mimeType = mimeType;
+        this.uploadId = null;
+        this.uploadToken = null;       // Proves this client opened the session
+        this.parts = [];               // Blobs from mediaRecorder.ondataavailable
+        this.queuedBytes = 0;          // Total bytes recorded so far
+        this.offset = 0;               // Bytes the server has confirmed
+        this.maxChunkSize = 5 * 1024 * 1024;
+        this.retryDelay = 1000;
+        this.isUploading = false;
+        this.failed = false;
+        this.aborted = false;
+        this.drainWaiters = [];
+
+        // Resume as soon as the browser is back online
+        this.onOnline = () => this.pump();
+        window.addEventListener('online', this.onOnline);
+
+        this.pump();
+    }
+
+    append(blob) {
+        if (this.aborted || blob.size === 0) return;
+        this.parts.push(blob);
+        this.queuedBytes += blob.size;
+        this.pump();
+    }
+
+    async pump() {
+        if (this.isUploading || this.aborted || this.failed) return;
+        this.isUploading = true;
+
+        try {
+            while (!this.aborted && (!this.uploadId || this.offset < this.queuedBytes)) {
+                try {
+                    if (!this.uploadId) {
+                        await this.createSession();
+                    } else {
+                        await this.sendNextChunk();
+                    }
+                    this.retryDelay = 1000;
+                    this.notifyDrainWaiters();
+                } catch (error) {
+                    if (error.fatal) {
+                        console.error('[ChunkedUploader] Upload failed:', error.message);
+                        this.failed = true;
+                        break;
+                    }
+
+                    console.warn(`[ChunkedUploader] ${error.message}, retrying in ${this.retryDelay}ms`);
+                    await new Promise(resolve => setTimeout(resolve, this.retryDelay));
+                    this.retryDelay = Math.min(this.retryDelay * 2, 30000);
+
+                    if (this.uploadId) {
+                        await this.syncOffset().catch(() => {});
+                    }
+                }
+            }
+        } finally {
+            this.isUploading = false;
+            this.notifyDrainWaiters();
+        }
+    }
+
+    sessionHeaders() {
+        const headers = { ...window.connectionManager?.authHeaders() };
+        if (this.uploadToken) headers['Upload-Token'] = this.uploadToken;
+        return headers;
+    }
+
+    async request(url, options) {
+        let response;
+        try {
+            response = await fetch(url, {
+                ...options,
+                headers: { ...this.sessionHeaders(), ...options.headers }
+            });
+        } catch (error) {
+            // Network error - retryable
+            throw new Error(`Network error: ${error.message}`);
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (response.ok) return data;
+
+        const error = new Error(data.message || `HTTP ${response.status}`);
+        error.status = response.status;
+        error.offset = data.offset;
+        // 409 = offset conflict (resync and continue), 5xx = retry; other 4xx are final
+        error.fatal = response.status >= 400 && response.status < 500 && response.status !== 409;
+        throw error;
+    }
+
+    async createSession() {
+        const data = await this.request('/api/uploads', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ mimetype: this.mimeType })
+        });
+
+        this.uploadId = data.uploadId;
+        this.uploadToken = data.uploadToken;
+        this.offset = data.offset;
+        this.maxChunkSize = Math.min(this.maxChunkSize, data.maxChunkSize || this.maxChunkSize);
+        console.log('[ChunkedUploader] Upload session started:', this.uploadId);
+    }
+
+    async sendNextChunk() {
+        const end = Math.min(this.offset + this.maxChunkSize, this.queuedBytes);
+        const chunk = new Blob(this.parts).slice(this.offset, end);
+
+        try {
+            const data = await this.request(`/api/uploads/${this.uploadId}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/offset+octet-stream',
+                    'Upload-Offset': String(this.offset)
+                },
+                body: chunk
+            });
+            this.offset = data.offset;
+        } catch (error) {
+            if (error.status === 409 && Number.isInteger(error.offset)) {
+                this.offset = error.offset;
+                return;
+            }
+            throw error;
+        }
+    }
+
+    async syncOffset() {
+        const data = await this.request(`/api/uploads/${this.uploadId}`, { method: 'GET' });
+        this.offset = data.offset;
+    }
+
+    notifyDrainWaiters() {
+        const waiters = this.drainWaiters;
+        this.drainWaiters = [];
+        waiters.forEach(check => check());
+    }
+
+    // Resolve once every recorded byte has reached the server
+    waitForDrain() {
+        return new Promise((resolve, reject) => {
+            const check = () => {
+                if (this.failed || this.aborted) {
+                    reject(new Error('Chunked upload failed'));
+                } else if (this.uploadId && this.offset >= this.queuedBytes) {
+                    resolve();
+                } else {
+                    this.drainWaiters.push(check);
+                }
+            };
+            check();
+            this.pump();
+        });
+    }
+
+    // Finalize the upload with message metadata; resolves with the /upload-style response
+    async finish(fields) {
+        await this.waitForDrain();
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const data = await this.request(`/api/uploads/${this.uploadId}/complete`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(fields)
+                });
+                this.cleanup();
+                return data;
+            } catch (error) {
+                if (error.fatal || attempt >= 3) throw error;
+                await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
+            }
+        }
+    }
+
+    abort() {
+        this.aborted = true;
+        this.notifyDrainWaiters();
+        if (this.uploadId) {
+            fetch(`/api/uploads/${this.uploadId}`, {
+                method: 'DELETE',
+                headers: this.sessionHeaders()
+            }).catch(() => {});
+        }
+        this.cleanup();
+    }
+
+    cleanup() {
+        window.removeEventListener('online', this.onOnline);
+        this.parts = [];
+    }
+}
+
 class VideoRecorder {
     constructor() {
         console.log('🎬 VideoRecorder constructor called');
         this.mediaRecorder = null;
         this.recordedChunks = [];
+        this.uploader = null;          // ChunkedUploader for the current recording
         this.stream = null;
         this.recordingStartTime = null;
         this.timerInterval = null;
@@ -37,6 +239,16 @@ class VideoRecorder {
         this.recordingCtx = this.recordingCanvas.getContext('2d');
         this.isRecording = false;
 
+        // What renderCompositeFrame draws: 'camera' (our camera with effects)
+        // or 'honeycomb' (the call as we see it - every circle in the layout)
+        this.compositeMode = 'camera';
+        this.honeycombScale = 1;                 // canvas px per honeycomb container px
+        this.honeycombVideos = new Map();        // participantId -> <video> playing their stream
+        this.honeycombCircles = new Map();       // participantId -> { x, y, radius } as last drawn
+        this.audioContext = null;                // WebAudio mix of every participant's audio
+        this.audioDestination = null;
+        this.audioSources = new Map();           // participantId (or 'local') -> MediaStreamAudioSourceNode
+
         // Frame system
         this.frameImage = new Image();
         this.frameImage.src = 'css/frame.png';
@@ -623,7 +835,8 @@ class VideoRecorder {
         console.log('Frame cached successfully');
     }
 
-    // Composite rendering for recording (video + effects + frame + stickers)
+    // Composite rendering for recording (video + effects + frame + stickers),
+    // or the whole call in honeycomb mode
     renderCompositeFrame() {
         if (!this.isRecording) return;
 
@@ -631,6 +844,12 @@ class VideoRecorder {
         const width = this.recordingCanvas.width;
         const height = this.recordingCanvas.height;
 
+        if (this.compositeMode === 'honeycomb') {
+            this.renderHoneycombFrame(ctx, width, height);
+            requestAnimationFrame(() => this.renderCompositeFrame());
+            return;
+        }
+
         // 1. Clear canvas
         ctx.clearRect(0, 0, width, height);
 
@@ -682,17 +901,252 @@ class VideoRecorder {
         requestAnimationFrame(() => this.renderCompositeFrame());
     }
 
+    // ==================== HONEYCOMB COMPOSITE ====================
+    // "Record this call": while we're in a call (videoHoneycomb showing remote
+    // participants) the recording is what we see - every remote circle at its
+    // synced position from circlePositions (so drags and formation changes
+    // show up), with names and emoji tags, plus our own camera where the
+    // preview dock sits. Everyone's audio is mixed with WebAudio.
+
+    // Record the call instead of just our camera?
+    shouldRecordHoneycomb() {
+        const sfu = window.sfuConnectionManager;
+        const container = sfu?.honeycombContainer;
+        return !!(sfu && sfu.remoteStreams.size > 0 && container
+            && !container.classList.contains('hidden') && container.offsetWidth > 0);
+    }
+
+    // Size the canvas like the honeycomb container (at most 1280px wide or tall)
+    setupHoneycombCanvas() {
+        const container = window.sfuConnectionManager.honeycombContainer;
+        const containerWidth = container.offsetWidth;
+        const containerHeight = container.offsetHeight;
+
+        this.honeycombScale = Math.min(1, 1280 / Math.max(containerWidth, containerHeight));
+        // Encoders want even dimensions
+        this.recordingCanvas.width = Math.round(containerWidth * this.honeycombScale / 2) * 2;
+        this.recordingCanvas.height = Math.round(containerHeight * this.honeycombScale / 2) * 2;
+        this.honeycombCircles.clear();
+    }
+
+    // Keep a playing <video> per remote stream and an audio source per
+    // participant in step with who is in the call (people join and leave
+    // mid-recording)
+    syncHoneycombSources() {
+        const remoteStreams = window.sfuConnectionManager?.remoteStreams || new Map();
+
+        remoteStreams.forEach((stream, participantId) => {
+            let video = this.honeycombVideos.get(participantId);
+            if (!video || video.srcObject !== stream) {
+                video = video || document.createElement('video');
+                video.muted = true;
+                video.playsInline = true;
+                video.srcObject = stream;
+                video.play().catch(() => {});
+                this.honeycombVideos.set(participantId, video);
+                this.connectAudioSource(participantId, stream);
+            }
+        });
+
+        this.honeycombVideos.forEach((video, participantId) => {
+            if (!remoteStreams.has(participantId)) {
+                video.srcObject = null;
+                this.honeycombVideos.delete(participantId);
+                this.honeycombCircles.delete(participantId);
+                this.disconnectAudioSource(participantId);
+            }
+        });
+    }
+
+    // Where a participant's circle is, in container px: the synced top-left
+    // position and scale (see SFUConnectionManager), or wherever the layout
+    // put it before anyone moved it
+    honeycombTarget(participantId) {
+        const sfu = window.sfuConnectionManager;
+        const size = sfu.circleSize;
+        const position = sfu.circlePositions.get(participantId);
+        if (position) {
+            const radius = size * (position.scale || 1) / 2;
+            return { x: position.x + size / 2, y: position.y + size / 2, radius };
+        }
+
+        const element = sfu.honeycombContainer.querySelector(`[data-peer-id="${participantId}"]`);
+        if (!element) return null;
+        return {
+            x: element.offsetLeft + element.offsetWidth / 2,
+            y: element.offsetTop + element.offsetHeight / 2,
+            radius: element.offsetWidth / 2
+        };
+    }
+
+    renderHoneycombFrame(ctx, width, height) {
+        const sfu = window.sfuConnectionManager;
+        const scale = this.honeycombScale;
+        this.syncHoneycombSources();
+
+        // Background matching the call view
+        const background = ctx.createLinearGradient(0, 0, width, height);
+        background.addColorStop(0, '#1a1a2e');
+        background.addColorStop(1, '#16213e');
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, width, height);
+
+        this.honeycombVideos.forEach((video, participantId) => {
+            const target = this.honeycombTarget(participantId);
+            if (!target) return;
+
+            // Ease toward the target like the circles' CSS transitions, so
+            // formation changes animate instead of jumping
+            const drawn = this.honeycombCircles.get(participantId) || { ...target };
+            drawn.x += (target.x - drawn.x) * 0.25;
+            drawn.y += (target.y - drawn.y) * 0.25;
+            drawn.radius += (target.radius - drawn.radius) * 0.25;
+            this.honeycombCircles.set(participantId, drawn);
+
+            const isPresenter = sfu.currentFormation === 'audience' && sfu.formationPresenterId === participantId;
+            this.drawHoneycombCircle(ctx, video, drawn.x * scale, drawn.y * scale, drawn.radius * scale, {
+                name: sfu.peerNames.get(participantId) || 'Guest',
+                tag: sfu.emojiTags.get(participantId)?.emoji,
+                ring: isPresenter ? '#ffd700' : 'rgba(255, 255, 255, 0.25)'
+            });
+        });
+
+        // Our own camera, where the preview dock is on screen
+        if (this.preview && this.preview.videoWidth > 0 && !this.isMinimized && this.videoPreviewDock
+            && !this.videoPreviewDock.classList.contains('hidden')) {
+            const containerRect = sfu.honeycombContainer.getBoundingClientRect();
+            const dockRect = this.videoPreviewDock.getBoundingClientRect();
+            const radius = Math.min(dockRect.width, dockRect.height) / 2;
+            this.drawHoneycombCircle(ctx, this.preview,
+                (dockRect.left + dockRect.width / 2 - containerRect.left) * scale,
+                (dockRect.top + dockRect.height / 2 - containerRect.top) * scale,
+                radius * scale,
+                { name: window.connectionManager?.username || 'You', ring: 'rgba(16, 185, 129, 0.6)', overlay: window.faceEffects?.canvas });
+        }
+    }
+
+    // A video cropped to a circle (like object-fit: cover), with its ring,
+    // name label and emoji tag
+    drawHoneycombCircle(ctx, video, x, y, radius, { name, tag, ring, overlay }) {
+        if (radius <= 0) return;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.clip();
+
+        if (video.videoWidth > 0) {
+            const side = Math.min(video.videoWidth, video.videoHeight);
+            const sx = (video.videoWidth - side) / 2;
+            const sy = (video.videoHeight - side) / 2;
+            ctx.drawImage(video, sx, sy, side, side, x - radius, y - radius, radius * 2, radius * 2);
+            if (overlay) {
+                const overlaySide = Math.min(overlay.width, overlay.height);
+                ctx.drawImage(overlay, (overlay.width - overlaySide) / 2, (overlay.height - overlaySide) / 2,
+                    overlaySide, overlaySide, x - radius, y - radius, radius * 2, radius * 2);
+            }
+        } else {
+            ctx.fillStyle = '#0f0f1e';
+            ctx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+        }
+        ctx.restore();
+
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.lineWidth = Math.max(2, radius * 0.04);
+        ctx.strokeStyle = ring;
+        ctx.stroke();
+
+        // Name label near the bottom of the circle
+        const fontSize = Math.max(10, Math.round(radius * 0.14));
+        ctx.font = `600 ${fontSize}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        const labelWidth = Math.min(ctx.measureText(name).width + fontSize * 1.5, radius * 1.8);
+        const labelY = y + radius - fontSize * 1.6;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.beginPath();
+        ctx.roundRect(x - labelWidth / 2, labelY - fontSize, labelWidth, fontSize * 2, fontSize);
+        ctx.fill();
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(name, x, labelY, labelWidth - fontSize);
+
+        // Emoji tag at the top right, like the on-screen badge
+        if (tag) {
+            ctx.font = `${Math.round(radius * 0.4)}px Arial`;
+            ctx.fillText(tag, x + radius * 0.75, y - radius * 0.75);
+        }
+    }
+
+    // Mix our microphone and every remote participant's audio into one track
+    setupHoneycombAudio() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return null;
+
+        this.audioContext = new AudioContextClass();
+        this.audioDestination = this.audioContext.createMediaStreamDestination();
+        if (this.stream && this.stream.getAudioTracks().length > 0) {
+            this.connectAudioSource('local', this.stream);
+        }
+        this.syncHoneycombSources();
+
+        return this.audioDestination.stream.getAudioTracks()[0] || null;
+    }
+
+    // Remote WebRTC audio only reaches WebAudio in Chrome while the stream is
+    // also attached to a media element - the muted <video>s above are
+    connectAudioSource(participantId, stream) {
+        if (!this.audioContext) return;
+        this.disconnectAudioSource(participantId);
+        if (stream.getAudioTracks().length === 0) return;
+
+        const source = this.audioContext.createMediaStreamSource(stream);
+        source.connect(this.audioDestination);
+        this.audioSources.set(participantId, source);
+    }
+
+    disconnectAudioSource(participantId) {
+        const source = this.audioSources.get(participantId);
+        if (source) {
+            source.disconnect();
+            this.audioSources.delete(participantId);
+        }
+    }
+
+    teardownHoneycomb() {
+        this.honeycombVideos.forEach(video => {
+            video.srcObject = null;
+        });
+        this.honeycombVideos.clear();
+        this.honeycombCircles.clear();
+        this.audioSources.forEach(source => source.disconnect());
+        this.audioSources.clear();
+        if (this.audioContext) {
+            this.audioContext.close().catch(() => {});
+            this.audioContext = null;
+            this.audioDestination = null;
+        }
+        this.compositeMode = 'camera';
+    }
+
     async startRecording() {
         try {
             this.recordedChunks = [];
 
-            // Set up recording canvas dimensions to match video
+            // In a call, record the call as we see it
+            this.compositeMode = this.shouldRecordHoneycomb() ? 'honeycomb' : 'camera';
+
+            // Set up recording canvas dimensions to match video (or the call)
             const videoWidth = this.preview.videoWidth || 1280;
             const videoHeight = this.preview.videoHeight || 720;
-            this.recordingCanvas.width = videoWidth;
-            this.recordingCanvas.height = videoHeight;
+            if (this.compositeMode === 'honeycomb') {
+                this.setupHoneycombCanvas();
+            } else {
+                this.recordingCanvas.width = videoWidth;
+                this.recordingCanvas.height = videoHeight;
+            }
 
-            console.log(`Recording canvas size: ${videoWidth}x${videoHeight}`);
+            console.log(`Recording canvas size: ${this.recordingCanvas.width}x${this.recordingCanvas.height} (${this.compositeMode})`);
 
             // Set up particle system canvas size
             if (this.particleSystem) {
@@ -722,8 +1176,10 @@ class VideoRecorder {
             // Capture canvas stream at 30 FPS
             const compositeStream = this.recordingCanvas.captureStream(30);
 
-            // Add audio track from original camera stream
-            const audioTrack = this.stream.getAudioTracks()[0];
+            // Add audio track from original camera stream (everyone's, mixed, in a call)
+            const audioTrack = this.compositeMode === 'honeycomb'
+                ? this.setupHoneycombAudio() || this.stream.getAudioTracks()[0]
+                : this.stream.getAudioTracks()[0];
             if (audioTrack) {
                 compositeStream.addTrack(audioTrack);
                 console.log('Audio track added to composite stream');
@@ -746,13 +1202,10 @@ class VideoRecorder {
             }
 
             this.mediaRecorder = new MediaRecorder(compositeStream, options);
+            this.startChunkedUpload(this.mediaRecorder.mimeType || options.mimeType);
 
             // Handle data availability
-            this.mediaRecorder.ondataavailable = (event) => {
-                if (event.data.size > 0) {
-                    this.recordedChunks.push(event.data);
-                }
-            };
+            this.mediaRecorder.ondataavailable = (event) => this.handleDataAvailable(event);
 
             // Handle recording stop
             this.mediaRecorder.onstop = () => {
@@ -773,12 +1226,33 @@ class VideoRecorder {
             // Start timer
             this.startTimer();
 
+            if (this.compositeMode === 'honeycomb') {
+                this.showStatus('Recording the call', 'info');
+            }
             console.log('Recording started with composite canvas stream');
 
         } catch (error) {
             console.error('Error starting recording:', error);
             this.showStatus('Error starting recording: ' + error.message, 'error');
             this.isRecording = false;
+            this.teardownHoneycomb();
+        }
+    }
+
+    // Stream chunks to the server as they are recorded
+    startChunkedUpload(mimeType) {
+        if (this.uploader) {
+            this.uploader.abort();
+        }
+        this.uploader = new ChunkedUploader(mimeType);
+    }
+
+    handleDataAvailable(event) {
+        if (event.data.size > 0) {
+            this.recordedChunks.push(event.data);
+            if (this.uploader) {
+                this.uploader.append(event.data);
+            }
         }
     }
 
@@ -798,12 +1272,9 @@ class VideoRecorder {
             }
 
             this.mediaRecorder = new MediaRecorder(this.stream, options);
+            this.startChunkedUpload(this.mediaRecorder.mimeType || options.mimeType);
 
-            this.mediaRecorder.ondataavailable = (event) => {
-                if (event.data.size > 0) {
-                    this.recordedChunks.push(event.data);
-                }
-            };
+            this.mediaRecorder.ondataavailable = (event) => this.handleDataAvailable(event);
 
             this.mediaRecorder.onstop = () => {
                 this.handleRecordingStop();
@@ -839,6 +1310,10 @@ class VideoRecorder {
 
             this.mediaRecorder.stop();
             this.stopTimer();
+            this.teardownHoneycomb();
+
+            // Remember duration for the message metadata
+            this.recordingDuration = (Date.now() - this.recordingStartTime) / 1000;
 
             // Update UI
             this.startBtn.disabled = false;
@@ -922,30 +1397,24 @@ class VideoRecorder {
             this.showStatus('Sending video message...', 'info');
             this.sendEnvelopeBtn.disabled = true;
 
-            // Upload video
-            const formData = new FormData();
-            const extension = this.mediaRecorder.mimeType.includes('mp4') ? 'mp4' : 'webm';
-            formData.append('video', this.currentBlob, `recording-${Date.now()}.${extension}`);
-
-            const response = await fetch('/upload', {
-                method: 'POST',
-                body: formData
-            });
-
-            if (!response.ok) {
-                throw new Error('Upload failed');
+            // Message metadata for the server's message store
+            const recipient = window.connectionManager?.connectedUsers.find(u => u.userId === recipientId);
+            const fields = {};
+            if (window.connectionManager?.username) {
+                fields.sender = window.connectionManager.username;
+            }
+            if (recipient) {
+                fields.recipients = recipient.username;
+            }
+            if (this.recordingDuration) {
+                fields.duration = this.recordingDuration.toFixed(2);
             }
 
-            const data = await response.json();
+            const data = await this.uploadRecording(fields);
 
             if (data.success && window.connectionManager) {
                 // Send video message to selected user
-                window.connectionManager.sendVideoMessage(
-                    data.url,
-                    data.filename,
-                    data.size,
-                    recipientId
-                );
+                window.connectionManager.sendVideoMessage(data.messageId, recipientId);
 
                 this.showStatus('Video message sent! ✉️', 'success');
 
@@ -986,10 +1455,49 @@ class VideoRecorder {
         }
     }
 
+    // Finish the chunked upload, falling back to a single-request upload
+    async uploadRecording(fields) {
+        if (this.uploader && !this.uploader.failed) {
+            try {
+                const data = await this.uploader.finish(fields);
+                this.uploader = null;
+                return data;
+            } catch (error) {
+                console.warn('Chunked upload failed, falling back to single upload:', error.message);
+                this.uploader.abort();
+                this.uploader = null;
+            }
+        }
+
+        const formData = new FormData();
+        const extension = this.mediaRecorder.mimeType.includes('mp4') ? 'mp4' : 'webm';
+        formData.append('video', this.currentBlob, `recording-${Date.now()}.${extension}`);
+        Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+
+        const response = await fetch('/upload', {
+            method: 'POST',
+            headers: { ...window.connectionManager?.authHeaders() },
+            body: formData
+        });
+
+        if (!response.ok) {
+            throw new Error('Upload failed');
+        }
+
+        return response.json();
+    }
+
     discardRecording() {
+        // Cancel any in-progress chunked upload
+        if (this.uploader) {
+            this.uploader.abort();
+            this.uploader = null;
+        }
+
         // Clear recorded data
         this.recordedChunks = [];
         this.currentBlob = null;
+        this.recordingDuration = null;
 
         // Reset UI
         this.videoEnvelope.classList.add('hidden');
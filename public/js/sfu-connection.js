@@ -19,6 +19,7 @@ class SFUConnectionManager {
         this.mySocketId = null;
         this.livekitUrl = null;
         this.livekitToken = null;
+        this.roomName = null; // LiveKit room = the app room we're in
 
         // DOM references
         this.honeycombContainer = null;
@@ -48,6 +49,10 @@ class SFUConnectionManager {
         this.currentFormation = 'cluster';     // 'cluster' | 'audience' | 'stack' | 'scatter'
         this.formationPresenterId = null;      // For audience mode
 
+        // Room recording (server-side, LiveKit Egress)
+        this.recordingAvailable = false;
+        this.roomRecording = null;             // The room's recording in progress
+
         // Gravity/clustering settings
         this.gravityEnabled = false;  // DISABLED - was causing page crashes
         this.gravityLoopActive = false;
@@ -243,12 +248,13 @@ class SFUConnectionManager {
         if (!this.socket) return;
 
         // Listen for user events to track names
+        // Participants are identified by their stable user id (the LiveKit identity)
         this.socket.on('user-joined', (data) => {
-            this.peerNames.set(data.socketId, data.username);
+            this.peerNames.set(data.userId, data.username);
         });
 
         this.socket.on('user-left', (data) => {
-            this.handlePeerLeft(data.socketId);
+            this.handlePeerLeft(data.userId);
         });
 
         // Listen for emoji tags from other users
@@ -300,7 +306,7 @@ class SFUConnectionManager {
         // Receive position updates from other users
         this.socket.on('video-position-update', (data) => {
             // Ignore updates from self
-            if (data.movedBy === this.mySocketId) return;
+            if (data.movedBy === window.connectionManager?.userId) return;
 
             console.log(`[SharedReality] Position update: ${data.participantId} -> (${Math.round(data.x)}, ${Math.round(data.y)})`);
 
@@ -367,6 +373,83 @@ class SFUConnectionManager {
             this.socket.emit('video-position-sync-request');
             console.log('[SharedReality] Requested position sync from server');
         }, 1500);
+
+        this.setupRecordingHandlers();
+    }
+
+    // ==================== ROOM RECORDING ====================
+    // The server records the whole room with LiveKit Egress. Everyone in the
+    // room sees the recording indicator; everyone who took part gets the
+    // video in their list once it has been saved.
+
+    setupRecordingHandlers() {
+        const button = document.getElementById('recordRoomBtn');
+        if (button) {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleRoomRecording();
+            });
+        }
+
+        this.socket.on('recording-status', (recording) => {
+            const inProgress = recording.status === 'recording' || recording.status === 'stopping';
+            const wasRecording = this.roomRecording?.id === recording.id;
+            this.roomRecording = inProgress ? recording : null;
+            this.updateRecordingUI();
+
+            if (recording.status === 'recording' && !wasRecording
+                && recording.startedBy !== window.connectionManager?.userId) {
+                window.connectionManager?.showStatus(`${recording.startedByName} started recording this room`, 'info');
+            } else if (recording.status === 'failed') {
+                window.connectionManager?.showStatus(`Recording failed: ${recording.error}`, 'error');
+            }
+        });
+
+        this.socket.on('recording-ready', ({ video }) => {
+            console.log(`[Recording] Saved as ${video.id}`);
+            window.connectionManager?.showStatus(`"${video.title}" is ready in your videos`, 'success');
+        });
+
+        // A room we join may already be recording
+        this.socket.on('room-joined', () => this.requestRecordingStatus());
+        this.requestRecordingStatus();
+    }
+
+    requestRecordingStatus() {
+        this.socket.emit('recording-status-request', {}, (response) => {
+            this.recordingAvailable = !!response?.available;
+            this.roomRecording = response?.recording || null;
+            this.updateRecordingUI();
+        });
+    }
+
+    toggleRoomRecording() {
+        const event = this.roomRecording ? 'recording-stop' : 'recording-start';
+        this.socket.emit(event, {}, (response) => {
+            if (!response?.success) {
+                window.connectionManager?.showStatus(response?.message || 'Recording failed', 'error');
+                return;
+            }
+
+            this.roomRecording = response.recording.status === 'recording' || response.recording.status === 'stopping'
+                ? response.recording
+                : null;
+            this.updateRecordingUI();
+            window.connectionManager?.showStatus(
+                event === 'recording-start' ? 'Recording this room...' : 'Saving the recording...',
+                'info'
+            );
+        });
+    }
+
+    updateRecordingUI() {
+        const button = document.getElementById('recordRoomBtn');
+        if (!button) return;
+
+        button.classList.toggle('hidden', !this.recordingAvailable);
+        button.classList.toggle('recording', !!this.roomRecording);
+        button.disabled = this.roomRecording?.status === 'stopping';
+        button.title = this.roomRecording ? 'Stop recording' : 'Record this conversation';
     }
 
     // Apply position to a circle with smooth animation
@@ -402,8 +485,8 @@ class SFUConnectionManager {
         });
     }
 
-    // Request LiveKit token from server
-    async requestToken(roomName = 'video-messenger-room') {
+    // Request LiveKit token from server (defaults to the app room we're in)
+    async requestToken(roomName = window.connectionManager?.currentRoom) {
         return new Promise((resolve, reject) => {
             this.socket.emit('getLiveKitToken', { roomName }, (response) => {
                 if (response && response.error) {
@@ -626,23 +709,27 @@ class SFUConnectionManager {
         try {
             // Request token from server
             console.log('[LiveKit] Requesting token...');
-            const { token, url, roomName } = await this.requestToken();
+            const { token, url, roomName, role } = await this.requestToken();
 
             if (!token || !url) {
                 console.error('[LiveKit] Server did not return token or URL. LiveKit may not be configured.');
                 return false;
             }
 
-            console.log(`[LiveKit] Got token for room: ${roomName}`);
+            console.log(`[LiveKit] Got ${role || 'speaker'} token for room: ${roomName}`);
             this.livekitUrl = url;
             this.livekitToken = token;
+            this.livekitRole = role;
+            this.roomName = roomName;
 
             // Connect to room
             const connected = await this.connectToRoom(token, url);
             if (!connected) return false;
 
-            // Publish local tracks
-            await this.publishTracks();
+            // Publish local tracks (viewers can only subscribe)
+            if (role !== 'viewer') {
+                await this.publishTracks();
+            }
 
             // Hide legacy P2P remote video frame (we use honeycomb for remotes now)
             const legacyRemoteFrame = document.getElementById('remoteVideoFrame');
@@ -655,6 +742,9 @@ class SFUConnectionManager {
             this.showHoneycomb();
             this.updateVideoHoneycomb();
 
+            // Pick up this room's circle positions
+            this.socket?.emit('video-position-sync-request');
+
             console.log('[LiveKit] Started successfully');
             return true;
         } catch (error) {
@@ -1403,11 +1493,14 @@ class SFUConnectionManager {
             this.room = null;
         }
 
-        // Clear state
+        // Clear state (positions and tags belong to the room we left)
         this.remoteStreams.clear();
         this.peerNames.clear();
         this.remoteParticipants.clear();
+        this.circlePositions.clear();
+        this.emojiTags.clear();
         this.localParticipant = null;
+        this.roomName = null;
 
         this.isConnected = false;
         this.hideHoneycomb();
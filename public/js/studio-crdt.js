@@ -0,0 +1,275 @@
+// Studio Canvas CRDT
+// Document model shared by the browser (studio-fabric.js) and the server
+// (lib/studio-documents.js) so concurrent edits converge identically for
+// everyone.
+//
+// Each canvas object is a map of Fabric properties, and every property is a
+// last-writer-wins register stamped with a Lamport clock [counter, actor].
+// Ties on the counter are broken by actor id, so every replica picks the same
+// winner whatever order operations arrive in. Two users moving the same
+// object converge on one position; one moving it while another recolors it
+// keeps both edits. Removing an object leaves a tombstone that wins over any
+// edit.
+//
+// Operations:
+//   { type: 'add',    objectId, props, clock }
+//   { type: 'set',    objectId, props, clock }  (only the changed properties)
+//   { type: 'remove', objectId, clock }
+//
+// Operations whose clock is more than MAX_CLOCK_LEAD ahead of the document
+// are dropped: accepting one would push every later edit's counter towards
+// the unsafe-integer range. With a maxEntries option, operations on unknown
+// objects are dropped once the document holds that many entries (tombstones
+// included).
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.StudioCRDT = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const OP_TYPES = ['add', 'set', 'remove'];
+    const MAX_CLOCK_LEAD = 1000000;
+    // Never stored as properties: objectId is the entry's key, and the rest
+    // would reach object prototypes here and in Fabric on the clients
+    const RESERVED_KEYS = ['objectId', '__proto__', 'constructor', 'prototype'];
+
+    // Negative if a happened before b
+    function compareClocks(a, b) {
+        if (a[0] !== b[0]) return a[0] - b[0];
+        if (a[1] === b[1]) return 0;
+        return a[1] < b[1] ? -1 : 1;
+    }
+
+    function isValidClock(clock) {
+        return Array.isArray(clock) && clock.length === 2
+            && Number.isSafeInteger(clock[0]) && clock[0] >= 0
+            && typeof clock[1] === 'string' && clock[1].length <= 64;
+    }
+
+    // Object ids are short strings (or integers from older clients)
+    function isValidObjectId(objectId) {
+        return (typeof objectId === 'string' && objectId.length > 0 && objectId.length <= 64)
+            || Number.isInteger(objectId);
+    }
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function isValidOp(op) {
+        if (!isPlainObject(op) || !OP_TYPES.includes(op.type)) return false;
+        if (!isValidObjectId(op.objectId) || !isValidClock(op.clock)) return false;
+        return op.type === 'remove' || isPlainObject(op.props);
+    }
+
+    function isPropertyKey(key) {
+        return !RESERVED_KEYS.includes(key);
+    }
+
+    // Property registers live in prototype-less maps
+    function propertyMap(props) {
+        const map = Object.create(null);
+        Object.keys(props || {}).filter(isPropertyKey).forEach(key => {
+            map[key] = props[key];
+        });
+        return map;
+    }
+
+    function sameValue(a, b) {
+        return a === b || JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    class CanvasDocument {
+        constructor(actor, { maxEntries = Infinity } = {}) {
+            this.actor = actor;
+            this.maxEntries = maxEntries;
+            this.counter = 0;
+            // objectId -> { props: { key: { value, clock } }, created: clock, removed: clock }
+            this.objects = new Map();
+        }
+
+        static fromJSON(data, actor, options) {
+            const doc = new CanvasDocument(actor, options);
+            if (!data) return doc;
+
+            doc.counter = Number.isSafeInteger(data.counter) ? data.counter : 0;
+            (data.objects || []).forEach(item => {
+                if (!isValidObjectId(item.objectId)) return;
+                doc.objects.set(item.objectId, {
+                    props: propertyMap(item.props),
+                    created: item.created || null,
+                    removed: item.removed || null
+                });
+            });
+            return doc;
+        }
+
+        toJSON() {
+            return {
+                counter: this.counter,
+                objects: Array.from(this.objects, ([objectId, entry]) => ({
+                    objectId,
+                    props: entry.props,
+                    created: entry.created,
+                    removed: entry.removed
+                }))
+            };
+        }
+
+        // ==================== CLOCK ====================
+
+        tick() {
+            this.counter += 1;
+            return [this.counter, this.actor];
+        }
+
+        observe(clock) {
+            this.counter = Math.max(this.counter, clock[0]);
+        }
+
+        // ==================== LOCAL EDITS ====================
+        // Each returns the operation to send, already applied locally
+
+        localAdd(objectId, props) {
+            const op = { type: 'add', objectId, props: { ...props }, clock: this.tick() };
+            this.apply(op);
+            return op;
+        }
+
+        // Only properties that differ from the current values are sent;
+        // returns null if nothing changed
+        localSet(objectId, props) {
+            const current = this.get(objectId);
+            if (!current) return null;
+
+            const changed = {};
+            Object.keys(props).forEach(key => {
+                if (isPropertyKey(key) && !sameValue(current[key], props[key])) {
+                    changed[key] = props[key];
+                }
+            });
+            if (Object.keys(changed).length === 0) return null;
+
+            const op = { type: 'set', objectId, props: changed, clock: this.tick() };
+            this.apply(op);
+            return op;
+        }
+
+        localRemove(objectId) {
+            if (!this.has(objectId)) return null;
+
+            const op = { type: 'remove', objectId, clock: this.tick() };
+            this.apply(op);
+            return op;
+        }
+
+        // ==================== MERGE ====================
+
+        // Apply a local or remote operation. Operations are idempotent and
+        // commutative. Returns what became visible:
+        //   { created, removed, changed: { key: value } }
+        // or null if the operation was invalid, dropped or had no effect.
+        apply(op) {
+            if (!isValidOp(op)) return null;
+            if (op.clock[0] > this.counter + MAX_CLOCK_LEAD) return null;
+
+            let entry = this.objects.get(op.objectId);
+            if (!entry && this.objects.size >= this.maxEntries) return null;
+            this.observe(op.clock);
+
+            if (!entry) {
+                entry = { props: propertyMap(), created: null, removed: null };
+                this.objects.set(op.objectId, entry);
+            }
+
+            if (entry.removed) return null;
+
+            if (op.type === 'remove') {
+                const wasVisible = !!entry.created;
+                entry.removed = op.clock;
+                entry.props = propertyMap();
+                return wasVisible ? { created: false, removed: true, changed: {} } : null;
+            }
+
+            const result = { created: false, removed: false, changed: {} };
+
+            // The earliest add fixes the object's place in the stacking order
+            if (op.type === 'add' && (!entry.created || compareClocks(op.clock, entry.created) < 0)) {
+                result.created = !entry.created;
+                entry.created = op.clock;
+            }
+
+            Object.keys(op.props).forEach(key => {
+                if (!isPropertyKey(key)) return;
+                const current = entry.props[key];
+                if (!current || compareClocks(op.clock, current.clock) > 0) {
+                    entry.props[key] = { value: op.props[key], clock: op.clock };
+                    result.changed[key] = op.props[key];
+                }
+            });
+
+            if (!result.created && Object.keys(result.changed).length === 0) return null;
+            return result;
+        }
+
+        // ==================== READ ====================
+
+        has(objectId) {
+            const entry = this.objects.get(objectId);
+            return !!(entry && entry.created && !entry.removed);
+        }
+
+        // Current Fabric JSON of a visible object
+        get(objectId) {
+            if (!this.has(objectId)) return null;
+
+            const json = { objectId };
+            Object.entries(this.objects.get(objectId).props).forEach(([key, register]) => {
+                json[key] = register.value;
+            });
+            return json;
+        }
+
+        // Visible objects in stacking order: [{ objectId, json }]
+        visibleObjects() {
+            return Array.from(this.objects.keys())
+                .filter(objectId => this.has(objectId))
+                .sort((a, b) => compareClocks(this.objects.get(a).created, this.objects.get(b).created))
+                .map(objectId => ({ objectId, json: this.get(objectId) }));
+        }
+
+        // Operations that rebuild this document on another replica (every
+        // register with its own clock), e.g. to merge a copy that missed some
+        operations() {
+            const ops = [];
+            this.objects.forEach((entry, objectId) => {
+                if (entry.created) {
+                    ops.push({ type: 'add', objectId, props: {}, clock: entry.created });
+                }
+                Object.entries(entry.props).forEach(([key, register]) => {
+                    ops.push({ type: 'set', objectId, props: { [key]: register.value }, clock: register.clock });
+                });
+                if (entry.removed) {
+                    ops.push({ type: 'remove', objectId, clock: entry.removed });
+                }
+            });
+            return ops;
+        }
+
+        // Number of entries, including tombstones
+        get size() {
+            return this.objects.size;
+        }
+    }
+
+    return {
+        CanvasDocument,
+        MAX_CLOCK_LEAD,
+        compareClocks,
+        isValidClock,
+        isValidObjectId,
+        isValidOp
+    };
+});
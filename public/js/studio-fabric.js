@@ -29,9 +29,18 @@ class StudioFabric {
         // Socket reference for multiplayer
         this.socket = null;
 
-        // Object ID counter
+        // Object ids are <clientId>-<counter> so ids created by different
+        // users never collide in the shared canvas document
+        this.clientId = Math.random().toString(36).slice(2, 8);
         this.nextObjectId = 1;
 
+        // Replica of the shared canvas document (see studio-crdt.js); every
+        // edit is applied here and sent as an operation
+        this.doc = new StudioCRDT.CanvasDocument(this.clientId);
+        // Set by 'server-restarting': the next canvas sync merges this
+        // replica into the server's instead of replacing it
+        this.resyncAfterRestart = false;
+
         // Multiplayer cursors
         this.remoteCursors = new Map();
         this.cursorOverlay = null;
@@ -398,7 +407,7 @@ class StudioFabric {
 
     addObject(fabricObj, broadcast = true) {
         // Assign unique ID
-        fabricObj.set('objectId', this.nextObjectId++);
+        fabricObj.set('objectId', this.generateObjectId());
 
         this.canvas.add(fabricObj);
         this.canvas.setActiveObject(fabricObj);
@@ -425,6 +434,56 @@ class StudioFabric {
         this.saveState();
     }
 
+    // ==================== SAVED CANVASES ====================
+
+    // Fabric JSON for saving (see StudioPanels WorkSphere)
+    serialize() {
+        return this.canvas.toJSON(['objectId']);
+    }
+
+    // Small PNG preview, or null if the canvas can't be exported (e.g. it
+    // holds cross-origin images)
+    createThumbnail(maxSize = 240) {
+        try {
+            const multiplier = Math.min(1, maxSize / Math.max(this.canvas.width, this.canvas.height));
+            return this.canvas.toDataURL({ format: 'png', multiplier });
+        } catch (error) {
+            console.warn('Could not create canvas thumbnail:', error);
+            return null;
+        }
+    }
+
+    // Remove every object for everyone in the room
+    removeAllObjects() {
+        this.canvas.getObjects().forEach(obj => this.broadcastObjectRemoved(obj));
+        this.canvas.clear();
+        this.canvas.backgroundColor = '#f5f5f5';
+        this.canvas.renderAll();
+    }
+
+    // Replace the shared canvas with a saved Fabric document. Objects get
+    // fresh ids, since ids of removed objects can't be reused.
+    loadDocument(json) {
+        return new Promise((resolve) => {
+            this.removeAllObjects();
+
+            fabric.util.enlivenObjects(json.objects || [], (objects) => {
+                objects.forEach(obj => {
+                    obj.set('objectId', this.generateObjectId());
+                    this.canvas.add(obj);
+                    this.broadcastObjectAdded(obj);
+                });
+                this.canvas.renderAll();
+                this.saveState();
+                resolve(objects.length);
+            });
+        });
+    }
+
+    generateObjectId() {
+        return `${this.clientId}-${this.nextObjectId++}`;
+    }
+
     // ==================== TEXT ====================
 
     addText(text = 'Double-click to edit', options = {}) {
@@ -550,7 +609,7 @@ class StudioFabric {
 
     addCameraSnapshot() {
         // Get the video element from the main preview
-        const video = document.getElementById('preview') || document.getElementById('studioPreviewVideo');
+        const video = document.getElementById('preview');
         if (!video || !video.srcObject) {
             console.warn('No camera available');
             return;
@@ -709,7 +768,7 @@ class StudioFabric {
     // ==================== LIVE VIDEO ON CANVAS ====================
 
     addLiveVideo() {
-        const video = document.getElementById('preview') || document.getElementById('studioPreviewVideo');
+        const video = document.getElementById('preview');
         if (!video || !video.srcObject) {
             console.warn('No camera available for live video');
             return null;
@@ -1437,7 +1496,7 @@ class StudioFabric {
 
     onPathCreated(e) {
         const path = e.path;
-        path.set('objectId', this.nextObjectId++);
+        path.set('objectId', this.generateObjectId());
 
         if (this.currentBrush === 'eraser') {
             path.set('globalCompositeOperation', 'destination-out');
@@ -1492,21 +1551,8 @@ class StudioFabric {
             this.handleRemoteObjectRemoved(data);
         });
 
-        // Full canvas sync (for new users joining)
-        // Handle server-initiated state request (sent on studio-join)
-        this.socket.on('studio-state-request', (data) => {
-            if (!this.isActive) return;
-            console.log('Received studio-state-request from:', data.requesterId);
-            this.sendCanvasState(data.requesterId);
-        });
-
-        // Handle client-initiated sync request (backup mechanism)
-        this.socket.on('studio-canvas-sync-request', (data) => {
-            if (!this.isActive) return;
-            console.log('Received studio-canvas-sync-request from:', data.requesterId);
-            this.sendCanvasState(data.requesterId);
-        });
-
+        // Full canvas sync - the server holds the canvas and sends it on
+        // studio-join and in answer to studio-canvas-sync-request
         this.socket.on('studio-canvas-sync', (data) => {
             if (data.socketId === this.socket.id) return;
             this.receiveCanvasSync(data);
@@ -1516,39 +1562,25 @@ class StudioFabric {
         this.socket.on('user-left', (data) => {
             this.removeRemoteCursor(data.socketId);
         });
-    }
 
-    requestCanvasSync() {
-        if (!this.socket) return;
+        // The server is going down for a deploy: once the socket has
+        // reconnected and re-joined, merge our replica into the server's
+        this.socket.on('server-restarting', () => {
+            this.resyncAfterRestart = true;
+        });
 
-        console.log('Requesting canvas sync from other users...');
-        this.socket.emit('studio-canvas-sync-request', {
-            requesterId: this.socket.id
+        // Entering a room (after login or a room switch) starts outside the
+        // studio on the server
+        this.socket.on('room-joined', () => {
+            if (this.isActive) this.joinStudioWithRetry();
         });
     }
 
-    sendCanvasState(targetId) {
-        if (!this.socket || !this.canvas || !this.isActive) {
-            console.log('sendCanvasState skipped:', {
-                hasSocket: !!this.socket,
-                hasCanvas: !!this.canvas,
-                isActive: this.isActive
-            });
-            return;
-        }
-
-        const objects = this.canvas.getObjects().map(obj => ({
-            objectId: obj.objectId,
-            json: obj.toJSON(['objectId'])
-        }));
-
-        console.log(`Sending canvas state to ${targetId}: ${objects.length} objects`);
+    requestCanvasSync() {
+        if (!this.socket) return;
 
-        this.socket.emit('studio-canvas-sync', {
-            targetId,
-            objects,
-            nextObjectId: this.nextObjectId
-        });
+        console.log('Requesting canvas sync from server...');
+        this.socket.emit('studio-canvas-sync-request');
     }
 
     receiveCanvasSync(data) {
@@ -1558,36 +1590,57 @@ class StudioFabric {
             return;
         }
 
-        console.log(`Receiving canvas sync: ${data.objects?.length || 0} objects from ${data.socketId}`);
+        // Replace our replica with the server's document, keeping our clock
+        // ahead of everything we've seen
+        const previous = this.doc;
+        this.doc = StudioCRDT.CanvasDocument.fromJSON(data.state, this.clientId);
+        this.doc.counter = Math.max(this.doc.counter, previous.counter);
+
+        if (this.resyncAfterRestart) {
+            this.resyncAfterRestart = false;
+            this.resendMissingOperations(previous);
+        }
+
+        const items = this.doc.visibleObjects();
+        console.log(`Receiving canvas sync: ${items.length} objects`);
 
         // Clear current canvas
         this.canvas.clear();
         this.canvas.backgroundColor = '#f5f5f5';
 
-        // Update object ID counter
-        if (data.nextObjectId) {
-            this.nextObjectId = Math.max(this.nextObjectId, data.nextObjectId);
+        if (items.length === 0) {
+            this.canvas.renderAll();
+            return;
         }
 
-        // Add all objects
-        if (data.objects && data.objects.length > 0) {
-            let loadedCount = 0;
-            data.objects.forEach(item => {
-                fabric.util.enlivenObjects([item.json], (objects) => {
-                    objects.forEach(obj => {
-                        obj._addedByRemote = true;
-                        obj.set('objectId', item.objectId);
-                        this.canvas.add(obj);
-                        loadedCount++;
-                        console.log(`Loaded object ${loadedCount}/${data.objects.length}: ${obj.type}`);
-                    });
-                    this.canvas.renderAll();
-                });
+        // Enliven in one batch so the stacking order is kept
+        fabric.util.enlivenObjects(items.map(item => item.json), (objects) => {
+            objects.forEach((obj, index) => {
+                obj._addedByRemote = true;
+                obj.set('objectId', items[index].objectId);
+                this.canvas.add(obj);
             });
-        } else {
-            console.log('Canvas sync received but no objects to load');
             this.canvas.renderAll();
-        }
+            console.log(`Loaded ${objects.length} objects`);
+        });
+    }
+
+    // Edits sent while the server was going down never reached it; send
+    // whatever our old replica has that the server's document doesn't
+    resendMissingOperations(previous) {
+        const events = {
+            add: 'studio-object-added',
+            set: 'studio-object-modified',
+            remove: 'studio-object-removed'
+        };
+
+        let sent = 0;
+        previous.operations().forEach(op => {
+            if (!this.doc.apply(op)) return;
+            this.socket.emit(events[op.type], op);
+            sent += 1;
+        });
+        if (sent > 0) console.log(`Re-sent ${sent} operation(s) after server restart`);
     }
 
     broadcastCursorPosition(x, y) {
@@ -1601,30 +1654,28 @@ class StudioFabric {
         });
     }
 
+    // Local edits are applied to the replica first, then sent as operations
     broadcastObjectAdded(obj) {
+        const op = this.doc.localAdd(obj.objectId, obj.toJSON(['objectId']));
         if (!this.socket) return;
 
-        this.socket.emit('studio-object-added', {
-            objectId: obj.objectId,
-            json: obj.toJSON(['objectId'])
-        });
+        this.socket.emit('studio-object-added', op);
     }
 
+    // Sends only the properties that changed, so concurrent edits to
+    // different properties of one object both survive
     broadcastObjectModified(obj) {
-        if (!this.socket) return;
+        const op = this.doc.localSet(obj.objectId, obj.toJSON(['objectId']));
+        if (!op || !this.socket) return;
 
-        this.socket.emit('studio-object-modified', {
-            objectId: obj.objectId,
-            json: obj.toJSON(['objectId'])
-        });
+        this.socket.emit('studio-object-modified', op);
     }
 
     broadcastObjectRemoved(obj) {
-        if (!this.socket) return;
+        const op = this.doc.localRemove(obj.objectId);
+        if (!op || !this.socket) return;
 
-        this.socket.emit('studio-object-removed', {
-            objectId: obj.objectId
-        });
+        this.socket.emit('studio-object-removed', op);
     }
 
     sendReaction(emoji) {
@@ -1712,37 +1763,51 @@ class StudioFabric {
         setTimeout(() => reaction.remove(), 1500);
     }
 
-    handleRemoteObjectAdded(data) {
-        fabric.util.enlivenObjects([data.json], (objects) => {
-            objects.forEach(obj => {
-                obj._addedByRemote = true;
-                obj.set('objectId', data.objectId);
-                this.canvas.add(obj);
+    // Merge a remote operation into the replica and show whatever won
+    applyRemoteOp(op) {
+        const result = this.doc.apply(op);
+        if (!result) return;
+
+        const obj = this.canvas.getObjects().find(o => o.objectId === op.objectId);
+
+        if (result.removed) {
+            if (obj) {
+                this.canvas.remove(obj);
+                this.canvas.renderAll();
+            }
+            return;
+        }
 
-                // Update our nextObjectId to avoid conflicts
-                if (data.objectId >= this.nextObjectId) {
-                    this.nextObjectId = data.objectId + 1;
-                }
+        // Not created yet (an edit that arrived before its add)
+        if (!this.doc.has(op.objectId)) return;
+
+        if (!obj) {
+            fabric.util.enlivenObjects([this.doc.get(op.objectId)], (objects) => {
+                objects.forEach(newObj => {
+                    newObj._addedByRemote = true;
+                    newObj.set('objectId', op.objectId);
+                    this.canvas.add(newObj);
+                });
+                this.canvas.renderAll();
             });
-            this.canvas.renderAll();
-        });
+            return;
+        }
+
+        obj.set(result.changed);
+        obj.setCoords();
+        this.canvas.renderAll();
+    }
+
+    handleRemoteObjectAdded(data) {
+        this.applyRemoteOp({ type: 'add', objectId: data.objectId, props: data.props, clock: data.clock });
     }
 
     handleRemoteObjectModified(data) {
-        const obj = this.canvas.getObjects().find(o => o.objectId === data.objectId);
-        if (obj) {
-            obj.set(data.json);
-            obj.setCoords();
-            this.canvas.renderAll();
-        }
+        this.applyRemoteOp({ type: 'set', objectId: data.objectId, props: data.props, clock: data.clock });
     }
 
     handleRemoteObjectRemoved(data) {
-        const obj = this.canvas.getObjects().find(o => o.objectId === data.objectId);
-        if (obj) {
-            this.canvas.remove(obj);
-            this.canvas.renderAll();
-        }
+        this.applyRemoteOp({ type: 'remove', objectId: data.objectId, clock: data.clock });
     }
 
     // ==================== ACTIVATION ====================
@@ -1769,13 +1834,9 @@ class StudioFabric {
         const maxAttempts = 10;
 
         if (this.socket && this.socket.connected) {
+            // The server answers with the room's canvas (studio-canvas-sync)
             this.socket.emit('studio-join');
             console.log('Emitted studio-join (attempt ' + (attempts + 1) + ')');
-
-            // Request sync from other users after joining
-            setTimeout(() => {
-                this.requestCanvasSync();
-            }, 100);
         } else if (attempts < maxAttempts) {
             console.log(`Socket not ready, retrying studio-join in 500ms (attempt ${attempts + 1}/${maxAttempts})`);
             setTimeout(() => this.joinStudioWithRetry(attempts + 1), 500);
@@ -1798,9 +1859,7 @@ class StudioFabric {
 
     clearCanvas() {
         if (confirm('Clear all items from the canvas?')) {
-            this.canvas.clear();
-            this.canvas.backgroundColor = '#f5f5f5';
-            this.canvas.renderAll();
+            this.removeAllObjects();
             this.undoStack = [];
             this.redoStack = [];
             this.saveState();
@@ -34,6 +34,9 @@ class StudioPanels {
         this.currentFont = 'classic';
         this.currentBgStyle = 'none';
 
+        // Saved canvas (WorkSphere) that the studio canvas was last loaded from or saved to
+        this.currentCanvasId = null;
+
         this.init();
     }
 
@@ -644,62 +647,26 @@ class StudioPanels {
     }
 
     // ==================== WORKSPHERE PANEL ====================
+    // Canvases saved to the server (/api/canvases). Loading one replaces the
+    // shared studio canvas for everyone in the room.
 
     renderWorkSpherePanel() {
-        const savedCanvases = [
-            {
-                id: 'night-out',
-                name: 'Night Out',
-                thumbnail: 'css/xixa-1.png',
-                images: [
-                    'css/xixa-1.png',
-                    'css/xixa-2.png',
-                    'css/xixa-3.png',
-                    'css/xixa-4.png',
-                    'css/xixa-5.png',
-                    'css/xixa-6.png'
-                ]
-            },
-            {
-                id: 'team-meeting',
-                name: 'Team Meeting',
-                thumbnail: 'css/one.png',
-                images: ['css/one.png', 'css/two.png']
-            },
-            {
-                id: 'product-launch',
-                name: 'Product Launch',
-                thumbnail: 'css/three.png',
-                images: ['css/three.png', 'css/four.png', 'css/five.png']
-            },
-            {
-                id: 'celebration',
-                name: 'Celebration',
-                thumbnail: 'css/six.png',
-                images: ['css/six.png', 'css/seven.png']
-            }
-        ];
-
         this.contentElement.innerHTML = `
             <div class="studio-panel-header">
                 <h3>🌐 WorkSphere</h3>
             </div>
-            <div class="studio-canvas-list">
-                ${savedCanvases.map(canvas => `
-                    <div class="studio-canvas-item" data-canvas-id="${canvas.id}" onclick="studioPanels.loadCanvas('${canvas.id}')">
-                        <div class="canvas-thumbnail">
-                            <img src="${canvas.thumbnail}" alt="${canvas.name}">
-                            <span class="canvas-count">${canvas.images.length} items</span>
-                        </div>
-                        <div class="canvas-info">
-                            <span class="canvas-name">${canvas.name}</span>
-                            <span class="canvas-meta">Click to load</span>
-                        </div>
-                    </div>
-                `).join('')}
+            <div class="studio-canvas-list" id="studioCanvasList">
+                <div class="studio-canvas-empty">Loading canvases...</div>
             </div>
             <div class="studio-canvas-footer">
-                <button class="studio-canvas-new-btn" onclick="studioPanels.createNewCanvas()">
+                <button class="studio-canvas-new-btn" onclick="studioPanels.saveCurrentCanvas()">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"></path>
+                        <polyline points="17 21 17 13 7 13 7 21"></polyline>
+                    </svg>
+                    Save Canvas
+                </button>
+                <button class="studio-canvas-new-btn secondary" onclick="studioPanels.createNewCanvas()">
                     <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <line x1="12" y1="5" x2="12" y2="19"></line>
                         <line x1="5" y1="12" x2="19" y2="12"></line>
@@ -709,67 +676,203 @@ class StudioPanels {
             </div>
         `;
 
-        // Store canvas data for loading
-        this.savedCanvases = savedCanvases;
+        this.refreshCanvasList();
     }
 
-    loadCanvas(canvasId) {
-        const canvas = this.savedCanvases?.find(c => c.id === canvasId);
-        if (!canvas) return;
+    async refreshCanvasList() {
+        const list = document.getElementById('studioCanvasList');
+        if (!list) return;
+
+        let canvases;
+        try {
+            const data = await this.canvasRequest('/api/canvases?limit=100');
+            canvases = data.canvases;
+        } catch (error) {
+            list.innerHTML = `<div class="studio-canvas-empty">Could not load canvases</div>`;
+            return;
+        }
 
-        // Show loading toast
-        this.showCanvasToast(`Loading "${canvas.name}"...`);
+        // The panel may have been switched while the request was in flight
+        if (this.activePanel !== 'worksphere' || !document.getElementById('studioCanvasList')) return;
 
-        // Load images onto the fabric canvas
-        if (window.studioFabric && window.studioFabric.canvas) {
-            const fabricCanvas = window.studioFabric.canvas;
+        if (canvases.length === 0) {
+            list.innerHTML = `<div class="studio-canvas-empty">No saved canvases yet</div>`;
+            return;
+        }
 
-            // Clear existing objects (optional - could prompt user)
-            // fabricCanvas.clear();
+        list.innerHTML = canvases.map(canvas => `
+            <div class="studio-canvas-item${canvas.id === this.currentCanvasId ? ' active' : ''}" data-canvas-id="${canvas.id}" onclick="studioPanels.loadCanvas('${canvas.id}')">
+                <div class="canvas-thumbnail">
+                    ${canvas.thumbnail
+                        ? `<img src="${canvas.thumbnail}" alt="${this.escapeHtml(canvas.name)}">`
+                        : `<div class="canvas-thumbnail-placeholder">🎨</div>`}
+                    <span class="canvas-count">${canvas.objectCount} items</span>
+                </div>
+                <div class="canvas-info">
+                    <span class="canvas-name">${this.escapeHtml(canvas.name)}</span>
+                    <span class="canvas-meta">Edited ${new Date(canvas.updatedAt).toLocaleDateString()}</span>
+                </div>
+                <div class="canvas-actions">
+                    <button title="Rename" onclick="event.stopPropagation(); studioPanels.renameCanvas('${canvas.id}')">✏️</button>
+                    <button title="Duplicate" onclick="event.stopPropagation(); studioPanels.duplicateCanvas('${canvas.id}')">⧉</button>
+                    <button title="Delete" onclick="event.stopPropagation(); studioPanels.deleteCanvas('${canvas.id}')">🗑️</button>
+                </div>
+            </div>
+        `).join('');
+
+        this.savedCanvases = canvases;
+    }
+
+    canvasRequest(path, options = {}) {
+        if (!window.connectionManager) {
+            return Promise.reject(new Error('Not connected'));
+        }
+        return window.connectionManager.authRequest(path, options);
+    }
+
+    async loadCanvas(canvasId) {
+        if (!window.studioFabric || !window.studioFabric.canvas) {
+            this.showCanvasToast('Canvas not ready', 'error');
+            return;
+        }
+
+        const summary = this.savedCanvases?.find(c => c.id === canvasId);
+        this.showCanvasToast(`Loading "${this.escapeHtml(summary ? summary.name : 'canvas')}"...`);
+
+        try {
+            const { canvas } = await this.canvasRequest(`/api/canvases/${canvasId}`);
+            const count = await window.studioFabric.loadDocument(canvas.document);
+            this.currentCanvasId = canvas.id;
+            this.showCanvasToast(`"${this.escapeHtml(canvas.name)}" loaded with ${count} items`, 'success');
+            this.closePanel();
+        } catch (error) {
+            this.showCanvasToast(`Could not load canvas: ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    // Save over the canvas that was last loaded or saved, or as a new one
+    async saveCurrentCanvas() {
+        if (!window.studioFabric || !window.studioFabric.canvas) {
+            this.showCanvasToast('Canvas not ready', 'error');
+            return;
+        }
 
-            // Load each image with offset positioning
-            canvas.images.forEach((imgSrc, index) => {
-                fabric.Image.fromURL(imgSrc, (img) => {
-                    // Scale down and position in a grid-like layout
-                    const scale = 0.3;
-                    const padding = 20;
-                    const cols = 3;
-                    const col = index % cols;
-                    const row = Math.floor(index / cols);
+        const body = {
+            document: window.studioFabric.serialize(),
+            thumbnail: window.studioFabric.createThumbnail()
+        };
 
-                    img.set({
-                        left: 50 + (col * (img.width * scale + padding)),
-                        top: 50 + (row * (img.height * scale + padding)),
-                        scaleX: scale,
-                        scaleY: scale,
-                        selectable: true
+        try {
+            if (this.currentCanvasId) {
+                try {
+                    await this.canvasRequest(`/api/canvases/${this.currentCanvasId}`, {
+                        method: 'PATCH',
+                        body: JSON.stringify(body)
                     });
+                    this.showCanvasToast('Canvas saved', 'success');
+                    this.refreshCanvasList();
+                    return;
+                } catch (error) {
+                    // Deleted since it was loaded: save it as a new canvas
+                    if (error.status !== 404) throw error;
+                    this.currentCanvasId = null;
+                }
+            }
 
-                    fabricCanvas.add(img);
+            const name = prompt('Name this canvas', 'Untitled canvas');
+            if (name === null) return;
 
-                    if (index === canvas.images.length - 1) {
-                        fabricCanvas.renderAll();
-                        this.showCanvasToast(`"${canvas.name}" loaded with ${canvas.images.length} items`, 'success');
-                    }
-                }, { crossOrigin: 'anonymous' });
+            const { canvas } = await this.canvasRequest('/api/canvases', {
+                method: 'POST',
+                body: JSON.stringify({ ...body, name: name.trim() || 'Untitled canvas' })
             });
-        } else {
+            this.currentCanvasId = canvas.id;
+            this.showCanvasToast(`"${this.escapeHtml(canvas.name)}" saved`, 'success');
+            this.refreshCanvasList();
+        } catch (error) {
+            this.showCanvasToast(`Could not save canvas: ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    // Start from an empty canvas, saved right away so it shows up in the list
+    async createNewCanvas() {
+        if (!window.studioFabric || !window.studioFabric.canvas) {
             this.showCanvasToast('Canvas not ready', 'error');
+            return;
         }
 
-        // Close the panel
-        this.closePanel();
-    }
+        const name = prompt('Name the new canvas', 'Untitled canvas');
+        if (name === null) return;
+
+        window.studioFabric.removeAllObjects();
+        window.studioFabric.saveState();
 
-    createNewCanvas() {
-        // Clear the canvas
-        if (window.studioFabric && window.studioFabric.canvas) {
-            window.studioFabric.canvas.clear();
+        try {
+            const { canvas } = await this.canvasRequest('/api/canvases', {
+                method: 'POST',
+                body: JSON.stringify({
+                    name: name.trim() || 'Untitled canvas',
+                    document: window.studioFabric.serialize(),
+                    thumbnail: null
+                })
+            });
+            this.currentCanvasId = canvas.id;
             this.showCanvasToast('New canvas created', 'success');
+        } catch (error) {
+            this.currentCanvasId = null;
+            this.showCanvasToast(`Could not save canvas: ${this.escapeHtml(error.message)}`, 'error');
         }
         this.closePanel();
     }
 
+    async renameCanvas(canvasId) {
+        const summary = this.savedCanvases?.find(c => c.id === canvasId);
+        const name = prompt('Rename canvas', summary ? summary.name : '');
+        if (name === null || !name.trim()) return;
+
+        try {
+            await this.canvasRequest(`/api/canvases/${canvasId}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ name: name.trim() })
+            });
+            this.refreshCanvasList();
+        } catch (error) {
+            this.showCanvasToast(`Could not rename canvas: ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    async duplicateCanvas(canvasId) {
+        try {
+            const { canvas } = await this.canvasRequest(`/api/canvases/${canvasId}/duplicate`, {
+                method: 'POST',
+                body: JSON.stringify({})
+            });
+            this.showCanvasToast(`"${this.escapeHtml(canvas.name)}" created`, 'success');
+            this.refreshCanvasList();
+        } catch (error) {
+            this.showCanvasToast(`Could not duplicate canvas: ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    async deleteCanvas(canvasId) {
+        const summary = this.savedCanvases?.find(c => c.id === canvasId);
+        if (!confirm(`Delete "${summary ? summary.name : 'this canvas'}"?`)) return;
+
+        try {
+            await this.canvasRequest(`/api/canvases/${canvasId}`, { method: 'DELETE' });
+            if (this.currentCanvasId === canvasId) this.currentCanvasId = null;
+            this.refreshCanvasList();
+        } catch (error) {
+            this.showCanvasToast(`Could not delete canvas: ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     showCanvasToast(message, type = 'info') {
         let toast = document.getElementById('canvasToast');
         if (!toast) {
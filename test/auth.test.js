@@ -0,0 +1,105 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers');
+
+describe('login', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(() => server.stop());
+
+    it('registers, signs in and returns the current user', async () => {
+        const registered = await server.request()
+            .post('/api/auth/register')
+            .send({ username: 'alice', password: 'correct horse battery' })
+            .expect(201);
+        assert.equal(registered.body.user.username, 'alice');
+
+        await server.request()
+            .post('/api/auth/login')
+            .send({ username: 'alice', password: 'wrong password' })
+            .expect(401);
+
+        const signedIn = await server.request()
+            .post('/api/auth/login')
+            .send({ username: 'alice', password: 'correct horse battery' })
+            .expect(200);
+
+        const me = await server.request()
+            .get('/api/auth/me')
+            .set('Authorization', `Bearer ${signedIn.body.token}`)
+            .expect(200);
+        assert.equal(me.body.user.id, registered.body.user.id);
+    });
+
+    it('refuses usernames and passwords that are not strings', async () => {
+        const bodies = [
+            { username: ['alice'], password: 'correct horse battery' },
+            { username: 'alice', password: { length: 20 } },
+            { username: 'alice', password: 12345678901 },
+            { username: 'alice' }
+        ];
+
+        for (const path of ['/api/auth/register', '/api/auth/login']) {
+            for (const body of bodies) {
+                const res = await server.request().post(path).send(body).expect(400);
+                assert.equal(res.body.message, 'Username and password must be strings');
+            }
+        }
+
+        const guest = await server.request().post('/api/auth/guest').send({ username: ['mallory'] }).expect(201);
+        assert.match(guest.body.user.username, /^Guest/);
+    });
+
+    it('refuses sockets without a session token', async () => {
+        const socket = server.connect('not-a-token');
+        const error = await waitFor(socket, 'connect_error');
+        assert.equal(error.message, 'Unauthorized');
+    });
+
+    it('logs in over the socket with the session identity and joins the default room', async () => {
+        const { user, token } = await server.guest('bob');
+        const socket = server.connect(token);
+
+        const success = waitFor(socket, 'login-success');
+        const joined = waitFor(socket, 'room-joined');
+        socket.emit('login', {});
+
+        const login = await success;
+        assert.equal(login.userId, user.id);
+        assert.equal(login.username, 'bob');
+        assert.equal((await joined).room.name, 'lobby');
+    });
+
+    it('tells users in the room who joined and lists who is already there', async () => {
+        const carol = await server.login('carol', 'stage');
+        assert.deepEqual(carol.users, []);
+
+        const announced = waitFor(carol.socket, 'user-joined');
+        const dave = await server.login('dave', 'stage');
+
+        assert.equal((await announced).userId, dave.user.id);
+        assert.deepEqual(dave.users.map(user => user.userId), [carol.user.id]);
+    });
+
+    it('falls back to the default room for an unknown room', async () => {
+        const { token } = await server.guest('erin');
+        const socket = server.connect(token);
+
+        const roomError = waitFor(socket, 'room-error');
+        const joined = waitFor(socket, 'room-joined');
+        socket.emit('login', { room: 'no-such-room' });
+
+        assert.equal((await roomError).room, 'no-such-room');
+        assert.equal((await joined).room.name, 'lobby');
+    });
+
+    it('reports connected users on the health check', async () => {
+        const health = await server.request().get('/health').expect(200);
+        assert.equal(health.body.status, 'ok');
+        assert.ok(health.body.connectedUsers >= 3);
+    });
+});
@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const THUMBNAIL = 'data:image/png;base64,iVBORw0KGgo=';
+
+describe('saved canvases', () => {
+    let server;
+    let alice;
+    let bob;
+
+    before(async () => {
+        server = await startServer();
+        alice = await server.guest('alice');
+        bob = await server.guest('bob');
+    });
+
+    after(() => server.stop());
+
+    const as = (session, req) => req.set('Authorization', `Bearer ${session.token}`);
+
+    const document = (...names) => ({ version: '5.3.0', objects: names.map(text => ({ type: 'textbox', text })) });
+
+    async function create(session, body) {
+        const res = await as(session, server.request().post('/api/canvases')).send(body).expect(201);
+        return res.body.canvas;
+    }
+
+    it('saves a canvas and returns it with its document', async () => {
+        const canvas = await create(alice, { name: '  Mood board ', document: document('hello', 'world'), thumbnail: THUMBNAIL });
+        assert.match(canvas.id, /^cnv_/);
+        assert.equal(canvas.name, 'Mood board');
+        assert.equal(canvas.owner, alice.user.id);
+        assert.equal(canvas.objectCount, 2);
+
+        const res = await as(alice, server.request().get(`/api/canvases/${canvas.id}`)).expect(200);
+        assert.equal(res.body.canvas.thumbnail, THUMBNAIL);
+        assert.deepEqual(res.body.canvas.document, document('hello', 'world'));
+
+        await server.request().get(`/api/canvases/${canvas.id}`).expect(401);
+    });
+
+    it('refuses invalid names, thumbnails and documents', async () => {
+        const cases = [
+            [{ name: ' ', document: document() }, 'Name must be 1-100 characters'],
+            [{ name: 'x'.repeat(101) }, 'Name must be 1-100 characters'],
+            [{ name: 'Board', thumbnail: 'data:image/svg+xml;base64,PHN2Zz4=' }, 'Thumbnail must be a PNG, JPEG or WebP data URL under 512KB'],
+            [{ name: 'Board', document: [] }, 'Document must be Fabric canvas JSON with an objects array'],
+            [{ name: 'Board', document: { objects: 'none' } }, 'Document must be Fabric canvas JSON with an objects array']
+        ];
+
+        for (const [body, message] of cases) {
+            const res = await as(alice, server.request().post('/api/canvases')).send(body).expect(400);
+            assert.equal(res.body.message, message);
+        }
+    });
+
+    it('lists only the signed-in user\'s canvases', async () => {
+        const own = await create(bob, { name: 'Bob board' });
+        const res = await as(bob, server.request().get('/api/canvases')).expect(200);
+
+        assert.equal(res.body.total, 1);
+        assert.deepEqual(res.body.canvases.map(canvas => canvas.id), [own.id]);
+        assert.equal(res.body.canvases[0].document, undefined);
+
+        const listed = await as(alice, server.request().get('/api/canvases')).expect(200);
+        assert.ok(listed.body.canvases.every(canvas => canvas.owner === alice.user.id));
+    });
+
+    it('renames, overwrites and duplicates a canvas', async () => {
+        const canvas = await create(alice, { name: 'Draft', document: document('one'), thumbnail: THUMBNAIL });
+
+        const renamed = await as(alice, server.request().patch(`/api/canvases/${canvas.id}`))
+            .send({ name: 'Final', document: document('one', 'two', 'three'), thumbnail: null })
+            .expect(200);
+        assert.equal(renamed.body.canvas.name, 'Final');
+        assert.equal(renamed.body.canvas.objectCount, 3);
+        assert.equal(renamed.body.canvas.thumbnail, null);
+
+        // Fields left out of a PATCH are kept
+        await as(alice, server.request().patch(`/api/canvases/${canvas.id}`)).send({ name: 'Final v2' }).expect(200);
+        assert.deepEqual(await server.ctx.canvasStore.getDocument(canvas.id), document('one', 'two', 'three'));
+
+        const copy = await as(alice, server.request().post(`/api/canvases/${canvas.id}/duplicate`)).send({}).expect(201);
+        assert.notEqual(copy.body.canvas.id, canvas.id);
+        assert.equal(copy.body.canvas.name, 'Final v2 copy');
+        assert.deepEqual(await server.ctx.canvasStore.getDocument(copy.body.canvas.id), document('one', 'two', 'three'));
+    });
+
+    it('hides a canvas from everyone but its owner', async () => {
+        const canvas = await create(alice, { name: 'Private', document: document('secret') });
+
+        await as(bob, server.request().get(`/api/canvases/${canvas.id}`)).expect(404);
+        await as(bob, server.request().patch(`/api/canvases/${canvas.id}`)).send({ name: 'Mine now' }).expect(404);
+        await as(bob, server.request().post(`/api/canvases/${canvas.id}/duplicate`)).send({}).expect(404);
+        const refused = await as(bob, server.request().delete(`/api/canvases/${canvas.id}`)).expect(404);
+        assert.equal(refused.body.message, 'Canvas not found');
+
+        const stored = await server.ctx.canvasStore.get(canvas.id);
+        assert.equal(stored.name, 'Private');
+        assert.equal(stored.owner, alice.user.id);
+    });
+
+    it('deletes a canvas', async () => {
+        const canvas = await create(alice, { name: 'Scratch' });
+
+        await as(alice, server.request().delete(`/api/canvases/${canvas.id}`)).expect(200);
+        await as(alice, server.request().get(`/api/canvases/${canvas.id}`)).expect(404);
+        await as(alice, server.request().delete(`/api/canvases/${canvas.id}`)).expect(404);
+        assert.equal(await server.ctx.canvasStore.get(canvas.id), null);
+    });
+});
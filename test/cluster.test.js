@@ -0,0 +1,140 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createUserStore } = require('../lib/user-store');
+const { createRoomStore } = require('../lib/room-store');
+const { startServer, waitFor, emitWithAck } = require('./helpers');
+
+// Two instances sharing a Redis, like two machines behind Fly's proxy. Needs
+// a local redis-server: REDIS_URL=redis://localhost:6379 npm test
+describe('several instances sharing Redis', { skip: !process.env.REDIS_URL && 'REDIS_URL not set' }, () => {
+    let first;
+    let second;
+    let alice;
+    let bob;
+
+    before(async () => {
+        // The accounts and rooms would be in a shared database in production
+        const stores = {
+            userStore: createUserStore({ driver: 'memory' }),
+            roomStore: createRoomStore({ driver: 'memory' })
+        };
+        const env = {
+            SHARED_STATE: 'redis',
+            REDIS_URL: process.env.REDIS_URL,
+            REDIS_PREFIX: `video-messenger-test-${crypto.randomBytes(4).toString('hex')}:`
+        };
+        first = await startServer({ ...env, INSTANCE_ID: 'first' }, stores);
+        second = await startServer({ ...env, INSTANCE_ID: 'second' }, stores);
+
+        alice = await first.login('alice', 'lobby');
+        const joined = waitFor(alice.socket, 'user-joined');
+        bob = await second.login('bob', 'lobby');
+        assert.equal((await joined).username, 'bob');
+    });
+
+    after(async () => {
+        await second.stop();
+        await first.stop();
+    });
+
+    it('shows users on every instance in the room', async () => {
+        assert.deepEqual(bob.users.map(user => user.username), ['alice']);
+
+        const listed = await first.request()
+            .get('/api/rooms')
+            .set('Authorization', `Bearer ${alice.token}`)
+            .expect(200);
+        assert.equal(listed.body.rooms.find(room => room.name === 'lobby').online, 2);
+    });
+
+    it('shares circle positions and the formation', async () => {
+        const moved = waitFor(bob.socket, 'video-position-update');
+        alice.socket.emit('video-position-update', { participantId: alice.user.id, x: 120, y: 80 });
+        assert.equal((await moved).x, 120);
+
+        const changed = waitFor(bob.socket, 'video-formation-change');
+        alice.socket.emit('video-formation-change', { formation: 'stack' });
+        await changed;
+
+        const synced = waitFor(bob.socket, 'video-position-sync');
+        bob.socket.emit('video-position-sync-request');
+        const { positions, formation } = await synced;
+        assert.equal(formation, 'stack');
+        assert.equal(positions[alice.user.id].x, 120);
+    });
+
+    it('keeps each instance\'s copy of the studio canvas current', async () => {
+        alice.socket.emit('studio-join');
+        await waitFor(alice.socket, 'studio-canvas-sync');
+
+        const added = waitFor(bob.socket, 'studio-object-added');
+        alice.socket.emit('studio-object-added', { objectId: 'note-1', props: { type: 'rect', left: 10 }, clock: [1, 'alice'] });
+
+        // Bob joins after the edit: his instance loads the canvas and merges
+        // the first instance's unsaved copy
+        bob.socket.emit('studio-join');
+        const { state } = await waitFor(bob.socket, 'studio-canvas-sync');
+        assert.deepEqual(state.objects.map(item => item.objectId), ['note-1']);
+
+        alice.socket.emit('studio-object-modified', { objectId: 'note-1', props: { left: 50 }, clock: [2, 'alice'] });
+        await waitFor(bob.socket, 'studio-object-modified');
+        const copy = second.ctx.studioDocuments.loaded('lobby');
+        assert.equal(copy.crdt.get('note-1').left, 50);
+
+        const listed = waitFor(bob.socket, 'studio-users-list');
+        bob.socket.emit('studio-leave');
+        bob.socket.emit('studio-join');
+        assert.deepEqual((await listed).map(user => user.socketId), [alice.socket.id]);
+        await added;
+    });
+
+    it('takes a user out of a room on whichever instance they are on', async () => {
+        const left = waitFor(bob.socket, 'room-left');
+        const userLeft = waitFor(alice.socket, 'user-left');
+
+        const response = await first.request()
+            .post('/api/rooms/lobby/leave')
+            .set('Authorization', `Bearer ${bob.token}`)
+            .expect(200);
+
+        assert.equal(response.body.left, 1);
+        assert.equal((await left).room, 'lobby');
+        assert.equal((await userLeft).userId, bob.user.id);
+        assert.deepEqual((await first.ctx.presence.roomUsers('lobby')).map(user => user.username), ['alice']);
+    });
+});
+
+describe('presence of stopped instances', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(() => server.stop());
+
+    it('clears the sockets of an instance that stopped reporting', async () => {
+        const { sharedState, presence } = server.ctx;
+        const alice = await server.login('alice', 'lobby');
+
+        // What a crashed instance leaves behind: a stale heartbeat and a
+        // user in the room
+        const ghost = { userId: 'u_ghost', username: 'ghost', socketId: 'gone-socket' };
+        await sharedState.set('instances', 'crashed', { lastSeen: Date.now() - 5 * 60 * 1000 });
+        await sharedState.set('sockets', ghost.socketId, { ...ghost, room: 'lobby', instance: 'crashed' });
+        await sharedState.set(`user-sockets:${ghost.userId}`, ghost.socketId, 'lobby');
+        await sharedState.set('users', ghost.userId, ghost);
+        await sharedState.set('room-users:lobby', ghost.userId, ghost);
+
+        const userLeft = waitFor(alice.socket, 'user-left');
+        await presence.heartbeat();
+
+        assert.equal((await userLeft).userId, ghost.userId);
+        assert.equal(await presence.isConnected(ghost.userId), false);
+        assert.deepEqual(Object.keys(await sharedState.getAll('instances')), [server.config.sharedState.instanceId]);
+
+        const rooms = await emitWithAck(alice.socket, 'room-list');
+        assert.equal(rooms.rooms.find(room => room.name === 'lobby').online, 1);
+    });
+});
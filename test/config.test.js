@@ -0,0 +1,144 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, ConfigError } = require('../lib/config');
+const { startServer } = require('./helpers');
+
+describe('configuration', () => {
+    let dir;
+
+    before(async () => {
+        dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'video-messenger-config-'));
+    });
+
+    after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+    async function writeConfigFile(settings) {
+        const filePath = path.join(dir, `config-${Date.now()}-${Math.random()}.json`);
+        await fs.promises.writeFile(filePath, JSON.stringify(settings));
+        return filePath;
+    }
+
+    it('has defaults for every subsystem', () => {
+        const config = loadConfig({});
+        assert.equal(config.port, 3000);
+        assert.deepEqual(config.corsOrigins, [
+            'http://localhost:3000',
+            'https://video-messaging-v4.vercel.app',
+            'https://bright-hummingbird-dfbf58.netlify.app',
+            'https://video-messaging-v4-adwalnctx-brians-projects-61d69cd7.vercel.app'
+        ]);
+        assert.equal(config.uploads.maxFileSize, 100 * 1024 * 1024);
+        assert.deepEqual(config.uploads.allowedTypes, ['video/webm', 'video/mp4', 'video/x-matroska']);
+        assert.deepEqual(config.sockets, { maxPayload: 10 * 1024 * 1024, pingInterval: 25000, pingTimeout: 60000 });
+        assert.equal(config.rateLimit.enabled, true);
+        assert.equal(config.recording.enabled, true);
+    });
+
+    it('reads CLIENT_URL and CORS_ORIGINS into one allowlist', () => {
+        const config = loadConfig({
+            CLIENT_URL: 'https://app.example.com/',
+            CORS_ORIGINS: 'https://app.example.com, https://staging.example.com'
+        });
+        assert.deepEqual(config.corsOrigins, ['https://app.example.com', 'https://staging.example.com']);
+    });
+
+    it('reads a config file, with the environment taking precedence', async () => {
+        const CONFIG_FILE = await writeConfigFile({
+            PORT: 8080,
+            CORS_ORIGINS: ['https://a.example.com', 'https://b.example.com'],
+            UPLOAD_MAX_SIZE_MB: 200,
+            RATE_LIMITS: { upload: { limit: 5, window: 3600 } },
+            TRANSCODING: false,
+            LOG_LEVEL: 'debug'
+        });
+
+        const config = loadConfig({ CONFIG_FILE, LOG_LEVEL: 'warn' });
+        assert.equal(config.port, 8080);
+        assert.deepEqual(config.corsOrigins, ['http://localhost:3000', 'https://a.example.com', 'https://b.example.com']);
+        assert.equal(config.uploads.maxFileSize, 200 * 1024 * 1024);
+        assert.deepEqual(config.rateLimit.rules, { upload: { limit: 5, window: 3600 } });
+        assert.equal(config.transcoding.enabled, false);
+        assert.equal(config.logging.level, 'warn');
+    });
+
+    it('reports every invalid setting at once', () => {
+        let thrown;
+        try {
+            loadConfig({
+                PORT: '70000',
+                STORAGE_DRIVER: 's3',
+                LOG_LEVEL: 'loud',
+                RECORDING: 'sometimes',
+                RATE_LIMITS: '{nope',
+                LIVEKIT_URL: 'wss://livekit.example.com',
+                CORS_ORIGINS: 'https://ok.example.com,not a url',
+                UPLOAD_TYPES: 'video/webm,video/avi',
+                DEFAULT_ROOMS: 'lobby,Bad Room!'
+            });
+        } catch (error) {
+            thrown = error;
+        }
+
+        assert.ok(thrown instanceof ConfigError);
+        const expected = [
+            /^DEFAULT_ROOMS: invalid room names Bad Room!$/,
+            /^PORT must be a whole number from 1 to 65535 \(got "70000"\)$/,
+            /^RATE_LIMITS is not valid JSON/,
+            /^LOG_LEVEL must be one of debug, info, warn, error, silent/,
+            /^RECORDING must be on or off/,
+            /^CORS_ORIGINS: "not a url" is not an origin/,
+            /^STORAGE_DRIVER=s3 needs S3_BUCKET$/,
+            /^LIVEKIT_API_KEY, LIVEKIT_API_SECRET and LIVEKIT_URL must be set together$/,
+            /^UPLOAD_TYPES: video\/avi not supported/
+        ];
+        assert.equal(thrown.errors.length, expected.length);
+        expected.forEach((pattern, index) => assert.match(thrown.errors[index], pattern));
+        assert.match(thrown.message, /^Invalid configuration:\n {2}- /);
+    });
+
+    it('stops on unknown keys in the config file', async () => {
+        const CONFIG_FILE = await writeConfigFile({ UPLOAD_MAX_SIZE: 200 });
+        assert.throws(() => loadConfig({ CONFIG_FILE }), {
+            name: 'ConfigError',
+            message: /unknown settings UPLOAD_MAX_SIZE/
+        });
+        assert.throws(() => loadConfig({ CONFIG_FILE: path.join(dir, 'missing.json') }), {
+            message: /could not be read/
+        });
+    });
+});
+
+describe('configured subsystems', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({
+            UPLOAD_TYPES: 'video/mp4',
+            SOCKET_PING_INTERVAL: '5',
+            SOCKET_MAX_PAYLOAD_MB: '2',
+            CORS_ORIGINS: 'https://app.example.com'
+        });
+    });
+
+    after(() => server.stop());
+
+    it('passes socket options to socket.io', () => {
+        assert.equal(server.io.engine.opts.pingInterval, 5000);
+        assert.equal(server.io.engine.opts.maxHttpBufferSize, 2 * 1024 * 1024);
+    });
+
+    it('only accepts the configured upload types', async () => {
+        await server.request().post('/api/uploads').send({ mimetype: 'video/webm' }).expect(400);
+        await server.request().post('/api/uploads').send({ mimetype: 'video/mp4' }).expect(201);
+    });
+
+    it('allows the configured CORS origins', async () => {
+        const allowed = await server.request().get('/health').set('Origin', 'https://app.example.com');
+        assert.equal(allowed.headers['access-control-allow-origin'], 'https://app.example.com');
+        const other = await server.request().get('/health').set('Origin', 'https://evil.example.com');
+        assert.equal(other.headers['access-control-allow-origin'], undefined);
+    });
+});
@@ -0,0 +1,100 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const LIVEKIT_ENV = {
+    LIVEKIT_API_KEY: 'test-key',
+    LIVEKIT_API_SECRET: 'test-secret-that-is-long-enough-for-hs256',
+    LIVEKIT_URL: 'wss://livekit.example.com'
+};
+
+// Stands in for the LiveKit RoomServiceClient
+function fakeRoomService(listRooms = async () => [{ name: 'lobby' }]) {
+    return { listRooms };
+}
+
+describe('health checks', () => {
+    let server;
+
+    afterEach(() => server.stop());
+
+    it('reports each readiness check with its latency', async () => {
+        server = await startServer({ ...LIVEKIT_ENV, HEALTH_CHECK_LIVEKIT: 'on' }, { roomService: fakeRoomService() });
+
+        const res = await server.request().get('/readyz').expect(200);
+        assert.equal(res.body.status, 'ok');
+        assert.equal(res.body.ready, true);
+        const { storage, disk, sharedState, transcoder, livekit } = res.body.checks;
+        assert.equal(storage.status, 'ok');
+        assert.equal(typeof storage.latencyMs, 'number');
+        assert.equal(disk.status, 'ok');
+        assert.ok(disk.free.data > 0);
+        assert.equal(sharedState.status, 'ok');
+        assert.equal(sharedState.driver, 'memory');
+        assert.equal(transcoder.status, 'disabled');
+        assert.equal(livekit.status, 'ok');
+        assert.equal(livekit.rooms, 1);
+
+        // Nothing from the config
+        const body = JSON.stringify(res.body);
+        assert.ok(!body.includes('livekit.example.com'));
+        assert.ok(!body.includes(LIVEKIT_ENV.LIVEKIT_API_SECRET));
+        assert.ok(!body.includes(server.config.dataDir));
+    });
+
+    it('answers liveness without checking dependencies, and /health hides the LiveKit URL', async () => {
+        server = await startServer(LIVEKIT_ENV);
+        server.ctx.sharedState.ping = async () => { throw new Error('Redis down'); };
+
+        const live = await server.request().get('/livez').expect(200);
+        assert.equal(live.body.status, 'ok');
+
+        const health = await server.request().get('/health').expect(200);
+        assert.equal(health.body.livekit.configured, true);
+        assert.ok(!JSON.stringify(health.body).includes('livekit.example.com'));
+    });
+
+    it('is not ready while a critical check fails', async () => {
+        server = await startServer();
+        server.ctx.sharedState.ping = async () => { throw new Error('Redis down'); };
+
+        const res = await server.request().get('/readyz').expect(503);
+        assert.equal(res.body.status, 'fail');
+        assert.equal(res.body.ready, false);
+        assert.equal(res.body.checks.sharedState.status, 'fail');
+        assert.equal(res.body.checks.sharedState.error, 'unavailable');
+        assert.ok(!JSON.stringify(res.body).includes('Redis down'));
+        assert.equal(res.body.checks.storage.status, 'ok');
+    });
+
+    it('is not ready when disk space runs low', async () => {
+        server = await startServer({ HEALTH_MIN_FREE_DISK_MB: String(1024 * 1024 * 1024) });
+
+        const res = await server.request().get('/readyz').expect(503);
+        assert.equal(res.body.checks.disk.status, 'fail');
+        assert.equal(res.body.checks.disk.error, 'low_disk_space');
+    });
+
+    it('times out slow checks and stays ready when only optional ones fail', async () => {
+        const hang = fakeRoomService(() => new Promise(() => {}));
+        server = await startServer({ ...LIVEKIT_ENV, HEALTH_CHECK_LIVEKIT: 'on', HEALTH_CHECK_TIMEOUT: '50' }, { roomService: hang });
+
+        const res = await server.request().get('/readyz').expect(200);
+        assert.equal(res.body.status, 'degraded');
+        assert.equal(res.body.ready, true);
+        assert.equal(res.body.checks.livekit.status, 'fail');
+        assert.equal(res.body.checks.livekit.error, 'timeout');
+        assert.ok(res.body.checks.livekit.latencyMs >= 40);
+    });
+
+    it('is not ready while draining for a restart', async () => {
+        server = await startServer();
+        await server.request().get('/readyz').expect(200);
+
+        await server.shutdown();
+
+        const res = await server.request().get('/readyz').expect(503);
+        assert.equal(res.body.draining, true);
+        assert.equal(res.body.status, 'ok');
+    });
+});
@@ -0,0 +1,191 @@
+// Test helpers: a server on a random port with in-memory stores and temp
+// directories, guest accounts, and authenticated socket.io clients
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { io: connectClient } = require('socket.io-client');
+const { loadConfig } = require('../lib/config');
+const { createApp } = require('../lib/app');
+
+// Start a server; `env` overrides the test environment and `overrides` are
+// passed to createApp (stores, egressClient...)
+async function startServer(env = {}, overrides = {}) {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'video-messenger-test-'));
+    const config = loadConfig({
+        MESSAGE_STORE: 'memory',
+        DATA_DIR: dir,
+        UPLOADS_DIR: path.join(dir, 'uploads'),
+        TRANSCODING: 'off',
+        RATE_LIMIT: 'off',
+        SESSION_SECRET: 'test-secret',
+        DEFAULT_ROOMS: 'lobby,stage',
+        LOG_LEVEL: 'warn',
+        ...env
+    });
+
+    const instance = createApp(config, overrides);
+    await instance.init();
+    await new Promise(resolve => instance.server.listen(0, '127.0.0.1', resolve));
+
+    const url = `http://127.0.0.1:${instance.server.address().port}`;
+    const clients = [];
+
+    return {
+        ...instance,
+        config,
+        url,
+        request: () => request(instance.app),
+
+        // Create a guest account: { user, token }
+        async guest(username) {
+            const res = await request(instance.app)
+                .post('/api/auth/guest')
+                .send({ username })
+                .expect(201);
+            return res.body;
+        },
+
+        // Connect a socket.io client with a session token
+        connect(token) {
+            const socket = connectClient(url, {
+                auth: { token },
+                transports: ['websocket'],
+                reconnection: false,
+                forceNew: true
+            });
+            clients.push(socket);
+            return socket;
+        },
+
+        // Sign in as a new guest and log in over the socket. Resolves once
+        // the socket is in `room` (default: the first default room).
+        async login(username, room) {
+            const { user, token } = await this.guest(username);
+            const socket = this.connect(token);
+            const joined = waitFor(socket, 'room-joined');
+            socket.emit('login', room ? { room } : {});
+            const { users } = await joined;
+            return { user, token, socket, users };
+        },
+
+        async stop() {
+            clients.forEach(socket => socket.disconnect());
+            await instance.close();
+            await fs.promises.rm(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+// Resolve with the next `event` on a socket (its first argument)
+function waitFor(socket, event, timeout = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            socket.off(event, listener);
+            reject(new Error(`Timed out waiting for '${event}'`));
+        }, timeout);
+        function listener(payload) {
+            clearTimeout(timer);
+            resolve(payload);
+        }
+        socket.once(event, listener);
+    });
+}
+
+// Resolve if `event` does NOT arrive within `timeout`
+function expectSilence(socket, event, timeout = 300) {
+    return new Promise((resolve, reject) => {
+        const listener = payload => reject(new Error(`Unexpected '${event}': ${JSON.stringify(payload)}`));
+        socket.once(event, listener);
+        setTimeout(() => {
+            socket.off(event, listener);
+            resolve();
+        }, timeout);
+    });
+}
+
+// Emit with an acknowledgement callback
+function emitWithAck(socket, event, data) {
+    return socket.timeout(2000).emitWithAck(event, data);
+}
+
+// ==================== FIXTURES ====================
+
+// A minimal WebM (EBML header, 1280x720 VP8 + Opus tracks, one cluster)
+// that passes lib/video-sniffer.js
+function webmFixture() {
+    const id = value => {
+        const hex = value.toString(16);
+        return Buffer.from(hex.length % 2 ? '0' + hex : hex, 'hex');
+    };
+    const size = length => {
+        const buffer = Buffer.alloc(8);
+        buffer.writeBigUInt64BE(BigInt(length) | (1n << 56n));
+        return buffer;
+    };
+    const element = (elementId, ...children) => {
+        const data = Buffer.concat(children);
+        return Buffer.concat([id(elementId), size(data.length), data]);
+    };
+    const uint16 = n => Buffer.from([n >> 8, n & 255]);
+    const unknownSize = Buffer.from([0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+
+    const header = element(0x1A45DFA3, element(0x4282, Buffer.from('webm')));
+    const info = element(0x1549A966, element(0x2AD7B1, Buffer.from([0x0F, 0x42, 0x40])));
+    const tracks = element(0x1654AE6B,
+        element(0xAE, element(0x83, Buffer.from([1])), element(0x86, Buffer.from('V_VP8')),
+            element(0xE0, element(0xB0, uint16(1280)), element(0xBA, uint16(720)))),
+        element(0xAE, element(0x83, Buffer.from([2])), element(0x86, Buffer.from('A_OPUS'))));
+    const cluster = Buffer.concat([id(0x1F43B675), unknownSize, Buffer.alloc(2048, 7)]);
+
+    return Buffer.concat([header, id(0x18538067), unknownSize, info, tracks, cluster]);
+}
+
+// A minimal faststart MP4 (640x480 H.264 + AAC, 4.5 seconds)
+function mp4Fixture() {
+    const box = (type, ...children) => {
+        const data = Buffer.concat(children);
+        const header = Buffer.alloc(8);
+        header.writeUInt32BE(data.length + 8);
+        header.write(type, 4, 'latin1');
+        return Buffer.concat([header, data]);
+    };
+    const handler = type => {
+        const data = Buffer.alloc(24);
+        data.write(type, 8, 'latin1');
+        return data;
+    };
+    const sampleEntry = format => {
+        const data = Buffer.alloc(24);
+        data.writeUInt32BE(1, 4);
+        data.writeUInt32BE(16, 8);
+        data.write(format, 12, 'latin1');
+        return data;
+    };
+    const track = (type, format, trackHeader) => box('trak',
+        ...(trackHeader ? [box('tkhd', trackHeader)] : []),
+        box('mdia', box('hdlr', handler(type)), box('minf', box('stbl', box('stsd', sampleEntry(format))))));
+
+    const movieHeader = Buffer.alloc(100);
+    movieHeader.writeUInt32BE(1000, 12);  // timescale
+    movieHeader.writeUInt32BE(4500, 16);  // duration
+    const trackHeader = Buffer.alloc(84);
+    trackHeader.writeUInt32BE(640 << 16, 76);
+    trackHeader.writeUInt32BE(480 << 16, 80);
+
+    return Buffer.concat([
+        box('ftyp', Buffer.from('isom\0\0\0\0isomavc1')),
+        box('moov', box('mvhd', movieHeader), track('vide', 'avc1', trackHeader), track('soun', 'mp4a')),
+        box('mdat', Buffer.alloc(2048))
+    ]);
+}
+
+module.exports = {
+    startServer,
+    waitFor,
+    expectSilence,
+    emitWithAck,
+    webmFixture,
+    mp4Fixture
+};
@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLiveKitTokens } = require('../lib/livekit');
+const { startServer, waitFor, emitWithAck } = require('./helpers');
+
+const LIVEKIT_ENV = {
+    LIVEKIT_API_KEY: 'test-key',
+    LIVEKIT_API_SECRET: 'test-secret-that-is-long-enough-for-hs256',
+    LIVEKIT_URL: 'wss://livekit.example.com'
+};
+
+// Claims of a LiveKit JWT (signature not checked)
+function decode(token) {
+    return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+}
+
+function createTokens() {
+    const issued = [];
+    const tokens = createLiveKitTokens({
+        apiKey: 'APIkey',
+        apiSecret: 'a-secret-that-is-long-enough-for-hs256',
+        url: 'wss://livekit.example.com',
+        ttl: '1h',
+        canJoin: async () => true,
+        roleFor: async () => 'speaker',
+        onToken: grant => issued.push(grant)
+    });
+    return { tokens, issued };
+}
+
+describe('LiveKit tokens', () => {
+    it('issues recording bots a hidden, subscribe-only grant', async () => {
+        const { tokens, issued } = createTokens();
+        const result = await tokens.createRecorderToken('lobby', 'recorder-1');
+        assert.equal(result.role, 'recorder');
+
+        const claims = decode(result.token);
+        assert.equal(claims.sub, 'recorder-1');
+        assert.deepEqual(JSON.parse(claims.metadata), { role: 'recorder' });
+        assert.equal(claims.video.room, 'lobby');
+        assert.equal(claims.video.roomJoin, true);
+        assert.equal(claims.video.canSubscribe, true);
+        assert.equal(claims.video.canPublish, false);
+        assert.equal(claims.video.canPublishData, false);
+        assert.equal(claims.video.hidden, true);
+        assert.equal(claims.video.recorder, true);
+        assert.deepEqual(issued, [{ identity: 'recorder-1', roomName: 'lobby', role: 'recorder' }]);
+
+        await assert.rejects(tokens.createRecorderToken('not a room'), { statusCode: 400 });
+    });
+
+    it('never gives clients the recorder role', async () => {
+        const { tokens } = createTokens();
+        await assert.rejects(
+            tokens.createUserToken({ id: 'u1', username: 'alice' }, 'lobby', 'recorder'),
+            { statusCode: 400, message: 'Unknown role: recorder' }
+        );
+
+        const { token } = await tokens.createUserToken({ id: 'u1', username: 'alice' }, 'lobby');
+        const claims = decode(token);
+        assert.equal(claims.video.canPublish, true);
+        assert.equal(claims.video.hidden, undefined);
+    });
+});
+
+describe('LiveKit room access', () => {
+    let server;
+    let alice;
+
+    before(async () => {
+        server = await startServer(LIVEKIT_ENV);
+        alice = await server.login('alice', 'lobby');
+    });
+
+    after(() => server.stop());
+
+    const requestToken = (token, room) => server.request()
+        .get(`/api/livekit-token?room=${room}`)
+        .set('Authorization', `Bearer ${token}`);
+
+    it('issues tokens for the room the user is in', async () => {
+        const res = await requestToken(alice.token, 'lobby').expect(200);
+        assert.equal(decode(res.body.token).video.room, 'lobby');
+        assert.equal((await emitWithAck(alice.socket, 'getLiveKitToken', { roomName: 'lobby' })).roomName, 'lobby');
+    });
+
+    it('refuses a room the user is not in', async () => {
+        const res = await requestToken(alice.token, 'stage').expect(403);
+        assert.equal(res.body.message, 'Not allowed to join this room');
+
+        const response = await emitWithAck(alice.socket, 'getLiveKitToken', { roomName: 'stage' });
+        assert.equal(response.error, 'Not allowed to join this room');
+
+        // A user who isn't connected is in no room at all
+        const { token } = await server.guest('bob');
+        await requestToken(token, 'lobby').expect(403);
+    });
+
+    it('lets the creator and whoever joins in', async () => {
+        const created = await emitWithAck(alice.socket, 'room-create', { name: 'planning' });
+        assert.equal(created.success, true);
+        await requestToken(alice.token, 'planning').expect(200);
+
+        const carol = await server.login('carol', 'lobby');
+        await requestToken(carol.token, 'planning').expect(403);
+        const joined = waitFor(carol.socket, 'room-joined');
+        carol.socket.emit('room-join', { room: 'planning' });
+        await joined;
+        await requestToken(carol.token, 'planning').expect(200);
+        await requestToken(carol.token, 'lobby').expect(403);
+    });
+});
@@ -0,0 +1,99 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { signToken } = require('../lib/auth');
+const { startServer, webmFixture } = require('./helpers');
+
+const SESSION_SECRET = 'media-test-secret';
+
+describe('signed media links', () => {
+    let server;
+    let alice;
+    let messageId;
+
+    before(async () => {
+        server = await startServer({ SESSION_SECRET });
+        alice = await server.login('alice');
+
+        const upload = await server.request()
+            .post('/upload')
+            .set('Authorization', `Bearer ${alice.token}`)
+            .attach('video', webmFixture(), { filename: 'clip.webm', contentType: 'video/webm' })
+            .expect(200);
+        messageId = upload.body.messageId;
+    });
+
+    after(() => server.stop());
+
+    const createShare = body => server.request()
+        .post(`/api/videos/${messageId}/shares`)
+        .set('Authorization', `Bearer ${alice.token}`)
+        .send(body)
+        .expect(201)
+        .then(res => res.body.share);
+
+    const openShare = share => server.request()
+        .get(new URL(share.url).pathname)
+        .set('Accept', 'application/json');
+
+    it('streams ranges of the upload until the media token expires', async () => {
+        const { filename } = await server.ctx.messageStore.get(messageId);
+        const url = server.ctx.mediaLinks.mediaUrl(server.ctx.mediaLinks.signMedia(messageId), filename);
+
+        const partial = await server.request().get(url).set('Range', 'bytes=0-3').expect(206);
+        assert.equal(partial.body.length, 4);
+        assert.match(partial.headers['cache-control'], /^private, max-age=\d+$/);
+
+        const expired = signToken({ aud: 'media', m: messageId }, SESSION_SECRET, -1);
+        await server.request().get(server.ctx.mediaLinks.mediaUrl(expired, filename)).expect(403);
+
+        // Session tokens are signed with the same secret but aren't media tokens
+        await server.request().get(server.ctx.mediaLinks.mediaUrl(alice.token, filename)).expect(403);
+    });
+
+    it('stops a share at its view limit', async () => {
+        const share = await createShare({ maxViews: 2 });
+        assert.equal(share.state, 'active');
+
+        const first = await openShare(share).expect(200);
+        assert.equal(first.body.share.views, 1);
+        assert.match(first.body.video.playableUrl, /^\/media\//);
+        await openShare(share).expect(200);
+
+        const refused = await openShare(share).expect(410);
+        assert.equal(refused.body.message, 'Share link has reached its view limit');
+        assert.equal((await server.ctx.shareStore.get(share.id)).views, 2);
+    });
+
+    it('stops a share once it expires', async () => {
+        const share = await createShare({ expiresIn: 60 });
+        const { shareStore } = server.ctx;
+        shareStore.shares.get(share.id).expiresAt = new Date(Date.now() - 1000).toISOString();
+
+        const refused = await openShare(share).expect(410);
+        assert.equal(refused.body.message, 'Share link has expired');
+    });
+
+    it('refuses share lifetimes outside the configured bounds', async () => {
+        for (const expiresIn of [30, server.config.shareMaxTtl + 1]) {
+            await server.request()
+                .post(`/api/videos/${messageId}/shares`)
+                .set('Authorization', `Bearer ${alice.token}`)
+                .send({ expiresIn })
+                .expect(400);
+        }
+    });
+
+    it('cuts off media URLs handed out through a revoked share', async () => {
+        const share = await createShare({});
+        const opened = await openShare(share).expect(200);
+        await server.request().get(opened.body.video.url).expect(200);
+
+        await server.request()
+            .delete(`/api/videos/${messageId}/shares/${share.id}`)
+            .set('Authorization', `Bearer ${alice.token}`)
+            .expect(200);
+
+        await server.request().get(opened.body.video.url).expect(410);
+        assert.equal((await openShare(share).expect(410)).body.message, 'Share link has been revoked');
+    });
+});
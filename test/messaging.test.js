@@ -0,0 +1,168 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer, waitFor, webmFixture } = require('./helpers');
+
+describe('messaging', () => {
+    let server;
+    let alice;
+    let bob;
+    let messageId;
+
+    before(async () => {
+        server = await startServer();
+        alice = await server.login('alice');
+        bob = await server.login('bob');
+
+        const upload = await server.request()
+            .post('/upload')
+            .set('Authorization', `Bearer ${alice.token}`)
+            .attach('video', webmFixture(), { filename: 'clip.webm', contentType: 'video/webm' })
+            .expect(200);
+        messageId = upload.body.messageId;
+    });
+
+    after(() => server.stop());
+
+    it('records the upload with its sniffed container and owner', async () => {
+        const res = await server.request()
+            .get('/api/videos')
+            .set('Authorization', `Bearer ${alice.token}`)
+            .expect(200);
+
+        const video = res.body.videos.find(item => item.id === messageId);
+        assert.ok(video);
+        assert.equal(video.owner, alice.user.id);
+        assert.equal(video.mimetype, 'video/webm');
+        assert.equal(video.media.width, 1280);
+    });
+
+    it('ignores the sender and recipients form fields on anonymous uploads', async () => {
+        const upload = await server.request()
+            .post('/upload')
+            .field('sender', 'bob')
+            .field('recipients', 'carol')
+            .attach('video', webmFixture(), { filename: 'clip.webm', contentType: 'video/webm' })
+            .expect(200);
+
+        const message = await server.ctx.messageStore.get(upload.body.messageId);
+        assert.equal(message.owner, null);
+        assert.equal(message.sender, null);
+        assert.deepEqual(message.recipients, []);
+    });
+
+    it('delivers a message to an online recipient and relays receipts to the sender', async () => {
+        const received = waitFor(bob.socket, 'video-message-received');
+        const sent = waitFor(alice.socket, 'video-message-sent');
+        alice.socket.emit('send-video-message', { messageId, to: bob.user.id });
+
+        const confirmation = await sent;
+        assert.equal(confirmation.success, true);
+        assert.equal(confirmation.recipient, 'bob');
+
+        const message = await received;
+        assert.equal(message.messageId, messageId);
+        assert.equal(message.senderId, alice.user.id);
+        assert.match(message.videoUrl, /^\/media\//);
+
+        const delivered = waitFor(alice.socket, 'video-message-receipt');
+        bob.socket.emit('video-message-ack', { inboxId: message.inboxId });
+        assert.equal((await delivered).status, 'delivered');
+
+        const read = waitFor(alice.socket, 'video-message-receipt');
+        bob.socket.emit('video-message-read', { inboxId: message.inboxId });
+        assert.equal((await read).status, 'read');
+
+        const inbox = await server.request()
+            .get('/api/inbox')
+            .set('Authorization', `Bearer ${bob.token}`)
+            .expect(200);
+        assert.equal(inbox.body.messages[0].status, 'read');
+    });
+
+    it('queues messages for offline recipients until they log in', async () => {
+        const { user, token } = await server.guest('carol');
+
+        const sent = waitFor(alice.socket, 'video-message-sent');
+        alice.socket.emit('send-video-message', { messageId, toUsername: 'carol' });
+        assert.equal((await sent).to, user.id);
+
+        const socket = server.connect(token);
+        const received = waitFor(socket, 'video-message-received');
+        socket.emit('login', {});
+        assert.equal((await received).messageId, messageId);
+    });
+
+    it("refuses to send someone else's video", async () => {
+        const sent = waitFor(bob.socket, 'video-message-sent');
+        bob.socket.emit('send-video-message', { messageId, to: alice.user.id });
+
+        const result = await sent;
+        assert.equal(result.success, false);
+        assert.equal(result.message, 'Video not found');
+    });
+
+    it('refuses to send an anonymous upload', async () => {
+        const upload = await server.request()
+            .post('/upload')
+            .attach('video', webmFixture(), { filename: 'clip.webm', contentType: 'video/webm' })
+            .expect(200);
+
+        const sent = waitFor(bob.socket, 'video-message-sent');
+        bob.socket.emit('send-video-message', { messageId: upload.body.messageId, to: alice.user.id });
+
+        const result = await sent;
+        assert.equal(result.success, false);
+        assert.equal(result.message, 'Video not found');
+
+        const message = await server.ctx.messageStore.get(upload.body.messageId);
+        assert.equal(message.owner, null);
+        assert.deepEqual(message.recipients, []);
+    });
+
+    it('reports unknown recipients', async () => {
+        const sent = waitFor(alice.socket, 'video-message-sent');
+        alice.socket.emit('send-video-message', { messageId, toUsername: 'nobody-here' });
+        assert.equal((await sent).message, 'Recipient not found');
+    });
+
+    it('rejects payloads that fail the event schema', async () => {
+        const invalid = waitFor(alice.socket, 'invalid-payload');
+        alice.socket.emit('send-video-message', { messageId, to: 42 });
+        assert.equal((await invalid).event, 'send-video-message');
+    });
+
+    it('only sends stored videos, with URLs built by the server', async () => {
+        const invalid = waitFor(alice.socket, 'invalid-payload');
+        alice.socket.emit('send-video-message', { videoUrl: 'https://evil.example.com/x.webm', to: bob.user.id });
+        assert.equal((await invalid).event, 'send-video-message');
+
+        const received = waitFor(bob.socket, 'video-message-received');
+        alice.socket.emit('send-video-message', { messageId, videoUrl: 'https://evil.example.com/x.webm', to: bob.user.id });
+        const message = await received;
+        assert.match(message.videoUrl, /^\/media\//);
+        assert.equal(message.filename, (await server.ctx.messageStore.get(messageId)).filename);
+    });
+
+    it('purges a video with its renditions', async () => {
+        const { videoStorage, transcodeQueue, messageStore, videos } = server.ctx;
+        const upload = await server.request()
+            .post('/upload')
+            .set('Authorization', `Bearer ${alice.token}`)
+            .attach('video', webmFixture(), { filename: 'clip.webm', contentType: 'video/webm' })
+            .expect(200);
+        const message = await messageStore.get(upload.body.messageId);
+
+        // Renditions of a transcode the queue no longer knows about
+        const poster = videoStorage.filePath(transcodeQueue.outputPrefix(message.filename) + 'poster.jpg');
+        await fs.promises.mkdir(path.dirname(poster), { recursive: true });
+        await fs.promises.writeFile(poster, 'jpeg');
+
+        await videos.purgeMessage({ ...message, transcode: { jobId: 'job_gone', status: 'completed' } });
+
+        assert.equal(await messageStore.get(message.id), null);
+        assert.deepEqual(await videoStorage.list(message.filename.replace(/\.\w+$/, '')), []);
+        assert.deepEqual(await videoStorage.list(transcodeQueue.outputPrefix(message.filename)), []);
+    });
+});
@@ -0,0 +1,170 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger } = require('../lib/logger');
+const { startServer, waitFor, emitWithAck, webmFixture } = require('./helpers');
+
+const LIVEKIT_ENV = {
+    LIVEKIT_API_KEY: 'test-key',
+    LIVEKIT_API_SECRET: 'test-secret-that-is-long-enough-for-hs256',
+    LIVEKIT_URL: 'wss://livekit.example.com'
+};
+
+// The value of one series in a Prometheus text response
+function sample(text, series) {
+    const line = text.split('\n').find(item => item.startsWith(series + ' '));
+    return line ? Number(line.slice(series.length + 1)) : undefined;
+}
+
+describe('metrics', () => {
+    let server;
+    let alice;
+
+    before(async () => {
+        server = await startServer({ ...LIVEKIT_ENV, METRICS_TOKEN: 'scrape-token' });
+        alice = await server.login('alice', 'lobby');
+    });
+
+    after(() => server.stop());
+
+    const scrape = () => server.request()
+        .get('/metrics')
+        .set('Authorization', 'Bearer scrape-token')
+        .expect(200)
+        .then(res => res.text);
+
+    it('needs the metrics token when one is set', async () => {
+        await server.request().get('/metrics').expect(401);
+        await server.request().get('/metrics').set('Authorization', 'Bearer wrong').expect(401);
+        await server.request().get('/metrics').set('Authorization', 'Bearer scrape-token2').expect(401);
+        await server.request().get('/metrics').set('Authorization', 'scrape-token').expect(401);
+    });
+
+    it('counts sockets, socket events and studio operations', async () => {
+        alice.socket.emit('studio-join');
+        await waitFor(alice.socket, 'studio-canvas-sync');
+        const add = { objectId: 'a-1', props: { type: 'rect' }, clock: [1, 'alice'] };
+        alice.socket.emit('studio-object-added', add);
+        // Already applied: nothing changes
+        alice.socket.emit('studio-object-added', add);
+        await emitWithAck(alice.socket, 'room-list');
+
+        const text = await scrape();
+        assert.equal(sample(text, 'video_messenger_connected_sockets'), 1);
+        assert.equal(sample(text, 'video_messenger_socket_events_total{event="login"}'), 1);
+        assert.equal(sample(text, 'video_messenger_socket_events_total{event="studio-join"}'), 1);
+        assert.equal(sample(text, 'video_messenger_studio_ops_total{type="add",result="applied"}'), 1);
+        assert.equal(sample(text, 'video_messenger_studio_ops_total{type="add",result="ignored"}'), 1);
+    });
+
+    it('counts upload bytes and times uploads', async () => {
+        const video = webmFixture();
+        await server.request()
+            .post('/upload')
+            .set('Authorization', `Bearer ${alice.token}`)
+            .attach('video', video, { filename: 'clip.webm', contentType: 'video/webm' })
+            .expect(200);
+
+        const text = await scrape();
+        assert.equal(sample(text, 'video_messenger_upload_bytes_total{kind="file"}'), video.length);
+        assert.equal(sample(text, 'video_messenger_upload_duration_seconds_count{kind="file"}'), 1);
+        assert.equal(sample(text, 'video_messenger_upload_duration_seconds_bucket{kind="file",le="+Inf"}'), 1);
+    });
+
+    it('counts LiveKit tokens by role', async () => {
+        await server.request()
+            .get('/api/livekit-token?room=lobby')
+            .set('Authorization', `Bearer ${alice.token}`)
+            .expect(200);
+        await emitWithAck(alice.socket, 'getLiveKitToken', { roomName: 'lobby', role: 'viewer' });
+
+        const text = await scrape();
+        assert.equal(sample(text, 'video_messenger_livekit_tokens_total{role="speaker"}'), 1);
+        assert.equal(sample(text, 'video_messenger_livekit_tokens_total{role="viewer"}'), 1);
+    });
+
+    it('counts HTTP requests by route pattern', async () => {
+        await server.request()
+            .get('/api/rooms/lobby')
+            .set('Authorization', `Bearer ${alice.token}`)
+            .expect(200);
+
+        const text = await scrape();
+        assert.equal(sample(text, 'video_messenger_http_requests_total{method="GET",route="/api/rooms/:name",status="200"}'), 1);
+        assert.equal(sample(text, 'video_messenger_http_request_duration_seconds_count{method="GET",route="/api/rooms/:name"}'), 1);
+    });
+});
+
+describe('structured logs', () => {
+    let server;
+    let lines;
+
+    before(async () => {
+        lines = [];
+        const logger = createLogger({ level: 'info', write: (level, line) => lines.push(JSON.parse(line)) });
+        server = await startServer({}, { logger });
+    });
+
+    after(() => server.stop());
+
+    it('tags request logs with the request id', async () => {
+        const { token } = await server.guest('alice');
+        const res = await server.request()
+            .get('/api/rooms')
+            .set('Authorization', `Bearer ${token}`)
+            .set('X-Request-Id', 'req-123')
+            .expect(200);
+
+        assert.equal(res.headers['x-request-id'], 'req-123');
+        const line = lines.find(entry => entry.requestId === 'req-123');
+        assert.equal(line.level, 'info');
+        assert.equal(line.route, '/api/rooms');
+        assert.equal(line.status, 200);
+
+        // Made up when the client didn't send one
+        const other = await server.request().get('/api/rooms').set('Authorization', `Bearer ${token}`);
+        assert.match(other.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+    });
+
+    it('tags socket logs with the socket and user, and keeps per-event chatter at debug', async () => {
+        const alice = await server.login('alice', 'lobby');
+        alice.socket.emit('video-position-update', { participantId: alice.user.id, x: 10, y: 20 });
+        alice.socket.emit('studio-join');
+        await waitFor(alice.socket, 'studio-canvas-sync');
+
+        const socketLines = lines.filter(entry => entry.socketId === alice.socket.id);
+        const connected = socketLines.find(entry => entry.msg === 'Socket connected');
+        assert.equal(connected.userId, alice.user.id);
+        assert.ok(socketLines.find(entry => entry.msg === 'Joined studio' && entry.component === 'studio'));
+        assert.equal(lines.some(entry => entry.component === 'shared-reality'), false);
+    });
+});
+
+describe('logger', () => {
+    it('writes JSON lines with bindings and serialized errors', () => {
+        const lines = [];
+        const errors = [];
+        const logger = createLogger({
+            level: 'warn',
+            write: (level, line) => lines.push(JSON.parse(line)),
+            onError: entry => errors.push(entry.component)
+        });
+        const child = logger.child({ component: 'rooms', socketId: 'abc' });
+
+        child.info('Not written');
+        child.error('Failed', { room: 'lobby', error: new Error('boom') });
+
+        assert.equal(lines.length, 1);
+        assert.equal(lines[0].msg, 'Failed');
+        assert.equal(lines[0].socketId, 'abc');
+        assert.equal(lines[0].room, 'lobby');
+        assert.equal(lines[0].error.message, 'boom');
+        assert.deepEqual(errors, ['rooms']);
+    });
+
+    it('counts errors even when silent', () => {
+        const errors = [];
+        const logger = createLogger({ level: 'silent', write: () => assert.fail('wrote'), onError: entry => errors.push(entry) });
+        logger.error('Quiet failure');
+        assert.equal(errors.length, 1);
+    });
+});
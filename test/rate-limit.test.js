@@ -0,0 +1,118 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter, clientAddress } = require('../lib/rate-limit');
+const { startServer, waitFor } = require('./helpers');
+
+describe('token buckets', () => {
+    let now;
+    let limiter;
+
+    beforeEach(() => {
+        now = 1000000;
+        mock.method(Date, 'now', () => now);
+        limiter = new RateLimiter({ rules: { test: { limit: 2, window: 2, ipLimit: 3 } } });
+    });
+
+    afterEach(() => {
+        clearInterval(limiter.sweepTimer);
+        mock.restoreAll();
+    });
+
+    it('allows a burst of the limit and refills over the window', () => {
+        const caller = { userId: 'u1' };
+        assert.deepEqual(limiter.consume('test', caller), { allowed: true });
+        assert.deepEqual(limiter.consume('test', caller), { allowed: true });
+        assert.deepEqual(limiter.consume('test', caller), { allowed: false, retryAfter: 1 });
+
+        now += 1000;
+        assert.deepEqual(limiter.consume('test', caller), { allowed: true });
+        assert.equal(limiter.consume('test', caller).allowed, false);
+    });
+
+    it('limits the user and the IP, and spends nothing when either is empty', () => {
+        assert.equal(limiter.consume('test', { userId: 'u1', ip: '10.0.0.1' }).allowed, true);
+        assert.equal(limiter.consume('test', { userId: 'u1', ip: '10.0.0.1' }).allowed, true);
+        assert.equal(limiter.consume('test', { userId: 'u2', ip: '10.0.0.1' }).allowed, true);
+
+        // The IP bucket (ipLimit 3) is empty; u3 still has its own tokens
+        assert.equal(limiter.consume('test', { userId: 'u3', ip: '10.0.0.1' }).allowed, false);
+        assert.equal(limiter.buckets.get('test|user:u3').tokens, 2);
+        assert.equal(limiter.consume('test', { userId: 'u3', ip: '10.0.0.2' }).allowed, true);
+    });
+
+    it('lets a cost over the capacity through once the bucket is full', () => {
+        limiter.consume('test', { userId: 'u1' });
+        assert.deepEqual(limiter.consume('test', { userId: 'u1' }, 5), { allowed: false, retryAfter: 1 });
+
+        now += 1000;
+        assert.deepEqual(limiter.consume('test', { userId: 'u1' }, 5), { allowed: true });
+        assert.deepEqual(limiter.consume('test', { userId: 'u1' }), { allowed: false, retryAfter: 4 });
+    });
+
+    it('merges rule overrides and follows aliases', () => {
+        const custom = new RateLimiter({ rules: { upload: { limit: 1 } } });
+        clearInterval(custom.sweepTimer);
+        assert.deepEqual(custom.resolve('upload'), ['upload', { limit: 1, window: 3600, ipLimit: 60 }]);
+        assert.equal(custom.resolve('getLiveKitToken')[0], 'livekit-token');
+
+        // Unknown rules aren't limited
+        assert.equal(custom.consume('nothing', { userId: 'u1' }, 1000).allowed, true);
+        const disabled = new RateLimiter({ enabled: false });
+        clearInterval(disabled.sweepTimer);
+        assert.equal(disabled.consume('upload', { userId: 'u1' }, 1000).allowed, true);
+    });
+
+    it('sweeps buckets that have refilled', () => {
+        limiter.consume('test', { userId: 'u1', ip: '10.0.0.1' });
+        assert.equal(limiter.buckets.size, 2);
+
+        // The IP bucket refills faster (ipLimit 3 over the same window)
+        now += 700;
+        limiter.sweep();
+        assert.deepEqual(Array.from(limiter.buckets.keys()), ['test|user:u1']);
+        now += 300;
+        limiter.sweep();
+        assert.equal(limiter.buckets.size, 0);
+    });
+
+    it('finds the client address behind trusted proxies', () => {
+        assert.equal(clientAddress('10.0.0.1', undefined), '10.0.0.1');
+        assert.equal(clientAddress('10.0.0.1', '203.0.113.7, 198.51.100.2'), '10.0.0.1');
+        assert.equal(clientAddress('10.0.0.1', '203.0.113.7, 198.51.100.2', 1), '198.51.100.2');
+        assert.equal(clientAddress('10.0.0.1', '203.0.113.7', 5), '203.0.113.7');
+    });
+});
+
+describe('rate limited routes and events', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({
+            RATE_LIMIT: 'on',
+            RATE_LIMITS: JSON.stringify({ 'upload-chunk': { limit: 3, window: 60 }, 'room-create': { limit: 1, window: 60 } })
+        });
+    });
+
+    after(() => server.stop());
+
+    it('answers 429 with Retry-After once the bucket is empty', async () => {
+        // The limit applies before the handler looks at the request
+        for (let i = 0; i < 3; i++) {
+            await server.request().patch('/api/uploads/missing').expect(400);
+        }
+        const res = await server.request().patch('/api/uploads/missing').expect(429);
+        assert.equal(res.headers['retry-after'], '20');
+        assert.equal(res.body.retryAfter, 20);
+    });
+
+    it('drops limited socket events and tells the client', async () => {
+        const { socket } = await server.login('alice');
+        socket.emit('room-create', { name: 'first' });
+
+        const limited = waitFor(socket, 'rate-limited');
+        socket.emit('room-create', { name: 'second' });
+        const notice = await limited;
+        assert.equal(notice.event, 'room-create');
+        assert.equal(notice.retryAfter, 60);
+    });
+});
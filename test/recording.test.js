@@ -0,0 +1,211 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EgressStatus } = require('livekit-server-sdk');
+const { RoomRecorder } = require('../lib/room-recorder');
+const { createLogger } = require('../lib/logger');
+const { startServer, waitFor, emitWithAck, mp4Fixture } = require('./helpers');
+
+// Stands in for LiveKit's EgressClient: stopping an egress "writes" an MP4
+// to the requested path, and listEgress reports whatever status a test sets
+function createFakeEgress() {
+    const egresses = new Map();
+    let next = 1;
+
+    return {
+        egresses,
+        async startRoomCompositeEgress(roomName, output, options) {
+            const egress = {
+                egressId: `EG_${next++}`,
+                roomName,
+                filepath: output.filepath,
+                layout: options.layout,
+                status: EgressStatus.EGRESS_ACTIVE,
+                error: '',
+                fileResults: []
+            };
+            egresses.set(egress.egressId, egress);
+            return egress;
+        },
+        async stopEgress(egressId) {
+            const egress = egresses.get(egressId);
+            const data = mp4Fixture();
+            await fs.promises.writeFile(egress.filepath, data);
+            egress.status = EgressStatus.EGRESS_COMPLETE;
+            egress.fileResults = [{ filename: egress.filepath, size: BigInt(data.length), duration: 4500000000n }];
+            return egress;
+        },
+        async listEgress({ egressId }) {
+            return egresses.has(egressId) ? [egresses.get(egressId)] : [];
+        }
+    };
+}
+
+describe('room recording', () => {
+    let server;
+    let egress;
+    let alice;
+    let bob;
+
+    before(async () => {
+        egress = createFakeEgress();
+        server = await startServer({}, { egressClient: egress });
+        alice = await server.login('alice', 'lobby');
+        bob = await server.login('bob', 'lobby');
+    });
+
+    after(() => server.stop());
+
+    it('starts a room composite egress and tells the room', async () => {
+        const status = waitFor(bob.socket, 'recording-status');
+        const response = await emitWithAck(alice.socket, 'recording-start', { title: 'Standup' });
+
+        assert.equal(response.success, true);
+        assert.equal(response.recording.status, 'recording');
+        assert.equal(response.recording.startedBy, alice.user.id);
+        assert.equal((await status).id, response.recording.id);
+
+        const [started] = egress.egresses.values();
+        assert.equal(started.roomName, 'lobby');
+        assert.equal(started.layout, 'grid');
+        assert.equal(path.dirname(started.filepath), server.config.recording.outputDir);
+    });
+
+    it('records one conversation per room at a time', async () => {
+        const response = await emitWithAck(bob.socket, 'recording-start', {});
+        assert.equal(response.success, false);
+        assert.equal(response.message, 'This room is already being recorded');
+
+        const status = await emitWithAck(bob.socket, 'recording-status-request');
+        assert.equal(status.recording.startedByName, 'alice');
+    });
+
+    it('only lets whoever started it or a host stop it', async () => {
+        const response = await emitWithAck(bob.socket, 'recording-stop');
+        assert.equal(response.success, false);
+        assert.match(response.message, /Only whoever started the recording/);
+    });
+
+    it('saves the recording as a video message for everyone who took part', async () => {
+        // Joins after the recording started
+        const carol = await server.login('carol', 'lobby');
+        await server.ctx.roomRecorder.poll();
+
+        const stopped = await emitWithAck(alice.socket, 'recording-stop');
+        assert.equal(stopped.recording.status, 'stopping');
+
+        const readyForBob = waitFor(bob.socket, 'recording-ready');
+        const readyForCarol = waitFor(carol.socket, 'recording-ready');
+        await server.ctx.roomRecorder.poll();
+
+        const { recording, video } = await readyForBob;
+        assert.equal(recording.status, 'ready');
+        assert.equal(video.id, recording.messageId);
+        assert.equal(video.title, 'Standup');
+        assert.equal(video.owner, alice.user.id);
+        assert.equal(video.mimetype, 'video/mp4');
+        assert.equal(video.media.container, 'mp4');
+        assert.deepEqual([...video.recipients].sort(), ['bob', 'carol']);
+        assert.match(video.url, /^\/media\//);
+        assert.equal((await readyForCarol).video.id, video.id);
+
+        const listed = await server.request()
+            .get('/api/videos')
+            .set('Authorization', `Bearer ${carol.token}`)
+            .expect(200);
+        assert.ok(listed.body.videos.some(item => item.id === video.id));
+    });
+
+    it('reports recordings the egress service gave up on', async () => {
+        const started = await emitWithAck(bob.socket, 'recording-start');
+        const failed = egress.egresses.get(server.ctx.roomRecorder.active('lobby').egressId);
+        failed.status = EgressStatus.EGRESS_FAILED;
+        failed.error = 'no tracks to record';
+
+        const status = waitFor(alice.socket, 'recording-status');
+        await server.ctx.roomRecorder.poll();
+
+        const update = await status;
+        assert.equal(update.id, started.recording.id);
+        assert.equal(update.status, 'failed');
+        assert.equal(update.error, 'no tracks to record');
+        assert.equal(server.ctx.roomRecorder.active('lobby'), null);
+    });
+
+    it('keeps the file of a recording that could not be saved', async () => {
+        const started = await emitWithAck(alice.socket, 'recording-start');
+        const { egressId } = server.ctx.roomRecorder.active('lobby');
+        await emitWithAck(alice.socket, 'recording-stop');
+        // Not a video
+        const { filepath } = egress.egresses.get(egressId);
+        await fs.promises.writeFile(filepath, 'corrupt');
+
+        await server.ctx.roomRecorder.poll();
+
+        const recording = await server.ctx.roomRecorder.get(started.recording.id);
+        assert.equal(recording.status, 'failed');
+        assert.equal(recording.error, 'Could not save the recording');
+        assert.equal(recording.filePath, path.join(server.config.recording.dir, path.basename(filepath)));
+        assert.equal(await fs.promises.readFile(recording.filePath, 'utf8'), 'corrupt');
+    });
+});
+
+describe('room recording without egress', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(() => server.stop());
+
+    it('explains that recording is not configured', async () => {
+        const { socket } = await server.login('dave', 'lobby');
+
+        const status = await emitWithAck(socket, 'recording-status-request');
+        assert.equal(status.available, false);
+
+        const response = await emitWithAck(socket, 'recording-start');
+        assert.equal(response.message, 'Recording is not configured on this server');
+    });
+});
+
+describe('room recorder polling', () => {
+    it('logs recordings it could not save instead of crashing', async () => {
+        let logged;
+        const failure = new Promise(resolve => { logged = resolve; });
+        const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'video-messenger-recorder-'));
+        const egress = createFakeEgress();
+        const recorder = new RoomRecorder({
+            egressClient: egress,
+            dir,
+            pollInterval: 10,
+            onComplete: async () => ({ id: 'msg_1', filename: 'recording.mp4' }),
+            logger: createLogger({
+                level: 'error',
+                write: (level, line) => {
+                    const entry = JSON.parse(line);
+                    if (entry.msg === 'Could not check recordings') logged(entry);
+                }
+            })
+        });
+
+        try {
+            await recorder.init();
+            // Keep the process up for the (unref'd) poll timer
+            recorder.pollTimer.ref();
+            const recording = await recorder.start('lobby', { id: 'u1', username: 'alice' });
+            await egress.stopEgress(recording.egressId);
+            recorder.persist = async () => { throw new Error('Disk full'); };
+
+            const entry = await failure;
+            assert.equal(entry.error.message, 'Disk full');
+            assert.equal((await recorder.get(recording.id)).status, 'failed');
+        } finally {
+            recorder.close();
+            await fs.promises.rm(dir, { recursive: true, force: true });
+        }
+    });
+});
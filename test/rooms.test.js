@@ -0,0 +1,86 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor, emitWithAck } = require('./helpers');
+
+describe('rooms', () => {
+    let server;
+    let alice;
+    let bob;
+
+    before(async () => {
+        server = await startServer();
+        alice = await server.login('alice', 'lobby');
+        bob = await server.login('bob', 'lobby');
+    });
+
+    after(() => server.stop());
+
+    async function online(socket) {
+        const { rooms } = await emitWithAck(socket, 'room-list');
+        return Object.fromEntries(rooms.map(room => [room.name, room.online]));
+    }
+
+    it('lists the default rooms with who is online', async () => {
+        const { success, rooms } = await emitWithAck(alice.socket, 'room-list');
+        assert.equal(success, true);
+
+        const lobby = rooms.find(room => room.name === 'lobby');
+        assert.equal(lobby.createdBy, null);
+        assert.equal(lobby.online, 2);
+        assert.equal(rooms.find(room => room.name === 'stage').online, 0);
+    });
+
+    it('creates a room, tells everyone and refuses a duplicate name', async () => {
+        const announced = waitFor(bob.socket, 'room-created');
+        const created = await emitWithAck(alice.socket, 'room-create', { name: 'planning', title: 'Sprint planning' });
+        assert.equal(created.success, true);
+        assert.equal(created.room.name, 'planning');
+        assert.equal(created.room.title, 'Sprint planning');
+        assert.equal(created.room.createdBy, alice.user.id);
+        assert.equal(created.room.online, 0);
+        assert.equal((await announced).name, 'planning');
+
+        const duplicate = await emitWithAck(bob.socket, 'room-create', { name: 'planning' });
+        assert.deepEqual(duplicate, { success: false, message: 'Room already exists' });
+        assert.equal((await server.ctx.roomStore.get('planning')).createdBy, alice.user.id);
+
+        // Creating a room doesn't move anyone into it
+        assert.equal((await online(alice.socket)).planning, 0);
+    });
+
+    it('refuses to join an unknown room and keeps the socket where it was', async () => {
+        const response = await emitWithAck(bob.socket, 'room-join', { room: 'nowhere' });
+        assert.deepEqual(response, { success: false, message: 'Room not found' });
+        assert.equal((await online(bob.socket)).lobby, 2);
+    });
+
+    it('moves a socket between rooms and tells the people in them', async () => {
+        const left = waitFor(alice.socket, 'user-left');
+        const joined = await emitWithAck(bob.socket, 'room-join', { room: 'stage' });
+        assert.equal(joined.success, true);
+        assert.equal(joined.room.name, 'stage');
+        assert.deepEqual(joined.users, []);
+        assert.equal((await left).userId, bob.user.id);
+
+        const arrived = waitFor(bob.socket, 'user-joined');
+        const followed = await emitWithAck(alice.socket, 'room-join', { room: 'stage' });
+        assert.deepEqual(followed.users.map(user => user.userId), [bob.user.id]);
+        assert.equal((await arrived).userId, alice.user.id);
+
+        const counts = await online(alice.socket);
+        assert.equal(counts.lobby, 0);
+        assert.equal(counts.stage, 2);
+    });
+
+    it('leaves the current room', async () => {
+        const roomLeft = waitFor(bob.socket, 'room-left');
+        const userLeft = waitFor(alice.socket, 'user-left');
+        assert.deepEqual(await emitWithAck(bob.socket, 'room-leave'), { success: true, room: 'stage' });
+        assert.deepEqual(await roomLeft, { room: 'stage' });
+        assert.equal((await userLeft).userId, bob.user.id);
+
+        // Leaving again is a no-op
+        assert.deepEqual(await emitWithAck(bob.socket, 'room-leave'), { success: true, room: null });
+        assert.equal((await online(bob.socket)).stage, 1);
+    });
+});
@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor, expectSilence } = require('./helpers');
+
+describe('position sync and formations', () => {
+    let server;
+    let alice;
+    let bob;
+    let carol;
+
+    before(async () => {
+        server = await startServer();
+        alice = await server.login('alice', 'lobby');
+        bob = await server.login('bob', 'lobby');
+        carol = await server.login('carol', 'stage');
+    });
+
+    after(() => server.stop());
+
+    it('relays circle moves to the others in the room only', async () => {
+        const moved = waitFor(bob.socket, 'video-position-update');
+        const otherRoom = expectSilence(carol.socket, 'video-position-update');
+        const echo = expectSilence(alice.socket, 'video-position-update');
+        alice.socket.emit('video-position-update', { participantId: bob.user.id, x: 120, y: 80, timestamp: 1000 });
+
+        const update = await moved;
+        assert.equal(update.participantId, bob.user.id);
+        assert.equal(update.x, 120);
+        assert.equal(update.movedBy, alice.user.id);
+        await Promise.all([otherRoom, echo]);
+    });
+
+    it('sends the room\'s positions and formation on a sync request', async () => {
+        const sync = waitFor(bob.socket, 'video-position-sync');
+        bob.socket.emit('video-position-sync-request');
+
+        const { positions, formation } = await sync;
+        assert.equal(formation, 'cluster');
+        assert.deepEqual(
+            { x: positions[bob.user.id].x, y: positions[bob.user.id].y, movedBy: positions[bob.user.id].movedBy },
+            { x: 120, y: 80, movedBy: alice.user.id }
+        );
+    });
+
+    it('broadcasts formation changes to everyone in the room, including the sender', async () => {
+        const targetPositions = {
+            [alice.user.id]: { x: 0, y: 0, scale: 1.5 },
+            [bob.user.id]: { x: 200, y: 0, scale: 1 }
+        };
+        const toAlice = waitFor(alice.socket, 'video-formation-change');
+        const toBob = waitFor(bob.socket, 'video-formation-change');
+        const otherRoom = expectSilence(carol.socket, 'video-formation-change');
+        alice.socket.emit('video-formation-change', { formation: 'audience', presenterId: alice.user.id, targetPositions });
+
+        for (const change of await Promise.all([toAlice, toBob])) {
+            assert.equal(change.formation, 'audience');
+            assert.equal(change.presenterId, alice.user.id);
+            assert.equal(change.changedBy, 'alice');
+            assert.deepEqual(change.targetPositions, targetPositions);
+        }
+        await otherRoom;
+
+        // Late joiners get the new formation and positions
+        const dave = await server.login('dave', 'lobby');
+        const sync = waitFor(dave.socket, 'video-position-sync');
+        dave.socket.emit('video-position-sync-request');
+
+        const state = await sync;
+        assert.equal(state.formation, 'audience');
+        assert.equal(state.presenterId, alice.user.id);
+        assert.equal(state.positions[alice.user.id].scale, 1.5);
+        assert.equal(state.positions[bob.user.id].x, 200);
+    });
+
+    it('keeps each room\'s formation separate', async () => {
+        const sync = waitFor(carol.socket, 'video-position-sync');
+        carol.socket.emit('video-position-sync-request');
+        assert.equal((await sync).formation, 'cluster');
+    });
+
+    it('rejects unknown formations', async () => {
+        const invalid = waitFor(alice.socket, 'invalid-payload');
+        const unchanged = expectSilence(bob.socket, 'video-formation-change');
+        alice.socket.emit('video-formation-change', { formation: 'spiral' });
+
+        assert.match((await invalid).message, /formation must be one of/);
+        await unchanged;
+    });
+});
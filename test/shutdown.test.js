@@ -0,0 +1,97 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startServer, waitFor, webmFixture } = require('./helpers');
+
+// A multipart upload of the WebM fixture, split so the test can hold the
+// request open halfway through the body
+function multipartUpload(url, token) {
+    const boundary = 'shutdown-test-boundary';
+    const body = Buffer.concat([
+        Buffer.from(`--${boundary}\r\n`
+            + 'Content-Disposition: form-data; name="video"; filename="clip.webm"\r\n'
+            + 'Content-Type: video/webm\r\n\r\n'),
+        webmFixture(),
+        Buffer.from(`\r\n--${boundary}--\r\n`)
+    ]);
+
+    const req = http.request(`${url}/upload`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': `multipart/form-data; boundary=${boundary}`,
+            'Content-Length': body.length
+        }
+    });
+    const response = new Promise((resolve, reject) => {
+        req.on('response', res => {
+            let data = '';
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+        });
+        req.on('error', reject);
+    });
+
+    const half = Math.floor(body.length / 2);
+    return {
+        response,
+        sendFirstHalf: () => new Promise(resolve => req.write(body.subarray(0, half), resolve)),
+        finish: () => req.end(body.subarray(half))
+    };
+}
+
+describe('graceful shutdown', () => {
+    let server;
+
+    beforeEach(async () => {
+        server = await startServer();
+    });
+
+    // Also closes what shutdown() already closed
+    afterEach(() => server.stop());
+
+    it('tells socket clients to reconnect and drops their transport', async () => {
+        const alice = await server.login('alice', 'lobby');
+        const restarting = waitFor(alice.socket, 'server-restarting');
+        const disconnected = waitFor(alice.socket, 'disconnect');
+
+        await server.shutdown({ retryAfter: 1500 });
+
+        assert.deepEqual(await restarting, { retryAfter: 1500 });
+        // Unlike 'io server disconnect', a closed transport reconnects
+        assert.equal(await disconnected, 'transport close');
+    });
+
+    it('lets an upload in progress finish', async () => {
+        const { token } = await server.guest('alice');
+        const received = new Promise(resolve => server.server.once('request', resolve));
+        const upload = multipartUpload(server.url, token);
+        await upload.sendFirstHalf();
+        await received;
+
+        let closed = false;
+        const shutdown = server.shutdown().then(() => { closed = true; });
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.equal(closed, false);
+
+        upload.finish();
+        const { status, body } = await upload.response;
+        assert.equal(status, 200);
+        assert.equal(body.success, true);
+
+        await shutdown;
+        const stored = await server.ctx.messageStore.get(body.messageId);
+        assert.equal(stored.mimetype, 'video/webm');
+    });
+
+    it('refuses new connections while draining', async () => {
+        await server.shutdown();
+
+        await assert.rejects(
+            new Promise((resolve, reject) => {
+                http.get(`${server.url}/health`, resolve).on('error', reject);
+            }),
+            { code: 'ECONNREFUSED' }
+        );
+    });
+});
@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { SOCKET_EVENT_SCHEMAS, validate, socketValidator } = require('../lib/socket-schemas');
+const { startServer, waitFor, emitWithAck } = require('./helpers');
+
+describe('socket payload schemas', () => {
+    it('checks types, ranges and string limits', () => {
+        const schema = {
+            type: 'object',
+            properties: {
+                name: { type: 'string', maxLength: 4, pattern: /^[a-z]+$/ },
+                mode: { type: 'string', enum: ['a', 'b'], optional: true },
+                count: { type: 'integer', min: 0, max: 10 },
+                ratio: { type: 'number', optional: true, nullable: true },
+                id: { type: ['string', 'integer'] }
+            }
+        };
+        const valid = { name: 'abc', count: 3, id: 7, extra: 'ignored' };
+
+        assert.equal(validate(schema, valid), null);
+        assert.equal(validate(schema, { ...valid, ratio: null, id: 'x' }), null);
+        assert.equal(validate(schema, { ...valid, ratio: 2 }), null);
+        assert.equal(validate(schema, { ...valid, name: undefined }), 'data.name is required');
+        assert.equal(validate(schema, { ...valid, name: 'abcde' }), 'data.name must be at most 4 characters');
+        assert.equal(validate(schema, { ...valid, name: 'AB' }), 'data.name is not valid');
+        assert.equal(validate(schema, { ...valid, mode: 'c' }), 'data.mode must be one of a, b');
+        assert.equal(validate(schema, { ...valid, count: 1.5 }), 'data.count must be an integer');
+        assert.equal(validate(schema, { ...valid, count: 11 }), 'data.count must be at most 10');
+        assert.equal(validate(schema, { ...valid, ratio: NaN }), 'data.ratio must be a number');
+        assert.equal(validate(schema, { ...valid, id: true }), 'data.id must be a string or an integer');
+        assert.equal(validate(schema, 'abc'), 'data must be an object');
+    });
+
+    it('checks arrays, tuples, maps and encoded size', () => {
+        const list = { type: 'array', maxItems: 2, items: { type: 'integer' } };
+        assert.equal(validate(list, [1, 2]), null);
+        assert.equal(validate(list, [1, 2, 3]), 'data must have at most 2 items');
+        assert.equal(validate(list, [1, 'two']), 'data[1] must be an integer');
+
+        const tuple = { type: 'array', items: [{ type: 'integer' }, { type: 'string' }] };
+        assert.equal(validate(tuple, [1, 'a']), null);
+        assert.equal(validate(tuple, [1]), 'data must have 2 items');
+
+        const map = { type: 'object', maxKeys: 2, values: { type: 'boolean' } };
+        assert.equal(validate(map, { a: true, b: false }), null);
+        assert.equal(validate(map, { a: true, b: 'no' }), 'data.b must be a boolean');
+        assert.equal(validate(map, { a: true, b: true, c: true }), 'data must have at most 2 fields');
+
+        assert.equal(validate({ type: 'object', maxBytes: 16 }, { text: 'x'.repeat(16) }), 'data must be at most 16 bytes');
+    });
+
+    it('has a schema for every event the server handles', async () => {
+        const server = await startServer();
+        try {
+            const { socket } = await server.login('alice');
+            const [serverSocket] = server.io.of('/').sockets.values();
+            assert.equal(serverSocket.id, socket.id);
+
+            assert.ok(serverSocket.eventNames().includes('send-video-message'));
+            const unchecked = serverSocket.eventNames()
+                .filter(event => event !== 'disconnect' && event !== 'disconnecting' && event !== 'error')
+                .filter(event => !Object.prototype.hasOwnProperty.call(SOCKET_EVENT_SCHEMAS, event));
+            assert.deepEqual(unchecked, []);
+        } finally {
+            await server.stop();
+        }
+    });
+
+    it('answers through the acknowledgement when the client asked for one', () => {
+        const emitted = [];
+        const socket = { emit: (...args) => emitted.push(args) };
+        const middleware = socketValidator(socket, { ping: { type: 'object', properties: { n: { type: 'integer' } } } });
+
+        let passed = 0;
+        middleware(['ping', { n: 1 }], () => passed++);
+        assert.equal(passed, 1);
+
+        let ack;
+        middleware(['ping', { n: 'one' }, response => { ack = response; }], () => passed++);
+        const message = "Invalid 'ping' payload: data.n must be an integer";
+        assert.deepEqual(ack, { success: false, error: message, message });
+
+        middleware(['pong', {}], () => passed++);
+        assert.deepEqual(emitted, [['invalid-payload', { event: 'pong', message: 'Unknown event: pong' }]]);
+        assert.equal(passed, 1);
+    });
+});
+
+describe('socket payload validation', () => {
+    let server;
+    let alice;
+
+    before(async () => {
+        server = await startServer();
+        alice = await server.login('alice');
+    });
+
+    after(() => server.stop());
+
+    it('keeps invalid payloads away from the handler', async () => {
+        const invalid = waitFor(alice.socket, 'invalid-payload');
+        alice.socket.emit('room-create', { name: 'x'.repeat(65) });
+        assert.deepEqual(await invalid, {
+            event: 'room-create',
+            message: "Invalid 'room-create' payload: data.name must be at most 64 characters"
+        });
+        assert.equal(await server.ctx.roomStore.get('x'.repeat(65)), null);
+    });
+
+    it('acknowledges refused events that expect an answer', async () => {
+        const response = await emitWithAck(alice.socket, 'getLiveKitToken', { roomName: 42 });
+        assert.equal(response.success, false);
+        assert.match(response.message, /^Invalid 'getLiveKitToken' payload: data\.roomName must be a string$/);
+    });
+});
@@ -0,0 +1,150 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { createStorage } = require('../lib/storage');
+const { startServer, webmFixture } = require('./helpers');
+
+// Stand-in for the SDK client: keeps objects in memory and answers the
+// commands S3Storage sends, so no bucket or network is needed
+class FakeS3Client {
+    constructor({ pageSize = 1000 } = {}) {
+        this.objects = new Map(); // key -> { body, contentType, lastModified }
+        this.pageSize = pageSize;
+        this.deleteBatches = [];
+    }
+
+    async send(command) {
+        const input = command.input;
+
+        switch (command.constructor.name) {
+            case 'HeadBucketCommand':
+                return {};
+            case 'PutObjectCommand': {
+                const chunks = [];
+                for await (const chunk of input.Body) chunks.push(chunk);
+                this.objects.set(input.Key, { body: Buffer.concat(chunks), contentType: input.ContentType, lastModified: new Date() });
+                return {};
+            }
+            case 'HeadObjectCommand': {
+                const object = this.find(input.Key);
+                return { ContentLength: object.body.length, LastModified: object.lastModified, ETag: `"${object.body.length}"` };
+            }
+            case 'GetObjectCommand': {
+                const { body } = this.find(input.Key);
+                const [, start = 0, end = body.length - 1] = (input.Range || '').match(/^bytes=(\d+)-(\d*)$/) || [];
+                return { Body: Readable.from([body.subarray(Number(start), Number(end || body.length - 1) + 1)]) };
+            }
+            case 'ListObjectsV2Command': {
+                const keys = Array.from(this.objects.keys()).filter(key => key.startsWith(input.Prefix)).sort();
+                const start = Number(input.ContinuationToken || 0);
+                const page = keys.slice(start, start + this.pageSize);
+                const more = start + this.pageSize < keys.length;
+                return {
+                    Contents: page.map(Key => ({ Key, Size: this.objects.get(Key).body.length, LastModified: this.objects.get(Key).lastModified })),
+                    IsTruncated: more,
+                    NextContinuationToken: more ? String(start + this.pageSize) : undefined
+                };
+            }
+            case 'DeleteObjectCommand':
+                this.objects.delete(input.Key);
+                return {};
+            case 'DeleteObjectsCommand':
+                this.deleteBatches.push(input.Delete.Objects.length);
+                input.Delete.Objects.forEach(({ Key }) => this.objects.delete(Key));
+                return {};
+            default:
+                throw new Error(`Unexpected command ${command.constructor.name}`);
+        }
+    }
+
+    find(key) {
+        const object = this.objects.get(key);
+        if (!object) throw Object.assign(new Error('NotFound'), { $metadata: { httpStatusCode: 404 } });
+        return object;
+    }
+}
+
+function createS3Storage(client) {
+    const storage = createStorage({ driver: 's3', bucket: 'videos', prefix: 'staging' });
+    storage.client = client;
+    return storage;
+}
+
+async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+describe('S3 storage driver', () => {
+    let dir;
+
+    before(async () => {
+        dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'video-messenger-s3-'));
+    });
+
+    after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+    it('stores objects under the key prefix and reads byte ranges', async () => {
+        const client = new FakeS3Client();
+        const storage = createS3Storage(client);
+        const filePath = path.join(dir, 'upload.webm');
+        await fs.promises.writeFile(filePath, 'abcdefghij');
+
+        await storage.put('video-1.webm', filePath, { contentType: 'video/webm' });
+        assert.equal(fs.existsSync(filePath), false);
+        assert.equal(client.objects.get('staging/video-1.webm').contentType, 'video/webm');
+
+        assert.equal((await storage.stat('video-1.webm')).size, 10);
+        assert.equal(await storage.stat('video-2.webm'), null);
+        assert.equal((await readAll(await storage.createReadStream('video-1.webm', { start: 2, end: 4 }))).toString(), 'cde');
+        assert.equal(await storage.withLocalFile('video-1.webm', local => fs.promises.readFile(local, 'utf8')), 'abcdefghij');
+        await assert.rejects(storage.remove('../video-1.webm'), /Invalid storage key/);
+    });
+
+    it('lists every page and removes prefixes in batches of 1000', async () => {
+        const client = new FakeS3Client({ pageSize: 400 });
+        const storage = createS3Storage(client);
+        const object = { body: Buffer.alloc(1), lastModified: new Date() };
+        for (let i = 0; i < 1001; i++) {
+            client.objects.set(`staging/transcoded/video-1/seg-${String(i).padStart(4, '0')}.ts`, object);
+        }
+        client.objects.set('staging/video-1.webm', object);
+
+        const listed = await storage.list('transcoded/video-1/');
+        assert.equal(listed.length, 1001);
+        assert.equal(listed[0].key, 'transcoded/video-1/seg-0000.ts');
+
+        await storage.removePrefix('transcoded/video-1/');
+        assert.deepEqual(client.deleteBatches, [1000, 1]);
+        assert.deepEqual(Array.from(client.objects.keys()), ['staging/video-1.webm']);
+    });
+
+    it('serves uploads from the bucket through signed media URLs', async () => {
+        const client = new FakeS3Client();
+        const server = await startServer({}, { videoStorage: createS3Storage(client) });
+
+        try {
+            const video = webmFixture();
+            const upload = await server.request()
+                .post('/upload')
+                .attach('video', video, { filename: 'clip.webm', contentType: 'video/webm' })
+                .expect(200);
+            assert.ok(client.objects.has(`staging/${upload.body.filename}`));
+
+            const res = await server.request()
+                .get(new URL(upload.body.url).pathname)
+                .set('Range', 'bytes=0-3')
+                .buffer(true)
+                .parse((stream, callback) => readAll(stream).then(body => callback(null, body), callback))
+                .expect(206);
+            assert.equal(res.headers['content-range'], `bytes 0-3/${video.length}`);
+            assert.deepEqual(res.body, video.subarray(0, 4));
+        } finally {
+            await server.stop();
+        }
+    });
+});
@@ -0,0 +1,161 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { StudioDocument, MAX_OBJECTS } = require('../lib/studio-documents');
+const { MAX_CLOCK_LEAD } = require('../public/js/studio-crdt');
+const { startServer, waitFor, expectSilence } = require('./helpers');
+
+// Visible objects in a studio-canvas-sync snapshot: objectId -> props
+function canvasObjects(snapshot) {
+    const objects = {};
+    snapshot.state.objects
+        .filter(object => object.created && !object.removed)
+        .forEach(object => {
+            objects[object.objectId] = Object.fromEntries(
+                Object.entries(object.props).map(([key, register]) => [key, register.value])
+            );
+        });
+    return objects;
+}
+
+describe('studio sync', () => {
+    let server;
+    let alice;
+    let bob;
+
+    before(async () => {
+        server = await startServer();
+        alice = await server.login('alice', 'lobby');
+        bob = await server.login('bob', 'lobby');
+    });
+
+    after(() => server.stop());
+
+    it('sends joiners the studio users and the room\'s canvas', async () => {
+        const aliceCanvas = waitFor(alice.socket, 'studio-canvas-sync');
+        alice.socket.emit('studio-join');
+        const empty = await aliceCanvas;
+        assert.equal(empty.targetId, alice.socket.id);
+        assert.deepEqual(canvasObjects(empty), {});
+
+        const announced = waitFor(alice.socket, 'studio-user-joined');
+        const usersList = waitFor(bob.socket, 'studio-users-list');
+        bob.socket.emit('studio-join');
+
+        assert.equal((await announced).username, 'bob');
+        assert.deepEqual(await usersList, [{ socketId: alice.socket.id, username: 'alice' }]);
+    });
+
+    it('relays canvas operations to the other studio users', async () => {
+        const added = waitFor(bob.socket, 'studio-object-added');
+        alice.socket.emit('studio-object-added', {
+            objectId: 'rect-1',
+            props: { type: 'rect', left: 10, top: 20 },
+            clock: [1, alice.socket.id]
+        });
+
+        const op = await added;
+        assert.equal(op.socketId, alice.socket.id);
+        assert.equal(op.objectId, 'rect-1');
+        assert.deepEqual(op.props, { type: 'rect', left: 10, top: 20 });
+
+        const modified = waitFor(alice.socket, 'studio-object-modified');
+        bob.socket.emit('studio-object-modified', {
+            objectId: 'rect-1',
+            props: { left: 50 },
+            clock: [2, bob.socket.id]
+        });
+        assert.deepEqual((await modified).props, { left: 50 });
+    });
+
+    it('drops operations that lose to newer edits', async () => {
+        const stale = expectSilence(bob.socket, 'studio-object-modified');
+        alice.socket.emit('studio-object-modified', {
+            objectId: 'rect-1',
+            props: { left: 0 },
+            clock: [1, alice.socket.id]
+        });
+        await stale;
+    });
+
+    it('keeps the canvas on the server for late joiners', async () => {
+        const carol = await server.login('carol', 'lobby');
+        const canvas = waitFor(carol.socket, 'studio-canvas-sync');
+        carol.socket.emit('studio-join');
+
+        assert.deepEqual(canvasObjects(await canvas), {
+            'rect-1': { type: 'rect', left: 50, top: 20 }
+        });
+    });
+
+    it('ignores canvas operations from sockets outside the studio', async () => {
+        const dave = await server.login('dave', 'lobby');
+        const ignored = expectSilence(alice.socket, 'studio-object-removed');
+        dave.socket.emit('studio-object-removed', { objectId: 'rect-1', clock: [9, dave.socket.id] });
+        await ignored;
+
+        const canvas = waitFor(bob.socket, 'studio-canvas-sync');
+        bob.socket.emit('studio-canvas-sync-request');
+        assert.ok(canvasObjects(await canvas)['rect-1']);
+    });
+
+    it('removes objects for everyone in the studio', async () => {
+        const removed = waitFor(alice.socket, 'studio-object-removed');
+        bob.socket.emit('studio-object-removed', { objectId: 'rect-1', clock: [3, bob.socket.id] });
+        assert.equal((await removed).objectId, 'rect-1');
+
+        const canvas = waitFor(alice.socket, 'studio-canvas-sync');
+        alice.socket.emit('studio-canvas-sync-request');
+        assert.deepEqual(canvasObjects(await canvas), {});
+    });
+});
+
+describe('studio documents', () => {
+    it('stops taking new entries once full, whatever the operation', () => {
+        const doc = new StudioDocument('lobby');
+        for (let index = 0; index < MAX_OBJECTS; index++) {
+            doc.crdt.objects.set(`filler-${index}`, { props: {}, created: null, removed: [1, 'server'] });
+        }
+
+        assert.equal(doc.apply({ type: 'add', objectId: 'new', props: {}, clock: [1, 'alice'] }), false);
+        assert.equal(doc.apply({ type: 'set', objectId: 'new', props: { fill: 'red' }, clock: [1, 'alice'] }), false);
+        assert.equal(doc.apply({ type: 'remove', objectId: 'new', clock: [1, 'alice'] }), false);
+        assert.equal(doc.crdt.size, MAX_OBJECTS);
+    });
+
+    it('drops operations with clocks far ahead of the document', () => {
+        const doc = new StudioDocument('lobby');
+        assert.equal(doc.apply({ type: 'add', objectId: 'a', props: {}, clock: [Number.MAX_SAFE_INTEGER, 'alice'] }), false);
+        assert.equal(doc.crdt.counter, 0);
+
+        assert.equal(doc.apply({ type: 'add', objectId: 'a', props: {}, clock: [MAX_CLOCK_LEAD, 'alice'] }), true);
+        assert.equal(doc.crdt.counter, MAX_CLOCK_LEAD);
+    });
+
+    it('never stores prototype keys as object properties', () => {
+        const hostile = JSON.parse('{"fill":"red","__proto__":{"polluted":true},"constructor":{"prototype":{"polluted":true}},"prototype":"x"}');
+        const doc = new StudioDocument('lobby');
+
+        assert.equal(doc.apply({ type: 'add', objectId: 'a', props: hostile, clock: [1, 'alice'] }), true);
+        assert.equal(doc.apply({ type: 'set', objectId: 'a', props: JSON.parse('{"__proto__":{"fill":"blue"},"constructor":"x"}'), clock: [2, 'alice'] }), false);
+        assert.deepEqual(Object.keys(doc.crdt.get('a')), ['objectId', 'fill']);
+        assert.equal(Object.getPrototypeOf(doc.crdt.get('a')), Object.prototype);
+        assert.equal({}.polluted, undefined);
+
+        // The same goes for a saved document with such keys
+        const saved = JSON.parse(JSON.stringify(doc.snapshot()));
+        saved.state.objects[0].props = JSON.parse('{"fill":{"value":"red","clock":[1,"alice"]},"__proto__":{"value":{"polluted":true},"clock":[1,"alice"]}}');
+        const loaded = new StudioDocument('lobby', saved);
+        assert.deepEqual(Object.keys(loaded.crdt.get('a')), ['objectId', 'fill']);
+        assert.equal(loaded.crdt.get('a').polluted, undefined);
+    });
+
+    it('merges copies from other instances that are far ahead', () => {
+        const other = new StudioDocument('lobby');
+        other.crdt.counter = MAX_CLOCK_LEAD * 3;
+        other.crdt.localAdd('a', { fill: 'red' });
+
+        const doc = new StudioDocument('lobby');
+        doc.merge(other.snapshot());
+        assert.deepEqual(doc.crdt.get('a'), { objectId: 'a', fill: 'red' });
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const { TranscodeQueue } = require('../lib/transcoder');
+const { createLogger } = require('../lib/logger');
+
+const RENDITIONS = {
+    mp4: { path: 'video.mp4', mimetype: 'video/mp4', size: 1 },
+    hls: { path: 'hls/master.m3u8', mimetype: 'application/vnd.apple.mpegurl', variants: [] }
+};
+
+// A queue whose ffmpeg work is `transcode(job)`; resolves `finished` with the
+// updates once the job reaches completed or failed
+function createQueue(transcode, onUpdate = () => {}, logger = createLogger({ level: 'silent' })) {
+    const updates = [];
+    let done;
+    const finished = new Promise(resolve => { done = resolve; });
+
+    const queue = new TranscodeQueue({
+        storage: { removePrefix: async () => {} },
+        workDir: os.tmpdir(),
+        logger,
+        onUpdate: job => {
+            updates.push(job);
+            if (job.status === 'completed' || job.status === 'failed') {
+                setImmediate(() => done(updates));
+            }
+            return onUpdate(job);
+        }
+    });
+    queue.available = true;
+    queue.transcode = transcode;
+    return { queue, finished };
+}
+
+describe('transcode queue', () => {
+    it('drops finished jobs once their message has the result', async () => {
+        const { queue, finished } = createQueue(async () => RENDITIONS);
+        const job = await queue.enqueue({ messageId: 'msg_1', filename: 'video-1.webm' });
+
+        const updates = await finished;
+        assert.equal(updates.at(-1).status, 'completed');
+        assert.deepEqual(updates.at(-1).renditions, RENDITIONS);
+        assert.equal(await queue.get(job.id), null);
+        assert.deepEqual(queue.stats(), { queued: 0, running: 0 });
+    });
+
+    it('keeps a finished job when its message could not be updated', async () => {
+        const { queue, finished } = createQueue(async () => { throw new Error('ffmpeg exited with code 1'); }, job => {
+            if (job.status === 'failed') throw new Error('Message store unavailable');
+        });
+        const job = await queue.enqueue({ messageId: 'msg_1', filename: 'video-1.webm' });
+
+        await finished;
+        const kept = await queue.get(job.id);
+        assert.equal(kept.status, 'failed');
+        assert.equal(kept.error, 'ffmpeg exited with code 1');
+    });
+
+    it('logs a job whose status could not be saved and moves on', async () => {
+        let logged;
+        const failure = new Promise(resolve => { logged = resolve; });
+        const logger = createLogger({
+            level: 'error',
+            write: (level, line) => {
+                const entry = JSON.parse(line);
+                if (entry.msg === 'Transcode job could not be recorded') logged(entry);
+            }
+        });
+        const { queue } = createQueue(async () => RENDITIONS, () => {}, logger);
+
+        // The job is stored; every later write fails
+        let writes = 0;
+        queue.persist = async () => {
+            if (++writes > 1) throw new Error('Disk full');
+        };
+        const job = await queue.enqueue({ messageId: 'msg_1', filename: 'video-1.webm' });
+
+        const entry = await failure;
+        assert.equal(entry.jobId, job.id);
+        assert.equal(entry.error.message, 'Disk full');
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(queue.stats(), { queued: 0, running: 0 });
+    });
+
+    it('has no preview paths until the previews are stored', async () => {
+        const { queue, finished } = createQueue(async () => { throw new Error('Input has no video stream'); });
+        const job = await queue.enqueue({ messageId: 'msg_1', filename: 'video-1.webm' });
+        assert.deepEqual(job.previews, { status: 'pending' });
+
+        const updates = await finished;
+        assert.deepEqual(updates.map(update => update.previews), [{ status: 'pending' }, { status: 'failed' }]);
+    });
+});
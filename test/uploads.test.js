@@ -0,0 +1,129 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, webmFixture } = require('./helpers');
+
+describe('resumable uploads', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(() => server.stop());
+
+    // Open a session: resolves with { uploadId, uploadToken, ... }
+    const createSession = body => server.request().post('/api/uploads').send(body).expect(201).then(res => res.body);
+
+    const sendChunk = ({ uploadId, uploadToken }, offset, bytes) => server.request()
+        .patch(`/api/uploads/${uploadId}`)
+        .set('Upload-Token', uploadToken)
+        .set('Upload-Offset', String(offset))
+        .set('Content-Type', 'application/octet-stream')
+        .send(bytes);
+
+    const withToken = ({ uploadToken }, req) => req.set('Upload-Token', uploadToken);
+
+    it('refuses a chunk past the declared size whole and reports the offset', async () => {
+        const upload = await createSession({ mimetype: 'video/webm', size: 10 });
+        await sendChunk(upload, 0, Buffer.alloc(4, 1)).expect(200);
+
+        const refused = await sendChunk(upload, 4, Buffer.alloc(20, 2)).expect(413);
+        assert.equal(refused.body.message, 'Upload exceeds declared size');
+        assert.equal(refused.body.offset, 4);
+
+        const status = await withToken(upload, server.request().get(`/api/uploads/${upload.uploadId}`)).expect(200);
+        assert.equal(status.body.offset, 4);
+        await sendChunk(upload, 4, Buffer.alloc(6, 2)).expect(200);
+    });
+
+    it('assembles chunks into a stored message', async () => {
+        const video = webmFixture();
+        const half = Math.ceil(video.length / 2);
+        const upload = await createSession({ mimetype: 'video/webm', size: video.length });
+        assert.equal(upload.offset, 0);
+
+        assert.equal((await sendChunk(upload, 0, video.subarray(0, half)).expect(200)).body.offset, half);
+        const early = await withToken(upload, server.request().post(`/api/uploads/${upload.uploadId}/complete`)).send({}).expect(409);
+        assert.equal(early.body.offset, half);
+
+        assert.equal((await sendChunk(upload, half, video.subarray(half)).expect(200)).body.offset, video.length);
+        const completed = await withToken(upload, server.request().post(`/api/uploads/${upload.uploadId}/complete`))
+            .send({ title: 'Chunked' })
+            .expect(200);
+        const message = await server.ctx.messageStore.get(completed.body.messageId);
+        assert.equal(message.size, video.length);
+        assert.equal(message.title, 'Chunked');
+
+        await withToken(upload, server.request().get(`/api/uploads/${upload.uploadId}`)).expect(404);
+    });
+
+    it('reports the stored offset when a chunk is out of step', async () => {
+        const upload = await createSession({ mimetype: 'video/webm' });
+        await sendChunk(upload, 0, Buffer.alloc(8, 1)).expect(200);
+
+        // A retry of a chunk that already landed, and one that skips ahead
+        assert.equal((await sendChunk(upload, 0, Buffer.alloc(8, 1)).expect(409)).body.offset, 8);
+        assert.equal((await sendChunk(upload, 16, Buffer.alloc(8, 1)).expect(409)).body.offset, 8);
+        await withToken(upload, server.request().patch(`/api/uploads/${upload.uploadId}`)).send(Buffer.alloc(1)).expect(400);
+    });
+
+    it('cancels sessions and expires idle ones', async () => {
+        const { uploadSessions } = server.ctx;
+        const cancelled = await createSession({ mimetype: 'video/webm' });
+        await withToken(cancelled, server.request().delete(`/api/uploads/${cancelled.uploadId}`)).expect(200);
+        await withToken(cancelled, server.request().delete(`/api/uploads/${cancelled.uploadId}`)).expect(404);
+        await sendChunk(cancelled, 0, Buffer.alloc(4)).expect(404);
+
+        const idle = await createSession({ mimetype: 'video/webm' });
+        const session = await uploadSessions.get(idle.uploadId);
+        await uploadSessions.saveMeta({ ...session, updatedAt: new Date(Date.now() - uploadSessions.ttl - 1000).toISOString() });
+        assert.ok(await uploadSessions.cleanupExpired() >= 1);
+        await withToken(idle, server.request().get(`/api/uploads/${idle.uploadId}`)).expect(404);
+    });
+
+    it('only lets the creator of a session use it', async () => {
+        const { uploadSessions } = server.ctx;
+        const video = webmFixture();
+        const upload = await createSession({ mimetype: 'video/webm', size: video.length });
+        const stranger = { ...upload, uploadToken: 'not-the-token' };
+        const { uploadId } = upload;
+
+        // The token itself isn't stored
+        assert.equal(JSON.stringify(await uploadSessions.get(uploadId)).includes(upload.uploadToken), false);
+
+        await server.request().get(`/api/uploads/${uploadId}`).expect(404);
+        await withToken(stranger, server.request().get(`/api/uploads/${uploadId}`)).expect(404);
+        await sendChunk(stranger, 0, video).expect(404);
+        await withToken(stranger, server.request().post(`/api/uploads/${uploadId}/complete`)).send({}).expect(404);
+        await withToken(stranger, server.request().delete(`/api/uploads/${uploadId}`)).expect(404);
+        assert.equal((await uploadSessions.get(uploadId)).offset, 0);
+
+        await sendChunk(upload, 0, video).expect(200);
+        await withToken(upload, server.request().post(`/api/uploads/${uploadId}/complete`)).send({}).expect(200);
+    });
+
+    it('keeps a signed-in user\'s session to that user', async () => {
+        const alice = await server.guest('alice');
+        const bob = await server.guest('bob');
+        const video = webmFixture();
+
+        const created = await server.request()
+            .post('/api/uploads')
+            .set('Authorization', `Bearer ${alice.token}`)
+            .send({ mimetype: 'video/webm' })
+            .expect(201);
+        const upload = created.body;
+        assert.equal((await server.ctx.uploadSessions.get(upload.uploadId)).owner, alice.user.id);
+
+        // The token alone isn't enough, with or without another account
+        await sendChunk(upload, 0, video).expect(404);
+        await sendChunk(upload, 0, video).set('Authorization', `Bearer ${bob.token}`).expect(404);
+
+        await sendChunk(upload, 0, video).set('Authorization', `Bearer ${alice.token}`).expect(200);
+        const completed = await withToken(upload, server.request().post(`/api/uploads/${upload.uploadId}/complete`))
+            .set('Authorization', `Bearer ${alice.token}`)
+            .send({})
+            .expect(200);
+        assert.equal((await server.ctx.messageStore.get(completed.body.messageId)).owner, alice.user.id);
+    });
+});
@@ -0,0 +1,90 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sniffVideo, VideoFormatError } = require('../lib/video-sniffer');
+const { webmFixture, mp4Fixture } = require('./helpers');
+
+// Replace the first `from` in the buffer with `to` (same length)
+function patch(buffer, from, to) {
+    const copy = Buffer.from(buffer);
+    copy.write(to, copy.indexOf(from), 'latin1');
+    return copy;
+}
+
+describe('video sniffing', () => {
+    let dir;
+    let count = 0;
+
+    before(async () => {
+        dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'video-messenger-sniff-'));
+    });
+
+    after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+    async function sniff(bytes) {
+        const filePath = path.join(dir, `file-${++count}`);
+        await fs.promises.writeFile(filePath, bytes);
+        return sniffVideo(filePath);
+    }
+
+    async function assertRejected(bytes, message) {
+        await assert.rejects(sniff(bytes), error => {
+            assert.ok(error instanceof VideoFormatError);
+            assert.equal(error.statusCode, 415);
+            assert.match(error.message, message);
+            return true;
+        });
+    }
+
+    it('reads WebM track information from the EBML header', async () => {
+        assert.deepEqual(await sniff(webmFixture()), {
+            container: 'webm',
+            mimetype: 'video/webm',
+            extension: '.webm',
+            duration: null,
+            width: 1280,
+            height: 720,
+            videoCodec: 'vp8',
+            audioCodec: 'opus'
+        });
+    });
+
+    it('reads MP4 metadata with moov before or after the media data', async () => {
+        const expected = {
+            container: 'mp4',
+            mimetype: 'video/mp4',
+            extension: '.mp4',
+            duration: 4.5,
+            width: 640,
+            height: 480,
+            videoCodec: 'h264',
+            audioCodec: 'aac'
+        };
+        const video = mp4Fixture();
+        assert.deepEqual(await sniff(video), expected);
+
+        const ftypEnd = video.readUInt32BE(0);
+        const moovEnd = ftypEnd + video.readUInt32BE(ftypEnd);
+        const moovLast = Buffer.concat([video.subarray(0, ftypEnd), video.subarray(moovEnd), video.subarray(ftypEnd, moovEnd)]);
+        assert.deepEqual(await sniff(moovLast), expected);
+    });
+
+    it('refuses files that are not WebM, Matroska or MP4', async () => {
+        await assertRejected(Buffer.from('#!/bin/sh\necho not a video\n'), /^File is not a WebM, Matroska or MP4 video$/);
+        await assertRejected(Buffer.alloc(0), /^File is not a WebM, Matroska or MP4 video$/);
+    });
+
+    it('refuses unsupported containers and files without video', async () => {
+        await assertRejected(patch(webmFixture(), 'webm', 'wobm'), /^Unsupported EBML document type: wobm$/);
+        await assertRejected(patch(mp4Fixture(), 'isom', 'qt  '), /^QuickTime files are not supported$/);
+        await assertRejected(patch(mp4Fixture(), 'vide', 'text'), /^File has no video track$/);
+    });
+
+    it('refuses truncated files', async () => {
+        const video = mp4Fixture();
+        await assertRejected(video.subarray(0, video.readUInt32BE(0)), /^Invalid MP4 file: no moov box$/);
+        await assertRejected(webmFixture().subarray(0, 40), /^Invalid WebM\/Matroska file/);
+    });
+});
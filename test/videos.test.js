@@ -0,0 +1,95 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, webmFixture } = require('./helpers');
+
+describe('video listing and trash', () => {
+    let server;
+    let alice;
+    let bob;
+    let carol;
+
+    before(async () => {
+        server = await startServer();
+        alice = await server.guest('alice');
+        bob = await server.guest('bob');
+        carol = await server.guest('carol');
+    });
+
+    after(() => server.stop());
+
+    const as = (session, req) => req.set('Authorization', `Bearer ${session.token}`);
+
+    // Alice sends a video to bob: resolves with its message id
+    async function upload() {
+        const res = await as(alice, server.request().post('/upload'))
+            .field('recipients', bob.user.username)
+            .attach('video', webmFixture(), { filename: 'clip.webm', contentType: 'video/webm' })
+            .expect(200);
+        return res.body.messageId;
+    }
+
+    const listed = async session => (await as(session, server.request().get('/api/videos')).expect(200)).body.videos.map(video => video.id);
+    const trashed = async session => (await as(session, server.request().get('/api/videos/trash')).expect(200)).body.videos.map(video => video.id);
+
+    it('lists only the videos a user sent or received', async () => {
+        const messageId = await upload();
+
+        assert.ok((await listed(alice)).includes(messageId));
+        assert.ok((await listed(bob)).includes(messageId));
+        assert.deepEqual(await listed(carol), []);
+    });
+
+    it('refuses to trash or restore someone else\'s video', async () => {
+        const messageId = await upload();
+
+        // Carol can't see it at all; bob can see it but doesn't own it
+        await as(carol, server.request().delete(`/api/videos/${messageId}`)).expect(404);
+        const refused = await as(bob, server.request().delete(`/api/videos/${messageId}`)).expect(403);
+        assert.equal(refused.body.message, 'Only the owner can delete this video');
+        assert.equal((await server.ctx.messageStore.get(messageId)).deletedAt, null);
+
+        await as(alice, server.request().delete(`/api/videos/${messageId}`)).expect(200);
+        await as(bob, server.request().post(`/api/videos/${messageId}/restore`)).expect(404);
+        await as(carol, server.request().post(`/api/videos/${messageId}/restore`)).expect(404);
+        assert.ok((await server.ctx.messageStore.get(messageId)).deletedAt);
+    });
+
+    it('moves a video to the owner\'s trash until it is restored', async () => {
+        const messageId = await upload();
+
+        const deleted = await as(alice, server.request().delete(`/api/videos/${messageId}`)).expect(200);
+        const { deletedAt } = await server.ctx.messageStore.get(messageId);
+        assert.equal(Date.parse(deleted.body.purgeAt) - Date.parse(deletedAt), server.config.trashDays * 24 * 60 * 60 * 1000);
+
+        assert.ok(!(await listed(alice)).includes(messageId));
+        assert.ok(!(await listed(bob)).includes(messageId));
+        assert.ok((await trashed(alice)).includes(messageId));
+        assert.deepEqual(await trashed(bob), []);
+
+        // A trashed video can't be deleted again
+        await as(alice, server.request().delete(`/api/videos/${messageId}`)).expect(404);
+
+        const restored = await as(alice, server.request().post(`/api/videos/${messageId}/restore`)).expect(200);
+        assert.equal(restored.body.video.id, messageId);
+        assert.ok((await listed(alice)).includes(messageId));
+        assert.ok(!(await trashed(alice)).includes(messageId));
+    });
+
+    it('purges videos that have been in the trash longer than TRASH_DAYS', async () => {
+        const expired = await upload();
+        const recent = await upload();
+        await as(alice, server.request().delete(`/api/videos/${expired}`)).expect(200);
+        await as(alice, server.request().delete(`/api/videos/${recent}`)).expect(200);
+
+        const { messageStore, videoStorage, videos } = server.ctx;
+        const { filename } = await messageStore.get(expired);
+        const longAgo = new Date(Date.now() - (server.config.trashDays + 1) * 24 * 60 * 60 * 1000).toISOString();
+        await messageStore.update(expired, { deletedAt: longAgo });
+
+        assert.equal(await videos.purgeTrash(), 1);
+        assert.equal(await messageStore.get(expired), null);
+        assert.equal(await videoStorage.stat(filename), null);
+        assert.ok((await messageStore.get(recent)).deletedAt);
+        assert.ok((await trashed(alice)).includes(recent));
+    });
+});